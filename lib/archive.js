@@ -0,0 +1,201 @@
+/**
+ * Back-catalog archive
+ * Fills full-articles/ with everything the sources list, whatever its age
+ * and whether or not it was sent: every listing page (following pagination
+ * up to archive.maxPages), feeds and whole sitemaps. Each article is saved
+ * as the page's HTML headed by a "saved from url" comment, named
+ * <filenamePrefix><slug>.html so ./extract knows its source and address,
+ * with its images in <name>_files/ (see ./extract). Files saved some other
+ * way are never overwritten.
+ *
+ * A manifest (archive.json, beside the pages) records where each file came
+ * from: URL, source, how it was found, when it was saved and hashes of the
+ * page and its images. It is written after every article, and an article is
+ * only marked saved once its page and images are on disk, so an interrupted
+ * run picks up where it stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { discoverArticles, urlKey } = require('./discovery');
+const { extractArticle, parseHtml, elements } = require('./html');
+const { savedFromComment, savedImagesDir, savedImageKey } = require('./extract');
+const { savedPageName } = require('./sources');
+const { detectFormat, optimizeOptions, IMAGE_FORMATS } = require('./images');
+const { mapPool, createProgress } = require('./scheduler');
+const { sha256, writeAtomic } = require('./util');
+
+const MANIFEST_FILE = 'archive.json';
+const VERSION = 1;
+
+function loadManifest(file) {
+  if (!fs.existsSync(file)) return { version: VERSION, articles: {} };
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read the archive manifest ${file} (${e.message}); fix or remove it`);
+  }
+  if (!manifest || typeof manifest.articles !== 'object') throw new Error(`${file} is not an archive manifest`);
+  if (manifest.version > VERSION) throw new Error(`${file} was written by a newer version (manifest ${manifest.version}, this build reads ${VERSION})`);
+  return manifest;
+}
+
+// Add newly discovered articles as pending, each with the file name it will be
+// saved under; known ones only gain routes and dates. Returns how many were new.
+function recordDiscovered(manifest, discovered, sources) {
+  const now = new Date().toISOString();
+  const taken = new Set(Object.values(manifest.articles).map(entry => entry.file));
+  let added = 0;
+  for (const entry of discovered) {
+    const known = manifest.articles[urlKey(entry.url)];
+    if (known) {
+      known.via = [...new Set([...known.via, ...entry.via])];
+      if (!known.published && entry.published) known.published = entry.published;
+      continue;
+    }
+    const source = sources.find(s => s.name === entry.sources[0]);
+    const base = savedPageName(entry.url, source, sources);
+    let name = base;
+    for (let n = 2; taken.has(`${name}.html`); n++) name = `${base}-${n}`;
+    taken.add(`${name}.html`);
+    manifest.articles[urlKey(entry.url)] = {
+      url: entry.url,
+      source: source.name,
+      file: `${name}.html`,
+      status: 'pending',  // pending -> saved | failed, or present when the file was already there
+      title: entry.title || null,
+      published: entry.published || null,
+      via: entry.via,
+      discoveredAt: now,
+      savedAt: null,
+      attempts: 0,
+      error: null,
+      sha256: null,
+      images: [],
+      missingImages: []
+    };
+    added++;
+  }
+  return added;
+}
+
+// Save one article's page and images; returns the manifest fields describing them
+async function archiveArticle(entry, file, { source, sources, http, concurrency, imageWidth }) {
+  const html = await http.fetchText(entry.url);
+  const article = extractArticle(html, { url: entry.url, source, sources, imageWidth });
+  // The image URLs ./extract will look for: the srcs of the extracted content
+  const urls = [...new Set(elements(parseHtml(article.content))
+    .filter(element => element.tag === 'img' && /^https?:\/\//i.test(element.attrs.src || ''))
+    .map(element => element.attrs.src))];
+
+  const imagesDir = savedImagesDir(file);
+  fs.rmSync(imagesDir, { recursive: true, force: true });
+  const results = await mapPool(urls, async (url) => {
+    try {
+      const { buffer } = await http.fetchBuffer(url, { cacheMode: 'prefer' });
+      const format = detectFormat(buffer);
+      if (!format) return { url, error: 'not a readable image' };
+      const name = `${savedImageKey(url)}.${IMAGE_FORMATS[format].ext}`;
+      fs.mkdirSync(imagesDir, { recursive: true });
+      fs.writeFileSync(path.join(imagesDir, name), buffer);
+      return { url, file: `${path.basename(imagesDir)}/${name}`, sha256: sha256(buffer) };
+    } catch (e) {
+      return { url, error: e.message };
+    }
+  }, { concurrency });
+
+  const page = `${savedFromComment(entry.url)}\n${html}`;
+  writeAtomic(file, page);
+  return {
+    title: article.title || entry.title,
+    published: article.published || entry.published,
+    sha256: sha256(page),
+    images: results.filter(result => result.file),
+    missingImages: results.filter(result => result.error).map(result => `${result.url} (${result.error})`)
+  };
+}
+
+// Discover and save the back-catalog; returns { saved, failed, present, remaining, manifestFile }
+// options: {
+//   articlesDir, sources, http, concurrency, dryRun,
+//   only: source names to archive (default: all),
+//   maxPages: listing pages followed per source,
+//   limit: most articles saved this run,
+//   maxAttempts: tries before a failing article is left alone,
+//   imageOptions: config.images, whose maxWidth picks responsive images
+// }
+async function archiveSources(options) {
+  const { articlesDir, sources, http, concurrency, dryRun, maxPages, limit = Infinity, maxAttempts = 3 } = options;
+  const archived = options.only ? sources.filter(source => options.only.includes(source.name)) : sources;
+  const manifestFile = path.join(articlesDir, MANIFEST_FILE);
+  const manifest = loadManifest(manifestFile);
+
+  console.log(`🗄️  Archiving ${archived.map(source => source.name).join(', ')} into ${articlesDir}\n`);
+  const discovered = await discoverArticles(archived, { fetchText: http.fetchText, log: console.log, maxPages });
+  const added = recordDiscovered(manifest, discovered, sources);
+
+  // Newest first, so a limited run saves the most recent articles
+  const names = archived.map(source => source.name);
+  const todo = Object.values(manifest.articles)
+    .filter(entry => names.includes(entry.source) &&
+      (entry.status === 'pending' || (entry.status === 'failed' && entry.attempts < maxAttempts)))
+    .sort((a, b) => (b.published || '').localeCompare(a.published || '') || a.url.localeCompare(b.url));
+  const batch = todo.slice(0, limit);
+  console.log(`\n📦 ${discovered.length} articles listed, ${added} new to the manifest, ${todo.length} to save`);
+
+  if (dryRun) {
+    for (const entry of batch.slice(0, 20)) console.log(`   ${entry.file}  ${entry.url}`);
+    if (batch.length > 20) console.log(`   ... and ${batch.length - 20} more`);
+    console.log(`🧪 Dry run: would save ${batch.length} articles to ${articlesDir}`);
+    return { saved: 0, failed: 0, present: 0, remaining: todo.length, manifestFile: null };
+  }
+
+  fs.mkdirSync(articlesDir, { recursive: true });
+  writeAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+  if (batch.length === 0) {
+    console.log('✅ The archive is up to date.');
+    return { saved: 0, failed: 0, present: 0, remaining: 0, manifestFile };
+  }
+
+  const imageWidth = optimizeOptions(options.imageOptions).maxWidth;
+  const counts = { saved: 0, failed: 0, present: 0, images: 0 };
+  const progress = createProgress('Articles', batch.length);
+  await mapPool(batch, async (entry) => {
+    const file = path.join(articlesDir, entry.file);
+    // A page this archive wrote starts with its comment; anything else was saved by hand
+    if (fs.existsSync(file) && !fs.readFileSync(file, 'utf8').startsWith(savedFromComment(entry.url))) {
+      entry.status = 'present';
+      counts.present++;
+      progress.tick(true);
+    } else {
+      try {
+        const source = sources.find(s => s.name === entry.source);
+        const saved = await archiveArticle(entry, file, { source, sources, http, concurrency, imageWidth });
+        Object.assign(entry, saved, { status: 'saved', savedAt: new Date().toISOString(), error: null });
+        counts.saved++;
+        counts.images += saved.images.length;
+        progress.tick(true);
+      } catch (e) {
+        Object.assign(entry, { status: 'failed', attempts: entry.attempts + 1, error: e.message });
+        counts.failed++;
+        progress.tick(false);
+      }
+    }
+    writeAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+  }, { concurrency });
+  progress.finish();
+
+  const remaining = todo.length - batch.length;
+  console.log(`\n✅ Saved ${counts.saved} articles with ${counts.images} images to ${articlesDir}`);
+  if (counts.present > 0) console.log(`📂 ${counts.present} were already there and were left as they are`);
+  if (counts.failed > 0) {
+    console.log(`❌ ${counts.failed} failed (retried on the next run, up to ${maxAttempts} attempts):`);
+    for (const entry of batch.filter(item => item.status === 'failed')) console.log(`   - ${entry.url} (${entry.error})`);
+  }
+  if (remaining > 0) console.log(`⏭️  ${remaining} more left for the next run`);
+  console.log(`🧾 Manifest: ${manifestFile}`);
+  return { saved: counts.saved, failed: counts.failed, present: counts.present, remaining, manifestFile };
+}
+
+module.exports = { archiveSources, MANIFEST_FILE };
@@ -0,0 +1,75 @@
+/**
+ * Article discovery and download
+ * Saves articles with their images, converted and shrunk for e-readers by ./images,
+ * and the extracted article as article.json beside them (read by ./search)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractArticle, escapeAttribute } = require('./html');
+const { mapPool } = require('./scheduler');
+const { detectFormat, optimizeImage, optimizeOptions, formatSavings, IMAGE_FORMATS, E_READER_FORMATS } = require('./images');
+
+// Extracted article and metadata, in each article folder
+const ARTICLE_FILE = 'article.json';
+
+// Download and process article as HTML, using the extraction rules of `source`
+// `http` is a client from ./http; `concurrency` caps parallel image downloads;
+// `imageOptions` is config.images; `sources` (config.sources) are the ones its
+// canonical URL may belong to. Images are saved as image-<n>.<real extension>.
+// Rejects when the page cannot be fetched; failed images are only reported
+async function downloadArticle(url, articleDir, source, http, { concurrency, imageOptions, sources } = {}) {
+  const processing = optimizeOptions(imageOptions, { formats: E_READER_FORMATS });
+  const html = await http.fetchText(url);
+  const article = extractArticle(html, { url, source, sources, imageWidth: processing.maxWidth });
+  const title = article.title || 'Untitled';
+  
+  // Images in the article body, or the lead image when the body has none
+  const images = article.images.length > 0 ? article.images : [article.leadImage].filter(Boolean);
+
+  // Download images; articles may be fetched in parallel, so report once per article
+  const results = await mapPool(images, async (src, i) => {
+    try {
+      const { buffer } = await http.fetchBuffer(src, { cacheMode: 'prefer' });
+      const data = await optimizeImage(buffer, processing);
+      if (!data) return { error: `${src} (not a readable image)` };
+      const imgFilename = `image-${i + 1}.${IMAGE_FORMATS[detectFormat(data)].ext}`;
+      fs.writeFileSync(path.join(articleDir, imgFilename), data);
+      return { local: imgFilename, original: src, bytes: { before: buffer.length, after: data.length } };
+    } catch (e) {
+      return { error: `${src} (${e.message})` };
+    }
+  }, { concurrency });
+  const downloadedImages = results.filter(img => img.local);
+  const failed = results.filter(img => img.error);
+  const before = downloadedImages.reduce((sum, img) => sum + img.bytes.before, 0);
+  const after = downloadedImages.reduce((sum, img) => sum + img.bytes.after, 0);
+  if (images.length > 0) console.log(`   📷 ${title.substring(0, 50)}: ${downloadedImages.length}/${images.length} images${downloadedImages.length ? `, ${formatSavings(before, after)}` : ''}${failed.length ? `, failed: ${failed.map(img => img.error).join(', ')}` : ''}`);
+  
+  // Point image src at the local copies
+  let content = article.content;
+  for (const img of downloadedImages) {
+    content = content.split(`src="${escapeAttribute(img.original)}"`).join(`src="${img.local}"`);
+  }
+  if (article.images.length === 0 && downloadedImages.length > 0) {
+    content = `<img src="${downloadedImages[0].local}" alt="">\n${content}`;
+  }
+  
+  const saved = { title, author: article.author, published: article.published, date: article.date, url, canonicalUrl: article.canonicalUrl, category: source.category, source: source.name, content };
+  fs.writeFileSync(path.join(articleDir, ARTICLE_FILE), JSON.stringify(saved, null, 2));
+
+  return {
+    title,
+    author: article.author,
+    published: article.published,
+    date: article.date,
+    content,
+    text: article.text,
+    url,
+    canonicalUrl: article.canonicalUrl,
+    category: source.category,
+    images: downloadedImages
+  };
+}
+
+module.exports = { downloadArticle, ARTICLE_FILE };
@@ -0,0 +1,413 @@
+/**
+ * Book builder
+ * Turns the saved pages in full-articles/ into one book, grouped by source
+ * category. Targets: html (one standalone file), epub3, epub2 (for older
+ * readers), kindle, an EPUB 3 with Kindle-safe CSS whose images are
+ * shrunk to the screen, and pdf, laid out by ./pdf for printing. Article
+ * markup is first cut down to what the target can show by ./html's
+ * sanitizer (config.book.sanitize adjusts each target's policy). Images go
+ * through ./images, which converts the formats a target cannot hold and
+ * shrinks them to config.images.maxDimension. They are then packaged
+ * (manifest items inside the EPUB, or a folder beside the HTML), embedded
+ * (data URIs in HTML, image objects in PDF) or dropped. EPUBs are checked
+ * with ./epub-validator after writing. Articles are ordered and images
+ * named by content, and no build time is recorded, so the same pages give
+ * the same bytes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractSavedArticle } = require('./extract');
+const { categoryOrder: categoryOrderFor } = require('./sources');
+const { parseHtml, innerHtml, elements, removeNode, escapeText, escapeAttribute, sanitize, policyFor } = require('./html');
+const { buildEpub, readImageSource, altText, KINDLE_CSS } = require('./epub');
+const { detectFormat, optimizeImage, optimizeOptions, formatSavings, IMAGE_FORMATS, E_READER_FORMATS } = require('./images');
+const { validateEpub, formatReport } = require('./epub-validator');
+const { buildPdf } = require('./pdf');
+const { mapPool, createProgress } = require('./scheduler');
+const { findDuplicates, signature } = require('./duplicates');
+const { sha256 } = require('./util');
+
+// `formats`: image formats kept as they are; `screen`: box images are shrunk to
+const TARGETS = {
+  epub3: { ext: 'epub', version: 3, images: ['package', 'drop'], formats: ['jpeg', 'png', 'gif', 'svg', 'webp'] },
+  // Readers old enough to need EPUB 2 rarely draw SVG
+  epub2: { ext: 'epub', version: 2, images: ['package', 'drop'], formats: E_READER_FORMATS },
+  // Kindle Oasis / Paperwhite class screen, portrait
+  kindle: {
+    ext: 'epub',
+    version: 3,
+    images: ['package', 'drop'],
+    css: KINDLE_CSS,
+    formats: E_READER_FORMATS,
+    screen: { maxWidth: 1264, maxHeight: 1680 }
+  },
+  // About 200 dpi across an A4 or Letter text block; PDFs hold JPEG and PNG only
+  pdf: { ext: 'pdf', images: ['embed', 'drop'], formats: ['jpeg', 'png'], screen: { maxWidth: 1400, maxHeight: 1800 } },
+  html: { ext: 'html', images: ['embed', 'package', 'drop'], formats: ['jpeg', 'png', 'gif', 'svg', 'webp', 'avif'] }
+};
+
+// Date recorded in EPUBs when no article has one
+const FALLBACK_DATE = '2000-01-01T00:00:00Z';
+
+// Saved pages with enough content, in filename order. Copies of one article
+// (the same canonical URL, or text at least `threshold` alike; see
+// ./duplicates) become one, kept from the source listed first and filed
+// under all the copies' categories (`categories`).
+function loadArticles(articlesDir, sources, { imageWidth, threshold } = {}) {
+  const files = fs.readdirSync(articlesDir).filter(f => f.endsWith('.html')).sort();
+  console.log(`Found ${files.length} articles\n`);
+
+  const loaded = [];
+  for (const file of files) {
+    try {
+      const article = extractSavedArticle(path.join(articlesDir, file), sources, { imageWidth });
+      if (article.content.length > 500) loaded.push({ ...article, categories: [article.category] });
+    } catch (e) {
+      console.log(`✗ ${file}: ${e.message}`);
+    }
+  }
+
+  const rank = article => sources.findIndex(source => source.name === article.source);
+  const dropped = new Set();
+  const groups = findDuplicates(loaded.map(article => ({ url: article.url, signature: signature(article.text) })), { threshold });
+  for (const group of groups) {
+    const copies = group.map(i => loaded[i]);
+    const kept = copies.reduce((best, article) => (rank(article) < rank(best) ? article : best));
+    kept.categories = [...new Set([kept.category, ...copies.map(article => article.category)])];
+    for (const article of copies.filter(copy => copy !== kept)) {
+      console.log(`⏭️  Skipping duplicate: ${article.filename} (same article as ${kept.filename})`);
+      dropped.add(article);
+    }
+  }
+
+  const articles = loaded.filter(article => !dropped.has(article));
+  for (const article of articles) console.log(`✓ [${article.categories.join(', ')}] ${article.title.substring(0, 50)}`);
+  return articles;
+}
+
+// Category order, then newest first; title and filename break ties so the order never depends on the disk
+function sortArticles(articles, categoryOrder) {
+  return articles.sort((a, b) =>
+    (categoryOrder[a.category] || 99) - (categoryOrder[b.category] || 99) ||
+    (b.published || '').localeCompare(a.published || '') ||
+    a.title.localeCompare(b.title) ||
+    a.filename.localeCompare(b.filename));
+}
+
+// { data, type, name } for image bytes, named by content; null if not an image
+function imageFrom(data) {
+  const format = detectFormat(data);
+  if (!format) return null;
+  const type = IMAGE_FORMATS[format];
+  const hash = sha256(data).slice(0, 16);
+  return { data, type, name: `${hash}.${type.ext}` };
+}
+
+// Download every remote image once (data: and file: URLs are read directly); returns url -> { data, type, name }
+async function fetchImages(urls, { http, concurrency }) {
+  const progress = createProgress('Images', urls.length);
+  const fetched = await mapPool(urls, async (url) => {
+    try {
+      const { buffer } = /^(data|file):/.test(url) ? { buffer: readImageSource(url) } : await http.fetchBuffer(url, { timeout: 10000, retries: 1, cacheMode: 'prefer' });
+      const image = imageFrom(buffer);
+      progress.tick(Boolean(image));
+      return image;
+    } catch (e) {
+      progress.tick(false);
+      return null;
+    }
+  }, { concurrency });
+  progress.finish();
+
+  const images = new Map();
+  urls.forEach((url, i) => {
+    if (fetched[i]) images.set(url, fetched[i]);
+  });
+  return images;
+}
+
+// Convert and shrink images in place (see ./images); ones that cannot be converted are dropped
+async function optimizeImages(images, options) {
+  let before = 0;
+  let after = 0;
+  let changed = 0;
+  let dropped = 0;
+  for (const [url, image] of images) {
+    before += image.data.length;
+    const data = await optimizeImage(image.data, options);
+    if (!data) {
+      images.delete(url);
+      dropped++;
+      continue;
+    }
+    after += data.length;
+    if (data !== image.data) {
+      changed++;
+      images.set(url, imageFrom(data));
+    }
+  }
+  const limits = [
+    Number.isFinite(options.maxWidth) && `max ${options.maxWidth}x${options.maxHeight}`,
+    options.grayscale && 'grayscale',
+    dropped && `${dropped} unreadable dropped`
+  ].filter(Boolean);
+  console.log(`🪄 Optimized ${changed} of ${images.size + dropped} images${limits.length ? ` (${limits.join(', ')})` : ''}: ${formatSavings(before, after)}`);
+}
+
+// Remote, data: and local (file:, from archived pages) image URLs in document order
+function imageUrls(content) {
+  return elements(parseHtml(content))
+    .filter(element => element.tag === 'img' && /^(https?:\/\/|data:image\/|file:)/i.test(element.attrs.src || ''))
+    .map(element => element.attrs.src);
+}
+
+// Point each <img> at `srcFor(image)`, removing the ones without a downloaded image
+function rewriteImages(content, images, srcFor) {
+  const document = parseHtml(content);
+  for (const element of elements(document)) {
+    if (element.tag !== 'img') continue;
+    const { src = '' } = element.attrs;
+    const image = srcFor && images.get(src);
+    if (image) element.attrs = { src: srcFor(image), alt: altText(element) };
+    // Other inline images are kept as they are; the EPUB builder checks them
+    else if (!srcFor || !src.startsWith('data:')) removeNode(element);
+  }
+  return innerHtml(document);
+}
+
+function dataUri(image) {
+  return `data:${image.type.mediaType};base64,${image.data.toString('base64')}`;
+}
+
+// SOURCE_DATE_EPOCH when set, else the newest article's date
+function bookDate(articles) {
+  const epoch = Number(process.env.SOURCE_DATE_EPOCH);
+  if (process.env.SOURCE_DATE_EPOCH && Number.isFinite(epoch)) return new Date(epoch * 1000).toISOString();
+  const dates = articles.map(a => a.published).filter(date => date && !isNaN(new Date(date))).sort();
+  return dates.length ? dates[dates.length - 1] : FALLBACK_DATE;
+}
+
+// Language tag of an article when it is a usable BCP 47 tag
+function articleLang(article) {
+  return /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(article.lang || '') ? article.lang : undefined;
+}
+
+// Date, categories and source link shown under each article's title
+function articleByline(article, className) {
+  const details = [article.date, ...article.categories].filter(Boolean).map(escapeText).join(' · ');
+  return [
+    details && `<p class="${className}">${details}</p>`,
+    article.url && `<p class="source">Source: <a href="${escapeAttribute(article.url)}">${escapeText(article.url)}</a></p>`
+  ].filter(Boolean).join('\n');
+}
+
+// One chapter per category heading (marked `section`) and per article
+function bookChapters(articles, categoryOrder, contentFor) {
+  const chapters = [];
+  let currentCategory = null;
+  for (const article of articles) {
+    if (article.category !== currentCategory) {
+      currentCategory = article.category;
+      chapters.push({
+        title: `— ${currentCategory} —`,
+        section: true,
+        content: `<h1 class="section-title">${escapeText(currentCategory)}</h1>
+<p class="byline section-title">Section ${categoryOrder[currentCategory]} of ${Object.keys(categoryOrder).length}</p>`
+      });
+    }
+    chapters.push({
+      title: article.title,
+      lang: articleLang(article),
+      meta: { source: article.url, published: article.published, category: article.categories },
+      content: `<h1>${escapeText(article.title)}</h1>
+${articleByline(article, 'byline')}
+<hr/>
+${contentFor(article)}`
+    });
+  }
+  return chapters;
+}
+
+function htmlBook({ title, articles, contentFor }) {
+  let currentCategory = null;
+  let toc = '';
+  let body = '';
+  articles.forEach((article, i) => {
+    if (article.category !== currentCategory) {
+      currentCategory = article.category;
+      body += `
+  <h2 class="category">${escapeText(currentCategory)}</h2>`;
+      toc += `
+    <li class="category"><strong>${escapeText(currentCategory)}</strong></li>`;
+    }
+    toc += `
+    <li><a href="#article-${i}">${escapeText(article.title)}</a></li>`;
+    body += `
+  <article id="article-${i}"${articleLang(article) ? ` lang="${articleLang(article)}"` : ''}>
+    <h3>${escapeText(article.title)}</h3>
+    ${articleByline(article, 'date')}
+    <div class="content">
+      ${contentFor(article)}
+    </div>
+  </article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeText(title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: Georgia, "Times New Roman", serif; padding: 20px; max-width: 700px; margin: 0 auto; background: #faf9f5; color: #1a1a1a; }
+    h1 { text-align: center; font-size: 2em; color: #d4af37; border-bottom: 3px solid #d4af37; padding-bottom: 15px; margin-bottom: 30px; }
+    h2.category { color: #d4af37; border-bottom: 3px solid #d4af37; padding: 20px 0 10px; margin-top: 40px; }
+    h3 { font-size: 1.5em; margin-bottom: 5px; }
+    img { max-width: 100%; height: auto; display: block; margin: 15px auto; }
+    p { line-height: 1.8; margin: 15px 0; }
+    a { color: #0066cc; }
+    pre, code { background: #f0f0f0; padding: 10px; border-radius: 5px; overflow-x: auto; font-size: 0.9em; }
+    blockquote { border-left: 4px solid #d4af37; margin: 20px 0; padding-left: 20px; font-style: italic; color: #555; }
+    .summary, .date { color: #666; }
+    .summary { text-align: center; }
+    .date { font-size: 0.9em; margin-bottom: 20px; }
+    .toc { list-style: none; padding: 0; }
+    .toc li { margin: 5px 0; }
+    .toc li.category { margin-top: 15px; }
+    .toc a { text-decoration: none; }
+    article { margin-bottom: 50px; page-break-after: always; }
+    .content { line-height: 1.8; font-size: 1.05em; text-align: justify; }
+    hr { margin: 40px 0; border: none; border-top: 2px solid #ddd; }
+  </style>
+</head>
+<body>
+  <h1>${escapeText(title)}</h1>
+  <p class="summary">${articles.length} articles</p>
+
+  <h2>Table of Contents</h2>
+  <ul class="toc">${toc}
+  </ul>
+
+  <hr>
+${body}
+</body>
+</html>
+`;
+}
+
+// Write the book; returns { articles, outputPath, images, problems } (problems: EPUB validation errors)
+// options: {
+//   articlesDir, outputDir, sources, http, concurrency, dryRun,
+//   target: 'epub3' | 'epub2' | 'kindle' | 'pdf' | 'html',
+//   screen: { maxWidth, maxHeight } replacing the kindle target's,
+//   imageOptions: { maxDimension, grayscale, quality } (config.images),
+//   pdf: { pageSize, fonts } for the pdf target (see ./pdf),
+//   sanitize: { <target>: policy overrides } (config.book.sanitize, see ./html/sanitize),
+//   images: 'package' | 'embed' (HTML and PDF) | 'drop' (default: package for EPUB, embed otherwise),
+//   title, author,
+//   duplicateThreshold: similarity at which saved pages are merged (config.duplicates.threshold),
+//   output: file to write (default: <outputDir>/anthropic-articles[-<target>].<ext>)
+// }
+async function buildBook(options) {
+  const { articlesDir, outputDir, sources, http, concurrency, dryRun, target = 'epub3', title = 'Anthropic Articles Collection', author } = options;
+  const spec = TARGETS[target];
+  if (!spec) throw new Error(`Unknown book target "${target}" (expected one of: ${Object.keys(TARGETS).join(', ')})`);
+  const strategy = options.images || spec.images[0];
+  if (!spec.images.includes(strategy)) {
+    throw new Error(`Target ${target} cannot use images "${strategy}" (expected one of: ${spec.images.join(', ')})`);
+  }
+  const suffix = target === 'epub2' || target === 'kindle' ? `-${target}` : '';
+  const outputPath = options.output || path.join(outputDir, `anthropic-articles${suffix}.${spec.ext}`);
+
+  console.log(`📚 Building ${target} book (images: ${strategy})\n`);
+  const screen = target === 'kindle' ? { ...spec.screen, ...options.screen } : spec.screen;
+  const processing = optimizeOptions(options.imageOptions, { ...screen, formats: spec.formats });
+  const categoryOrder = categoryOrderFor(sources);
+  const articles = sortArticles(loadArticles(articlesDir, sources, { imageWidth: processing.maxWidth, threshold: options.duplicateThreshold }), categoryOrder);
+
+  if (dryRun) {
+    console.log(`\n🧪 Dry run: would compile ${articles.length} articles into ${outputPath}`);
+    return { articles: articles.length, outputPath: null, images: 0, problems: 0 };
+  }
+
+  // Ids are prefixed in the one-page HTML book so each article's footnotes link within it
+  const policy = policyFor(target, (options.sanitize || {})[target]);
+  articles.forEach((article, i) => {
+    const idPrefix = target === 'html' ? `article-${i}-` : '';
+    article.content = innerHtml(sanitize(parseHtml(article.content), policy, { idPrefix, localImages: true }));
+  });
+
+  let images = new Map();
+  if (strategy !== 'drop') {
+    const urls = [...new Set(articles.flatMap(article => imageUrls(article.content)))];
+    console.log(`\n📥 Downloading ${urls.length} images...`);
+    images = await fetchImages(urls, { http, concurrency });
+    if (images.size > 0) await optimizeImages(images, processing);
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const categories = [...new Set(articles.map(a => a.category))];
+  const description = `${articles.length} articles from ${categories.join(', ')}`;
+  let output;
+  if (target === 'html') {
+    let srcFor = null;
+    if (strategy === 'embed') srcFor = dataUri;
+    if (strategy === 'package') {
+      // Beside the HTML, named by content; cleared so stale images do not linger
+      const folder = `${path.basename(outputPath, path.extname(outputPath))}-images`;
+      const imagesDir = path.join(path.dirname(outputPath), folder);
+      fs.rmSync(imagesDir, { recursive: true, force: true });
+      fs.mkdirSync(imagesDir, { recursive: true });
+      for (const image of images.values()) fs.writeFileSync(path.join(imagesDir, image.name), image.data);
+      srcFor = image => `${folder}/${image.name}`;
+    }
+    console.log('📝 Building HTML...');
+    output = htmlBook({ title, articles, contentFor: article => rewriteImages(article.content, images, srcFor) });
+  } else if (target === 'pdf') {
+    console.log('🖨️  Building PDF...');
+    const srcFor = strategy === 'drop' ? null : dataUri;
+    output = await buildPdf({
+      ...options.pdf,
+      title,
+      author,
+      description,
+      date: bookDate(articles),
+      chapters: bookChapters(articles, categoryOrder, article => rewriteImages(article.content, images, srcFor))
+    });
+  } else {
+    // The EPUB builder turns data URIs into manifest items; remote images never reach it
+    console.log('📖 Building EPUB...');
+    const srcFor = strategy === 'drop' ? null : dataUri;
+    output = buildEpub({
+      title,
+      author,
+      description,
+      subjects: categories,
+      date: bookDate(articles),
+      version: spec.version,
+      css: spec.css,
+      policy,
+      chapters: bookChapters(articles, categoryOrder, article => rewriteImages(article.content, images, srcFor))
+    });
+  }
+  fs.writeFileSync(outputPath, output);
+
+  console.log(`\n✅ Done!`);
+  console.log(`📄 Output: ${outputPath}`);
+  console.log(`📊 Total: ${articles.length} articles`);
+  console.log(`🖼️  Images: ${strategy === 'drop' ? 'dropped' : `${images.size} ${strategy === 'embed' ? 'embedded' : 'packaged'}`}`);
+  console.log(`📦 Size: ${(Buffer.byteLength(output) / 1024 / 1024).toFixed(2)} MB`);
+
+  let problems = 0;
+  if (spec.ext === 'epub') {
+    const report = validateEpub(output);
+    for (const line of formatReport(report)) console.log(line);
+    problems = report.errors.length;
+  }
+
+  return { articles: articles.length, outputPath, images: images.size, problems };
+}
+
+module.exports = { buildBook, loadArticles, imageUrls, fetchImages, optimizeImages, TARGETS };
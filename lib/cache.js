@@ -0,0 +1,226 @@
+/**
+ * On-disk HTTP cache
+ * Responses are indexed by URL (entries/<sha256 of url>.json, holding the
+ * validators and headers) and their bodies stored once by content hash
+ * (blobs/<sha256 of body>), so an image shared by many articles or reached
+ * through different URLs is kept a single time. Entries expire after
+ * `maxAgeDays`; past `maxSizeMb` the least recently used are evicted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sha256, writeAtomic } = require('./util');
+
+const DEFAULTS = {
+  maxSizeMb: 500,
+  maxAgeDays: 30
+};
+
+// Headers worth replaying from the cache
+const KEPT_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'expires'];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// When a response may be reused without revalidation (Cache-Control max-age / Expires)
+function freshUntil(headers, now) {
+  const cacheControl = headers['cache-control'] || '';
+  const maxAge = cacheControl.match(/max-age=(\d+)/);
+  if (maxAge && !/no-cache/.test(cacheControl)) return now + parseInt(maxAge[1], 10) * 1000;
+  const expires = Date.parse(headers.expires || '');
+  return Number.isNaN(expires) ? 0 : expires;
+}
+
+function createHttpCache(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const dir = settings.dir;
+  const entriesDir = path.join(dir, 'entries');
+  const blobsDir = path.join(dir, 'blobs');
+  const maxBytes = settings.maxSizeMb * 1024 * 1024;
+  const maxAge = settings.maxAgeDays * 24 * 60 * 60 * 1000;
+  let totalBytes = null;
+
+  const entryFile = url => path.join(entriesDir, `${sha256(url)}.json`);
+  const blobFile = hash => path.join(blobsDir, hash);
+
+  function ensureDirs() {
+    fs.mkdirSync(entriesDir, { recursive: true });
+    fs.mkdirSync(blobsDir, { recursive: true });
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return now - entry.storedAt > maxAge;
+  }
+
+  // Every entry on disk: [{ file, entry }]
+  function entries() {
+    if (!fs.existsSync(entriesDir)) return [];
+    return fs.readdirSync(entriesDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => ({ file: path.join(entriesDir, name), entry: readJson(path.join(entriesDir, name)) }))
+      .filter(({ entry }) => entry);
+  }
+
+  function blobs() {
+    if (!fs.existsSync(blobsDir)) return [];
+    return fs.readdirSync(blobsDir)
+      .filter(name => !name.endsWith('.tmp'))
+      .map(name => ({ hash: name, size: fs.statSync(blobFile(name)).size }));
+  }
+
+  // Cached response for `url`: { url, headers, storedAt, freshUntil, buffer }, or null
+  function get(url) {
+    const file = entryFile(url);
+    const entry = readJson(file);
+    if (!entry) return null;
+    if (isExpired(entry) || !fs.existsSync(blobFile(entry.body))) {
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+    entry.usedAt = Date.now();
+    writeAtomic(file, JSON.stringify(entry));
+    return { ...entry, buffer: fs.readFileSync(blobFile(entry.body)) };
+  }
+
+  // Store a 200 response; skipped when the server says no-store
+  function put(url, response, buffer) {
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      if (response.headers[name]) headers[name] = response.headers[name];
+    }
+    if (/no-store/.test(headers['cache-control'] || '')) return;
+
+    ensureDirs();
+    const hash = sha256(buffer);
+    const now = Date.now();
+    if (!fs.existsSync(blobFile(hash))) {
+      writeAtomic(blobFile(hash), buffer);
+      if (totalBytes !== null) totalBytes += buffer.length;
+    }
+    writeAtomic(entryFile(url), JSON.stringify({
+      url,
+      finalUrl: response.url,
+      headers,
+      body: hash,
+      size: buffer.length,
+      storedAt: now,
+      usedAt: now,
+      freshUntil: freshUntil(headers, now)
+    }));
+
+    if (totalBytes === null) totalBytes = stats().bytes;
+    if (totalBytes > maxBytes) prune();
+  }
+
+  // A 304 confirmed the cached copy; restart its expiry
+  function refresh(url, headers = {}) {
+    const file = entryFile(url);
+    const entry = readJson(file);
+    if (!entry) return;
+    const now = Date.now();
+    for (const name of KEPT_HEADERS) {
+      if (headers[name]) entry.headers[name] = headers[name];
+    }
+    entry.storedAt = now;
+    entry.usedAt = now;
+    entry.freshUntil = freshUntil(entry.headers, now);
+    writeAtomic(file, JSON.stringify(entry));
+  }
+
+  // Remove blobs no entry points at; returns bytes freed
+  function sweep(live) {
+    let freed = 0;
+    for (const blob of blobs()) {
+      if (live.has(blob.hash)) continue;
+      fs.rmSync(blobFile(blob.hash), { force: true });
+      freed += blob.size;
+    }
+    return freed;
+  }
+
+  // Drop expired entries, then least recently used ones until under maxSizeMb
+  function prune() {
+    const now = Date.now();
+    const kept = [];
+    let removed = 0;
+    for (const item of entries()) {
+      if (isExpired(item.entry, now)) {
+        fs.rmSync(item.file, { force: true });
+        removed++;
+      } else {
+        kept.push(item);
+      }
+    }
+
+    const sizes = new Map(blobs().map(blob => [blob.hash, blob.size]));
+    const blobUsers = new Map();
+    for (const { entry } of kept) blobUsers.set(entry.body, (blobUsers.get(entry.body) || 0) + 1);
+    let bytes = [...blobUsers.keys()].reduce((sum, hash) => sum + (sizes.get(hash) || 0), 0);
+
+    kept.sort((a, b) => a.entry.usedAt - b.entry.usedAt);
+    while (bytes > maxBytes && kept.length > 0) {
+      const { file, entry } = kept.shift();
+      fs.rmSync(file, { force: true });
+      removed++;
+      const users = blobUsers.get(entry.body) - 1;
+      blobUsers.set(entry.body, users);
+      if (users === 0) bytes -= sizes.get(entry.body) || 0;
+    }
+
+    const live = new Set(kept.map(({ entry }) => entry.body));
+    const freed = sweep(live);
+    totalBytes = bytes;
+    return { removed, freed };
+  }
+
+  // Remove entries whose URL contains `match` (all when omitted)
+  function purge(match) {
+    const kept = new Set();
+    let removed = 0;
+    for (const { file, entry } of entries()) {
+      if (!match || entry.url.includes(match)) {
+        fs.rmSync(file, { force: true });
+        removed++;
+      } else {
+        kept.add(entry.body);
+      }
+    }
+    const freed = sweep(kept);
+    totalBytes = null;
+    return { removed, freed };
+  }
+
+  function stats() {
+    const all = entries();
+    const stored = blobs();
+    const times = all.map(({ entry }) => entry.storedAt);
+    return {
+      dir,
+      entries: all.length,
+      expired: all.filter(({ entry }) => isExpired(entry)).length,
+      blobs: stored.length,
+      bytes: stored.reduce((sum, blob) => sum + blob.size, 0),
+      maxBytes,
+      oldest: times.length ? new Date(Math.min(...times)).toISOString() : null,
+      newest: times.length ? new Date(Math.max(...times)).toISOString() : null
+    };
+  }
+
+  return {
+    dir,
+    get,
+    put,
+    refresh,
+    prune,
+    purge,
+    stats,
+    list: () => entries().map(({ entry }) => entry)
+  };
+}
+
+module.exports = { createHttpCache, DEFAULTS };
@@ -0,0 +1,178 @@
+/**
+ * Command-line interface
+ * Usage: anthropic-sender <command> [options]
+ *
+ * Exit codes: 0 success, 1 failure, 2 bad usage or configuration (see lib/errors.js)
+ */
+
+const { loadConfig, parseConfigArgs, ConfigError, FLAGS } = require('./config');
+const { EXIT, UsageError } = require('./errors');
+
+const COMMANDS = [
+  require('./commands/check'),
+  require('./commands/updates'),
+  require('./commands/fetch'),
+  require('./commands/archive'),
+  require('./commands/compile'),
+  require('./commands/export'),
+  require('./commands/search'),
+  require('./commands/send'),
+  require('./commands/validate'),
+  require('./commands/status'),
+  require('./commands/queue'),
+  require('./commands/retry'),
+  require('./commands/cache')
+].reduce((all, command) => ({ ...all, [command.name]: command }), {});
+
+const GLOBAL_OPTIONS = {
+  help: { type: 'boolean', alias: 'h', description: 'Show help' },
+  'dry-run': { type: 'boolean', alias: 'n', description: 'Show what would happen without writing or sending' }
+};
+
+// Split args into { flags, positionals } according to an option spec
+function parseOptions(args, spec, commandName) {
+  const flags = {};
+  const positionals = [];
+  const aliases = {};
+  for (const [name, option] of Object.entries(spec)) {
+    if (option.alias) aliases[option.alias] = name;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    let name = arg.startsWith('--') ? arg.slice(2, eq === -1 ? undefined : eq) : aliases[arg.slice(1)];
+    let value = eq === -1 ? undefined : arg.slice(eq + 1);
+    let negated = false;
+    if (name && !spec[name] && name.startsWith('no-') && spec[name.slice(3)]) {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const option = name && spec[name];
+    if (!option) {
+      throw new UsageError(`Unknown option ${arg}${commandName ? ` for "${commandName}"` : ''}`);
+    }
+
+    if (option.type === 'boolean') {
+      flags[name] = !negated;
+    } else {
+      if (value === undefined) {
+        if (i + 1 >= args.length) throw new UsageError(`Missing value for --${name}`);
+        value = args[++i];
+      }
+      flags[name] = value;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+function formatOptions(spec) {
+  return Object.entries(spec).map(([name, option]) => {
+    const label = `${option.alias ? `-${option.alias}, ` : '    '}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+    return `  ${label.padEnd(32)} ${option.description || ''}`;
+  });
+}
+
+function usage(command) {
+  if (command) {
+    return [
+      `Usage: anthropic-sender ${command.usage}`,
+      '',
+      command.summary,
+      '',
+      'Options:',
+      ...formatOptions({ ...command.options, ...GLOBAL_OPTIONS })
+    ].join('\n');
+  }
+
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+  return [
+    'Usage: anthropic-sender <command> [options]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(c => `  ${c.name.padEnd(width)} ${c.summary}`),
+    '',
+    'Global options:',
+    ...formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Configuration options (any command):',
+    `  ${'-c, --config <file>'.padEnd(32)} Config file (default: ./config.yaml or ./config.json)`,
+    `  ${'    --set <key=value>'.padEnd(32)} Override any config key, e.g. delivery.smtp.port=465`,
+    ...Object.entries(FLAGS).map(([flag, key]) => `  ${`    ${flag} <value>`.padEnd(32)} Sets ${key}`),
+    '',
+    'Run "anthropic-sender help <command>" for command options.'
+  ].join('\n');
+}
+
+// Run a command line; resolves to the process exit code
+// context: { transport, http } is passed through to commands (used by tests)
+async function run(argv, context = {}) {
+  let command;
+  try {
+    // Global options may come before the command name, everything else after it
+    const { rest } = parseConfigArgs(argv);
+    const index = rest.findIndex(arg => !arg.startsWith('-'));
+    const { flags: globals } = parseOptions(index === -1 ? rest : rest.slice(0, index), GLOBAL_OPTIONS);
+    const name = index === -1 ? null : rest[index];
+
+    if (!name || name === 'help') {
+      const topic = name === 'help' ? COMMANDS[rest[index + 1]] : null;
+      console.log(usage(topic));
+      return name || globals.help ? EXIT.OK : EXIT.USAGE;
+    }
+
+    command = COMMANDS[name];
+    if (!command) throw new UsageError(`Unknown command "${name}"`);
+
+    const parsed = parseOptions(rest.slice(index + 1), { ...command.options, ...GLOBAL_OPTIONS }, name);
+    const flags = { ...globals, ...parsed.flags };
+    if (flags.help) {
+      console.log(usage(command));
+      return EXIT.OK;
+    }
+
+    const config = context.config || loadConfig({ argv, purposes: command.purposes || [] });
+    const code = await command.run({
+      config,
+      flags,
+      positionals: parsed.positionals,
+      dryRun: Boolean(flags['dry-run']),
+      transport: context.transport,
+      http: context.http
+    });
+    return code === undefined ? EXIT.OK : code;
+  } catch (e) {
+    if (e instanceof ConfigError) {
+      console.error(`❌ ${e.message}`);
+      return EXIT.USAGE;
+    }
+    if (e instanceof UsageError) {
+      console.error(`❌ ${e.message}\n`);
+      console.error(usage(command));
+      return EXIT.USAGE;
+    }
+    console.error(`❌ ${command ? `${command.name} failed: ` : ''}${e.message}`);
+    if (process.env.DEBUG) console.error(e.stack);
+    return EXIT.FAILURE;
+  }
+}
+
+// Entry point for bin/ and the legacy scripts
+function main(argv = process.argv.slice(2)) {
+  run(argv).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run, main, parseOptions, COMMANDS };
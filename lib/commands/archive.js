@@ -0,0 +1,50 @@
+/**
+ * archive — save the sources' whole back-catalog into full-articles/
+ * Run it again to resume an interrupted archive or pick up new articles.
+ */
+
+const { archiveSources } = require('../archive');
+const { clientFromConfig } = require('../http');
+const { UsageError } = require('../errors');
+
+function positiveInteger(flags, name) {
+  if (flags[name] === undefined) return undefined;
+  const value = Number(flags[name]);
+  if (!Number.isInteger(value) || value < 1) throw new UsageError(`--${name} must be a positive whole number, got "${flags[name]}"`);
+  return value;
+}
+
+async function run({ config, flags, dryRun, http }) {
+  const names = config.sources.map(source => source.name);
+  const only = flags.source ? flags.source.split(',').map(name => name.trim()) : null;
+  const unknown = (only || []).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown source "${unknown[0]}" (configured: ${names.join(', ')})`);
+  }
+
+  const result = await archiveSources({
+    articlesDir: config.paths.fullArticlesDir,
+    sources: config.sources,
+    http: http || clientFromConfig(config, { log: console.log }),
+    concurrency: config.http.concurrency,
+    only,
+    maxPages: positiveInteger(flags, 'max-pages') || config.archive.maxPages,
+    limit: positiveInteger(flags, 'limit'),
+    maxAttempts: config.retry.maxAttempts,
+    imageOptions: config.images,
+    dryRun
+  });
+  return result.failed > 0 && result.saved === 0 ? 1 : undefined;
+}
+
+module.exports = {
+  name: 'archive',
+  summary: 'Save every article the sources list, with images, into full-articles/ (resumable)',
+  usage: 'archive [--source <name,...>] [--limit <n>] [--max-pages <n>] [--dry-run]',
+  options: {
+    source: { type: 'string', description: 'Only these sources (comma-separated names)' },
+    limit: { type: 'string', description: 'Save at most this many articles this run, newest first' },
+    'max-pages': { type: 'string', description: 'Listing pages to follow per source (default: archive.maxPages)' }
+  },
+  run
+};
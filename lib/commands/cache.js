@@ -0,0 +1,75 @@
+/**
+ * cache — inspect, prune or purge the on-disk HTTP cache
+ */
+
+const { createHttpCache } = require('../cache');
+const { UsageError } = require('../errors');
+
+const ACTIONS = ['stats', 'list', 'prune', 'purge'];
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function run({ config, flags, positionals, dryRun }) {
+  const [action = 'stats', match] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new UsageError(`Unknown cache action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+  }
+
+  const cache = createHttpCache(config.cache);
+
+  if (action === 'stats') {
+    const stats = cache.stats();
+    if (flags.json) {
+      console.log(JSON.stringify({ enabled: config.cache.enabled, ...stats }, null, 2));
+      return;
+    }
+    console.log(`🗄️  Cache: ${stats.dir}${config.cache.enabled ? '' : ' (disabled)'}`);
+    console.log(`📄 Entries: ${stats.entries} (${stats.expired} expired)`);
+    console.log(`📦 Size: ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)} in ${stats.blobs} files`);
+    if (stats.oldest) console.log(`🕒 Stored: ${stats.oldest.split('T')[0]} to ${stats.newest.split('T')[0]}`);
+    return;
+  }
+
+  if (action === 'list') {
+    const entries = cache.list()
+      .filter(entry => !match || entry.url.includes(match))
+      .sort((a, b) => b.usedAt - a.usedAt);
+    if (flags.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    for (const entry of entries) {
+      const stored = new Date(entry.storedAt).toISOString().split('T')[0];
+      console.log(`${stored}  ${formatBytes(entry.size).padStart(9)}  ${entry.url}`);
+    }
+    console.log(`\n${entries.length} entries`);
+    return;
+  }
+
+  if (dryRun) {
+    if (action === 'purge') {
+      const count = cache.list().filter(entry => !match || entry.url.includes(match)).length;
+      console.log(`🧪 Dry run: would remove ${count} entries from ${cache.dir}`);
+    } else {
+      console.log(`🧪 Dry run: would remove ${cache.stats().expired} expired entries, then evict down to ${config.cache.maxSizeMb} MB`);
+    }
+    return;
+  }
+
+  const { removed, freed } = action === 'prune' ? cache.prune() : cache.purge(match);
+  console.log(`🧹 Removed ${removed} entries, freed ${formatBytes(freed)}`);
+}
+
+module.exports = {
+  name: 'cache',
+  summary: 'Show, prune or purge the HTTP cache',
+  usage: 'cache [stats|list|prune|purge] [<url-substring>] [--json] [--dry-run]',
+  options: {
+    json: { type: 'boolean', description: 'Print machine-readable JSON (stats, list)' }
+  },
+  run
+};
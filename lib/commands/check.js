@@ -0,0 +1,333 @@
+/**
+ * check — the daily job
+ * Finds new articles, downloads them, sends the digest to Kindle and records what was sent.
+ * Downloaded articles are added to the search index (see lib/search.js), and
+ * recently delivered ones are checked for changes (see lib/updates.js).
+ * An article that repeats one already sent, or another in the same batch
+ * (cross-listed, reposted or reached through a tracking link), is sent once
+ * and filed under every category it was listed in (see lib/duplicates.js).
+ * Articles that failed to download or deliver on earlier runs are retried
+ * once their backoff has passed (see lib/state.js and the queue command).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { clientFromConfig } = require('../http');
+const { downloadArticle, ARTICLE_FILE } = require('../articles');
+const { discoverArticles } = require('../discovery');
+const { sourceFromUrl } = require('../sources');
+const { writeDigest } = require('../digest');
+const { createTransport, sendEmail } = require('../delivery');
+const { openStateStore } = require('../state');
+const { openSearchIndex } = require('../search');
+const { checkUpdates, sendUpdates, fingerprint } = require('../updates');
+const { findDuplicates, signature } = require('../duplicates');
+const { mapPool, createProgress } = require('../scheduler');
+const { formatSavings } = require('../images');
+
+// Tell the notification address about articles that will not be retried again
+async function notifyAbandoned(getTransport, config, abandoned) {
+  if (abandoned.length === 0) return;
+  console.log(`🪦 Giving up on ${abandoned.length} articles after ${config.retry.maxAttempts} attempts`);
+  try {
+    await sendEmail(
+      getTransport(),
+      config.delivery.from,
+      config.recipients.notification,
+      `⚠️ Gave up on ${abandoned.length} Anthropic articles`,
+      `These articles failed ${config.retry.maxAttempts} times and will not be retried automatically:\n\n` +
+      `${abandoned.map(a => `- ${a.title || a.url}\n  ${a.url}\n  ${a.error}`).join('\n')}\n\n` +
+      'Run "anthropic-sender retry <url>" to try again.'
+    );
+  } catch (e) {
+    console.error(`❌ Could not send the give-up notice: ${e.message}`);
+  }
+}
+
+// Downloads that repeat an article already sent or an earlier download in the
+// batch, mapped to that article's URL. Kept articles gain the repeats' categories.
+// downloads: [{ entry, articleData, signature }]
+function findRepeats(downloads, store, config) {
+  const sent = store.list('delivered');
+  const categoriesOf = article => article.categories ||
+    [(config.sources.find(source => source.name === article.source) || {}).category].filter(Boolean);
+  const items = [
+    ...sent.map(article => ({ url: article.canonicalUrl || article.url, signature: article.signature })),
+    ...downloads.map(download => ({ url: download.articleData.canonicalUrl || download.entry.url, signature: download.signature }))
+  ];
+
+  const repeats = new Map();
+  // Groups list sent articles first, then downloads in queue order; the first is kept
+  for (const [first, ...rest] of findDuplicates(items, { threshold: config.duplicates.threshold })) {
+    const copies = rest.filter(i => i >= sent.length).map(i => downloads[i - sent.length]);
+    if (copies.length === 0) continue;
+    const wasSent = first < sent.length;
+    const kept = wasSent ? sent[first] : downloads[first - sent.length];
+    const keptCategories = wasSent ? categoriesOf(kept) : [kept.articleData.category];
+    const categories = [...new Set([...keptCategories, ...copies.map(copy => copy.articleData.category)])];
+    if (wasSent) store.annotate(kept.url, { categories });
+    else kept.articleData.categories = categories;
+    for (const copy of copies) repeats.set(copy, wasSent ? kept.url : kept.entry.url);
+  }
+  return repeats;
+}
+
+// context: { config, dryRun, transport, http } — transport and http override the configured ones (used by tests)
+async function run(context) {
+  const { config, dryRun } = context;
+  const http = context.http || clientFromConfig(config, { log: console.log });
+  const retryPolicy = { maxAttempts: config.retry.maxAttempts, backoffMinutes: config.retry.backoffMinutes };
+  let transport = context.transport;
+  const getTransport = () => transport || (transport = createTransport(config.delivery));
+  
+  console.log(`🔍 Checking ${config.sources.length} sources for new articles...`);
+  
+  const store = openStateStore(config.paths.dataFile);
+  
+  const discovered = await discoverArticles(config.sources, {
+    fetchText: http.fetchText,
+    log: console.log,
+    since: store.lastCheck
+  });
+  
+  // Articles not seen before, newest first; dated ones past maxAgeDays are back-catalog.
+  // Undated ones are only taken on the first run: after that an unseen undated
+  // entry is far more likely an old page newly linked than a new article.
+  // Known but undelivered ones come back through the retry queue instead.
+  const cutoff = new Date(Date.now() - config.discovery.maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+  const unsent = discovered.filter(entry => !store.get(entry.url));
+  const fresh = unsent.filter(entry => entry.published ? entry.published >= cutoff : !store.lastCheck);
+  const undated = unsent.filter(entry => !entry.published).length;
+  const newArticles = fresh.slice(0, config.discovery.maxPerRun);
+  
+  for (const entry of newArticles) {
+    console.log(`   ✅ New article found: ${entry.url}${entry.published ? ` (${entry.published.split('T')[0]})` : ''}`);
+  }
+  if (fresh.length > newArticles.length) {
+    console.log(`   ⏭️  ${fresh.length - newArticles.length} more new articles left for the next run (discovery.maxPerRun = ${config.discovery.maxPerRun})`);
+  }
+  const stale = unsent.length - fresh.length - (store.lastCheck ? undated : 0);
+  if (stale > 0) {
+    console.log(`   💤 Ignoring ${stale} unsent articles older than ${config.discovery.maxAgeDays} days`);
+  }
+  if (store.lastCheck && undated > 0) {
+    console.log(`   💤 Ignoring ${undated} unsent undated articles (only taken on the first run)`);
+  }
+  
+  const due = store.due();
+  const retries = due.map(article => ({ url: article.url, sources: [article.source], published: article.published }));
+  for (const article of due) {
+    console.log(`   🔁 Retrying: ${article.url}${article.error ? ` (attempt ${article.attempts + 1}, last: ${article.error})` : ''}`);
+  }
+  const waiting = store.queue().length - retries.length;
+  if (waiting > 0) console.log(`   ⏳ ${waiting} queued articles are waiting for their retry time`);
+  
+  const work = [...retries, ...newArticles];
+
+  // Articles sent recently that have since changed; this never stops the day's digest
+  if (config.updates.enabled) {
+    try {
+      const { updated } = await checkUpdates(store, {
+        articlesDir: config.paths.articlesDir,
+        sources: config.sources,
+        http,
+        concurrency: config.http.concurrency,
+        dryRun,
+        windowDays: config.updates.windowDays,
+        intervalHours: config.updates.intervalHours,
+        minChangedWords: config.updates.minChangedWords,
+        imageOptions: config.images
+      });
+      if (updated.length > 0) {
+        await sendUpdates(updated, {
+          deliver: config.updates.deliver,
+          transport: config.updates.deliver === 'none' ? null : getTransport(),
+          from: config.delivery.from,
+          recipients: config.recipients,
+          articlesDir: config.paths.articlesDir,
+          store
+        });
+      }
+    } catch (e) {
+      console.error(`⚠️  Could not check sent articles for updates: ${e.message} (changes not delivered are sent at a later check)`);
+    }
+  }
+
+  if (work.length === 0) {
+    console.log('✅ No new articles found.');
+    if (dryRun) return;
+    store.setLastCheck();
+    return;
+  }
+  
+  console.log(`\n📦 Found ${newArticles.length} new articles${retries.length ? ` and ${retries.length} to retry` : ''}!`);
+  
+  if (dryRun) {
+    console.log('🧪 Dry run: not downloading, sending or updating state.');
+    return;
+  }
+  
+  store.record(newArticles.map(entry => ({ url: entry.url, source: entry.sources[0], published: entry.published })));
+  
+  // Ensure directories exist
+  [config.paths.articlesDir, config.paths.imagesDir].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  });
+  
+  // Create dated folder for this batch
+  const dateStr = new Date().toISOString().split('T')[0];
+  const batchDir = path.join(config.paths.articlesDir, dateStr);
+  if (!fs.existsSync(batchDir)) {
+    fs.mkdirSync(batchDir, { recursive: true });
+  }
+  
+  // Download articles in parallel; results keep queue order
+  console.log(`📥 Downloading ${work.length} articles...`);
+  const concurrency = config.http.concurrency;
+  const progress = createProgress('Articles', work.length);
+  const downloads = await mapPool(work, async (entry, i) => {
+    const articleDir = path.join(batchDir, `article-${i}`);
+    fs.mkdirSync(articleDir, { recursive: true });
+    const source = config.sources.find(s => s.name === entry.sources[0]) || sourceFromUrl(entry.url);
+    try {
+      const articleData = await downloadArticle(entry.url, articleDir, source, http, { concurrency, imageOptions: config.images, sources: config.sources });
+      progress.tick(true);
+      return { entry, source, articleData, articleDir };
+    } catch (e) {
+      console.error(`   ❌ Error downloading ${entry.url}: ${e.message}`);
+      progress.tick(false);
+      return { entry, error: e.message };
+    }
+  }, { concurrency });
+  progress.finish();
+  
+  const succeeded = downloads.filter(download => !download.error);
+  for (const download of succeeded) download.signature = signature(download.articleData.text);
+  const repeats = findRepeats(succeeded, store, config);
+
+  const processedArticles = [];
+  const abandoned = [];
+  for (const download of downloads) {
+    const { entry, source, articleData, articleDir, error } = download;
+    if (error) {
+      abandoned.push(...store.fail([entry.url], { stage: 'download', error, ...retryPolicy }));
+      continue;
+    }
+    const fields = {
+      title: articleData.title,
+      source: source.name,
+      published: entry.published || articleData.published || null,
+      canonicalUrl: articleData.canonicalUrl,
+      signature: download.signature
+    };
+    if (repeats.has(download)) {
+      console.log(`   🔗 ${entry.url} is the same article as ${repeats.get(download)}; not sending it again`);
+      store.mark([entry.url], 'duplicate', { ...fields, duplicateOf: repeats.get(download) });
+      continue;
+    }
+    processedArticles.push({ url: entry.url, data: articleData, dir: articleDir });
+    store.mark([entry.url], 'downloaded', {
+      ...fields,
+      categories: articleData.categories || [articleData.category],
+      fingerprint: fingerprint(articleData.content),
+      articleFile: path.join(articleDir, ARTICLE_FILE),
+      checkedAt: new Date().toISOString()
+    });
+  }
+  const imageBytes = processedArticles.flatMap(a => a.data.images.map(img => img.bytes));
+  if (imageBytes.length > 0) {
+    const sum = key => imageBytes.reduce((total, bytes) => total + bytes[key], 0);
+    console.log(`🪄 Images: ${imageBytes.length} saved, ${formatSavings(sum('before'), sum('after'))}`);
+  }
+
+  // Make the new articles searchable; the index can always be rebuilt, so this only warns
+  try {
+    const { added, updated } = openSearchIndex(config.paths.searchIndex).update({ articlesDir: config.paths.articlesDir, sources: config.sources });
+    if (added + updated > 0) console.log(`🗂️  Search index: ${added + updated} articles added`);
+  } catch (e) {
+    console.error(`⚠️  Could not update the search index: ${e.message}`);
+  }
+  
+  if (processedArticles.length === 0 && repeats.size > 0) {
+    console.log('✅ Nothing new to send: the articles downloaded repeat ones already sent.');
+    await notifyAbandoned(getTransport, config, abandoned);
+    store.setLastCheck();
+    return;
+  }
+  if (processedArticles.length === 0) {
+    console.log('❌ No articles could be downloaded.');
+    await notifyAbandoned(getTransport, config, abandoned);
+    return 1;
+  }
+  
+  // Build the digest in each format a recipient asked for
+  const formats = config.digest.formats;
+  const basePath = path.join(config.paths.articlesDir, `anthropic-articles-${dateStr}`);
+  const files = {};
+  for (const format of new Set([formats.kindle, formats.notification].filter(f => f !== 'none'))) {
+    files[format] = await writeDigest(format, basePath, 'Anthropic Articles', processedArticles, new Date().toLocaleDateString());
+    console.log(`💾 Saved ${format.toUpperCase()}: ${files[format]}`);
+  }
+  const digestPath = files[formats.kindle];
+  const urls = processedArticles.map(a => a.url);
+  store.mark(urls, 'compiled', { file: digestPath });
+  
+  // Send to Kindle
+  console.log(`\n📧 Sending to Kindle (${config.recipients.kindle})...`);
+  try {
+    await sendEmail(
+      getTransport(),
+      config.delivery.from,
+      config.recipients.kindle,
+      'Anthropic Articles with Images',
+      `Latest Anthropic articles with images:\n\n${processedArticles.map(a => `- ${a.data.title}`).join('\n')}`,
+      digestPath
+    );
+  } catch (e) {
+    const given = store.fail(urls, { stage: 'delivery', error: e.message, ...retryPolicy });
+    abandoned.push(...given);
+    console.error(`❌ Delivery failed: ${e.message}; ${urls.length - given.length} articles queued for retry`);
+    await notifyAbandoned(getTransport, config, abandoned);
+    return 1;
+  }
+  store.mark(urls, 'delivered');
+  console.log('✅ Sent to Kindle!');
+  
+  // Send confirmation; the text format goes in the body rather than as an attachment.
+  // The articles are delivered by now, so a failure here only warns.
+  console.log(`📧 Sending confirmation to ${config.recipients.notification}...`);
+  const asText = formats.notification === 'text';
+  try {
+    await sendEmail(
+      getTransport(),
+      config.delivery.from,
+      config.recipients.notification,
+      '✅ Anthropic Articles Sent to Kindle',
+      `Sent ${processedArticles.length} Anthropic articles to your Kindle.\n\nArticles:\n${processedArticles.map(a => `- ${a.data.title}`).join('\n')}\n\nFile: ${digestPath}` +
+        (asText ? `\n\n${fs.readFileSync(files.text, 'utf8')}` : ''),
+      asText ? null : files[formats.notification] || null
+    );
+    console.log('✅ Confirmation sent!');
+  } catch (e) {
+    console.error(`❌ Could not send the confirmation: ${e.message}`);
+  }
+  await notifyAbandoned(getTransport, config, abandoned);
+  
+  store.setLastCheck();
+  const retainDays = Math.max(config.state.retainDays, config.discovery.maxAgeDays);
+  const pruned = store.prune(retainDays);
+  if (pruned > 0) console.log(`🧹 Forgot ${pruned} delivered articles published (or sent, if undated) over ${retainDays} days ago`);
+  
+  console.log('✅ Done!');
+}
+
+module.exports = {
+  name: 'check',
+  summary: 'Find new articles, send them to Kindle and record them (the daily job)',
+  usage: 'check [--dry-run]',
+  purposes: ['delivery'],
+  options: {},
+  run
+};
@@ -0,0 +1,76 @@
+/**
+ * compile — build a book from the saved pages in full-articles/
+ * The target and image strategy come from the `book` config section, or from
+ * --target/--images, or from one of the --format presets kept from the old
+ * compile scripts.
+ */
+
+const path = require('path');
+const { buildBook, TARGETS } = require('../book');
+const { clientFromConfig } = require('../http');
+const { UsageError } = require('../errors');
+
+const IMAGE_STRATEGIES = ['package', 'embed', 'drop'];
+
+// Old format names -> target and image strategy
+const FORMATS = {
+  epub: { target: 'epub3', images: 'package' },
+  'epub-files': { target: 'epub3', images: 'package' },
+  html: { target: 'html', images: 'embed' },
+  'html-local': { target: 'html', images: 'package' },
+  'html-text': { target: 'html', images: 'drop' }
+};
+
+async function run({ config, flags, dryRun, http }) {
+  let preset = {};
+  if (flags.format) {
+    preset = FORMATS[flags.format];
+    if (!preset) {
+      throw new UsageError(`Unknown format "${flags.format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+
+  const target = flags.target || preset.target || config.book.target;
+  if (!TARGETS[target]) {
+    throw new UsageError(`Unknown target "${target}" (expected one of: ${Object.keys(TARGETS).join(', ')})`);
+  }
+  // An explicit target drops the configured strategy, which may not suit it
+  const images = flags.images || preset.images || (flags.target ? undefined : config.book.images);
+  if (images && !TARGETS[target].images.includes(images)) {
+    throw new UsageError(`Target ${target} cannot use images "${images}" (expected one of: ${TARGETS[target].images.join(', ')})`);
+  }
+
+  const { problems } = await buildBook({
+    articlesDir: config.paths.fullArticlesDir,
+    outputDir: config.paths.outputDir,
+    sources: config.sources,
+    http: http || clientFromConfig(config),
+    concurrency: config.http.concurrency,
+    target,
+    images,
+    title: config.book.title,
+    author: config.book.author,
+    screen: config.book.kindle,
+    imageOptions: config.images,
+    pdf: config.book.pdf,
+    sanitize: config.book.sanitize,
+    duplicateThreshold: config.duplicates.threshold,
+    output: flags.out && path.resolve(flags.out),
+    dryRun
+  });
+  if (problems > 0) return 1;
+}
+
+module.exports = {
+  name: 'compile',
+  summary: 'Compile full-articles/ into an EPUB, PDF or HTML book',
+  usage: `compile [--target ${Object.keys(TARGETS).join('|')}] [--images ${IMAGE_STRATEGIES.join('|')}] [--out <file>] [--format <preset>] [--dry-run]`,
+  options: {
+    target: { type: 'string', description: 'Book target (default: book.target, epub3)' },
+    images: { type: 'string', description: 'Images: package (EPUB and HTML), embed (HTML and PDF) or drop; default: package for EPUB, embed otherwise' },
+    out: { type: 'string', description: 'Output file (default: <outputDir>/anthropic-articles.<ext>)' },
+    format: { type: 'string', description: `Preset named after the old compile scripts: ${Object.keys(FORMATS).join(', ')}` }
+  },
+  FORMATS,
+  run
+};
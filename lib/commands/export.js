@@ -0,0 +1,38 @@
+/**
+ * export — write the saved pages in full-articles/ as Markdown or text files
+ */
+
+const path = require('path');
+const { exportArticles, FORMATS } = require('../export');
+const { clientFromConfig } = require('../http');
+const { UsageError } = require('../errors');
+
+async function run({ config, flags, dryRun, http }) {
+  const format = flags.format || 'markdown';
+  if (!FORMATS[format]) {
+    throw new UsageError(`Unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  await exportArticles({
+    articlesDir: config.paths.fullArticlesDir,
+    outputDir: flags.out ? path.resolve(flags.out) : path.join(config.paths.outputDir, format),
+    sources: config.sources,
+    http: http || clientFromConfig(config),
+    concurrency: config.http.concurrency,
+    imageOptions: config.images,
+    duplicateThreshold: config.duplicates.threshold,
+    format,
+    dryRun
+  });
+}
+
+module.exports = {
+  name: 'export',
+  summary: 'Write each saved article as a Markdown (with front matter and images) or text file',
+  usage: `export [--format ${Object.keys(FORMATS).join('|')}] [--out <dir>] [--dry-run]`,
+  options: {
+    format: { type: 'string', description: 'markdown (default) or text' },
+    out: { type: 'string', description: 'Output folder (default: <outputDir>/<format>)' }
+  },
+  run
+};
@@ -0,0 +1,55 @@
+/**
+ * fetch — download a single article with its images
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { clientFromConfig } = require('../http');
+const { downloadArticle } = require('../articles');
+const { extractArticle } = require('../html');
+const { createHtmlFile } = require('../digest');
+const { optimizeOptions } = require('../images');
+const { sourceForUrl, sourceFromUrl, slugFor } = require('../sources');
+const { UsageError } = require('../errors');
+
+async function run({ config, flags, positionals, dryRun, http }) {
+  const [url] = positionals;
+  if (!url || !/^https?:\/\//.test(url)) {
+    throw new UsageError('fetch needs an http(s) article URL');
+  }
+
+  const articleDir = flags.out
+    ? path.resolve(flags.out)
+    : path.join(config.paths.articlesDir, 'fetched', slugFor(url));
+
+  const client = http || clientFromConfig(config, { log: console.log });
+  const source = sourceForUrl(url, config.sources) || sourceFromUrl(url);
+  console.log(`📥 Downloading: ${url} [${source.name}]`);
+
+  if (dryRun) {
+    const { maxWidth } = optimizeOptions(config.images);
+    const article = extractArticle(await client.fetchText(url), { url, source, sources: config.sources, imageWidth: maxWidth });
+    console.log(`   📰 ${article.title || 'Untitled'}`);
+    if (article.author || article.date) console.log(`   ✍️  ${[article.author, article.date].filter(Boolean).join(' · ')}`);
+    console.log(`   📝 ${article.text.split(' ').length} words, ${article.images.length} images`);
+    console.log(`🧪 Dry run: would save to ${articleDir}`);
+    return;
+  }
+
+  fs.mkdirSync(articleDir, { recursive: true });
+  const articleData = await downloadArticle(url, articleDir, source, client, { imageOptions: config.images, sources: config.sources });
+
+  const htmlPath = path.join(articleDir, 'index.html');
+  fs.writeFileSync(htmlPath, createHtmlFile(articleData.title, [{ url, data: articleData }], new Date().toLocaleDateString()));
+  console.log(`💾 Saved: ${htmlPath}`);
+}
+
+module.exports = {
+  name: 'fetch',
+  summary: 'Download one article and its images to a local folder',
+  usage: 'fetch <url> [--out <dir>] [--dry-run]',
+  options: {
+    out: { type: 'string', description: 'Output folder (default: <articlesDir>/fetched/<slug>)' }
+  },
+  run
+};
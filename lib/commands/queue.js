@@ -0,0 +1,56 @@
+/**
+ * queue — show articles waiting to be retried and those given up on
+ */
+
+const { openStateStore } = require('../state');
+const { UsageError } = require('../errors');
+
+const ACTIONS = ['list'];
+
+// "in 3h", "in 12m", "now"
+function formatWait(iso) {
+  const ms = iso ? Date.parse(iso) - Date.now() : 0;
+  if (ms <= 0) return 'now';
+  const minutes = Math.ceil(ms / 60000);
+  return minutes < 60 ? `in ${minutes}m` : `in ${Math.round(minutes / 60)}h`;
+}
+
+async function run({ config, flags, positionals }) {
+  const [action = 'list', match] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new UsageError(`Unknown queue action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+  }
+
+  const store = openStateStore(config.paths.dataFile);
+  const matches = article => !match || article.url.includes(match);
+  const queued = store.queue().filter(matches);
+  const abandoned = store.list('abandoned').filter(matches);
+
+  if (flags.json) {
+    console.log(JSON.stringify({ queued, abandoned }, null, 2));
+    return;
+  }
+
+  console.log(`🔁 Queued: ${queued.length}`);
+  for (const article of queued) {
+    console.log(`  ${article.status.padEnd(10)} ${`attempt ${article.attempts + 1}/${config.retry.maxAttempts}`.padEnd(12)} ${formatWait(article.nextAttemptAt).padEnd(7)} ${article.url}`);
+    if (article.error) console.log(`  ${''.padEnd(31)} ${article.error}`);
+  }
+
+  console.log(`\n🪦 Given up: ${abandoned.length}`);
+  for (const article of abandoned) {
+    console.log(`  ${(article.updatedAt || '').split('T')[0]}  ${article.url}`);
+    if (article.error) console.log(`              ${article.error}`);
+  }
+  if (abandoned.length > 0) console.log('\nRun "anthropic-sender retry <url-substring>" to try them again.');
+}
+
+module.exports = {
+  name: 'queue',
+  summary: 'List articles waiting for a retry and those given up on',
+  usage: 'queue [list] [<url-substring>] [--json]',
+  options: {
+    json: { type: 'boolean', description: 'Print machine-readable JSON' }
+  },
+  run
+};
@@ -0,0 +1,41 @@
+/**
+ * retry — retry queued articles now, ignoring their backoff
+ * Given-up articles matching the filter are revived too. The retry itself is
+ * an ordinary check run, which also picks up any new articles.
+ */
+
+const check = require('./check');
+const { openStateStore } = require('../state');
+
+async function run(context) {
+  const { config, positionals, dryRun } = context;
+  const [match] = positionals;
+
+  const store = openStateStore(config.paths.dataFile);
+  const candidates = [...store.queue(), ...store.list('abandoned')]
+    .filter(article => !match || article.url.includes(match));
+
+  if (candidates.length === 0) {
+    console.log(`✅ Nothing to retry${match ? ` matching "${match}"` : ''}.`);
+    return;
+  }
+
+  if (dryRun) {
+    console.log(`🧪 Dry run: would retry ${candidates.length} articles:`);
+    for (const article of candidates) console.log(`  - ${article.url}`);
+    return;
+  }
+
+  store.requeue(candidates.map(article => article.url));
+  console.log(`🔁 Retrying ${candidates.length} articles now\n`);
+  return check.run(context);
+}
+
+module.exports = {
+  name: 'retry',
+  summary: 'Retry queued or given-up articles now (then run check)',
+  usage: 'retry [<url-substring>] [--dry-run]',
+  purposes: ['delivery'],
+  options: {},
+  run
+};
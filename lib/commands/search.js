@@ -0,0 +1,84 @@
+/**
+ * search — find saved and downloaded articles by words and "quoted phrases"
+ * The index (paths.searchIndex) is brought up to date first, which reads
+ * only the articles added or changed since it was last used.
+ */
+
+const { openSearchIndex } = require('../search');
+const { UsageError } = require('../errors');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// The snippet with its matching words in **bold**
+function highlight(snippet, highlights) {
+  let text = snippet;
+  for (const [start, end] of [...highlights].reverse()) {
+    text = `${text.slice(0, start)}**${text.slice(start, end)}**${text.slice(end)}`;
+  }
+  return text;
+}
+
+async function run({ config, flags, positionals }) {
+  const query = positionals.join(' ');
+  if (!query.trim()) throw new UsageError('search needs a query, e.g. search interpretability "sparse autoencoders"');
+  const limit = flags.limit === undefined ? 10 : Number(flags.limit);
+  if (!Number.isInteger(limit) || limit < 1) throw new UsageError(`--limit must be a positive whole number, got "${flags.limit}"`);
+  for (const name of ['since', 'until']) {
+    if (flags[name] && !DATE.test(flags[name])) throw new UsageError(`--${name} must be a date like 2025-01-31, got "${flags[name]}"`);
+  }
+
+  // Progress lines would break the JSON
+  const log = flags.json ? () => {} : console.log;
+  const index = openSearchIndex(config.paths.searchIndex, { log });
+  const changes = index.update({
+    fullArticlesDir: config.paths.fullArticlesDir,
+    articlesDir: config.paths.articlesDir,
+    sources: config.sources,
+    rebuild: Boolean(flags.rebuild)
+  });
+  const { total, results } = index.search(query, {
+    limit,
+    category: flags.category,
+    source: flags.source,
+    since: flags.since,
+    until: flags.until
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify({ query, total, indexed: changes.total, results }, null, 2));
+    return;
+  }
+
+  if (changes.added || changes.updated || changes.removed) {
+    console.log(`🗂️  Indexed ${changes.added} new and ${changes.updated} changed articles${changes.removed ? `, dropped ${changes.removed}` : ''} (${changes.total} in all)\n`);
+  }
+  if (results.length === 0) {
+    console.log(`🔍 No articles match "${query}" (searched ${changes.total})`);
+    return;
+  }
+  console.log(`🔍 ${total} articles match "${query}"${total > results.length ? `, showing the best ${results.length}` : ''}\n`);
+  results.forEach((result, i) => {
+    const date = result.published ? result.published.split('T')[0] : result.date;
+    console.log(`${i + 1}. ${result.title}`);
+    console.log(`   ${[date, result.category, result.source].filter(Boolean).join(' · ')}`);
+    if (result.url) console.log(`   ${result.url}`);
+    if (result.snippet) console.log(`   ${highlight(result.snippet, result.highlights)}`);
+    console.log('');
+  });
+}
+
+module.exports = {
+  name: 'search',
+  summary: 'Search the text, titles and metadata of saved and downloaded articles',
+  usage: 'search <words or "phrase"...> [--limit <n>] [--category <name>] [--source <name>] [--since <date>] [--until <date>] [--json] [--rebuild]',
+  options: {
+    limit: { type: 'string', description: 'Most results to show (default: 10)' },
+    category: { type: 'string', description: 'Only articles in this category' },
+    source: { type: 'string', description: 'Only articles from this source (by name)' },
+    since: { type: 'string', description: 'Only articles published on or after this date (YYYY-MM-DD)' },
+    until: { type: 'string', description: 'Only articles published on or before this date (YYYY-MM-DD)' },
+    json: { type: 'boolean', description: 'Print machine-readable JSON' },
+    rebuild: { type: 'boolean', description: 'Re-read every article instead of only new and changed ones' }
+  },
+  run
+};
@@ -0,0 +1,48 @@
+/**
+ * send — email a file (e.g. a compiled EPUB) through the configured transport
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTransport, sendEmail } = require('../delivery');
+const { UsageError } = require('../errors');
+
+async function run({ config, flags, positionals, dryRun, transport }) {
+  const [file] = positionals;
+  if (!file) throw new UsageError('send needs a file to attach');
+
+  const attachmentPath = path.resolve(file);
+  if (!fs.existsSync(attachmentPath)) throw new UsageError(`File not found: ${attachmentPath}`);
+
+  // --to accepts a recipient role from the config or a literal address
+  const to = config.recipients[flags.to || 'kindle'] || flags.to;
+  const subject = flags.subject || path.basename(attachmentPath);
+
+  if (dryRun) {
+    console.log(`🧪 Dry run: would send ${attachmentPath} to ${to} via ${config.delivery.transport}`);
+    return;
+  }
+
+  console.log(`📧 Sending ${path.basename(attachmentPath)} to ${to}...`);
+  await sendEmail(
+    transport || createTransport(config.delivery),
+    config.delivery.from,
+    to,
+    subject,
+    `Attached: ${path.basename(attachmentPath)}`,
+    attachmentPath
+  );
+  console.log('✅ Sent!');
+}
+
+module.exports = {
+  name: 'send',
+  summary: 'Email a file to your Kindle (or another recipient)',
+  usage: 'send <file> [--to kindle|notification|<address>] [--subject <text>] [--dry-run]',
+  purposes: ['delivery'],
+  options: {
+    to: { type: 'string', description: 'Recipient role or address (default: kindle)' },
+    subject: { type: 'string', description: 'Subject line (default: file name)' }
+  },
+  run
+};
@@ -0,0 +1,63 @@
+/**
+ * status — show the effective configuration and what has been sent
+ */
+
+const { openStateStore, STATUSES } = require('../state');
+
+async function run({ config, flags }) {
+  const store = openStateStore(config.paths.dataFile);
+  const counts = Object.fromEntries(STATUSES.map(status => [status, store.list(status).length]));
+  const recent = store.list('delivered').slice(-5).reverse();
+  const failed = [...store.list('failed'), ...store.list('abandoned')];
+
+  if (flags.json) {
+    console.log(JSON.stringify({
+      configFile: config.file,
+      stateFile: store.file,
+      transport: config.delivery.transport,
+      recipients: config.recipients,
+      sources: config.sources.map(s => ({ name: s.name, url: s.url, category: s.category })),
+      articles: counts,
+      lastCheck: store.lastCheck,
+      recent,
+      failed
+    }, null, 2));
+    return;
+  }
+
+  console.log(`⚙️  Config: ${config.file || '(defaults, env and flags only)'}`);
+  console.log(`📧 Transport: ${config.delivery.transport}`);
+  console.log(`📱 Kindle: ${config.recipients.kindle || '(not set)'}`);
+  console.log(`🔔 Notification: ${config.recipients.notification || '(not set)'}`);
+  console.log(`📄 Sources: ${config.sources.map(s => s.name).join(', ')}`);
+  console.log(`📦 Sent: ${counts.delivered} articles${counts.duplicate ? ` (and ${counts.duplicate} duplicate listings merged into them)` : ''}`);
+  const pending = STATUSES.filter(status => !['delivered', 'duplicate'].includes(status) && counts[status] > 0);
+  if (pending.length > 0) {
+    console.log(`⏳ Not delivered: ${pending.map(status => `${counts[status]} ${status}`).join(', ')}`);
+  }
+  console.log(`🕒 Last check: ${store.lastCheck || 'never'}`);
+
+  if (recent.length > 0) {
+    console.log('\nMost recent:');
+    for (const article of recent) {
+      console.log(`  - ${(article.deliveredAt || '').split('T')[0]}  ${article.title}`);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.log('\nFailed:');
+    for (const article of failed) {
+      console.log(`  - ${article.url} (${article.status === 'abandoned' ? 'given up: ' : ''}${article.error || 'unknown error'})`);
+    }
+  }
+}
+
+module.exports = {
+  name: 'status',
+  summary: 'Show configuration, last check time and the state of tracked articles',
+  usage: 'status [--json]',
+  options: {
+    json: { type: 'boolean', description: 'Print machine-readable JSON' }
+  },
+  run
+};
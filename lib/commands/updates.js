@@ -0,0 +1,52 @@
+/**
+ * updates — check recently sent articles for changes now, rather than
+ * waiting for the next check (see lib/updates.js)
+ */
+
+const { clientFromConfig } = require('../http');
+const { createTransport } = require('../delivery');
+const { openStateStore } = require('../state');
+const { checkUpdates, sendUpdates } = require('../updates');
+
+async function run({ config, flags, dryRun, transport, http }) {
+  const store = openStateStore(config.paths.dataFile);
+  const { due, checked, updated, failed } = await checkUpdates(store, {
+    articlesDir: config.paths.articlesDir,
+    sources: config.sources,
+    http: http || clientFromConfig(config, { log: console.log }),
+    concurrency: config.http.concurrency,
+    dryRun,
+    windowDays: config.updates.windowDays,
+    intervalHours: config.updates.intervalHours,
+    minChangedWords: config.updates.minChangedWords,
+    force: Boolean(flags.all),
+    imageOptions: config.images
+  });
+  if (due === 0) {
+    console.log(`✅ No sent articles due a re-check (window ${config.updates.windowDays} days, every ${config.updates.intervalHours}h; --all ignores the interval)`);
+  }
+
+  for (const update of updated) console.log(`   🧾 ${update.diffFile}`);
+  if (updated.length > 0) {
+    await sendUpdates(updated, {
+      deliver: config.updates.deliver,
+      transport: config.updates.deliver === 'none' ? null : transport || createTransport(config.delivery),
+      from: config.delivery.from,
+      recipients: config.recipients,
+      articlesDir: config.paths.articlesDir,
+      store
+    });
+  }
+  return failed > 0 && failed === checked ? 1 : undefined;
+}
+
+module.exports = {
+  name: 'updates',
+  summary: 'Re-check recently sent articles and send what changed',
+  usage: 'updates [--all] [--dry-run]',
+  purposes: ['delivery'],
+  options: {
+    all: { type: 'boolean', description: 'Re-check every article in updates.windowDays, however recently checked' }
+  },
+  run
+};
@@ -0,0 +1,41 @@
+/**
+ * validate — check an EPUB's structure offline (see lib/epub-validator.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateEpub, formatReport } = require('../epub-validator');
+const { UsageError } = require('../errors');
+
+async function run({ flags, positionals }) {
+  if (positionals.length === 0) throw new UsageError('validate needs at least one EPUB file');
+
+  let invalid = 0;
+  const reports = [];
+  for (const file of positionals) {
+    const epubPath = path.resolve(file);
+    if (!fs.existsSync(epubPath)) throw new UsageError(`File not found: ${epubPath}`);
+    const report = validateEpub(fs.readFileSync(epubPath));
+    if (report.errors.length) invalid++;
+
+    if (flags.json) {
+      reports.push({ file: epubPath, ...report });
+      continue;
+    }
+    console.log(`🔍 ${epubPath}`);
+    for (const line of formatReport(report)) console.log(line);
+  }
+
+  if (flags.json) console.log(JSON.stringify(reports, null, 2));
+  if (invalid) return 1;
+}
+
+module.exports = {
+  name: 'validate',
+  summary: 'Check EPUB files for structural problems',
+  usage: 'validate <file.epub>... [--json]',
+  options: {
+    json: { type: 'boolean', description: 'Print the problems as JSON' }
+  },
+  run
+};
@@ -0,0 +1,690 @@
+/**
+ * Configuration loader
+ * Layers (lowest to highest): built-in defaults, config file (JSON/YAML),
+ * environment variables, command-line overrides. The result is validated
+ * against SCHEMA and every problem is reported at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { expandSources, PRESETS } = require('./sources');
+const { parseSelector } = require('./html/select');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+const BOOK_TARGETS = ['epub3', 'epub2', 'kindle', 'pdf', 'html'];
+
+// Adjustments to one book target's sanitizer policy (see html/sanitize)
+const SANITIZE_POLICY = {
+  type: 'object',
+  properties: {
+    svg: { type: 'enum', values: ['inline', 'image', 'drop'] },
+    math: { type: 'enum', values: ['mathml', 'text'] },
+    removeTags: { type: 'array', items: { type: 'string' } },
+    keepClasses: { type: 'array', items: { type: 'regex' } }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n${problems.map(p => `  - ${p}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Leaf types: string, email, url, regex, selector, number, port, boolean, path, enum
+// Containers: object (properties), array (items)
+// `requiredFor` names a purpose (see loadConfig's `purposes`) that makes a key mandatory;
+// numbers may set `integer` and a `min`/`max` range
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    recipients: {
+      type: 'object',
+      properties: {
+        kindle: { type: 'email', requiredFor: 'delivery' },
+        notification: { type: 'email', requiredFor: 'delivery' }
+      }
+    },
+    sources: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          preset: { type: 'enum', values: Object.keys(PRESETS) },
+          name: { type: 'string', required: true },
+          url: { type: 'url', required: true },
+          baseUrl: { type: 'url' },
+          siteName: { type: 'string' },
+          category: { type: 'string' },
+          linkPatterns: { type: 'array', items: { type: 'regex' } },
+          feed: { type: 'url' },
+          sitemap: { type: 'url' },
+          filenamePrefix: { type: 'string' },
+          selectors: {
+            type: 'object',
+            properties: {
+              content: { type: 'array', items: { type: 'selector' } },
+              title: { type: 'array', items: { type: 'selector' } },
+              date: { type: 'array', items: { type: 'selector' } },
+              author: { type: 'array', items: { type: 'selector' } }
+            }
+          }
+        }
+      }
+    },
+    discovery: {
+      type: 'object',
+      properties: {
+        maxPerRun: { type: 'number', integer: true, min: 1 },
+        maxAgeDays: { type: 'number', min: 0 }
+      }
+    },
+    http: {
+      type: 'object',
+      properties: {
+        timeout: { type: 'number', min: 1 },
+        retries: { type: 'number', integer: true, min: 0 },
+        retryDelay: { type: 'number', min: 0 },
+        maxRedirects: { type: 'number', integer: true, min: 0 },
+        userAgent: { type: 'string' },
+        concurrency: { type: 'number', integer: true, min: 1 },
+        perHost: { type: 'number', integer: true, min: 1 },
+        hostDelay: { type: 'number', min: 0 }
+      }
+    },
+    digest: {
+      type: 'object',
+      properties: {
+        formats: {
+          type: 'object',
+          properties: {
+            kindle: { type: 'enum', values: ['epub', 'html'] },
+            notification: { type: 'enum', values: ['epub', 'html', 'text', 'none'] }
+          }
+        }
+      }
+    },
+    images: {
+      type: 'object',
+      properties: {
+        maxDimension: { type: 'number', integer: true, min: 0 },
+        grayscale: { type: 'boolean' },
+        quality: { type: 'number', integer: true, min: 1, max: 100 }
+      }
+    },
+    book: {
+      type: 'object',
+      properties: {
+        target: { type: 'enum', values: BOOK_TARGETS },
+        images: { type: 'enum', values: ['package', 'embed', 'drop'] },
+        title: { type: 'string' },
+        author: { type: 'string' },
+        kindle: {
+          type: 'object',
+          properties: {
+            maxWidth: { type: 'number', integer: true, min: 1 },
+            maxHeight: { type: 'number', integer: true, min: 1 }
+          }
+        },
+        pdf: {
+          type: 'object',
+          properties: {
+            pageSize: { type: 'string' },
+            fonts: {
+              type: 'object',
+              properties: {
+                regular: { type: 'path' },
+                bold: { type: 'path' },
+                italic: { type: 'path' },
+                boldItalic: { type: 'path' },
+                mono: { type: 'path' }
+              }
+            }
+          }
+        },
+        sanitize: {
+          type: 'object',
+          properties: Object.fromEntries(BOOK_TARGETS.map(target => [target, SANITIZE_POLICY]))
+        }
+      }
+    },
+    archive: {
+      type: 'object',
+      properties: {
+        maxPages: { type: 'number', integer: true, min: 1 }
+      }
+    },
+    duplicates: {
+      type: 'object',
+      properties: {
+        threshold: { type: 'number', min: 0, max: 1 }
+      }
+    },
+    updates: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        windowDays: { type: 'number', min: 0 },
+        intervalHours: { type: 'number', min: 0 },
+        minChangedWords: { type: 'number', integer: true, min: 0 },
+        deliver: { type: 'enum', values: ['none', 'notification', 'kindle'] }
+      }
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        maxAttempts: { type: 'number', integer: true, min: 1 },
+        backoffMinutes: { type: 'number', min: 0 }
+      }
+    },
+    state: {
+      type: 'object',
+      properties: {
+        retainDays: { type: 'number', min: 0 }
+      }
+    },
+    robots: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        agent: { type: 'string' }
+      }
+    },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        dir: { type: 'path' },
+        maxSizeMb: { type: 'number', min: 0 },
+        maxAgeDays: { type: 'number', min: 0 }
+      }
+    },
+    paths: {
+      type: 'object',
+      properties: {
+        dataFile: { type: 'path' },
+        articlesDir: { type: 'path' },
+        imagesDir: { type: 'path' },
+        fullArticlesDir: { type: 'path' },
+        outputDir: { type: 'path' },
+        searchIndex: { type: 'path' }
+      }
+    },
+    delivery: {
+      type: 'object',
+      properties: {
+        transport: { type: 'enum', values: ['smtp', 'outbox', 'mailapp'] },
+        from: { type: 'email', requiredFor: 'delivery' },
+        smtp: {
+          type: 'object',
+          properties: {
+            host: { type: 'string' },
+            port: { type: 'port' },
+            secure: { type: 'boolean' },
+            starttls: { type: 'boolean' },
+            requireTLS: { type: 'boolean' },
+            allowInsecureAuth: { type: 'boolean' },
+            user: { type: 'string' },
+            pass: { type: 'string' },
+            timeout: { type: 'number', min: 1 }
+          }
+        },
+        outbox: {
+          type: 'object',
+          properties: {
+            dir: { type: 'path' }
+          }
+        },
+        mailapp: {
+          type: 'object',
+          properties: {
+            command: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULTS = {
+  recipients: {},
+  sources: [{ preset: 'anthropic' }],
+  discovery: {
+    maxPerRun: 10,    // newest first; the rest wait for the next run
+    maxAgeDays: 30    // ignore dated articles older than this (undated ones count only on the first run)
+  },
+  http: {
+    timeout: 30000,   // ms without data before a request is abandoned
+    retries: 2,       // on network errors, 5xx and 429, with exponential backoff
+    retryDelay: 1000,
+    maxRedirects: 5,
+    concurrency: 4,   // downloads in flight overall
+    perHost: 2,       // requests in flight per host
+    hostDelay: 250    // ms between request starts on one host
+  },
+  digest: {
+    formats: {
+      kindle: 'epub',       // attachment sent to each recipient
+      notification: 'none'  // attachment for the confirmation; text puts the articles in its body
+    }
+  },
+  images: {
+    maxDimension: 1600,  // longest side in pixels after downloading; 0 keeps the size
+    grayscale: false,    // for e-ink screens
+    quality: 80          // JPEG/WebP quality of converted or resized images
+  },
+  book: {
+    target: 'epub3',  // what `compile` builds: epub3, epub2, kindle, pdf or html
+    title: 'Anthropic Articles Collection',
+    author: 'Anthropic'
+    // images: packaged for EPUB, embedded for HTML unless set
+    // kindle: { maxWidth, maxHeight } screen for the kindle target, 1264x1680 unless set
+    // pdf: { pageSize, fonts } A4 in Times/Courier unless set
+    // sanitize: { <target>: { svg, math, removeTags, keepClasses } } adjusting html/sanitize's policies
+  },
+  archive: {
+    maxPages: 50      // listing pages `archive` follows per source
+  },
+  duplicates: {
+    threshold: 0.8    // share of five-word phrases two articles must share to be merged
+  },
+  updates: {
+    enabled: true,
+    windowDays: 14,         // re-check articles delivered this recently
+    intervalHours: 24,      // at most this often per article
+    minChangedWords: 10,    // smaller edits only refresh the fingerprint
+    deliver: 'notification' // where a changed article is sent: none, notification or kindle
+  },
+  retry: {
+    maxAttempts: 5,     // failed downloads/deliveries are abandoned after this many
+    backoffMinutes: 60  // wait before the first retry, doubled after each failure
+  },
+  state: {
+    retainDays: 365   // delivered articles published (undated: sent) before this are forgotten
+  },
+  robots: {
+    enabled: true     // agent defaults to the User-Agent's product token
+  },
+  cache: {
+    enabled: true,
+    dir: '.cache',
+    maxSizeMb: 500,   // least recently used responses are evicted past this
+    maxAgeDays: 30    // entries older than this are dropped
+  },
+  paths: {
+    dataFile: 'sent-articles.json',
+    articlesDir: 'articles',
+    imagesDir: 'images',
+    fullArticlesDir: 'full-articles',
+    outputDir: 'articles-output',
+    searchIndex: 'search-index.json'   // rebuilt from the articles whenever it is missing
+  },
+  delivery: {
+    transport: 'mailapp',
+    smtp: {
+      host: 'smtp.gmail.com',
+      port: 587,
+      starttls: true,
+      requireTLS: true
+    },
+    outbox: {
+      dir: 'outbox'
+    },
+    mailapp: {}
+  }
+};
+
+// Environment variable -> config key
+const ENV_VARS = {
+  SENDER_KINDLE_EMAIL: 'recipients.kindle',
+  SENDER_NOTIFICATION_EMAIL: 'recipients.notification',
+  SENDER_DATA_FILE: 'paths.dataFile',
+  SENDER_ARTICLES_DIR: 'paths.articlesDir',
+  SENDER_IMAGES_DIR: 'paths.imagesDir',
+  SENDER_FULL_ARTICLES_DIR: 'paths.fullArticlesDir',
+  SENDER_OUTPUT_DIR: 'paths.outputDir',
+  SENDER_SEARCH_INDEX: 'paths.searchIndex',
+  DELIVERY_TRANSPORT: 'delivery.transport',
+  DELIVERY_FROM: 'delivery.from',
+  SMTP_HOST: 'delivery.smtp.host',
+  SMTP_PORT: 'delivery.smtp.port',
+  SMTP_SECURE: 'delivery.smtp.secure',
+  SMTP_USER: 'delivery.smtp.user',
+  SMTP_PASS: 'delivery.smtp.pass',
+  OUTBOX_DIR: 'delivery.outbox.dir',
+  HTTP_TIMEOUT: 'http.timeout',
+  HTTP_RETRIES: 'http.retries',
+  HTTP_CONCURRENCY: 'http.concurrency',
+  SENDER_CACHE_DIR: 'cache.dir',
+  SENDER_CACHE: 'cache.enabled',
+  HTTP_USER_AGENT: 'http.userAgent',
+  SENDER_ROBOTS: 'robots.enabled'
+};
+
+// Command-line flag -> config key (in addition to --set key=value)
+const FLAGS = {
+  '--kindle-email': 'recipients.kindle',
+  '--notification-email': 'recipients.notification',
+  '--transport': 'delivery.transport',
+  '--from': 'delivery.from',
+  '--data-file': 'paths.dataFile',
+  '--articles-dir': 'paths.articlesDir',
+  '--full-articles-dir': 'paths.fullArticlesDir',
+  '--output-dir': 'paths.outputDir',
+  '--outbox-dir': 'delivery.outbox.dir',
+  '--cache-dir': 'cache.dir'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge where arrays and scalars from `source` replace those in `target`
+function merge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? merge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+// Set a dotted key ("delivery.smtp.port") on a nested object
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  let node = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+  return obj;
+}
+
+// Find the schema node for a dotted key, or null if the key is unknown
+function schemaFor(key) {
+  let node = SCHEMA;
+  for (const part of key.split('.')) {
+    if (node.type === 'array' && /^\d+$/.test(part)) {
+      node = node.items;
+    } else if (node.type === 'object' && node.properties[part]) {
+      node = node.properties[part];
+    } else {
+      return null;
+    }
+  }
+  return node;
+}
+
+// Turn "key=value" strings from env/argv into typed values. Structured keys
+// (objects and arrays) accept JSON so `--set sources='[...]'` works.
+function coerce(key, raw) {
+  const schema = schemaFor(key);
+  if (!schema) throw new ConfigError(`Unknown configuration key "${key}"`);
+
+  if (schema.type === 'object' || schema.type === 'array') {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw new ConfigError(`${key}: expected JSON for a structured value (${e.message})`);
+    }
+  }
+  if (schema.type === 'number' || schema.type === 'port') {
+    const number = Number(raw);
+    return raw.trim() === '' || Number.isNaN(number) ? raw : number;
+  }
+  if (schema.type === 'boolean') {
+    if (/^(1|true|yes|on)$/i.test(raw)) return true;
+    if (/^(0|false|no|off)$/i.test(raw)) return false;
+  }
+  return raw;
+}
+
+// Parse a config file by extension
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new ConfigError(`Cannot read config file ${file}: ${e.message}`);
+  }
+
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(`Malformed config file ${file}: ${e.message}`);
+  }
+
+  if (data == null) return {};
+  if (!isPlainObject(data)) {
+    throw new ConfigError(`Malformed config file ${file}: top level must be a mapping`);
+  }
+  return data;
+}
+
+// Locate the config file: explicit path, $SENDER_CONFIG, then cwd and project root
+function findConfigFile(explicit, env, cwd) {
+  const chosen = explicit || env.SENDER_CONFIG;
+  if (chosen) {
+    const file = path.resolve(cwd, chosen);
+    if (!fs.existsSync(file)) throw new ConfigError(`Config file not found: ${file}`);
+    return file;
+  }
+  for (const dir of [cwd, PROJECT_ROOT]) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+// Resolve every `path` leaf of `layer` against `baseDir`
+function resolvePaths(layer, baseDir, schema = SCHEMA) {
+  if (schema.type === 'path' && typeof layer === 'string') {
+    return path.resolve(baseDir, layer.replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+  }
+  if (schema.type === 'object' && isPlainObject(layer)) {
+    const result = { ...layer };
+    for (const [key, child] of Object.entries(schema.properties)) {
+      if (key in result) result[key] = resolvePaths(result[key], baseDir, child);
+    }
+    return result;
+  }
+  if (schema.type === 'array' && Array.isArray(layer)) {
+    return layer.map(item => resolvePaths(item, baseDir, schema.items));
+  }
+  return layer;
+}
+
+// Extract config overrides from argv; returns { file, overrides, rest }
+function parseConfigArgs(argv = []) {
+  const overrides = [];
+  const rest = [];
+  let file = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+
+    const takeValue = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= argv.length) throw new ConfigError(`Missing value for ${flag}`);
+      return argv[++i];
+    };
+
+    if (flag === '--config' || flag === '-c') {
+      file = takeValue();
+    } else if (flag === '--set') {
+      const assignment = takeValue();
+      const eq = assignment.indexOf('=');
+      if (eq <= 0) throw new ConfigError(`--set expects key=value, got "${assignment}"`);
+      overrides.push([assignment.slice(0, eq), assignment.slice(eq + 1)]);
+    } else if (Object.hasOwn(FLAGS, flag)) {
+      overrides.push([FLAGS[flag], takeValue()]);
+    } else {
+      rest.push(arg);
+    }
+  }
+
+  return { file, overrides, rest };
+}
+
+function describe(value) {
+  return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+// Validate `value` against `schema`, collecting "key: problem" strings
+function validate(value, purposes = [], schema = SCHEMA, key = '', problems = []) {
+  const label = key || 'config';
+
+  if (value === undefined || value === null || value === '') {
+    if (schema.required || purposes.includes(schema.requiredFor)) {
+      problems.push(`${label}: is required`);
+    }
+    return problems;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      if (!isPlainObject(value)) {
+        problems.push(`${label}: expected a mapping, got ${describe(value)}`);
+        break;
+      }
+      for (const [child, childSchema] of Object.entries(schema.properties)) {
+        validate(value[child], purposes, childSchema, key ? `${key}.${child}` : child, problems);
+      }
+      for (const extra of Object.keys(value)) {
+        if (!schema.properties[extra]) {
+          problems.push(`${key ? `${key}.${extra}` : extra}: unknown key`);
+        }
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(`${label}: expected a list, got ${describe(value)}`);
+        break;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        problems.push(`${label}: needs at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, i) => validate(item, purposes, schema.items, `${label}[${i}]`, problems));
+      break;
+    case 'email':
+      if (typeof value !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        problems.push(`${label}: "${value}" is not a valid email address`);
+      }
+      break;
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/[^\s/]+/.test(value)) {
+        problems.push(`${label}: "${value}" is not an http(s) URL`);
+      }
+      break;
+    case 'regex':
+      try {
+        new RegExp(value);
+      } catch (e) {
+        problems.push(`${label}: invalid pattern (${e.message})`);
+      }
+      break;
+    case 'selector':
+      try {
+        parseSelector(String(value));
+      } catch (e) {
+        problems.push(`${label}: ${e.message}`);
+      }
+      break;
+    case 'port':
+      if (!Number.isInteger(value) || value < 1 || value > 65535) {
+        problems.push(`${label}: "${value}" is not a valid port (1-65535)`);
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        problems.push(`${label}: expected a number, got "${value}"`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        problems.push(`${label}: expected a whole number, got ${value}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        problems.push(`${label}: must be at least ${schema.min}, got ${value}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        problems.push(`${label}: must be at most ${schema.max}, got ${value}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        problems.push(`${label}: expected true or false, got "${value}"`);
+      }
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        problems.push(`${label}: "${value}" must be one of ${schema.values.join(', ')}`);
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        problems.push(`${label}: expected a string, got ${describe(value)}`);
+      }
+  }
+
+  return problems;
+}
+
+// Build the effective configuration
+// options: { argv, env, cwd, file, overrides: { 'dotted.key': value }, purposes: ['delivery'] }
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+  const args = parseConfigArgs(options.argv);
+
+  let config = resolvePaths(DEFAULTS, PROJECT_ROOT);
+
+  const file = findConfigFile(options.file || args.file, env, cwd);
+  if (file) {
+    config = merge(config, resolvePaths(readConfigFile(file), path.dirname(file)));
+  }
+
+  const envLayer = {};
+  for (const [name, key] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined) setPath(envLayer, key, coerce(key, env[name]));
+  }
+  config = merge(config, resolvePaths(envLayer, cwd));
+
+  const cliLayer = {};
+  for (const [key, raw] of args.overrides) setPath(cliLayer, key, coerce(key, raw));
+  for (const [key, value] of Object.entries(options.overrides || {})) setPath(cliLayer, key, value);
+  config = merge(config, resolvePaths(cliLayer, cwd));
+
+  config.sources = expandSources(config.sources);
+
+  // The notification address doubles as the sender unless one is configured
+  if (!config.delivery.from && config.recipients.notification) {
+    config.delivery.from = config.recipients.notification;
+  }
+
+  const problems = validate(config, options.purposes);
+  if (problems.length) {
+    throw new ConfigError(`Invalid configuration${file ? ` (from ${file})` : ''}:`, problems);
+  }
+
+  Object.defineProperty(config, 'file', { value: file, enumerable: false });
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  parseConfigArgs,
+  validate,
+  ConfigError,
+  DEFAULTS,
+  SCHEMA,
+  ENV_VARS,
+  FLAGS
+};
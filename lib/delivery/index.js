@@ -0,0 +1,40 @@
+/**
+ * Delivery layer
+ * Picks an email transport by name: smtp, outbox or mailapp
+ */
+
+const fs = require('fs');
+const { createSmtpTransport, SmtpError } = require('./smtp');
+const { createOutboxTransport } = require('./outbox');
+const { createMailAppTransport } = require('./mailapp');
+const { buildMessage } = require('./mime');
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+  mailapp: createMailAppTransport
+};
+
+// Create the transport named by `delivery.transport`, configured from `delivery[name]`
+function createTransport(delivery = {}) {
+  const name = delivery.transport || 'mailapp';
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown delivery transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory(delivery[name] || {});
+}
+
+// Send email through the configured delivery transport
+function sendEmail(transport, from, to, subject, body, attachmentPath = null) {
+  const message = {
+    from,
+    to,
+    subject,
+    text: body,
+    attachments: attachmentPath && fs.existsSync(attachmentPath) ? [{ path: attachmentPath }] : []
+  };
+  return transport.send(message);
+}
+
+module.exports = { createTransport, sendEmail, buildMessage, SmtpError, TRANSPORTS };
@@ -0,0 +1,69 @@
+/**
+ * Mail.app transport (macOS only)
+ * Drives Mail via osascript, as the original sender did
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { addressList } = require('./mime');
+
+// Escape a value for use inside an AppleScript string literal
+function quote(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function buildScript(message) {
+  let script = `
+    tell application "Mail"
+      set msg to make new outgoing message with properties {subject:"${quote(message.subject || '')}", content:"${quote(message.text || '')}"}
+      tell msg
+  `;
+
+  for (const address of addressList(message.to)) {
+    script += `
+        make new to recipient at end of to recipients with properties {address:"${quote(address)}"}
+    `;
+  }
+
+  script += `
+      end tell
+  `;
+
+  for (const attachment of message.attachments || []) {
+    if (attachment.path && fs.existsSync(attachment.path)) {
+      script += `
+      tell content of msg
+        make new attachment with properties {file name:"${quote(attachment.path)}"}
+      end tell
+      `;
+    }
+  }
+
+  script += `
+      send msg
+    end tell
+  `;
+
+  return script;
+}
+
+function createMailAppTransport(options = {}) {
+  const command = options.command || 'osascript';
+
+  return {
+    name: 'mailapp',
+    send(message) {
+      return new Promise((resolve, reject) => {
+        execFile(command, ['-e', buildScript(message)], (error) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve({ accepted: addressList(message.to) });
+          }
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createMailAppTransport, buildScript };
@@ -0,0 +1,133 @@
+/**
+ * MIME message builder (RFC 5322 / RFC 2045)
+ * Produces the raw text of an email with optional file attachments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.epub': 'application/epub+zip',
+  '.pdf': 'application/pdf',
+  '.azw3': 'application/vnd.amazon.mobi8-ebook',
+  '.mobi': 'application/x-mobipocket-ebook',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Guess a content type from the attachment filename
+function contentTypeFor(filename) {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+// Split base64 output into 76-character lines
+function wrapBase64(buffer) {
+  return buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+// Encode a header value as RFC 2047 encoded-words when it is not plain ASCII
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+  // Keep each encoded-word under the 75 character limit without splitting a character
+  const words = [];
+  let current = '';
+  for (const char of value) {
+    if (Buffer.byteLength(current + char) > 45) {
+      words.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  if (current) words.push(current);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+    .join('\r\n ');
+}
+
+// Build a Content-Disposition filename parameter, using RFC 2231 for non-ASCII names
+function filenameParam(filename) {
+  if (/^[\x20-\x7e]*$/.test(filename)) {
+    return `filename="${filename.replace(/(["\\])/g, '\\$1')}"`;
+  }
+  return `filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Normalize a recipient list to an array of addresses
+function addressList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+// Load attachment bytes from either `content` or `path`
+function readAttachment(attachment) {
+  const filename = attachment.filename || path.basename(attachment.path || 'attachment');
+  const content = attachment.content !== undefined
+    ? Buffer.from(attachment.content)
+    : fs.readFileSync(attachment.path);
+  return {
+    filename,
+    content,
+    contentType: attachment.contentType || contentTypeFor(filename)
+  };
+}
+
+// Build the raw message text for { from, to, subject, text, attachments }
+function buildMessage(message) {
+  const date = message.date || new Date();
+  const domain = (message.from || '').split('@')[1] || os.hostname();
+  const messageId = message.messageId || `<${crypto.randomBytes(12).toString('hex')}@${domain}>`;
+  const text = message.text || '';
+  const attachments = (message.attachments || []).map(readAttachment);
+
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${addressList(message.to).join(', ')}`,
+    `Subject: ${encodeHeader(message.subject || '')}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  const textPart = [
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(Buffer.from(text.replace(/\r?\n/g, '\r\n')))
+  ].join('\r\n');
+
+  if (attachments.length === 0) {
+    return `${headers.join('\r\n')}\r\n${textPart}`;
+  }
+
+  const boundary = `----=_Part_${crypto.randomBytes(8).toString('hex')}`;
+  headers.push(`Content-Type: multipart/mixed; boundary="${boundary}"`);
+
+  const parts = [textPart];
+  for (const attachment of attachments) {
+    parts.push([
+      `Content-Type: ${attachment.contentType}`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; ${filenameParam(attachment.filename)}`,
+      '',
+      wrapBase64(attachment.content)
+    ].join('\r\n'));
+  }
+
+  return `${headers.join('\r\n')}\r\n\r\n` +
+    parts.map(part => `--${boundary}\r\n${part}`).join('\r\n') +
+    `\r\n--${boundary}--\r\n`;
+}
+
+module.exports = { buildMessage, addressList, encodeHeader, contentTypeFor };
@@ -0,0 +1,31 @@
+/**
+ * Outbox transport
+ * Writes each message as an .eml file instead of sending it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildMessage, addressList } = require('./mime');
+const { slugify, writeAtomic } = require('../util');
+
+function createOutboxTransport(options = {}) {
+  const dir = options.dir || path.join(process.cwd(), 'outbox');
+
+  return {
+    name: 'outbox',
+    async send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const recipient = addressList(message.to)[0] || 'unknown';
+      const file = path.join(dir, `${stamp}-${slugify(recipient).replace(/^-+|-+$/g, '') || 'message'}.eml`);
+
+      // A reader never sees a partial message
+      writeAtomic(file, message.raw || buildMessage(message));
+
+      return { accepted: addressList(message.to), file };
+    }
+  };
+}
+
+module.exports = { createOutboxTransport };
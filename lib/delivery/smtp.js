@@ -0,0 +1,252 @@
+/**
+ * SMTP transport
+ * Native client for RFC 5321 with STARTTLS (RFC 3207) and AUTH PLAIN/LOGIN (RFC 4954)
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { buildMessage, addressList } = require('./mime');
+
+const DEFAULTS = {
+  host: 'localhost',
+  port: 587,
+  secure: undefined,    // implicit TLS; defaults to true on port 465
+  starttls: true,       // upgrade with STARTTLS when the server offers it
+  requireTLS: false,    // fail instead of sending in the clear
+  allowInsecureAuth: false,
+  timeout: 30000
+};
+
+class SmtpError extends Error {
+  constructor(message, reply) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = reply ? reply.code : null;
+    this.reply = reply || null;
+  }
+}
+
+// Reads SMTP replies (possibly multi-line) off a socket
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+    this.timeout = timeout;
+    this.onData = chunk => this.receive(chunk);
+    this.onError = err => this.fail(err);
+    this.onClose = () => this.fail(new SmtpError('Connection closed by server'));
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => {
+      this.fail(new SmtpError(`SMTP timeout after ${this.timeout}ms`));
+      socket.destroy();
+    });
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  detach() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeListener('close', this.onClose);
+    this.socket.setTimeout(0);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = {
+          code: parseInt(line.slice(0, 3), 10),
+          lines: this.lines.map(l => l.slice(4))
+        };
+        this.lines = [];
+        this.deliver(reply);
+      }
+    }
+  }
+
+  deliver(reply) {
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  fail(err) {
+    if (this.error) return;
+    this.error = err;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(err);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  // Send a command and check the reply code
+  async command(line, expected, label = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`, reply);
+    }
+    return reply;
+  }
+}
+
+// Open a plain or implicit-TLS connection
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host, ...options.tls }, onConnect)
+      : net.connect({ host: options.host, port: options.port }, onConnect);
+
+    socket.setTimeout(options.timeout, () => {
+      socket.destroy(new SmtpError(`Connection to ${options.host}:${options.port} timed out`));
+    });
+    socket.once('error', reject);
+
+    function onConnect() {
+      socket.removeListener('error', reject);
+      socket.setTimeout(0);
+      resolve(socket);
+    }
+  });
+}
+
+// Upgrade an established connection to TLS
+function upgrade(socket, options) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: options.host, ...options.tls }, () => {
+      secureSocket.removeListener('error', reject);
+      resolve(secureSocket);
+    });
+    secureSocket.once('error', reject);
+  });
+}
+
+// Parse EHLO keywords, e.g. { STARTTLS: [], AUTH: ['PLAIN', 'LOGIN'] }
+function parseExtensions(reply) {
+  const extensions = {};
+  for (const line of reply.lines.slice(1)) {
+    const [keyword, ...params] = line.trim().split(/\s+/);
+    if (keyword) extensions[keyword.toUpperCase()] = params.map(p => p.toUpperCase());
+  }
+  return extensions;
+}
+
+async function authenticate(session, extensions, options) {
+  const methods = extensions.AUTH || [];
+  if (methods.length === 0 || methods.includes('PLAIN')) {
+    const token = Buffer.from(`\0${options.user}\0${options.pass || ''}`).toString('base64');
+    await session.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+    return;
+  }
+  if (methods.includes('LOGIN')) {
+    await session.command('AUTH LOGIN', [334]);
+    await session.command(Buffer.from(options.user).toString('base64'), [334], 'AUTH LOGIN username');
+    await session.command(Buffer.from(options.pass || '').toString('base64'), [235], 'AUTH LOGIN password');
+    return;
+  }
+  throw new SmtpError(`No supported AUTH mechanism (server offers: ${methods.join(', ')})`);
+}
+
+// Escape lines that start with "." and terminate the DATA section
+function dotStuff(raw) {
+  const body = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return body.endsWith('\r\n') ? `${body}.\r\n` : `${body}\r\n.\r\n`;
+}
+
+// Deliver one message over a fresh connection
+async function sendMail(options, message) {
+  const opts = { ...DEFAULTS, ...options };
+  if (opts.secure === undefined) opts.secure = opts.port === 465;
+  const name = opts.name || os.hostname();
+  const recipients = addressList(message.to);
+  if (recipients.length === 0) throw new SmtpError('No recipients');
+
+  const socket = await connect(opts);
+  const session = new SmtpSession(socket, opts.timeout);
+  let encrypted = Boolean(opts.secure);
+
+  try {
+    const greeting = await session.read();
+    if (greeting.code !== 220) {
+      throw new SmtpError(`SMTP greeting failed: ${greeting.code} ${greeting.lines.join(' ')}`, greeting);
+    }
+
+    let extensions = parseExtensions(await session.command(`EHLO ${name}`, [250]));
+
+    if (!encrypted && opts.starttls && extensions.STARTTLS) {
+      await session.command('STARTTLS', [220]);
+      session.detach();
+      session.attach(await upgrade(session.socket, opts));
+      encrypted = true;
+      extensions = parseExtensions(await session.command(`EHLO ${name}`, [250]));
+    }
+
+    if (!encrypted && opts.requireTLS) {
+      throw new SmtpError(`${opts.host} does not support STARTTLS and requireTLS is set`);
+    }
+
+    if (opts.user) {
+      if (!encrypted && !opts.allowInsecureAuth) {
+        throw new SmtpError('Refusing to send credentials over an unencrypted connection');
+      }
+      await authenticate(session, extensions, opts);
+    }
+
+    await session.command(`MAIL FROM:<${message.from}>`, [250], 'MAIL FROM');
+    for (const recipient of recipients) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await session.command('DATA', [354]);
+
+    session.socket.write(dotStuff(message.raw || buildMessage(message)));
+    const accepted = await session.read();
+    if (accepted.code !== 250) {
+      throw new SmtpError(`SMTP message rejected: ${accepted.code} ${accepted.lines.join(' ')}`, accepted);
+    }
+
+    await session.command('QUIT', [221]).catch(() => {});
+    return { accepted: recipients, response: accepted.lines.join(' ') };
+  } finally {
+    session.detach();
+    session.socket.destroy();
+  }
+}
+
+function createSmtpTransport(options = {}) {
+  return {
+    name: 'smtp',
+    send: message => sendMail(options, message)
+  };
+}
+
+module.exports = { createSmtpTransport, sendMail, SmtpError };
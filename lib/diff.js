@@ -0,0 +1,156 @@
+/**
+ * Text diffs
+ * Longest-common-subsequence diffs of paragraphs, and of the words inside
+ * paragraphs that were edited rather than added or removed, rendered as
+ * readable text ([-removed-]{+added+}) or as HTML with <del> and <ins>.
+ */
+
+const { escapeText } = require('./html');
+
+// Past this many table cells the middle of a diff is shown as all removed then all added
+const MAX_CELLS = 4000000;
+
+// Edit script turning list `a` into list `b`: [{ type: 'same' | 'removed' | 'added', items }]
+function diffLists(a, b) {
+  const ops = [];
+  const push = (type, item) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.items.push(item);
+    else ops.push({ type, items: [item] });
+  };
+
+  // Common ends are cheap to match and usually most of the text
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+
+  a.slice(0, start).forEach(item => push('same', item));
+  if (middleA.length * middleB.length > MAX_CELLS) {
+    middleA.forEach(item => push('removed', item));
+    middleB.forEach(item => push('added', item));
+  } else {
+    // lengths[i * cols + j]: longest common subsequence of middleA[i..] and middleB[j..]
+    const cols = middleB.length + 1;
+    const lengths = new Uint32Array((middleA.length + 1) * cols);
+    for (let i = middleA.length - 1; i >= 0; i--) {
+      for (let j = middleB.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = middleA[i] === middleB[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length && j < middleB.length) {
+      if (middleA[i] === middleB[j]) {
+        push('same', middleA[i++]);
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        push('removed', middleA[i++]);
+      } else {
+        push('added', middleB[j++]);
+      }
+    }
+    while (i < middleA.length) push('removed', middleA[i++]);
+    while (j < middleB.length) push('added', middleB[j++]);
+  }
+  a.slice(endA).forEach(item => push('same', item));
+  return ops;
+}
+
+function words(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Paragraph changes between two versions of a text (lists of paragraphs),
+// with `context` unchanged paragraphs around each run of changes:
+// { changes: [{ type, text, words }], changedWords }. Types are 'added',
+// 'removed', 'changed' (with `words`, a word-level edit script), 'context'
+// and 'gap' (unchanged paragraphs left out).
+function diffParagraphs(before, after, { context = 1 } = {}) {
+  const ops = diffLists(before, after);
+  const edits = [];
+  let changedWords = 0;
+  ops.forEach((op, i) => {
+    if (op.type === 'same') {
+      edits.push(...op.items.map(text => ({ type: 'same', text })));
+      return;
+    }
+    if (op.type === 'added' && ops[i - 1] && ops[i - 1].type === 'removed') return;
+    const removed = op.type === 'removed' ? op.items : [];
+    const added = op.type === 'added' ? op.items : (ops[i + 1] && ops[i + 1].type === 'added' ? ops[i + 1].items : []);
+    // Removed and added paragraphs side by side are edits of one another
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k++) {
+      const wordOps = diffLists(words(removed[k]), words(added[k]));
+      changedWords += wordOps.filter(wordOp => wordOp.type !== 'same').reduce((sum, wordOp) => sum + wordOp.items.length, 0);
+      edits.push({ type: 'changed', text: added[k], words: wordOps });
+    }
+    for (const text of removed.slice(paired)) {
+      changedWords += words(text).length;
+      edits.push({ type: 'removed', text });
+    }
+    for (const text of added.slice(paired)) {
+      changedWords += words(text).length;
+      edits.push({ type: 'added', text });
+    }
+  });
+
+  // Keep the changes and `context` paragraphs either side of them
+  const changes = [];
+  const near = index => edits.slice(Math.max(0, index - context), index + context + 1).some(edit => edit.type !== 'same');
+  edits.forEach((edit, i) => {
+    if (edit.type !== 'same') changes.push(edit);
+    else if (near(i)) changes.push({ type: 'context', text: edit.text });
+    else if (changes.length > 0 && changes[changes.length - 1].type !== 'gap') changes.push({ type: 'gap' });
+  });
+  if (changes.length > 0 && changes[changes.length - 1].type === 'gap') changes.pop();
+  return { changes, changedWords };
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+// Plain text: "- " removed, "+ " added, "~ " edited with [-old-]{+new+} inside
+function formatDiffText(changes) {
+  return changes.map((change) => {
+    switch (change.type) {
+      case 'gap': return '  …';
+      case 'context': return `  ${truncate(change.text, 160)}`;
+      case 'removed': return `- ${change.text}`;
+      case 'added': return `+ ${change.text}`;
+      default: return `~ ${change.words.map((op) => {
+        const text = op.items.join(' ');
+        if (op.type === 'same') return text;
+        return op.type === 'removed' ? `[-${text}-]` : `{+${text}+}`;
+      }).join(' ')}`;
+    }
+  }).join('\n\n');
+}
+
+// HTML paragraphs with <del> and <ins>; unchanged context is shortened
+function formatDiffHtml(changes) {
+  return changes.map((change) => {
+    switch (change.type) {
+      case 'gap': return '<p class="gap">…</p>';
+      case 'context': return `<p class="context">${escapeText(truncate(change.text, 160))}</p>`;
+      case 'removed': return `<p class="removed"><del>${escapeText(change.text)}</del></p>`;
+      case 'added': return `<p class="added"><ins>${escapeText(change.text)}</ins></p>`;
+      default: return `<p class="changed">${change.words.map((op) => {
+        const text = escapeText(op.items.join(' '));
+        if (op.type === 'same') return text;
+        return op.type === 'removed' ? `<del>${text}</del>` : `<ins>${text}</ins>`;
+      }).join(' ')}</p>`;
+    }
+  }).join('\n');
+}
+
+module.exports = { diffLists, diffParagraphs, formatDiffText, formatDiffHtml };
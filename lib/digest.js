@@ -0,0 +1,127 @@
+/**
+ * Daily digest
+ * Renders downloaded articles for Kindle, either as an EPUB with one chapter
+ * per article or as a single HTML file. Both carry their images inside, read
+ * from each article's download folder. The text format is for email bodies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeText } = require('./html');
+const { escapeXml } = require('./xml');
+const { buildEpub, localImageUrls } = require('./epub');
+const { articleText } = require('./export');
+
+const FORMATS = ['epub', 'html', 'text'];
+
+const MIME_TYPES = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+
+// Replace relative <img src> values with data URIs of the files under `dir`
+function inlineImages(content, dir) {
+  return content.replace(/(<img\b[^>]*\ssrc=")([^"]+)"/gi, (match, prefix, src) => {
+    const file = path.resolve(dir, src);
+    if (/^[a-z][a-z0-9+.-]*:/i.test(src) || !fs.existsSync(file)) return match;
+    const type = MIME_TYPES[path.extname(file).slice(1).toLowerCase()] || 'image/jpeg';
+    return `${prefix}data:${type};base64,${fs.readFileSync(file).toString('base64')}"`;
+  });
+}
+
+// Create HTML file for Kindle
+// articles: [{ url, data, dir }] — `dir` holds the images `data.content` points at
+function createHtmlFile(title, articles, dateStr) {
+  let html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+    h1 { color: #1a1a1a; border-bottom: 2px solid #333; padding-bottom: 10px; }
+    h2 { color: #333; margin-top: 30px; }
+    img { max-width: 100%; height: auto; margin: 10px 0; }
+    p { line-height: 1.6; color: #333; }
+    a { color: #0066cc; }
+    .article { margin-bottom: 40px; border-bottom: 1px solid #ccc; padding-bottom: 20px; }
+    .source { color: #666; font-size: 0.9em; }
+    .date { color: #666; font-size: 0.9em; margin-bottom: 20px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <p class="date">${escapeXml(dateStr)}</p>
+`;
+
+  for (const article of articles) {
+    if (!article.data) continue;
+    const byline = [article.data.author, article.data.date].filter(Boolean).join(' · ');
+    
+    html += `
+  <div class="article">
+    <h2>${escapeText(article.data.title)}</h2>
+    ${byline ? `<p class="source">${escapeText(byline)}</p>` : ''}
+    ${article.dir ? inlineImages(article.data.content, article.dir) : article.data.content}
+    <p class="source">Source: <a href="${escapeXml(article.data.url)}">${escapeXml(article.data.url)}</a></p>
+  </div>
+`;
+  }
+
+  html += `
+</body>
+</html>`;
+
+  return html;
+}
+
+// Create EPUB for Kindle: a title page, then one chapter per article
+async function createEpubFile(title, articles, dateStr) {
+  const chapters = [{
+    title,
+    content: `<h1>${escapeText(title)}</h1><p class="byline">${escapeXml(dateStr)} · ${articles.length} articles</p>`,
+    excludeFromToc: true,
+    beforeToc: true
+  }];
+
+  for (const article of articles) {
+    if (!article.data) continue;
+    const byline = [article.data.author, article.data.date].filter(Boolean).join(' · ');
+    // The builder packs local files; images that failed to download are dropped
+    const content = article.dir ? localImageUrls(article.data.content, article.dir) : article.data.content;
+    chapters.push({
+      title: article.data.title,
+      meta: { source: article.data.url, published: article.data.published, category: article.data.categories || article.data.category },
+      content: `
+        <h1>${escapeText(article.data.title)}</h1>
+        ${byline ? `<p class="byline">${escapeText(byline)}</p>` : ''}
+        ${content}
+        <p class="source">Source: <a href="${escapeXml(article.data.url)}">${escapeXml(article.data.url)}</a></p>
+      `
+    });
+  }
+
+  return buildEpub({
+    title: `${title} – ${dateStr}`,
+    description: `${articles.length} articles`,
+    chapters
+  });
+}
+
+// Plain text of every article, images named by their alt text
+function createTextFile(title, articles, dateStr) {
+  const present = articles.filter(article => article.data);
+  const header = `${title}\n${'='.repeat(title.length)}\n\n${dateStr} · ${present.length} articles`;
+  return [header, ...present.map(article => articleText(article.data))].join(`\n\n${'-'.repeat(20)}\n\n`);
+}
+
+// Write the digest in `format` to `basePath` + extension; returns the file path
+async function writeDigest(format, basePath, title, articles, dateStr) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown digest format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  const file = `${basePath}.${format === 'text' ? 'txt' : format}`;
+  let content;
+  if (format === 'epub') content = await createEpubFile(title, articles, dateStr);
+  else if (format === 'text') content = createTextFile(title, articles, dateStr);
+  else content = createHtmlFile(title, articles, dateStr);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+module.exports = { createHtmlFile, createEpubFile, createTextFile, writeDigest, FORMATS };
@@ -0,0 +1,68 @@
+/**
+ * RSS 2.0, RSS 1.0 (RDF) and Atom feed discovery
+ */
+
+const { parseXml, children, child, descendants, textOf, localName } = require('../xml');
+const { toIsoDate, resolveUrl } = require('./util');
+
+// Pick the article link of an Atom entry: rel="alternate" (or no rel) wins
+function atomLink(entry) {
+  const links = children(entry, 'link');
+  const alternate = links.find(link => !link.attrs.rel || link.attrs.rel === 'alternate');
+  return (alternate || links[0] || { attrs: {} }).attrs.href || '';
+}
+
+function rssLink(item) {
+  const link = textOf(child(item, 'link'));
+  if (link) return link;
+  const guid = child(item, 'guid');
+  if (guid && guid.attrs.isPermaLink !== 'false') return textOf(guid);
+  return '';
+}
+
+// Parse feed XML into [{ url, title, published }]
+function parseFeed(xml, feedUrl) {
+  const doc = parseXml(xml);
+  const rootElement = doc.children.find(el => ['rss', 'feed', 'rdf'].includes(localName(el)));
+  if (!rootElement) return [];
+
+  const entries = [];
+
+  if (localName(rootElement) === 'feed') {
+    const base = rootElement.attrs['xml:base'] || feedUrl;
+    for (const entry of children(rootElement, 'entry')) {
+      entries.push({
+        url: resolveUrl(atomLink(entry), entry.attrs['xml:base'] || base),
+        title: textOf(child(entry, 'title')),
+        published: toIsoDate(textOf(child(entry, 'published')) || textOf(child(entry, 'updated')))
+      });
+    }
+  } else {
+    for (const item of descendants(rootElement, 'item')) {
+      entries.push({
+        url: resolveUrl(rssLink(item), feedUrl),
+        title: textOf(child(item, 'title')),
+        published: toIsoDate(textOf(child(item, 'pubdate')) || textOf(child(item, 'date')))
+      });
+    }
+  }
+
+  return entries.filter(entry => entry.url);
+}
+
+// Feed URLs advertised by <link rel="alternate" type="application/rss+xml|atom+xml"> in a page
+function findFeedLinks(html, pageUrl) {
+  const feeds = [];
+  const linkRegex = /<link\b[^>]*>/gi;
+  let match;
+  while ((match = linkRegex.exec(html)) !== null) {
+    const tag = match[0];
+    if (!/rel=["']?alternate/i.test(tag)) continue;
+    if (!/type=["']?application\/(rss|atom)\+xml/i.test(tag)) continue;
+    const href = tag.match(/href=["']([^"']+)["']/i);
+    if (href) feeds.push(resolveUrl(href[1], pageUrl));
+  }
+  return feeds.filter(Boolean);
+}
+
+module.exports = { parseFeed, findFeedLinks };
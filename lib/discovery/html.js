@@ -0,0 +1,63 @@
+/**
+ * Listing-page discovery by scraping <a href> links (the original approach),
+ * and finding the next page of a paginated listing
+ */
+
+const { resolveUrl } = require('./util');
+
+// All article-looking links on a listing page, in page order, resolved to absolute URLs
+function scrapeLinks(html, pageUrl, isArticleUrl) {
+  const urls = [];
+  const seen = new Set();
+  const hrefRegex = /<a\b[^>]*?\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+
+  let match;
+  while ((match = hrefRegex.exec(html)) !== null) {
+    const url = resolveUrl(match[1] || match[2] || match[3], pageUrl);
+    if (url && !seen.has(url) && isArticleUrl(url)) {
+      seen.add(url);
+      urls.push({ url, published: null });
+    }
+  }
+
+  return urls;
+}
+
+function attribute(attrs, name) {
+  const match = attrs.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? match[1] || match[2] || match[3] : '';
+}
+
+// Page number a listing URL shows: ?page=N, ?p=N or /page/N, else 1
+function pageNumber(url) {
+  const parsed = new URL(url);
+  const value = parsed.searchParams.get('page') || parsed.searchParams.get('p') || (parsed.pathname.match(/\/page\/(\d+)\/?$/) || [])[1];
+  return /^\d+$/.test(value || '') ? Number(value) : 1;
+}
+
+// URL of the listing page after `pageUrl`, or null: a rel="next" link, a
+// link reading "Next" or "Older", or a link to the following page number
+function nextPageUrl(html, pageUrl) {
+  const sameSite = url => url && new URL(url).host === new URL(pageUrl).host && url !== pageUrl;
+  const relNext = /<(?:link|a)\b([^>]*)>/gi;
+  let match;
+  while ((match = relNext.exec(html)) !== null) {
+    if (!/(^|\s)next(\s|$)/i.test(attribute(match[1], 'rel'))) continue;
+    const url = resolveUrl(attribute(match[1], 'href'), pageUrl);
+    if (sameSite(url)) return url;
+  }
+
+  const current = pageNumber(pageUrl);
+  let numbered = null;
+  const anchors = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  while ((match = anchors.exec(html)) !== null) {
+    const url = resolveUrl(attribute(match[1], 'href'), pageUrl);
+    if (!sameSite(url)) continue;
+    const label = `${match[2].replace(/<[^>]*>/g, ' ')} ${attribute(match[1], 'aria-label')}`.replace(/\s+/g, ' ').trim();
+    if (/^(next|older)\b|^(\u203a|\u00bb|\u2192)$|\b(next|older) (page|posts|articles)\b/i.test(label)) return url;
+    if (!numbered && pageNumber(url) === current + 1 && new URL(url).pathname.replace(/\/page\/\d+\/?$/, '') === new URL(pageUrl).pathname.replace(/\/page\/\d+\/?$/, '')) numbered = url;
+  }
+  return numbered;
+}
+
+module.exports = { scrapeLinks, nextPageUrl };
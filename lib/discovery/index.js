@@ -0,0 +1,152 @@
+/**
+ * Article discovery
+ * Combines RSS/Atom feeds, sitemap.xml and listing-page scraping for each
+ * source, then merges and de-duplicates the results across sources by
+ * canonical URL (see ./util; tracking parameters are dropped). The daily
+ * check reads the first listing page; the archive follows its pagination
+ * (`maxPages`).
+ */
+
+const { parseFeed, findFeedLinks } = require('./feed');
+const { crawlSitemap } = require('./sitemap');
+const { scrapeLinks, nextPageUrl } = require('./html');
+const { canonicalUrl, urlKey } = require('./util');
+const { isArticleUrl } = require('../sources');
+
+// Discover one source; returns [{ url, title, published, via }]
+// options: { fetchText(url) -> Promise<string>, log, sitemapCache: Map, since, maxPages }
+async function discoverSource(source, options) {
+  const { fetchText, log = () => {}, sitemapCache = new Map(), since = null, maxPages = 1 } = options;
+  const isArticle = url => isArticleUrl(source, url);
+  const found = [];
+  const errors = [];
+  const counts = {};
+
+  const record = (via, entries) => {
+    const matching = entries.filter(entry => isArticle(entry.url));
+    counts[via] = matching.length;
+    for (const entry of matching) found.push({ ...entry, via });
+  };
+
+  // Listing pages: scraping fallback, and the place feeds are advertised.
+  // Pagination stops at a page that adds no new articles.
+  let feeds = source.feed ? [source.feed] : [];
+  const listed = new Map();
+  const visited = new Set();
+  let pageUrl = source.url;
+  while (pageUrl && visited.size < maxPages && !visited.has(pageUrl)) {
+    visited.add(pageUrl);
+    let html;
+    try {
+      html = await fetchText(pageUrl);
+    } catch (e) {
+      errors.push(`page${visited.size > 1 ? ` ${pageUrl}` : ''}: ${e.message}`);
+      break;
+    }
+    if (visited.size === 1 && feeds.length === 0) feeds = findFeedLinks(html, source.url).slice(0, 1);
+    const links = scrapeLinks(html, pageUrl, isArticle).filter(entry => !listed.has(entry.url));
+    for (const entry of links) listed.set(entry.url, entry);
+    if (visited.size > 1 && links.length === 0) break;
+    pageUrl = nextPageUrl(html, pageUrl);
+  }
+  if (listed.size > 0 || !errors.length) record('page', [...listed.values()]);
+  if (visited.size > 1) log(`   📑 ${visited.size} listing pages`);
+
+  for (const feedUrl of feeds) {
+    try {
+      record('feed', parseFeed(await fetchText(feedUrl), feedUrl));
+    } catch (e) {
+      errors.push(`feed ${feedUrl}: ${e.message}`);
+    }
+  }
+
+  if (source.sitemap) {
+    try {
+      // Several sources usually share one sitemap; fetch it once per run
+      if (!sitemapCache.has(source.sitemap)) {
+        sitemapCache.set(source.sitemap, crawlSitemap(source.sitemap, fetchText, { since }));
+      }
+      record('sitemap', await sitemapCache.get(source.sitemap));
+    } catch (e) {
+      errors.push(`sitemap ${source.sitemap}: ${e.message}`);
+    }
+  }
+
+  if (Object.keys(counts).length === 0) {
+    throw new Error(errors.join('; '));
+  }
+  for (const error of errors) log(`   ⚠️  ${error}`);
+  log(`   🔎 ${Object.entries(counts).map(([via, n]) => `${via}: ${n}`).join(', ')}`);
+
+  return found;
+}
+
+// Feed dates are publish dates; sitemap <lastmod> is only a fallback
+const DATE_PRIORITY = { feed: 2, sitemap: 1, page: 0 };
+
+// Merge entries that point at the same article
+function mergeEntries(entries) {
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    const key = urlKey(entry.url);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, {
+        url: canonicalUrl(entry.url),
+        title: entry.title || '',
+        published: entry.published || null,
+        dateVia: entry.published ? entry.via : null,
+        sources: entry.source ? [entry.source] : [],
+        via: [entry.via]
+      });
+      continue;
+    }
+
+    if (!existing.title && entry.title) existing.title = entry.title;
+    if (entry.published && (!existing.published || DATE_PRIORITY[entry.via] > DATE_PRIORITY[existing.dateVia])) {
+      existing.published = entry.published;
+      existing.dateVia = entry.via;
+    }
+    if (entry.source && !existing.sources.includes(entry.source)) existing.sources.push(entry.source);
+    if (!existing.via.includes(entry.via)) existing.via.push(entry.via);
+  }
+
+  return [...byKey.values()];
+}
+
+// Newest first; undated articles keep discovery order after the dated ones
+function sortByDate(entries) {
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => {
+      if (a.entry.published && b.entry.published) {
+        return b.entry.published.localeCompare(a.entry.published) || a.index - b.index;
+      }
+      if (a.entry.published) return -1;
+      if (b.entry.published) return 1;
+      return a.index - b.index;
+    })
+    .map(({ entry }) => entry);
+}
+
+// Discover every source; a failing source is logged and skipped
+async function discoverArticles(sources, options) {
+  const { log = () => {} } = options;
+  const sitemapCache = new Map();
+  const entries = [];
+
+  for (const source of sources) {
+    log(`📄 Checking ${source.name}...`);
+    try {
+      const found = await discoverSource(source, { ...options, sitemapCache });
+      entries.push(...found.map(entry => ({ ...entry, source: source.name })));
+    } catch (e) {
+      log(`   ❌ Error fetching ${source.name}: ${e.message}`);
+    }
+  }
+
+  return sortByDate(mergeEntries(entries));
+}
+
+module.exports = { discoverArticles, discoverSource, mergeEntries, sortByDate, canonicalUrl, urlKey };
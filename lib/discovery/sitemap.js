@@ -0,0 +1,54 @@
+/**
+ * sitemap.xml discovery, including sitemap indexes and <lastmod>
+ */
+
+const { parseXml, children, child, textOf, localName } = require('../xml');
+const { toIsoDate, resolveUrl } = require('./util');
+
+// Parse one sitemap document into { urls: [{ url, published }], sitemaps: [{ url, lastmod }] }
+function parseSitemap(xml, sitemapUrl) {
+  const doc = parseXml(xml);
+  const result = { urls: [], sitemaps: [] };
+
+  for (const rootElement of doc.children) {
+    if (localName(rootElement) === 'urlset') {
+      for (const entry of children(rootElement, 'url')) {
+        const url = resolveUrl(textOf(child(entry, 'loc')), sitemapUrl);
+        if (url) result.urls.push({ url, published: toIsoDate(textOf(child(entry, 'lastmod'))) });
+      }
+    } else if (localName(rootElement) === 'sitemapindex') {
+      for (const entry of children(rootElement, 'sitemap')) {
+        const url = resolveUrl(textOf(child(entry, 'loc')), sitemapUrl);
+        if (url) result.sitemaps.push({ url, lastmod: toIsoDate(textOf(child(entry, 'lastmod'))) });
+      }
+    }
+  }
+
+  return result;
+}
+
+// Fetch a sitemap and, for an index, its children; skips child sitemaps
+// whose lastmod is older than `since` (ISO string) and stops at `maxDepth`
+async function crawlSitemap(sitemapUrl, fetchText, options = {}) {
+  const { since = null, maxDepth = 2 } = options;
+  const seen = new Set();
+  const urls = [];
+
+  async function visit(url, depth) {
+    if (seen.has(url) || depth > maxDepth) return;
+    seen.add(url);
+
+    const parsed = parseSitemap(await fetchText(url), url);
+    urls.push(...parsed.urls);
+
+    for (const sitemap of parsed.sitemaps) {
+      if (since && sitemap.lastmod && sitemap.lastmod < since) continue;
+      await visit(sitemap.url, depth + 1);
+    }
+  }
+
+  await visit(sitemapUrl, 0);
+  return urls;
+}
+
+module.exports = { parseSitemap, crawlSitemap };
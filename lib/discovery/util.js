@@ -0,0 +1,58 @@
+/**
+ * Discovery helpers shared by the feed, sitemap and HTML scrapers
+ */
+
+const { decodeEntities } = require('../xml');
+
+// Parse RFC 822 / ISO 8601 / W3C datetime strings; null when unparseable
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value.trim());
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Resolve a possibly relative link against a base URL; '' when invalid
+function resolveUrl(href, base) {
+  if (!href) return '';
+  try {
+    const url = new URL(decodeEntities(href.trim()), base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return '';
+    url.hash = '';
+    return url.toString();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Query parameters that only say how a reader arrived: campaign tags and click ids
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref|ref_src|ref_url)$/i;
+
+// One spelling of an article's address: no fragment, tracking parameters or
+// trailing slash, the remaining parameters sorted; the input when unparseable
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    for (const param of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(param)) parsed.searchParams.delete(param);
+    }
+    parsed.searchParams.sort();
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return parsed.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+// Key used to de-duplicate the same article found through different routes:
+// the canonical URL without its scheme or a leading "www."
+function urlKey(url) {
+  try {
+    const parsed = new URL(canonicalUrl(url));
+    return `${parsed.host.toLowerCase().replace(/^www\./, '')}${parsed.pathname}${parsed.search}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+module.exports = { toIsoDate, resolveUrl, canonicalUrl, urlKey };
@@ -0,0 +1,125 @@
+/**
+ * Near-duplicate articles
+ * The same post is often listed under several sources (/news/ and
+ * /research/), sometimes with a different title or a few edits. Articles are
+ * compared by the overlap of their five-word phrases (shingles), estimated
+ * from MinHash signatures: 64 hashes stored as a hex string, so signatures
+ * can be kept in the state file and compared with later downloads. Candidate
+ * pairs are found with locality-sensitive hashing (16 bands of 4 hashes) and
+ * then confirmed by their estimated similarity.
+ */
+
+const { urlKey } = require('./discovery');
+
+const SHINGLE_WORDS = 5;
+const HASHES = 64;
+const ROWS_PER_BAND = 4;
+const BAND_LENGTH = ROWS_PER_BAND * 8;
+
+// Estimated share of shingles two articles need in common to be the same article
+const DEFAULT_THRESHOLD = 0.8;
+
+// murmur3's finalizer: spreads the bits of a 32-bit integer
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a over the UTF-16 code units of a string
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: HASHES }, (_, i) => mix(i + 1));
+
+// Lowercased words without accents or punctuation
+function wordsOf(text) {
+  return (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// MinHash signature of a text, as HASHES 8-digit hex numbers; '' for a text without words
+function signature(text) {
+  const words = wordsOf(text);
+  if (words.length === 0) return '';
+  const mins = new Array(HASHES).fill(0xffffffff);
+  const count = Math.max(1, words.length - SHINGLE_WORDS + 1);
+  for (let i = 0; i < count; i++) {
+    const shingle = hashString(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    for (let k = 0; k < HASHES; k++) {
+      const value = mix(shingle ^ SEEDS[k]);
+      if (value < mins[k]) mins[k] = value;
+    }
+  }
+  return mins.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+// Estimated share of shingles two signatures' texts have in common, 0 to 1
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    if (a.slice(i, i + 8) === b.slice(i, i + 8)) same++;
+  }
+  return same / (a.length / 8);
+}
+
+// Groups of items that are the same article: the same canonical URL (`url`,
+// usually the page's rel=canonical) or signatures at least `threshold` alike.
+// items: [{ url, signature }]; returns arrays of indices, each in input order,
+// for groups of two or more
+function findDuplicates(items, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  const join = (i, j) => {
+    const [a, b] = [find(i), find(j)].sort((x, y) => x - y);
+    parent[b] = a;
+  };
+
+  const buckets = new Map();
+  const bucket = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+  items.forEach((item, i) => {
+    if (item.url) bucket(`url ${urlKey(item.url)}`, i);
+    for (let start = 0; item.signature && start < item.signature.length; start += BAND_LENGTH) {
+      bucket(`band ${start} ${item.signature.slice(start, start + BAND_LENGTH)}`, i);
+    }
+  });
+
+  for (const [key, members] of buckets) {
+    for (let m = 1; m < members.length; m++) {
+      if (key.startsWith('url ')) {
+        join(members[0], members[m]);
+        continue;
+      }
+      // Sharing a band only makes a pair worth comparing
+      for (let n = 0; n < m; n++) {
+        const [i, j] = [members[n], members[m]];
+        if (find(i) !== find(j) && similarity(items[i].signature, items[j].signature) >= threshold) join(i, j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+module.exports = { signature, similarity, findDuplicates, DEFAULT_THRESHOLD };
@@ -0,0 +1,326 @@
+/**
+ * EPUB validator
+ * An offline subset of epubcheck's structural checks: the container layout,
+ * package metadata, manifest and spine, navigation documents, XHTML
+ * well-formedness, references between files, image media types and alt
+ * text. Problems are returned, not thrown, so callers decide what is fatal.
+ */
+
+const path = require('path').posix;
+const { readZip } = require('./zip');
+const { parseXml, localName, children, child, descendants, textOf } = require('./xml');
+const { sniffImage } = require('./epub');
+
+const MIMETYPE = 'application/epub+zip';
+const XHTML = 'application/xhtml+xml';
+const NCX = 'application/x-dtbncx+xml';
+const XML_ENTITIES = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i;
+const MODIFIED_FORMAT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+
+function lineAt(text, pos) {
+  return text.slice(0, pos).split('\n').length;
+}
+
+// First well-formedness error in `xml` ("line N: ..."), or null. Named
+// entities beyond XML's five are only allowed where a DTD declares them.
+function wellFormednessError(xml, { namedEntities = false } = {}) {
+  const text = xml.replace(/^﻿/, '');
+  const stack = [];
+  const tagRegex = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+  const badEntity = entityText => !namedEntities && XML_ENTITIES.test(entityText) ||
+    /&(?![a-z][\w.-]*;|#\d+;|#x[0-9a-f]+;)/i.test(entityText);
+  let pos = 0;
+  let rootDone = false;
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    const chars = text.slice(pos, lt === -1 ? text.length : lt);
+    if (badEntity(chars)) return `line ${lineAt(text, pos)}: undefined entity or stray "&"`;
+    if (chars.includes(']]>')) return `line ${lineAt(text, pos)}: "]]>" in text`;
+    if (stack.length === 0 && chars.trim()) return `line ${lineAt(text, pos)}: text outside the root element`;
+    if (lt === -1) break;
+
+    const markup = [['<!--', '-->'], ['<![CDATA[', ']]>'], ['<?', '?>'], ['<!DOCTYPE', '>']]
+      .find(([open]) => text.startsWith(open, lt));
+    if (markup) {
+      const end = text.indexOf(markup[1], lt + markup[0].length);
+      if (end === -1) return `line ${lineAt(text, lt)}: unterminated ${markup[0]}`;
+      if (markup[0] === '<![CDATA[' && stack.length === 0) return `line ${lineAt(text, lt)}: CDATA outside the root element`;
+      pos = end + markup[1].length;
+      continue;
+    }
+
+    tagRegex.lastIndex = lt;
+    const match = tagRegex.exec(text);
+    if (!match) return `line ${lineAt(text, lt)}: malformed tag`;
+    const [whole, closing, name, attrs, selfClosing] = match;
+    if (closing) {
+      if (attrs || selfClosing) return `line ${lineAt(text, lt)}: malformed end tag </${name}>`;
+      const open = stack.pop();
+      if (open !== name) return `line ${lineAt(text, lt)}: </${name}> does not close <${open || 'nothing'}>`;
+      if (stack.length === 0) rootDone = true;
+    } else {
+      if (stack.length === 0 && rootDone) return `line ${lineAt(text, lt)}: more than one root element`;
+      const names = [...attrs.matchAll(/([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')/g)];
+      const seen = new Set();
+      for (const [, attr, value] of names) {
+        if (seen.has(attr)) return `line ${lineAt(text, lt)}: duplicate attribute ${attr} on <${name}>`;
+        seen.add(attr);
+        if (badEntity(value)) return `line ${lineAt(text, lt)}: undefined entity or stray "&" in ${attr}`;
+      }
+      if (selfClosing) {
+        if (stack.length === 0) rootDone = true;
+      } else {
+        stack.push(name);
+      }
+    }
+    pos = lt + whole.length;
+  }
+
+  if (stack.length) return `unclosed <${stack[stack.length - 1]}>`;
+  if (!rootDone) return 'no root element';
+  return null;
+}
+
+// Path inside the container for `href` relative to `fromFile`, without fragment or query
+function resolveHref(fromFile, href) {
+  const target = href.split('#')[0].split('?')[0];
+  if (!target) return fromFile;
+  try {
+    return path.normalize(path.join(path.dirname(fromFile), decodeURIComponent(target)));
+  } catch (e) {
+    return path.normalize(path.join(path.dirname(fromFile), target));
+  }
+}
+
+function isRemote(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href);
+}
+
+// Every element under `node` (lib/xml tree), in document order
+function allElements(node, found = []) {
+  for (const element of node.children) {
+    found.push(element);
+    allElements(element, found);
+  }
+  return found;
+}
+
+// Problems with an EPUB file's bytes:
+// { version, errors: [{ file, message }], warnings: [{ file, message }] }
+function validateEpub(buffer) {
+  const errors = [];
+  const warnings = [];
+  const error = (file, message) => errors.push({ file, message });
+  const warn = (file, message) => warnings.push({ file, message });
+  const result = () => ({ version, errors, warnings });
+  let version = null;
+
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (e) {
+    error('', e.message);
+    return result();
+  }
+
+  // Container
+  const files = new Map();
+  const lowerNames = new Set();
+  for (const entry of entries) {
+    if (lowerNames.has(entry.name.toLowerCase())) error(entry.name, 'duplicate file name (ignoring case)');
+    lowerNames.add(entry.name.toLowerCase());
+    if (!entry.data) error(entry.name, `unreadable entry (compression method ${entry.method})`);
+    else if (!entry.crcOk) error(entry.name, 'CRC mismatch');
+    if (!entry.name.endsWith('/')) files.set(entry.name, entry.data || Buffer.alloc(0));
+  }
+  const first = entries[0];
+  if (!first || first.name !== 'mimetype') {
+    error('mimetype', 'must be the first file in the archive');
+  } else {
+    if (first.method !== 0) error('mimetype', 'must be stored uncompressed');
+    if (first.extraLength !== 0) error('mimetype', 'must not have an extra field');
+    if (first.data && first.data.toString('latin1') !== MIMETYPE) error('mimetype', `must contain exactly "${MIMETYPE}"`);
+  }
+
+  const readXml = (file, options) => {
+    const text = files.get(file).toString('utf8');
+    const problem = wellFormednessError(text, options);
+    if (problem) {
+      error(file, `not well-formed XML: ${problem}`);
+      return null;
+    }
+    return parseXml(text);
+  };
+
+  if (!files.has('META-INF/container.xml')) {
+    error('META-INF/container.xml', 'missing');
+    return result();
+  }
+  const container = readXml('META-INF/container.xml');
+  const rootfile = container && descendants(container, 'rootfile')
+    .find(element => element.attrs['media-type'] === 'application/oebps-package+xml');
+  const opfPath = rootfile && rootfile.attrs['full-path'];
+  if (!opfPath) {
+    if (container) error('META-INF/container.xml', 'no rootfile for an OPF package document');
+    return result();
+  }
+  if (!files.has(opfPath)) {
+    error('META-INF/container.xml', `rootfile ${opfPath} does not exist`);
+    return result();
+  }
+
+  // Package document
+  const opf = readXml(opfPath);
+  const pkg = opf && child(opf, 'package');
+  if (!pkg) {
+    if (opf) error(opfPath, 'no <package> element');
+    return result();
+  }
+  version = pkg.attrs.version || null;
+  if (!['2.0', '3.0'].includes(version)) error(opfPath, `unsupported package version "${version}"`);
+  const epub3 = version === '3.0';
+
+  const metadata = child(pkg, 'metadata');
+  if (!metadata) {
+    error(opfPath, 'no <metadata>');
+  } else {
+    const idRef = pkg.attrs['unique-identifier'];
+    const identifier = children(metadata, 'identifier').find(element => element.attrs.id === idRef);
+    if (!idRef || !identifier) error(opfPath, 'unique-identifier does not name a dc:identifier');
+    else if (!textOf(identifier)) error(opfPath, 'the unique identifier is empty');
+    if (!textOf(child(metadata, 'title'))) error(opfPath, 'dc:title is missing or empty');
+    if (!textOf(child(metadata, 'language'))) error(opfPath, 'dc:language is missing or empty');
+    if (epub3) {
+      const modified = children(metadata, 'meta').filter(element => element.attrs.property === 'dcterms:modified');
+      if (modified.length !== 1) error(opfPath, 'needs exactly one dcterms:modified');
+      else if (!MODIFIED_FORMAT.test(textOf(modified[0]))) error(opfPath, `dcterms:modified "${textOf(modified[0])}" is not CCYY-MM-DDThh:mm:ssZ`);
+      if (!children(metadata, 'meta').some(element => /^schema:accessMode$/.test(element.attrs.property))) {
+        warn(opfPath, 'no schema:accessMode accessibility metadata');
+      }
+    }
+    if (!child(metadata, 'date')) warn(opfPath, 'no dc:date');
+  }
+
+  // Manifest
+  const manifest = new Map();
+  const byPath = new Map();
+  for (const item of children(child(pkg, 'manifest') || { children: [] }, 'item')) {
+    const { id, href, 'media-type': mediaType } = item.attrs;
+    if (!id || !href || !mediaType) {
+      error(opfPath, `manifest item ${id || href || '?'} needs id, href and media-type`);
+      continue;
+    }
+    if (manifest.has(id)) error(opfPath, `duplicate manifest id "${id}"`);
+    const file = resolveHref(opfPath, href);
+    if (byPath.has(file)) error(opfPath, `${href} is listed in the manifest twice`);
+    const entry = { id, href, file, mediaType, properties: (item.attrs.properties || '').split(/\s+/).filter(Boolean) };
+    manifest.set(id, entry);
+    byPath.set(file, entry);
+    if (isRemote(href)) continue;
+    if (!files.has(file)) {
+      error(opfPath, `manifest item ${href} does not exist`);
+      continue;
+    }
+    if (mediaType.startsWith('image/')) {
+      const type = sniffImage(files.get(file));
+      if (!type) error(file, `not a recognised image (declared ${mediaType})`);
+      else if (type.mediaType !== mediaType) error(file, `declared ${mediaType} but contains ${type.mediaType}`);
+    }
+  }
+  for (const file of files.keys()) {
+    if (file === 'mimetype' || file.startsWith('META-INF/') || file === opfPath) continue;
+    if (!byPath.has(file)) warn(file, 'in the container but not in the manifest');
+  }
+  const navItems = [...manifest.values()].filter(item => item.properties.includes('nav'));
+  if (epub3 && navItems.length !== 1) error(opfPath, `needs exactly one manifest item with properties="nav" (found ${navItems.length})`);
+
+  // Spine
+  const spine = child(pkg, 'spine');
+  const itemrefs = spine ? children(spine, 'itemref') : [];
+  if (itemrefs.length === 0) error(opfPath, 'the spine is empty');
+  for (const itemref of itemrefs) {
+    const item = manifest.get(itemref.attrs.idref);
+    if (!item) error(opfPath, `spine itemref "${itemref.attrs.idref}" is not in the manifest`);
+    else if (item.mediaType !== XHTML) error(opfPath, `spine item ${item.href} is ${item.mediaType}, not XHTML`);
+  }
+  const tocItem = spine && spine.attrs.toc && manifest.get(spine.attrs.toc);
+  if (spine && spine.attrs.toc && (!tocItem || tocItem.mediaType !== NCX)) error(opfPath, `spine toc "${spine.attrs.toc}" is not an NCX manifest item`);
+  if (!epub3 && !tocItem) error(opfPath, 'EPUB 2 needs an NCX named by spine toc');
+
+  // NCX
+  if (tocItem && files.has(tocItem.file)) {
+    const ncx = readXml(tocItem.file);
+    if (ncx) {
+      const uid = descendants(ncx, 'meta').find(element => element.attrs.name === 'dtb:uid');
+      const identifier = metadata && children(metadata, 'identifier').find(element => element.attrs.id === pkg.attrs['unique-identifier']);
+      if (!uid || (identifier && uid.attrs.content !== textOf(identifier))) error(tocItem.file, 'dtb:uid does not match the package identifier');
+      for (const content of descendants(ncx, 'content')) {
+        const target = resolveHref(tocItem.file, content.attrs.src || '');
+        if (!byPath.has(target)) error(tocItem.file, `navPoint points at ${content.attrs.src}, which is not in the manifest`);
+      }
+    }
+  }
+
+  // Content documents
+  const ids = new Map();
+  const links = [];
+  for (const item of manifest.values()) {
+    if (item.mediaType !== XHTML || !files.has(item.file)) continue;
+    const document = readXml(item.file, { namedEntities: !epub3 });
+    if (!document) continue;
+    const html = child(document, 'html');
+    if (!html || html.attrs.xmlns !== 'http://www.w3.org/1999/xhtml') error(item.file, 'root is not an XHTML <html> element');
+
+    const docIds = new Set();
+    for (const element of allElements(document)) {
+      const name = localName(element);
+      if (element.attrs.id) {
+        if (docIds.has(element.attrs.id)) error(item.file, `duplicate id "${element.attrs.id}"`);
+        docIds.add(element.attrs.id);
+      }
+      if (name === 'img') {
+        const src = element.attrs.src || '';
+        if (!('alt' in element.attrs)) error(item.file, `<img src="${src.slice(0, 60)}"> has no alt attribute`);
+        if (src.startsWith('data:')) warn(item.file, 'image given as a data: URL instead of a manifest item');
+        else if (isRemote(src)) error(item.file, `remote image ${src}`);
+        else if (!byPath.has(resolveHref(item.file, src))) error(item.file, `image ${src} is not in the manifest`);
+        else if (!byPath.get(resolveHref(item.file, src)).mediaType.startsWith('image/')) error(item.file, `image ${src} is not declared as an image`);
+      }
+      if (name === 'link' && element.attrs.href && !isRemote(element.attrs.href) && !byPath.has(resolveHref(item.file, element.attrs.href))) {
+        error(item.file, `linked resource ${element.attrs.href} is not in the manifest`);
+      }
+      if (name === 'a' && element.attrs.href && !isRemote(element.attrs.href)) links.push({ from: item.file, href: element.attrs.href });
+    }
+    ids.set(item.file, docIds);
+
+    if (item.properties.includes('nav')) {
+      const toc = descendants(document, 'nav').find(nav => (nav.attrs['epub:type'] || '').split(/\s+/).includes('toc'));
+      if (!toc) error(item.file, 'navigation document has no <nav epub:type="toc">');
+      else if (descendants(toc, 'a').length === 0) error(item.file, 'the table of contents is empty');
+    }
+  }
+  for (const { from, href } of links) {
+    const target = resolveHref(from, href);
+    const fragment = href.includes('#') ? href.slice(href.indexOf('#') + 1) : '';
+    if (!byPath.has(target)) error(from, `link to ${href}, which is not in the manifest`);
+    else if (fragment && ids.has(target) && !ids.get(target).has(decodeURIComponent(fragment))) warn(from, `link to ${href}: no element with id "${fragment}"`);
+  }
+
+  return result();
+}
+
+// Console lines for a validation result
+function formatReport({ version, errors, warnings }) {
+  const lines = [
+    ...errors.map(problem => `   ❌ ${problem.file ? `${problem.file}: ` : ''}${problem.message}`),
+    ...warnings.map(problem => `   ⚠️  ${problem.file ? `${problem.file}: ` : ''}${problem.message}`)
+  ];
+  const counts = `${errors.length} errors, ${warnings.length} warnings`;
+  lines.push(errors.length
+    ? `❌ EPUB ${version || ''} is invalid: ${counts}`.replace('  ', ' ')
+    : `✅ Valid EPUB ${version}${warnings.length ? ` (${warnings.length} warnings)` : ''}`);
+  return lines;
+}
+
+module.exports = { validateEpub, wellFormednessError, formatReport };
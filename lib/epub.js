@@ -0,0 +1,420 @@
+/**
+ * EPUB builder
+ * Shared by the daily digest and `compile`. Writes EPUB 3 (with an NCX for
+ * older readers) or EPUB 2 packages from HTML chapters. Chapter markup is
+ * re-serialized as XHTML; images given as file:// or data: URLs become
+ * manifest items with the media type of their content, and any other image
+ * is dropped, so the result is self-contained. Nothing depends on the clock
+ * or on randomness: the same input gives the same bytes.
+ *
+ * ./epub-validator checks the output offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { parseHtml, decodeHtml, elements, removeNode, sanitize, policyFor, VOID_ELEMENTS } = require('./html');
+const { createZip } = require('./zip');
+const { detectFormat } = require('./images');
+const { escapeXml } = require('./xml');
+const { sha256 } = require('./util');
+
+const BOOK_CSS = `
+  body { font-family: Georgia, serif; line-height: 1.6; }
+  h1 { color: #1a1a1a; margin-bottom: 0.5em; }
+  h2, h3 { color: #333; }
+  img { max-width: 100%; height: auto; display: block; margin: 1em auto; }
+  p { margin: 1em 0; text-align: justify; }
+  pre, code { background: #f5f5f5; padding: 0.5em; font-size: 0.9em; overflow-wrap: break-word; }
+  blockquote { border-left: 3px solid #d4af37; padding-left: 1em; margin: 1em 0; font-style: italic; }
+  a { color: #0066cc; }
+  hr { border: none; border-top: 1px solid #ddd; margin: 2em 0; }
+  .byline, .source { color: #666; font-size: 0.9em; }
+  .section-title { text-align: center; color: #d4af37; }
+`;
+
+// For Kindle: no fixed fonts or justification (the reader's settings win),
+// sizes in em, each chapter on a new page, nothing floated or positioned
+const KINDLE_CSS = `
+  h1 { page-break-before: always; margin: 0 0 0.5em; font-size: 1.6em; }
+  h2 { font-size: 1.3em; margin: 1.2em 0 0.4em; }
+  h3 { font-size: 1.1em; margin: 1em 0 0.3em; }
+  p { margin: 0 0 0.8em; }
+  img { max-width: 100%; height: auto; }
+  pre { white-space: pre-wrap; font-size: 0.85em; margin: 1em 0; }
+  code { font-size: 0.9em; }
+  blockquote { margin: 1em 1.5em; font-style: italic; }
+  hr { margin: 1.5em 0; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #999; padding: 0.2em 0.4em; }
+  .byline, .source { font-size: 0.85em; color: #555; }
+  .section-title { text-align: center; }
+`;
+
+// EPUB 2 content is XHTML 1.1: HTML5 sectioning elements become divs or spans
+const EPUB2_BLOCKS = new Set(['article', 'section', 'header', 'footer', 'nav', 'aside', 'main', 'figure', 'figcaption', 'hgroup', 'details', 'summary']);
+const EPUB2_INLINES = new Set(['mark', 'time', 'data', 'bdi', 'output']);
+const EPUB2_ATTRIBUTES = new Set(['id', 'class', 'title', 'dir', 'href', 'src', 'alt', 'width', 'height', 'colspan', 'rowspan', 'cite', 'start', 'type', 'summary', 'abbr', 'scope', 'headers', 'align', 'valign']);
+
+// Core media types for each version, by sniffed format
+const IMAGE_TYPES = {
+  png: { ext: 'png', mediaType: 'image/png', versions: [2, 3] },
+  jpeg: { ext: 'jpg', mediaType: 'image/jpeg', versions: [2, 3] },
+  gif: { ext: 'gif', mediaType: 'image/gif', versions: [2, 3] },
+  svg: { ext: 'svg', mediaType: 'image/svg+xml', versions: [2, 3] },
+  webp: { ext: 'webp', mediaType: 'image/webp', versions: [3] }
+};
+
+// Characters XML 1.0 does not allow at all
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+// EPUB image type from the image's first bytes, or null when EPUB has no core type for it
+function sniffImage(buffer) {
+  return IMAGE_TYPES[detectFormat(buffer)] || null;
+}
+
+// Bytes behind a file:// or data: URL, or null for anything else
+function readImageSource(src) {
+  try {
+    if (src.startsWith('data:')) {
+      const match = src.match(/^data:[^,]*?(;base64)?,(.*)$/s);
+      if (!match) return null;
+      return match[1] ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]), 'utf8');
+    }
+    if (src.startsWith('file:')) {
+      const file = fileURLToPath(src);
+      return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+  } catch (e) {
+    return null;
+  }
+  return null;
+}
+
+// Point relative <img src> values at files under `dir` so the builder can pack them
+function localImageUrls(content, dir) {
+  return content.replace(/(<img\b[^>]*\ssrc=")([^"]+)"/gi, (match, prefix, src) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(src)) return match;
+    return `${prefix}${pathToFileURL(path.resolve(dir, decodeHtml(src))).href}"`;
+  });
+}
+
+function isXmlName(name) {
+  return /^[A-Za-z_][\w.-]*$/.test(name);
+}
+
+// Serialize a parsed fragment as XHTML
+function toXhtml(node, version) {
+  if (node.type === 'text') return escapeXml(decodeHtml(node.text).replace(INVALID_XML_CHARS, ''));
+  if (node.type === 'comment') return '';
+  if (node.type === 'document') return node.children.map(child => toXhtml(child, version)).join('');
+
+  const attrs = Object.entries(node.attrs)
+    .filter(([name]) => isXmlName(name) && !name.startsWith('on'))
+    .filter(([name]) => version === 3 || EPUB2_ATTRIBUTES.has(name))
+    .map(([name, value]) => ` ${name}="${escapeXml(String(value).replace(INVALID_XML_CHARS, ''))}"`)
+    .join('');
+  if (VOID_ELEMENTS.has(node.tag)) return `<${node.tag}${attrs}/>`;
+  return `<${node.tag}${attrs}>${node.children.map(child => toXhtml(child, version)).join('')}</${node.tag}>`;
+}
+
+// Deterministic urn:uuid; the same book keeps its identifier when rebuilt with more articles
+function stableIdentifier(seed) {
+  const hex = sha256(seed);
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Sanitize one chapter with `policy` and clean it for `version`, collecting its
+// images into `resources`; returns its XHTML and its manifest properties
+function prepareChapter(content, { version, resources, policy }) {
+  const document = sanitize(parseHtml(content), policy, { localImages: true });
+  const seenIds = new Set();
+
+  const clean = (parent) => {
+    for (const element of [...parent.children]) {
+      if (element.type !== 'element') continue;
+      if (version === 2 && element.tag === 'wbr') {
+        removeNode(element);
+        continue;
+      }
+      // SVG and MathML keep their own names and attributes
+      if (element.tag === 'svg' || element.tag === 'math') continue;
+      clean(element);
+      if (element.attrs.id) {
+        if (seenIds.has(element.attrs.id) || !isXmlName(element.attrs.id)) delete element.attrs.id;
+        else seenIds.add(element.attrs.id);
+      }
+      if (version === 2 && EPUB2_BLOCKS.has(element.tag)) element.tag = 'div';
+      if (version === 2 && EPUB2_INLINES.has(element.tag)) element.tag = 'span';
+      if (element.tag === 'img') packImage(element, { version, resources });
+    }
+  };
+  clean(document);
+
+  const found = new Set(elements(document).map(element => element.tag));
+  const properties = version === 3 ? [found.has('math') && 'mathml', found.has('svg') && 'svg'].filter(Boolean) : [];
+  return { body: toXhtml(document, version), properties: properties.join(' ') };
+}
+
+// Text alternative for an <img>: its alt, else its title; empty marks it decorative
+function altText(element) {
+  const alt = element.attrs.alt !== undefined ? element.attrs.alt : element.attrs.title;
+  return (alt || '').replace(/\s+/g, ' ').trim();
+}
+
+// Point an <img> at its packaged copy, or remove it
+function packImage(element, { version, resources }) {
+  const buffer = readImageSource(element.attrs.src || '');
+  const type = buffer && sniffImage(buffer);
+  if (!type || !type.versions.includes(version)) {
+    removeNode(element);
+    return;
+  }
+  const alt = altText(element);
+  const hash = sha256(buffer).slice(0, 16);
+  const href = `images/${hash}.${type.ext}`;
+  if (!resources.has(href)) resources.set(href, { id: `img-${hash}`, href, mediaType: type.mediaType, data: buffer, described: false });
+  if (alt) resources.get(href).described = true;
+  element.attrs = { src: href, alt };
+}
+
+// Dublin Core <meta> tags for a chapter's { source, published, category }; `category` may be a list
+function chapterMeta(meta = {}) {
+  const tags = [
+    meta.source && `  <meta name="DC.source" content="${escapeXml(meta.source)}"/>`,
+    meta.published && `  <meta name="DC.date" content="${escapeXml(meta.published)}"/>`,
+    ...[].concat(meta.category || []).map(category => `  <meta name="DC.subject" content="${escapeXml(category)}"/>`)
+  ].filter(Boolean);
+  return tags.length ? ['  <link rel="schema.DC" href="http://purl.org/dc/elements/1.1/"/>', ...tags].join('\n') + '\n' : '';
+}
+
+function chapterPage({ title, body, lang, version, meta }) {
+  const head = `<head>
+${version === 3 ? '  <meta charset="UTF-8"/>' : '  <meta http-equiv="Content-Type" content="application/xhtml+xml; charset=utf-8"/>'}
+  <title>${escapeXml(title)}</title>
+${chapterMeta(meta)}  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>`;
+  const doctype = version === 3
+    ? '<!DOCTYPE html>\n<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"'
+    : '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">\n<html xmlns="http://www.w3.org/1999/xhtml"';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+${doctype} xml:lang="${escapeXml(lang)}"${version === 3 ? ` lang="${escapeXml(lang)}"` : ''}>
+${head}
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function tocList(entries) {
+  return entries.map(entry => `      <li><a href="${entry.href}">${escapeXml(entry.title)}</a></li>`).join('\n');
+}
+
+// EPUB 3 navigation document: the table of contents plus landmarks for reading systems
+function navPage({ tocTitle, entries, lang, start }) {
+  return chapterPage({
+    title: tocTitle,
+    lang,
+    version: 3,
+    body: `  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(tocTitle)}</h1>
+    <ol>
+${tocList(entries)}
+    </ol>
+  </nav>
+  <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+    <ol>
+      <li><a epub:type="toc" href="nav.xhtml#toc">${escapeXml(tocTitle)}</a></li>${start ? `
+      <li><a epub:type="bodymatter" href="${start.href}">${escapeXml(start.title)}</a></li>` : ''}
+    </ol>
+  </nav>`
+  });
+}
+
+function tocPage({ tocTitle, entries, lang }) {
+  return chapterPage({
+    title: tocTitle,
+    lang,
+    version: 2,
+    body: `  <h1>${escapeXml(tocTitle)}</h1>
+  <ol>
+${tocList(entries)}
+  </ol>`
+  });
+}
+
+function ncx({ identifier, title, entries }) {
+  const points = entries.map((entry, i) => `    <navPoint id="navpoint-${i + 1}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(entry.title)}</text></navLabel>
+      <content src="${entry.href}"/>
+    </navPoint>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+    <meta name="dtb:depth" content="1"/>
+    <meta name="dtb:totalPageCount" content="0"/>
+    <meta name="dtb:maxPageNumber" content="0"/>
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${points}
+  </navMap>
+</ncx>
+`;
+}
+
+// schema.org accessibility metadata (EPUB Accessibility 1.1) for an EPUB 3 package
+function accessibilityMetadata({ images }) {
+  const described = images.every(image => image.described);
+  return [
+    ['accessMode', 'textual'],
+    images.length && ['accessMode', 'visual'],
+    ['accessModeSufficient', 'textual'],
+    ['accessibilityFeature', 'structuralNavigation'],
+    ['accessibilityFeature', 'tableOfContents'],
+    ['accessibilityFeature', 'readingOrder'],
+    images.length && described && ['accessibilityFeature', 'alternativeText'],
+    ['accessibilityHazard', 'none'],
+    ['accessibilitySummary', images.length && !described
+      ? 'Articles with headings and a table of contents. Some images have no text alternative.'
+      : 'Articles with headings and a table of contents; images carry the text alternatives of their sources.']
+  ].filter(Boolean).map(([property, value]) => `    <meta property="schema:${property}">${escapeXml(value)}</meta>`);
+}
+
+function packageDocument(book) {
+  const { version, identifier, title, lang, author, publisher, description, subjects, date, items, spine } = book;
+  const metadata = [
+    version === 3
+      ? `    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`
+      : `    <dc:identifier id="book-id" opf:scheme="UUID">${escapeXml(identifier)}</dc:identifier>`,
+    `    <dc:title>${escapeXml(title)}</dc:title>`,
+    `    <dc:language>${escapeXml(lang)}</dc:language>`,
+    author && (version === 3
+      ? `    <dc:creator>${escapeXml(author)}</dc:creator>`
+      : `    <dc:creator opf:role="aut">${escapeXml(author)}</dc:creator>`),
+    publisher && `    <dc:publisher>${escapeXml(publisher)}</dc:publisher>`,
+    description && `    <dc:description>${escapeXml(description)}</dc:description>`,
+    ...subjects.map(subject => `    <dc:subject>${escapeXml(subject)}</dc:subject>`),
+    `    <dc:date>${version === 3 ? date : date.slice(0, 10)}</dc:date>`,
+    version === 3 && `    <meta property="dcterms:modified">${date}</meta>`,
+    ...(version === 3 ? accessibilityMetadata({ images: items.filter(item => item.data) }) : [])
+  ].filter(Boolean).join('\n');
+
+  const manifest = items.map(item =>
+    `    <item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`
+  ).join('\n');
+  const itemrefs = spine.map(id => `    <itemref idref="${id}"/>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="${version}.0" unique-identifier="book-id"${version === 3 ? ` xml:lang="${escapeXml(lang)}"` : ''}>
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"${version === 2 ? ' xmlns:opf="http://www.idpf.org/2007/opf"' : ''}>
+${metadata}
+  </metadata>
+  <manifest>
+${manifest}
+  </manifest>
+  <spine toc="ncx">
+${itemrefs}
+  </spine>${version === 2 ? `
+  <guide>
+    <reference type="toc" title="${escapeXml(book.tocTitle)}" href="toc.xhtml"/>
+  </guide>` : ''}
+</package>
+`;
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+// EPUB as a Buffer
+// book: {
+//   title, author, publisher, description, lang, css, tocTitle,
+//   subjects: [string] recorded as dc:subject,
+//   version: 3 | 2,
+//   date: ISO time recorded as the publication/modification date (default now),
+//   identifier: defaults to a urn:uuid derived from the title and author,
+//   policy: ./html sanitizer policy for chapters (default: the epub3 or epub2 one),
+//   chapters: [{ title, content, lang, excludeFromToc, beforeToc,
+//                meta: { source, published, category } }]
+// }
+function buildEpub(book) {
+  const {
+    title,
+    author = 'Anthropic',
+    publisher = 'Anthropic',
+    description = '',
+    lang = 'en',
+    css = BOOK_CSS,
+    tocTitle = 'Contents',
+    subjects = [],
+    version = 3,
+    chapters
+  } = book;
+  if (version !== 2 && version !== 3) throw new Error(`Unsupported EPUB version ${version}`);
+
+  const date = new Date(book.date || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const identifier = book.identifier || stableIdentifier([title, author].join('\n'));
+  const policy = book.policy || policyFor(`epub${version}`);
+  const resources = new Map();
+
+  const pages = chapters.map((chapter, i) => {
+    const id = `chapter-${String(i + 1).padStart(3, '0')}`;
+    const { body, properties } = prepareChapter(chapter.content, { version, resources, policy });
+    return {
+      ...chapter,
+      id,
+      href: `${id}.xhtml`,
+      properties,
+      xhtml: chapterPage({
+        title: chapter.title || title,
+        lang: chapter.lang || lang,
+        version,
+        meta: chapter.meta,
+        body
+      })
+    };
+  });
+
+  const tocEntries = pages.filter(page => !page.excludeFromToc).map(page => ({ title: page.title || title, href: page.href }));
+  const tocId = version === 3 ? 'nav' : 'toc';
+  const items = [
+    version === 3
+      ? { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' }
+      : { id: 'toc', href: 'toc.xhtml', mediaType: 'application/xhtml+xml' },
+    { id: 'ncx', href: 'toc.ncx', mediaType: 'application/x-dtbncx+xml' },
+    { id: 'css', href: 'style.css', mediaType: 'text/css' },
+    ...pages.map(page => ({ id: page.id, href: page.href, mediaType: 'application/xhtml+xml', properties: page.properties || undefined })),
+    ...[...resources.values()]
+  ];
+  const spine = [
+    ...pages.filter(page => page.beforeToc).map(page => page.id),
+    tocId,
+    ...pages.filter(page => !page.beforeToc).map(page => page.id)
+  ];
+  const start = pages.find(page => !page.beforeToc);
+
+  const files = [
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: CONTAINER },
+    { name: 'OEBPS/content.opf', data: packageDocument({ version, identifier, title, lang, author, publisher, description, subjects, date, items, spine, tocTitle }) },
+    { name: 'OEBPS/toc.ncx', data: ncx({ identifier, title, entries: tocEntries }) },
+    version === 3
+      ? { name: 'OEBPS/nav.xhtml', data: navPage({ tocTitle, entries: tocEntries, lang, start: start && { href: start.href, title: start.title || title } }) }
+      : { name: 'OEBPS/toc.xhtml', data: tocPage({ tocTitle, entries: tocEntries, lang }) },
+    { name: 'OEBPS/style.css', data: css },
+    ...pages.map(page => ({ name: `OEBPS/${page.href}`, data: page.xhtml })),
+    ...[...resources.values()].map(resource => ({ name: `OEBPS/${resource.href}`, data: resource.data, store: true }))
+  ];
+
+  return createZip(files);
+}
+
+module.exports = { buildEpub, localImageUrls, readImageSource, sniffImage, altText, BOOK_CSS, KINDLE_CSS, IMAGE_TYPES };
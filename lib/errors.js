@@ -0,0 +1,19 @@
+/**
+ * Shared error types and process exit codes
+ */
+
+const EXIT = {
+  OK: 0,
+  FAILURE: 1,   // the command ran but something went wrong
+  USAGE: 2      // bad arguments or configuration
+};
+
+// Bad command-line usage; the CLI prints the message and exits with EXIT.USAGE
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+module.exports = { EXIT, UsageError };
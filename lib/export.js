@@ -0,0 +1,112 @@
+/**
+ * Markdown and plain-text export
+ * Writes every saved page in full-articles/ as a file of its own, for notes
+ * tools, grep and git: Markdown with YAML front matter (title, author, date,
+ * category, source URL) whose images are saved in an assets/ folder beside
+ * it, or plain text. Files are named after the saved pages and images by
+ * content, and nothing records the export time, so an unchanged article
+ * exports to the same bytes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseHtml, innerHtml, sanitize, policyFor, toMarkdown, toText } = require('./html');
+const { loadArticles, imageUrls, fetchImages, optimizeImages } = require('./book');
+const { optimizeOptions } = require('./images');
+
+const FORMATS = {
+  markdown: { ext: 'md' },
+  text: { ext: 'txt' }
+};
+
+// Image folder beside the Markdown files
+const ASSETS_DIR = 'assets';
+// What Markdown viewers and notes tools display
+const WEB_FORMATS = ['jpeg', 'png', 'gif', 'svg', 'webp', 'avif'];
+
+// ISO date when the page gave one, else the date as shown
+function articleDate(article) {
+  return article.published && !isNaN(new Date(article.published)) ? article.published : article.date;
+}
+
+function frontMatter(article) {
+  const fields = {
+    title: article.title,
+    author: article.author,
+    date: articleDate(article),
+    category: article.category,
+    categories: article.categories && article.categories.length > 1 ? article.categories : null,
+    source: article.url
+  };
+  const present = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+  return `---\n${YAML.stringify(present, { lineWidth: 0 })}---\n`;
+}
+
+function markdownFile(article, imageSrc) {
+  return `${frontMatter(article)}\n# ${article.title}\n\n${toMarkdown(article.content, { imageSrc })}`;
+}
+
+// An article as plain text: underlined title, byline, source, body
+function articleText(article) {
+  const byline = [article.author, article.date, ...(article.categories || [article.category])].filter(Boolean).join(' · ');
+  const details = [byline, article.url && `Source: ${article.url}`].filter(Boolean).join('\n');
+  const title = `${article.title}\n${'='.repeat(Math.min(article.title.length, 72))}`;
+  return [title, details, toText(article.content)].filter(Boolean).join('\n\n');
+}
+
+// Write one file per article; returns { articles, outputDir, images }
+// options: {
+//   articlesDir, outputDir, sources, http, concurrency, dryRun,
+//   format: 'markdown' | 'text',
+//   imageOptions: config.images, for the images saved beside Markdown,
+//   duplicateThreshold: similarity at which saved pages are merged (config.duplicates.threshold)
+// }
+async function exportArticles(options) {
+  const { articlesDir, outputDir, sources, http, concurrency, dryRun, format = 'markdown' } = options;
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+
+  console.log(`📝 Exporting articles as ${format}\n`);
+  const processing = optimizeOptions(options.imageOptions, { formats: WEB_FORMATS });
+  const articles = loadArticles(articlesDir, sources, { imageWidth: processing.maxWidth, threshold: options.duplicateThreshold });
+  if (dryRun) {
+    console.log(`\n🧪 Dry run: would write ${articles.length} .${spec.ext} files to ${outputDir}`);
+    return { articles: articles.length, outputDir: null, images: 0 };
+  }
+
+  const policy = policyFor(format);
+  for (const article of articles) article.content = innerHtml(sanitize(parseHtml(article.content), policy, { localImages: true }));
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  let images = new Map();
+  if (format === 'markdown') {
+    const urls = [...new Set(articles.flatMap(article => imageUrls(article.content)))];
+    console.log(`\n📥 Downloading ${urls.length} images...`);
+    images = await fetchImages(urls, { http, concurrency });
+    if (images.size > 0) await optimizeImages(images, processing);
+
+    // Named by content; cleared so stale images do not linger
+    const assetsDir = path.join(outputDir, ASSETS_DIR);
+    fs.rmSync(assetsDir, { recursive: true, force: true });
+    if (images.size > 0) fs.mkdirSync(assetsDir, { recursive: true });
+    for (const image of images.values()) fs.writeFileSync(path.join(assetsDir, image.name), image.data);
+  }
+
+  // Images that could not be saved keep their remote URL
+  const imageSrc = (src) => {
+    const image = images.get(src);
+    if (image) return `${ASSETS_DIR}/${image.name}`;
+    return /^https?:\/\//i.test(src) ? src : '';
+  };
+  for (const article of articles) {
+    const file = path.join(outputDir, `${article.filename}.${spec.ext}`);
+    fs.writeFileSync(file, format === 'markdown' ? markdownFile(article, imageSrc) : articleText(article));
+  }
+
+  console.log(`\n✅ Wrote ${articles.length} .${spec.ext} files to ${outputDir}`);
+  if (format === 'markdown') console.log(`🖼️  Images: ${images.size} in ${path.join(outputDir, ASSETS_DIR)}`);
+  return { articles: articles.length, outputDir, images: images.size };
+}
+
+module.exports = { exportArticles, articleText, FORMATS };
@@ -0,0 +1,91 @@
+/**
+ * Saved-page extraction
+ * Pulls title, date, URL, category, content and image URLs out of a page saved in
+ * full-articles/, using the rules of the source its filename prefix maps to.
+ * Relative links resolve against the page's own address when it carries a
+ * browser's "saved from url" comment, as archived pages do (see ./archive),
+ * and images archived beside a page in <name>_files/ are used in place of
+ * the remote ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { extractArticle, parseHtml, innerHtml, elements } = require('./html');
+const { sourceForFile } = require('./sources');
+const { sha256 } = require('./util');
+
+// <!-- saved from url=(0042)https://... --> as browsers write it
+function savedFromComment(url) {
+  return `<!-- saved from url=(${String(url.length).padStart(4, '0')})${url} -->`;
+}
+
+function savedFromUrl(html) {
+  const match = html.slice(0, 1024).match(/<!-- saved from url=\(\d+\)(https?:\/\/\S+?) -->/i);
+  return match ? match[1] : null;
+}
+
+// Folder holding a saved page's images, and the name (before the
+// extension) of the copy of `url` in it
+function savedImagesDir(htmlPath) {
+  return htmlPath.replace(/\.html$/, '_files');
+}
+
+function savedImageKey(url) {
+  return sha256(url).slice(0, 16);
+}
+
+// Point images with a copy in the page's _files folder at that copy
+function useSavedImages(content, htmlPath) {
+  const dir = savedImagesDir(htmlPath);
+  if (!fs.existsSync(dir)) return content;
+  const files = new Map(fs.readdirSync(dir).map(name => [name.replace(/\.[^.]*$/, ''), name]));
+  const document = parseHtml(content);
+  for (const img of elements(document).filter(element => element.tag === 'img')) {
+    const name = files.get(savedImageKey(img.attrs.src || ''));
+    if (name) img.attrs.src = pathToFileURL(path.join(dir, name)).href;
+  }
+  return innerHtml(document);
+}
+
+// Extract article content; `imageWidth` is the screen width responsive images are chosen for
+function extractSavedArticle(htmlPath, sources, { imageWidth } = {}) {
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  const filename = path.basename(htmlPath, '.html');
+  const source = sourceForFile(filename, sources);
+  const savedFrom = savedFromUrl(html);
+  const extracted = extractArticle(html, { url: savedFrom || source.baseUrl, source, sources, imageWidth });
+  const article = { ...extracted, content: useSavedImages(extracted.content, htmlPath) };
+
+  // Title, falling back to the filename
+  const title = article.title || filename.slice(source.filenamePrefix.length).replace(/-/g, ' ');
+
+  // Images
+  const images = [];
+  const imgRegex = /<img[^>]+src="([^"]+)"[^>]*>/gi;
+  let match;
+  while ((match = imgRegex.exec(article.content)) !== null) {
+    const src = match[1];
+    if (src && !src.includes('data:image/svg') && !src.includes('favicon')) {
+      images.push(src);
+    }
+  }
+
+  return {
+    title,
+    author: article.author,
+    date: article.date,
+    published: article.published,
+    url: article.canonicalUrl || savedFrom,
+    lang: article.lang,
+    leadImage: article.leadImage,
+    category: source.category,
+    content: article.content,
+    text: article.text,
+    images,
+    filename,
+    source: source.name
+  };
+}
+
+module.exports = { extractSavedArticle, savedFromComment, savedImagesDir, savedImageKey };
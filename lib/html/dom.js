@@ -0,0 +1,312 @@
+/**
+ * Tolerant HTML parser
+ * Builds a light DOM of { type, tag, attrs, children, parent } nodes. Handles
+ * void and raw-text elements, implied end tags (<p>, <li>, <td> ...) and
+ * stray or misnested end tags roughly the way browsers do. Text nodes keep
+ * their source markup so serializing an untouched tree gives the input back.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Content is text up to the matching end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'iframe', 'xmp']);
+
+// Start tags that close an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li', 'main', 'menu', 'nav', 'ol',
+  'p', 'pre', 'section', 'table', 'ul', 'dd', 'dt'
+]);
+const P_SCOPE = new Set(['button', 'table', 'td', 'th', 'caption', 'object', 'template', 'html']);
+
+// Start tags that close an open sibling, searched no further than `scope`
+const IMPLIED_END = {
+  li: { closes: ['li'], scope: ['ul', 'ol', 'menu'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  option: { closes: ['option'], scope: ['select', 'datalist', 'optgroup'] },
+  optgroup: { closes: ['optgroup', 'option'], scope: ['select'] },
+  tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] }
+};
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0', shy: '\u00ad',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', times: '×', divide: '÷', micro: 'µ', para: '¶', sect: '§',
+  middot: '·', bull: '•', hellip: '…', prime: '′', Prime: '″', laquo: '«', raquo: '»',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', le: '≤', ge: '≥', ne: '≠', asymp: '≈', infin: '∞',
+  minus: '−', frac12: '½', frac14: '¼', frac34: '¾', euro: '€', pound: '£', yen: '¥', cent: '¢',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d'
+};
+
+// Decode character references in HTML text; unknown names are left alone
+function decodeHtml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] || ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+// Escape text for an attribute value, leaving existing character references intact
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&(?!(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
+
+function escapeText(text) {
+  return String(text).replace(/&(?!(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;').replace(/</g, '&lt;');
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const attrRegex = /([^\s"'=/>][^\s"'=/>]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrRegex.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    if (name in attrs) continue;
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    attrs[name] = decodeHtml(value);
+  }
+  return attrs;
+}
+
+function createElement(tag, attrs = {}) {
+  return { type: 'element', tag, attrs, children: [], parent: null };
+}
+
+function createText(text) {
+  return { type: 'text', text, parent: null };
+}
+
+function appendChild(parent, node) {
+  if (node.parent) removeNode(node);
+  node.parent = parent;
+  parent.children.push(node);
+  return node;
+}
+
+function removeNode(node) {
+  if (!node.parent) return node;
+  const siblings = node.parent.children;
+  const index = siblings.indexOf(node);
+  if (index !== -1) siblings.splice(index, 1);
+  node.parent = null;
+  return node;
+}
+
+// Replace `node` with `replacements` (nodes) in its parent
+function replaceNode(node, replacements) {
+  const parent = node.parent;
+  if (!parent) return;
+  const index = parent.children.indexOf(node);
+  for (const replacement of replacements) {
+    if (replacement.parent) removeNode(replacement);
+    replacement.parent = parent;
+  }
+  parent.children.splice(index, 1, ...replacements);
+  node.parent = null;
+}
+
+// Replace an element with its children
+function unwrapNode(node) {
+  replaceNode(node, [...node.children]);
+}
+
+// Parse an HTML document or fragment and return a synthetic document node
+function parseHtml(html) {
+  const document = { type: 'document', tag: '#document', attrs: {}, children: [], parent: null };
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const startTagRegex = /<([a-z][^\s/>]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/iy;
+  const endTagRegex = /<\/([a-z][^\s/>]*)[^>]*>/iy;
+  let pos = 0;
+
+  const appendText = text => {
+    if (!text) return;
+    const parent = current();
+    const last = parent.children[parent.children.length - 1];
+    if (last && last.type === 'text') last.text += text;
+    else appendChild(parent, createText(text));
+  };
+
+  // Pop up to and including the outermost open `tags` element below the nearest
+  // `scope` element, so a new <tr> closes the open <td> and its row
+  const closeOpen = (tags, scope) => {
+    let outermost = -1;
+    for (let i = stack.length - 1; i > 0 && !scope.has(stack[i].tag); i--) {
+      if (tags.includes(stack[i].tag)) outermost = i;
+    }
+    if (outermost !== -1) stack.length = outermost;
+  };
+
+  while (pos < html.length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) {
+      appendText(html.slice(pos));
+      break;
+    }
+    appendText(html.slice(pos, lt));
+    pos = lt;
+
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      const text = html.slice(pos + 4, end === -1 ? html.length : end);
+      appendChild(current(), { type: 'comment', text, parent: null });
+      pos = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+      const end = html.indexOf('>', pos);
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    endTagRegex.lastIndex = pos;
+    const endMatch = endTagRegex.exec(html);
+    if (endMatch) {
+      pos = endTagRegex.lastIndex;
+      const tag = endMatch[1].toLowerCase();
+      if (tag === 'br') {
+        appendChild(current(), createElement('br'));
+        continue;
+      }
+      // Unmatched end tags are ignored
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tag) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    startTagRegex.lastIndex = pos;
+    const startMatch = startTagRegex.exec(html);
+    if (!startMatch) {
+      appendText('<');
+      pos++;
+      continue;
+    }
+    pos = startTagRegex.lastIndex;
+
+    const tag = startMatch[1].toLowerCase();
+    const selfClosing = /\/\s*$/.test(startMatch[2]);
+    const element = createElement(tag, parseAttributes(startMatch[2].replace(/\/\s*$/, '')));
+
+    if (CLOSES_P.has(tag)) closeOpen(['p'], P_SCOPE);
+    if (IMPLIED_END[tag]) closeOpen(IMPLIED_END[tag].closes, new Set(IMPLIED_END[tag].scope));
+    appendChild(current(), element);
+
+    if (VOID_ELEMENTS.has(tag) || selfClosing) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const closeRegex = new RegExp(`</${tag}\\s*>`, 'ig');
+      closeRegex.lastIndex = pos;
+      const close = closeRegex.exec(html);
+      const end = close ? close.index : html.length;
+      if (end > pos) appendChild(element, createText(html.slice(pos, end)));
+      pos = close ? closeRegex.lastIndex : html.length;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return document;
+}
+
+// Serialize a node and its descendants
+function outerHtml(node) {
+  switch (node.type) {
+    case 'text':
+      return node.text;
+    case 'comment':
+      return `<!--${node.text}-->`;
+    case 'document':
+      return innerHtml(node);
+    default: {
+      const attrs = Object.entries(node.attrs)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join('');
+      if (VOID_ELEMENTS.has(node.tag)) return `<${node.tag}${attrs}>`;
+      return `<${node.tag}${attrs}>${innerHtml(node)}</${node.tag}>`;
+    }
+  }
+}
+
+function innerHtml(node) {
+  return node.children.map(outerHtml).join('');
+}
+
+// Decoded text of a node, skipping scripts, styles and comments
+function rawText(node) {
+  if (node.type === 'text') return decodeHtml(node.text);
+  if (node.type === 'comment') return '';
+  if (node.tag === 'script' || node.tag === 'style' || node.tag === 'template') return '';
+  return node.children.map(rawText).join('');
+}
+
+// Visible text of a node with whitespace collapsed
+function textContent(node) {
+  return rawText(node).replace(/\s+/g, ' ').trim();
+}
+
+// Every element below `node` in document order
+function elements(node) {
+  const found = [];
+  const visit = parent => {
+    for (const child of parent.children) {
+      if (child.type !== 'element') continue;
+      found.push(child);
+      visit(child);
+    }
+  };
+  visit(node);
+  return found;
+}
+
+function elementChildren(node) {
+  return node.children.filter(child => child.type === 'element');
+}
+
+// Nearest ancestor (or the node itself) with one of `tags`
+function closest(node, tags) {
+  for (let current = node; current && current.type === 'element'; current = current.parent) {
+    if (tags.includes(current.tag)) return current;
+  }
+  return null;
+}
+
+module.exports = {
+  VOID_ELEMENTS,
+  parseHtml,
+  outerHtml,
+  innerHtml,
+  rawText,
+  textContent,
+  decodeHtml,
+  escapeText,
+  escapeAttribute,
+  elements,
+  elementChildren,
+  closest,
+  createElement,
+  createText,
+  appendChild,
+  removeNode,
+  replaceNode,
+  unwrapNode
+};
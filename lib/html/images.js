@@ -0,0 +1,226 @@
+/**
+ * Responsive image selection
+ * Turns every <img> and <picture> in a page into a plain <img src> in the
+ * same place, choosing what a browser with a `viewport`-pixel-wide window
+ * would load: <picture> sources by media query, srcset candidates by
+ * `sizes`, real URLs behind lazy-loading attributes and <noscript>
+ * fallbacks, and originals behind image proxies such as Next.js's
+ * /_next/image.
+ */
+
+const { parseHtml, elements, elementChildren, replaceNode, removeNode } = require('./dom');
+const { resolveUrl } = require('../discovery/util');
+
+// Width images are chosen for when the caller gives none
+const DEFAULT_VIEWPORT = 1600;
+
+// Where lazy-loading scripts keep the real URL, most specific first
+const LAZY_SRC = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-actualsrc', 'data-echo', 'data-hi-res-src'];
+const LAZY_SRCSET = ['data-srcset', 'data-lazy-srcset'];
+// Formats ./images can read; <picture> sources of other types are skipped
+const READABLE_TYPES = /^image\/(jpeg|png|gif|webp|avif|svg\+xml|tiff)$/i;
+const FONT_SIZE = 16;
+
+// Split on commas outside parentheses
+function splitList(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// srcset candidates: [{ url, width, density }] (width or density may be null)
+// URLs may themselves contain commas, so a candidate's URL runs to the next whitespace
+function parseSrcset(srcset) {
+  const candidates = [];
+  let position = 0;
+  while (position < srcset.length) {
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    if (position >= srcset.length) break;
+    const start = position;
+    while (position < srcset.length && !/\s/.test(srcset[position])) position++;
+    let url = srcset.slice(start, position);
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      while (position < srcset.length && srcset[position] !== ',') descriptor += srcset[position++];
+      descriptor = descriptor.trim();
+    }
+    const width = descriptor.match(/^(\d+)w$/);
+    const density = descriptor.match(/^(\d*\.?\d+)x$/);
+    if (descriptor && !width && !density) continue;
+    candidates.push({ url, width: width ? Number(width[1]) : null, density: density ? Number(density[1]) : width ? null : 1 });
+  }
+  return candidates;
+}
+
+// Pixels for a CSS length (px, em, rem, vw), or null
+function lengthInPixels(length, viewport) {
+  const match = length.trim().match(/^(\d*\.?\d+)(px|em|rem|vw)?$/i);
+  if (!match) return null;
+  const value = Number(match[1]);
+  switch ((match[2] || 'px').toLowerCase()) {
+    case 'vw': return value / 100 * viewport;
+    case 'em': case 'rem': return value * FONT_SIZE;
+    default: return value;
+  }
+}
+
+// Whether a media query holds for a `viewport`-pixel-wide screen; only
+// width features are known, so anything else (dark mode, print...) does not match
+function mediaMatches(media, viewport) {
+  if (!media || /^\s*(all|screen)\s*$/i.test(media)) return true;
+  return splitList(media).some((query) => {
+    const features = query.replace(/^\s*(only\s+)?(all|screen)\s+and\s+/i, '').split(/\s+and\s+/i);
+    return features.every((feature) => {
+      const match = feature.trim().match(/^\(\s*(min|max)-width\s*:\s*([^)]+)\)$/i);
+      if (!match) return false;
+      const pixels = lengthInPixels(match[2], viewport);
+      if (pixels === null) return false;
+      return match[1].toLowerCase() === 'min' ? viewport >= pixels : viewport <= pixels;
+    });
+  });
+}
+
+// Width in pixels `sizes` gives the image on a `viewport`-pixel-wide screen
+function slotWidth(sizes, viewport) {
+  for (const entry of splitList(sizes || '')) {
+    const match = entry.match(/^(\(.*\))?\s*([^()\s]+)$/);
+    if (!match) continue;
+    if (match[1] && !mediaMatches(match[1], viewport)) continue;
+    return lengthInPixels(match[2], viewport) || viewport;
+  }
+  return viewport;
+}
+
+// The candidate a browser would pick for a `slot`-pixel-wide image: the
+// narrowest one at least that wide, else the widest; with density
+// descriptors only, the sharpest
+function pickCandidate(candidates, slot) {
+  const sized = candidates.filter(candidate => candidate.width).sort((a, b) => a.width - b.width);
+  if (sized.length) return sized.find(candidate => candidate.width >= slot) || sized[sized.length - 1];
+  return [...candidates].sort((a, b) => b.density - a.density)[0] || null;
+}
+
+// The original image behind an image-resizing proxy URL, else `url`
+function unwrapImageProxy(url) {
+  for (let depth = 0; depth < 3; depth++) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return url;
+    }
+    let original = null;
+    if (/\/_next\/image\/?$/.test(parsed.pathname)) {
+      // Next.js: /_next/image?url=<original>&w=<width>&q=<quality>
+      original = parsed.searchParams.get('url') && resolveUrl(parsed.searchParams.get('url'), url);
+    } else if (/^\/cdn-cgi\/image\/[^/]+\/./.test(parsed.pathname)) {
+      // Cloudflare: /cdn-cgi/image/<options>/<original path or URL>
+      original = resolveUrl(parsed.pathname.replace(/^\/cdn-cgi\/image\/[^/]+\//, '').replace(/^(https?):\/(?!\/)/, '$1://') + parsed.search, `${parsed.origin}/`);
+    } else if (/^(images\.weserv\.nl|wsrv\.nl)$/.test(parsed.hostname) && parsed.searchParams.get('url')) {
+      const target = parsed.searchParams.get('url');
+      original = resolveUrl(/^https?:\/\//i.test(target) ? target : `https://${target}`);
+    } else if (/^i[0-3]\.wp\.com$/.test(parsed.hostname)) {
+      // Jetpack: i0.wp.com/<host>/<path>
+      original = resolveUrl(`https://${parsed.pathname.slice(1)}`);
+    }
+    if (!original || original === url) return url;
+    url = original;
+  }
+  return url;
+}
+
+function lazySource(img) {
+  return LAZY_SRC.map(name => img.attrs[name]).find(value => value && value.trim()) || '';
+}
+
+// A src that is only there until a script swaps in the real image
+function isPlaceholder(src) {
+  return !src || !src.trim() || /^data:/i.test(src.trim()) || /\/(blank|spacer|placeholder|pixel|transparent|lazy[-_]?load\w*)\.(gif|png|svg)(\?|$)/i.test(src);
+}
+
+// Best URL for an <img>, or '' when it has none
+function imageSource(img, viewport) {
+  const { attrs } = img;
+  const srcset = LAZY_SRCSET.map(name => attrs[name]).find(Boolean) || attrs.srcset || '';
+  const sizes = attrs['data-sizes'] && attrs['data-sizes'] !== 'auto' ? attrs['data-sizes'] : attrs.sizes;
+  const candidate = pickCandidate(parseSrcset(srcset), slotWidth(sizes, viewport));
+  if (candidate) return candidate.url;
+  const lazy = lazySource(img);
+  if (lazy) return lazy;
+  return attrs.src && attrs.src.trim() ? attrs.src.trim() : '';
+}
+
+// The <source> of a <picture> a browser would use, or null for the <img> itself
+function pictureSource(picture, viewport) {
+  for (const source of elementChildren(picture)) {
+    if (source.tag !== 'source') continue;
+    const { attrs } = source;
+    if (attrs.type && !READABLE_TYPES.test(attrs.type.trim())) continue;
+    if (!mediaMatches(attrs.media, viewport)) continue;
+    const srcset = attrs.srcset || attrs['data-srcset'] || '';
+    const candidate = pickCandidate(parseSrcset(srcset), slotWidth(attrs.sizes, viewport));
+    if (candidate) return candidate.url;
+  }
+  return null;
+}
+
+// Swap <noscript> fallbacks in for the lazy placeholders they stand beside
+function useNoscriptFallbacks(document) {
+  for (const noscript of elements(document).filter(element => element.tag === 'noscript')) {
+    if (!noscript.parent) continue;
+    const fallback = elements(parseHtml(noscript.children.map(child => child.text || '').join(''))).find(element => element.tag === 'img');
+    if (!fallback) continue;
+    const siblings = elementChildren(noscript.parent);
+    const previous = siblings[siblings.indexOf(noscript) - 1];
+    if (previous && previous.tag === 'img') {
+      const stub = !lazySource(previous) && !previous.attrs.srcset && !LAZY_SRCSET.some(name => previous.attrs[name]) && isPlaceholder(previous.attrs.src);
+      if (stub) replaceNode(previous, [fallback]);
+      removeNode(noscript);
+    } else {
+      replaceNode(noscript, [fallback]);
+    }
+  }
+}
+
+// Give every image in `document` a single absolute src chosen for `viewport`,
+// in place: <picture> becomes its <img>, srcset and lazy-loading attributes go
+function selectImages(document, { baseUrl = '', viewport = DEFAULT_VIEWPORT } = {}) {
+  useNoscriptFallbacks(document);
+  const absolute = src => (/^data:/i.test(src) ? src : unwrapImageProxy(resolveUrl(src, baseUrl) || src));
+
+  const settle = (img, chosen) => {
+    if (chosen) img.attrs.src = absolute(chosen);
+    for (const name of ['srcset', 'sizes', 'loading', 'decoding', 'data-sizes', ...LAZY_SRC, ...LAZY_SRCSET]) delete img.attrs[name];
+  };
+
+  // A <picture>'s <img> is settled here, so its own lazy attributes cannot override the <source>
+  const pictured = new Set();
+  for (const picture of elements(document).filter(element => element.tag === 'picture')) {
+    const img = elements(picture).find(element => element.tag === 'img');
+    if (!img) continue;
+    settle(img, pictureSource(picture, viewport) || imageSource(img, viewport));
+    replaceNode(picture, [img]);
+    pictured.add(img);
+  }
+
+  for (const img of elements(document).filter(element => element.tag === 'img' && !pictured.has(element))) {
+    settle(img, imageSource(img, viewport));
+  }
+  return document;
+}
+
+module.exports = { selectImages, parseSrcset, slotWidth, pickCandidate, unwrapImageProxy, DEFAULT_VIEWPORT };
@@ -0,0 +1,32 @@
+/**
+ * HTML parsing and article extraction
+ * Shared by article downloads, saved-page extraction and every compile format.
+ */
+
+const dom = require('./dom');
+const { parseSelector, matches, querySelectorAll, querySelector, selectFirst } = require('./select');
+const { extractMetadata, stripSiteName } = require('./metadata');
+const { extractArticle } = require('./readability');
+const { selectImages, parseSrcset, unwrapImageProxy } = require('./images');
+const { sanitize, policyFor, POLICIES } = require('./sanitize');
+const { toMarkdown, toText } = require('./markdown');
+
+module.exports = {
+  ...dom,
+  parseSelector,
+  matches,
+  querySelectorAll,
+  querySelector,
+  selectFirst,
+  extractMetadata,
+  extractArticle,
+  selectImages,
+  parseSrcset,
+  unwrapImageProxy,
+  sanitize,
+  policyFor,
+  POLICIES,
+  toMarkdown,
+  toText,
+  stripSiteName
+};
@@ -0,0 +1,249 @@
+/**
+ * HTML to Markdown and plain text
+ * Renders sanitized article markup (see ./sanitize) as CommonMark with GFM
+ * tables and code fences, or as plain text wrapped for email bodies.
+ * Headings, lists, links, tables, code blocks with their language, figures
+ * and formulas (as TeX when the page has it) keep their meaning in both.
+ */
+
+const { parseHtml, elementChildren, rawText, decodeHtml } = require('./dom');
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'ul', 'body', 'html'
+]);
+const TEXT_WIDTH = 72;
+
+function isBlock(node) {
+  return node.type === 'element' && (BLOCK_TAGS.has(node.tag) || (node.tag === 'math' && node.attrs.display === 'block'));
+}
+
+// Backslash-escape what Markdown would read as markup; underscores inside
+// words (snake_case) are left alone, as Markdown does
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*[\]<])/g, '\\$1').replace(/(?<![A-Za-z0-9])_|_(?![A-Za-z0-9])/g, '\\_');
+}
+
+// Shortest backtick run that does not occur in `text`, at least `min` long
+function fence(text, min) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(min, longest + 1));
+}
+
+// Move surrounding spaces outside `marker`s, which Markdown needs hugging the text
+function wrapInline(inner, marker) {
+  const [, before, text, after] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return text ? `${before}${marker}${text}${marker}${after}` : inner;
+}
+
+function codeLanguage(pre) {
+  const code = elementChildren(pre).find(child => child.tag === 'code') || pre;
+  const match = (code.attrs.class || pre.attrs.class || '').match(/\blanguage-([\w+#.-]+)/);
+  return match ? match[1] : '';
+}
+
+// TeX source of a formula, else its alttext, else its text
+function formula(math) {
+  const annotation = elementChildren(math).flatMap(child => [child, ...elementChildren(child)])
+    .find(element => element.tag === 'annotation' && /tex/i.test(element.attrs.encoding || ''));
+  if (annotation) return rawText(annotation).trim();
+  return (math.attrs.alttext || rawText(math)).replace(/\s+/g, ' ').trim();
+}
+
+function wrapText(text, width) {
+  const lines = [];
+  for (const paragraphLine of text.split('\n')) {
+    let line = '';
+    for (const word of paragraphLine.split(' ').filter(Boolean)) {
+      if (line && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+function indent(text, first, rest = ' '.repeat(first.length)) {
+  return text.split('\n').map((line, i) => (line ? `${i === 0 ? first : rest}${line}` : line)).join('\n');
+}
+
+// options: { markdown, imageSrc, width }
+function createRenderer({ markdown, imageSrc, width }) {
+  const inline = (node) => {
+    if (node.type === 'text') {
+      const text = decodeHtml(node.text).replace(/\s+/g, ' ');
+      return markdown ? escapeMarkdown(text) : text;
+    }
+    if (node.type !== 'element') return '';
+    const inner = () => node.children.map(inline).join('');
+    switch (node.tag) {
+      case 'br':
+        return markdown ? '\\\n' : '\n';
+      case 'strong': case 'b':
+        return markdown ? wrapInline(inner(), '**') : inner();
+      case 'em': case 'i': case 'cite': case 'dfn': case 'var':
+        return markdown ? wrapInline(inner(), '*') : inner();
+      case 'del': case 's':
+        return markdown ? wrapInline(inner(), '~~') : inner();
+      case 'code': case 'kbd': case 'samp': {
+        const code = rawText(node).replace(/\s+/g, ' ');
+        if (!markdown || !code.trim()) return code;
+        const marks = fence(code, 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${marks}${padding}${code}${padding}${marks}`;
+      }
+      case 'sup': case 'sub':
+        return markdown ? `<${node.tag}>${inner()}</${node.tag}>` : inner();
+      case 'a': {
+        const text = inner();
+        const href = node.attrs.href;
+        if (!href) return text;
+        if (!markdown) return /^https?:/i.test(href) && text.trim() !== href ? `${text} (${href})` : text;
+        const target = /[\s()<>]/.test(href) ? `<${href.replace(/[<>]/g, encodeURIComponent)}>` : href;
+        return `[${text.trim() || escapeMarkdown(href)}](${target})`;
+      }
+      case 'img': {
+        const alt = (node.attrs.alt || '').replace(/\s+/g, ' ').trim();
+        if (!markdown) return alt ? `[Image: ${alt}]` : '';
+        const src = imageSrc(node.attrs.src || '');
+        return src ? `![${escapeMarkdown(alt)}](${/[\s()<>]/.test(src) ? `<${src}>` : src})` : '';
+      }
+      case 'math':
+        return markdown ? `$${formula(node)}$` : formula(node);
+      default:
+        return inner();
+    }
+  };
+
+  // A run of inline nodes as a paragraph
+  const paragraph = (nodes) => {
+    const text = nodes.map(inline).join('').split('\n').map(line => line.replace(/ +/g, ' ').trim()).join('\n').trim();
+    if (!text) return null;
+    if (markdown) return text.replace(/^(#{1,6}\s|[>+-]\s|=+$)/, '\\$1').replace(/^(\d+)([.)]\s)/, '$1\\$2');
+    return wrapText(text, width);
+  };
+
+  const list = (element) => {
+    const ordered = element.tag === 'ol';
+    let number = Number(element.attrs.start) || 1;
+    const items = elementChildren(element).filter(child => child.tag === 'li').map((li) => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      const parts = blocks(li);
+      const nested = parts.slice(1).every(part => /^(- |\d+\. )/.test(part));
+      return indent(parts.join(nested ? '\n' : '\n\n') || '', marker);
+    });
+    return items.join('\n');
+  };
+
+  const table = (element) => {
+    const rows = [];
+    const visitRows = (parent) => {
+      for (const child of elementChildren(parent)) {
+        if (child.tag === 'tr') rows.push(child);
+        else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) visitRows(child);
+      }
+    };
+    visitRows(element);
+    const cells = rows.map(row => elementChildren(row).filter(cell => cell.tag === 'td' || cell.tag === 'th').flatMap((cell) => {
+      const text = blocks(cell).join(' ').replace(/\s*\n\s*/g, ' ');
+      const cellText = markdown ? text.replace(/(?<!\\)\|/g, '\\|') : text;
+      return [cellText, ...Array(Math.max(0, (Number(cell.attrs.colspan) || 1) - 1)).fill('')];
+    }));
+    const columns = Math.max(0, ...cells.map(row => row.length));
+    if (!columns) return null;
+    const padded = cells.map(row => [...row, ...Array(columns - row.length).fill('')]);
+    const caption = elementChildren(element).find(child => child.tag === 'caption');
+    const title = caption ? paragraph(caption.children) : null;
+    const body = markdown
+      ? [padded[0], Array(columns).fill('---'), ...padded.slice(1)].map(row => `| ${row.join(' | ')} |`).join('\n')
+      : padded.map(row => row.join(' | ').replace(/[\s|]+$/, '')).join('\n');
+    return [title, body].filter(Boolean).join('\n\n');
+  };
+
+  const block = (element) => {
+    switch (element.tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = paragraph(element.children);
+        if (!text) return null;
+        const line = text.replace(/\s*\n\s*/g, ' ');
+        const level = Number(element.tag[1]);
+        if (markdown) return `${'#'.repeat(level)} ${line.replace(/^\\(?=#)/, '')}`;
+        return level <= 2 ? `${line}\n${(level === 1 ? '=' : '-').repeat(line.length)}` : line;
+      }
+      case 'p': case 'dt': case 'summary': {
+        const text = paragraph(element.children);
+        if (!text || element.tag === 'p') return text;
+        return markdown ? wrapInline(text, '__') : text;
+      }
+      case 'figcaption': {
+        // Underscores, so emphasis inside the caption still nests
+        const text = paragraph(element.children);
+        return text && markdown ? wrapInline(text, '_') : text;
+      }
+      case 'hr':
+        return markdown ? '---' : '-'.repeat(Math.min(width, 20));
+      case 'pre': {
+        const code = rawText(element).replace(/^\n/, '').replace(/\s+$/, '');
+        if (!markdown) return indent(code, '    ');
+        const marks = fence(code, 3);
+        return `${marks}${codeLanguage(element)}\n${code}\n${marks}`;
+      }
+      case 'blockquote': {
+        const text = blocks(element).join('\n\n');
+        return text ? text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : null;
+      }
+      case 'ul': case 'ol':
+        return list(element);
+      case 'table':
+        return table(element);
+      case 'math':
+        return markdown ? `$$\n${formula(element)}\n$$` : formula(element);
+      default:
+        return blocks(element).join('\n\n') || null;
+    }
+  };
+
+  // The blocks under `parent`, runs of inline content becoming paragraphs
+  const blocks = (parent) => {
+    const out = [];
+    let run = [];
+    const flush = () => {
+      const text = paragraph(run);
+      if (text) out.push(text);
+      run = [];
+    };
+    for (const child of parent.children) {
+      if (!isBlock(child)) {
+        run.push(child);
+        continue;
+      }
+      flush();
+      const text = block(child);
+      if (text) out.push(text);
+    }
+    flush();
+    return out;
+  };
+
+  return blocks;
+}
+
+// Markdown for an HTML fragment; `imageSrc(src)` gives the path or URL to
+// link each image with, or '' to leave it out
+function toMarkdown(html, { imageSrc = src => src } = {}) {
+  const blocks = createRenderer({ markdown: true, imageSrc })(parseHtml(html));
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// Plain text for an HTML fragment, paragraphs wrapped at `width` columns
+function toText(html, { width = TEXT_WIDTH } = {}) {
+  const blocks = createRenderer({ markdown: false, width })(parseHtml(html));
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = { toMarkdown, toText };
@@ -0,0 +1,182 @@
+/**
+ * Article metadata
+ * Title, author, publish date, lead image, canonical URL, site name and excerpt from the
+ * source's selectors, JSON-LD, OpenGraph/Twitter/Dublin Core meta tags and
+ * common byline markup, in that order of preference.
+ */
+
+const { textContent } = require('./dom');
+const { querySelectorAll, selectFirst } = require('./select');
+const { toIsoDate, resolveUrl, urlKey } = require('../discovery/util');
+const { siteOf, sourceForUrl } = require('../sources');
+
+const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|TechArticle|ScholarlyArticle|Report|ReportageNewsArticle|AnalysisNewsArticle|WebPage)$/;
+const DATE_PATTERN = /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2}, \d{4}\b/;
+
+// <meta> values keyed by lowercased property/name/itemprop
+function metaTags(document) {
+  const meta = {};
+  for (const element of querySelectorAll(document, 'meta')) {
+    const key = (element.attrs.property || element.attrs.name || element.attrs.itemprop || '').toLowerCase();
+    const value = (element.attrs.content || '').trim();
+    if (key && value && !(key in meta)) meta[key] = value;
+  }
+  return meta;
+}
+
+// First schema.org article object in the page's JSON-LD blocks
+function jsonLdArticle(document) {
+  const candidates = [];
+  const collect = value => {
+    if (Array.isArray(value)) value.forEach(collect);
+    else if (value && typeof value === 'object') {
+      candidates.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  for (const script of querySelectorAll(document, 'script[type="application/ld+json"]')) {
+    try {
+      collect(JSON.parse(script.children.map(child => child.text).join('')));
+    } catch (e) {
+      // Broken JSON-LD is common; ignore it
+    }
+  }
+
+  return candidates.find(item => [].concat(item['@type'] || []).some(type => ARTICLE_TYPES.test(type))) || null;
+}
+
+function nameOf(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(nameOf).filter(Boolean).join(', ');
+  return value.name || '';
+}
+
+function imageOf(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return imageOf(value[0]);
+  return value.url || value.contentUrl || '';
+}
+
+// "By Jane Doe and John Roe" -> "Jane Doe and John Roe"
+function cleanByline(text) {
+  return text.replace(/\s+/g, ' ').replace(/^\s*(written\s+)?by[:\s]+/i, '').trim();
+}
+
+// Remove " | Site", " - Site", " \ Site" (or a leading "Site | ") from a title
+function stripSiteName(title, siteName) {
+  if (!siteName) return title.trim();
+  const escaped = siteName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return title
+    .replace(new RegExp(`\\s*[\\\\|–—:-]\\s*${escaped}\\s*$`, 'i'), '')
+    .replace(new RegExp(`^\\s*${escaped}\\s*[\\\\|–—:]\\s*`, 'i'), '')
+    .trim();
+}
+
+function findTitle(document, meta, ld, source) {
+  const fromSelector = selectFirst(document, source.selectors.title);
+  if (fromSelector && textContent(fromSelector)) return textContent(fromSelector);
+  if (ld && ld.headline) return ld.headline;
+  if (meta['og:title']) return meta['og:title'];
+  if (meta['twitter:title']) return meta['twitter:title'];
+
+  const headings = querySelectorAll(document, 'h1').filter(h1 => textContent(h1));
+  if (headings.length === 1) return textContent(headings[0]);
+
+  const titleElement = selectFirst(document, ['title']);
+  return titleElement ? textContent(titleElement) : '';
+}
+
+function findAuthor(document, meta, ld, source) {
+  const fromSelector = selectFirst(document, source.selectors.author);
+  if (fromSelector && textContent(fromSelector)) return cleanByline(textContent(fromSelector));
+  if (ld && nameOf(ld.author)) return nameOf(ld.author);
+
+  for (const key of ['author', 'article:author', 'dc.creator', 'parsely-author', 'sailthru.author']) {
+    if (meta[key] && !/^https?:\/\//.test(meta[key])) return meta[key];
+  }
+
+  const byline = selectFirst(document, ['[rel=author]', '[itemprop=author]', '[class*=byline]', '[class*=author]']);
+  const text = byline ? cleanByline(textContent(byline)) : '';
+  return text.length > 0 && text.length < 100 ? text : '';
+}
+
+// Date as shown on the page ("Jan 5, 2026") and as an ISO timestamp
+function findDate(document, meta, ld, source) {
+  for (const selector of source.selectors.date || []) {
+    for (const element of querySelectorAll(document, selector)) {
+      const match = textContent(element).match(DATE_PATTERN);
+      if (match) return { dateText: match[0], published: toIsoDate(match[0]) };
+      if (element.attrs.datetime) return { dateText: '', published: toIsoDate(element.attrs.datetime) };
+    }
+  }
+
+  const candidates = [
+    ld && ld.datePublished,
+    meta['article:published_time'],
+    meta['og:published_time'],
+    meta['datepublished'],
+    meta['dc.date'],
+    meta['date'],
+    meta['parsely-pub-date']
+  ];
+  const time = selectFirst(document, ['time[datetime]']);
+  if (time) candidates.push(time.attrs.datetime);
+
+  for (const candidate of candidates) {
+    const published = toIsoDate(candidate);
+    if (published) return { dateText: '', published };
+  }
+
+  // Last resort: the first date-looking text near the top of the page
+  const loose = textContent(selectFirst(document, ['body']) || document).slice(0, 5000).match(DATE_PATTERN);
+  return loose ? { dateText: loose[0], published: toIsoDate(loose[0]) } : { dateText: '', published: null };
+}
+
+// "Jan 5, 2026" for an ISO timestamp
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+// The page's own idea of its address: <link rel="canonical">, og:url or JSON-LD.
+// Only trusted when it is an article of one of `sources` on the fetched page's
+// site (a post moved from /news/ to /research/ names its new address), never a
+// home page or listing, which misconfigured sites point every page at
+function findCanonicalUrl(document, meta, ld, url, sources) {
+  const link = selectFirst(document, ['link[rel~="canonical"]']);
+  const candidate = (link && link.attrs.href) || meta['og:url'] ||
+    (ld && (ld.url || (typeof ld.mainEntityOfPage === 'string' ? ld.mainEntityOfPage : ld.mainEntityOfPage && ld.mainEntityOfPage['@id'])));
+  const canonical = resolveUrl(candidate || '', url);
+  if (!canonical || siteOf(canonical) !== siteOf(url) || new URL(canonical).pathname === '/') return null;
+  if (sources.some(source => source.url && urlKey(source.url) === urlKey(canonical))) return null;
+  return sourceForUrl(canonical, sources) ? canonical : null;
+}
+
+// Metadata of a parsed page; `url` resolves relative image links and
+// `sources` are the ones a canonical URL may belong to
+function extractMetadata(document, { source, sources, url }) {
+  const meta = metaTags(document);
+  const ld = jsonLdArticle(document);
+
+  const siteName = source.siteName || meta['og:site_name'] || (ld && nameOf(ld.publisher)) || '';
+  const title = stripSiteName(findTitle(document, meta, ld, source), siteName);
+  const { dateText, published } = findDate(document, meta, ld, source);
+  const leadImage = resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || imageOf(ld && ld.image), url) || null;
+  const html = selectFirst(document, ['html']);
+
+  return {
+    title,
+    author: findAuthor(document, meta, ld, source),
+    published,
+    date: dateText || (published ? formatDate(published) : ''),
+    leadImage,
+    canonicalUrl: findCanonicalUrl(document, meta, ld, url, sources),
+    siteName,
+    excerpt: meta['og:description'] || meta.description || meta['twitter:description'] || '',
+    lang: (html && html.attrs.lang) || ''
+  };
+}
+
+module.exports = { extractMetadata, stripSiteName };
@@ -0,0 +1,309 @@
+/**
+ * Readability-style article extraction
+ * Scores block elements by the paragraphs they hold (text length, commas,
+ * class/id hints, link density) to find the article body, then strips
+ * boilerplate such as navigation, cookie banners, share buttons and
+ * "related posts" blocks. A source's content selectors, when they match,
+ * pick the body directly and skip the scoring.
+ */
+
+const {
+  parseHtml, innerHtml, textContent, elements, elementChildren,
+  createElement, appendChild, removeNode
+} = require('./dom');
+const { querySelectorAll, selectFirst } = require('./select');
+const { extractMetadata } = require('./metadata');
+const { selectImages, DEFAULT_VIEWPORT } = require('./images');
+const { sanitize, POLICIES } = require('./sanitize');
+const { resolveUrl } = require('../discovery/util');
+
+// Never part of an article (inline SVG charts are; ./sanitize drops icons)
+const JUNK_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'link', 'meta', 'canvas', 'iframe', 'object', 'embed',
+  'button', 'input', 'select', 'textarea', 'dialog'
+]);
+// Page furniture around an article
+const CHROME_TAGS = new Set(['nav', 'aside', 'footer', 'header', 'form', 'menu']);
+const CHROME_ROLES = /^(navigation|banner|complementary|contentinfo|dialog|alertdialog|menu|menubar|search|tooltip)$/;
+
+const UNLIKELY = /-ad-|ad-break|banner|breadcrumb|combx|comment|community|cookie|consent|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|toolbar|widget/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|prose/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|prose/i;
+const NEGATIVE = /-ad-|hidden|^hid$|banner|combx|comment|com-|contact|cookie|footer|gdpr|masthead|meta|modal|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|social|subscribe|tags|tool|widget/i;
+// Blocks removed from the article body whatever their content
+const BOILERPLATE = /share|sharing|social|related|read-?next|more-?stories|newsletter|subscribe|cookie|consent|gdpr|promo|advert|sponsor|comment|sidebar|breadcrumb|popup|modal|toolbar/i;
+// Footnotes are short and link-heavy, but part of the article
+const NOTES = /footnote|endnote/i;
+const NOTES_ROLES = /^doc-(endnotes|endnote|footnote)$/;
+const BOILERPLATE_HEADINGS = /^(related|more from|more stories|read next|read more|you (might|may) also like|recommended|share this|subscribe|sign up|newsletter|comments)\b/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+const MEDIA = 'img, picture, svg, video, audio, figure, pre, table, math, h1, h2, h3, h4, h5, h6, blockquote';
+const MIN_PARAGRAPH = 25;
+const MIN_ARTICLE = 250;
+
+function classAndId(element) {
+  return `${element.attrs.class || ''} ${element.attrs.id || ''}`;
+}
+
+function classWeight(element) {
+  let weight = 0;
+  for (const value of [element.attrs.class, element.attrs.id]) {
+    if (!value) continue;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+function isHidden(element) {
+  return 'hidden' in element.attrs ||
+    element.attrs['aria-hidden'] === 'true' ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.attrs.style || '');
+}
+
+// Share of an element's text that sits inside links
+function linkDensity(element, text = textContent(element)) {
+  if (!text) return 0;
+  const linkText = querySelectorAll(element, 'a').reduce((sum, a) => sum + textContent(a).length, 0);
+  return linkText / text.length;
+}
+
+function isChrome(element) {
+  return CHROME_TAGS.has(element.tag) || CHROME_ROLES.test(element.attrs.role || '') || isHidden(element);
+}
+
+// Is `element` inside footnotes or endnotes below `root`?
+function inNotes(element, root) {
+  for (let node = element; node && node !== root; node = node.parent) {
+    if (NOTES.test(classAndId(node)) || NOTES_ROLES.test(node.attrs.role || '')) return true;
+  }
+  return false;
+}
+
+// Is `element` still attached below `root`?
+function within(element, root) {
+  for (let node = element; node; node = node.parent) {
+    if (node === root) return true;
+  }
+  return false;
+}
+
+// Remove scripts and comments; with `aggressive`, also page chrome and
+// elements whose class/id looks like boilerplate
+function prune(root, { aggressive }) {
+  for (const element of elements(root)) {
+    if (!within(element, root)) continue;
+    if (JUNK_TAGS.has(element.tag) || (aggressive && isChrome(element))) {
+      removeNode(element);
+      continue;
+    }
+    if (aggressive && !['html', 'body', 'article', 'main', 'a', 'table', 'tbody', 'tr', 'td'].includes(element.tag)) {
+      const hints = classAndId(element);
+      if (UNLIKELY.test(hints) && !MAYBE_CANDIDATE.test(hints)) removeNode(element);
+    }
+  }
+  for (const node of [...walkComments(root)]) removeNode(node);
+}
+
+function* walkComments(node) {
+  for (const child of node.children || []) {
+    if (child.type === 'comment') yield child;
+    else if (child.type === 'element') yield* walkComments(child);
+  }
+}
+
+function initialScore(element) {
+  let score = classWeight(element);
+  switch (element.tag) {
+    case 'div': case 'section': case 'article': case 'main':
+      score += 5; break;
+    case 'pre': case 'td': case 'blockquote':
+      score += 3; break;
+    case 'address': case 'ol': case 'ul': case 'dl': case 'dd': case 'dt': case 'li': case 'form':
+      score -= 3; break;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th':
+      score -= 5; break;
+  }
+  return score;
+}
+
+// Paragraph-like elements: <p>, <pre>, <td> and <div>s holding only inline content
+function paragraphs(root) {
+  return elements(root).filter(element => {
+    if (element.tag === 'p' || element.tag === 'pre' || element.tag === 'td') return true;
+    return (element.tag === 'div' || element.tag === 'section') &&
+      elementChildren(element).every(child => !BLOCK_TAGS.has(child.tag));
+  });
+}
+
+// Best-scoring container for the article, or null when nothing scores
+function findTopCandidate(root) {
+  const scores = new Map();
+
+  for (const paragraph of paragraphs(root)) {
+    const text = textContent(paragraph);
+    if (text.length < MIN_PARAGRAPH) continue;
+
+    const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = paragraph.parent;
+    for (let level = 0; level < 5 && ancestor && ancestor.type === 'element'; level++) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+      ancestor = ancestor.parent;
+    }
+  }
+
+  let top = null;
+  let topScore = -Infinity;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity(element));
+    scores.set(element, adjusted);
+    if (adjusted > topScore) {
+      top = element;
+      topScore = adjusted;
+    }
+  }
+  if (!top) return null;
+
+  // Climb out of wrappers that hold nothing but the candidate
+  while (top.parent && top.parent.type === 'element' && top.parent.tag !== 'body' &&
+         elementChildren(top.parent).length === 1 && !textContent(top.parent).replace(textContent(top), '').trim()) {
+    top = top.parent;
+  }
+
+  return { top, topScore, scores };
+}
+
+// The top candidate plus siblings that look like part of the same article
+function gatherArticle(top, topScore, scores) {
+  const article = createElement('div');
+  const siblings = top.parent ? [...top.parent.children] : [top];
+  const threshold = Math.max(10, topScore * 0.2);
+
+  for (const sibling of siblings) {
+    if (sibling.type !== 'element') continue;
+    let include = sibling === top || (scores.get(sibling) || 0) >= threshold;
+    if (!include && sibling.tag === 'p') {
+      const text = textContent(sibling);
+      const density = linkDensity(sibling, text);
+      include = (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    }
+    if (include) appendChild(article, sibling);
+  }
+  return article;
+}
+
+// Drop boilerplate blocks and empty wrappers left inside the article body
+function cleanArticle(article, title) {
+  for (const element of elements(article)) {
+    if (!within(element, article)) continue;
+    if (JUNK_TAGS.has(element.tag) || isChrome(element)) {
+      removeNode(element);
+      continue;
+    }
+    if (inNotes(element, article)) continue;
+
+    if (/^h[1-6]$/.test(element.tag)) {
+      const text = textContent(element);
+      if (classWeight(element) < 0 || (element.tag === 'h1' && title && text === title)) removeNode(element);
+      continue;
+    }
+
+    if (!['div', 'section', 'ul', 'ol', 'table', 'figure', 'span', 'p'].includes(element.tag)) continue;
+
+    const hints = classAndId(element);
+    const text = textContent(element);
+    const density = linkDensity(element, text);
+    const hasMedia = querySelectorAll(element, MEDIA).length > 0 || element.tag === 'figure';
+
+    if (BOILERPLATE.test(hints) && !POSITIVE.test(element.attrs.id || '') && text.length < 2000) {
+      removeNode(element);
+      continue;
+    }
+    if (element.tag === 'p' || element.tag === 'span') {
+      if (!text && !hasMedia && !querySelectorAll(element, 'br').length) removeNode(element);
+      continue;
+    }
+
+    const heading = selectFirst(element, ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+    if (heading && BOILERPLATE_HEADINGS.test(textContent(heading)) && density > 0.3) {
+      removeNode(element);
+      continue;
+    }
+    if ((element.tag !== 'div' && element.tag !== 'section') || (text.match(/,/g) || []).length >= 10) continue;
+    if (!hasMedia && text.length < MIN_PARAGRAPH) {
+      removeNode(element);
+    } else if (density > (classWeight(element) >= 25 ? 0.5 : 0.33) && text.length < 1000) {
+      removeNode(element);
+    }
+  }
+}
+
+// Absolute links and image URLs, then the allowlist of ./sanitize
+function finishAttributes(article, baseUrl) {
+  for (const element of elements(article)) {
+    if (element.tag === 'a' && element.attrs.href !== undefined) {
+      const href = element.attrs.href.trim();
+      if (!href.startsWith('#') && !/^javascript:/i.test(href)) element.attrs.href = resolveUrl(href, baseUrl) || href;
+    }
+    if (element.tag === 'img' && element.attrs.src && !element.attrs.src.startsWith('data:')) {
+      element.attrs.src = resolveUrl(element.attrs.src, baseUrl) || element.attrs.src;
+    }
+  }
+  sanitize(article, POLICIES.article);
+}
+
+// Extract the article from a page
+// options: { url, source, sources, imageWidth } — `source` supplies siteName and
+// selectors ({ content, title, date, author }); the canonical URL is kept when
+// it is an article of `source` or of one of `sources` (config.sources);
+// responsive images are chosen for a screen `imageWidth` pixels wide (see ./images)
+// Returns { title, author, published, date, leadImage, canonicalUrl, siteName, excerpt, lang, content, text, images }
+function extractArticle(html, { url = '', source = {}, sources = [], imageWidth = DEFAULT_VIEWPORT } = {}) {
+  const rules = { ...source, selectors: { content: [], title: [], date: [], author: [], ...(source.selectors || {}) } };
+  const baseUrl = url || source.baseUrl || '';
+
+  const metadata = extractMetadata(parseHtml(html), { source: rules, sources: [source, ...sources], url: baseUrl });
+
+  let article = null;
+  for (const aggressive of [true, false]) {
+    // Before pruning, which drops <noscript> fallbacks and lazy-loading attributes
+    const document = selectImages(parseHtml(html), { baseUrl, viewport: imageWidth });
+    const selected = selectFirst(document, rules.selectors.content);
+    prune(document, { aggressive: aggressive && !selected });
+
+    if (selected) {
+      article = createElement('div');
+      for (const child of [...selected.children]) appendChild(article, child);
+    } else {
+      const body = selectFirst(document, ['body']) || document;
+      const candidate = findTopCandidate(body);
+      article = candidate ? gatherArticle(candidate.top, candidate.topScore, candidate.scores) : body;
+    }
+    cleanArticle(article, metadata.title);
+
+    // Boilerplate filters occasionally eat the article; retry without them
+    if (selected || textContent(article).length >= MIN_ARTICLE) break;
+  }
+
+  finishAttributes(article, baseUrl);
+
+  const text = textContent(article);
+  const images = querySelectorAll(article, 'img').map(img => img.attrs.src).filter(Boolean);
+
+  return {
+    ...metadata,
+    excerpt: metadata.excerpt || text.slice(0, 200),
+    leadImage: metadata.leadImage || images[0] || null,
+    content: innerHtml(article).trim(),
+    text,
+    images
+  };
+}
+
+module.exports = { extractArticle };
@@ -0,0 +1,334 @@
+/**
+ * Allowlist HTML sanitizer
+ * Keeps the structure that carries meaning in an article: figures and their
+ * captions, tables, code blocks with their language, footnotes, MathML and
+ * inline SVG charts. Everything else goes: scripts, trackers, interactive
+ * widgets, presentational attributes. Unknown elements are unwrapped so their
+ * text survives. What a format can show (inline SVG? MathML?) is its policy;
+ * POLICIES has one per output format and config can adjust them.
+ */
+
+const { elements, elementChildren, createElement, createText, appendChild, removeNode, replaceNode, unwrapNode, textContent, decodeHtml, escapeText } = require('./dom');
+const { escapeXml } = require('../xml');
+
+// Removed with their content
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'param',
+  'form', 'input', 'button', 'select', 'option', 'optgroup', 'datalist', 'textarea', 'label', 'output', 'dialog',
+  'canvas', 'video', 'audio', 'source', 'track', 'map', 'area', 'link', 'meta', 'base', 'head', 'title'
+]);
+
+// Kept; any other element is replaced by its children
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code',
+  'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark',
+  'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+]);
+
+const GLOBAL_ATTRIBUTES = ['id', 'class', 'lang', 'dir', 'title', 'role', 'aria-label'];
+const TAG_ATTRIBUTES = {
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  time: ['datetime'],
+  data: ['value'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  details: ['open']
+};
+
+// Classes worth keeping: code languages and footnote markup
+const KEPT_CLASSES = [/^language-[\w+#.-]+$/, /^(footnotes?|footnote-(ref|backref|item|definition)|fn|fnref)$/];
+// DPUB-ARIA roles for notes, plus the ones that name figures and formulas
+const KEPT_ROLES = /^(doc-(noteref|footnote|endnote|endnotes|backlink|biblioref|bibliography|pullquote)|figure|img|math|note)$/;
+
+const LINK_SCHEMES = ['', 'http', 'https', 'mailto'];
+const IMAGE_SCHEMES = ['', 'http', 'https'];
+// Followed, these can run script; links to them are unwrapped, keeping their text
+const SCRIPT_SCHEMES = ['javascript', 'vbscript', 'data'];
+
+// Tracking pixels and beacons by host and path
+const TRACKERS = /^(https?:)?\/\/([^/]+\.)?(doubleclick\.net|google-analytics\.com|googletagmanager\.com|facebook\.com\/tr|scorecardresearch\.com|quantserve\.com|pixel\.wp\.com|stats\.wp\.com|feeds\.feedburner\.com\/~r|mc\.yandex\.ru|bat\.bing\.com|analytics\.twitter\.com|ct\.pinterest\.com)\b/i;
+
+// Inline SVG: HTML parsing lowercases names, XHTML and standalone SVG need them cased
+const SVG_TAGS = Object.fromEntries([
+  'svg', 'g', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan', 'textPath',
+  'title', 'desc', 'defs', 'use', 'symbol', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask',
+  'pattern', 'marker'
+].map(tag => [tag.toLowerCase(), tag]));
+const SVG_ATTRIBUTES = Object.fromEntries([
+  'id', 'width', 'height', 'viewBox', 'preserveAspectRatio', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r',
+  'rx', 'ry', 'fx', 'fy', 'd', 'points', 'pathLength', 'transform', 'fill', 'fill-opacity', 'fill-rule', 'stroke',
+  'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-opacity',
+  'stroke-miterlimit', 'opacity', 'clip-path', 'clip-rule', 'mask', 'marker-start', 'marker-mid', 'marker-end',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline', 'alignment-baseline',
+  'letter-spacing', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'startOffset', 'offset', 'stop-color',
+  'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod', 'patternUnits', 'patternContentUnits',
+  'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits', 'markerWidth', 'markerHeight',
+  'markerUnits', 'orient', 'refX', 'refY', 'visibility', 'display', 'style', 'role', 'aria-label'
+].map(name => [name.toLowerCase(), name]));
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+// Smaller SVGs are icons, not figures
+const MIN_SVG_SIZE = 100;
+
+const MATH_TAGS = new Set([
+  'math', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mrow', 'mfrac', 'msqrt', 'mroot', 'mstyle', 'merror',
+  'mpadded', 'mphantom', 'mfenced', 'menclose', 'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover',
+  'mmultiscripts', 'mprescripts', 'none', 'mtable', 'mtr', 'mtd', 'mlabeledtr', 'semantics', 'annotation'
+]);
+const MATH_ATTRIBUTES = new Set([
+  'display', 'alttext', 'mathvariant', 'displaystyle', 'scriptlevel', 'fence', 'separator', 'separators', 'stretchy',
+  'symmetric', 'largeop', 'movablelimits', 'accent', 'accentunder', 'lspace', 'rspace', 'linethickness', 'form',
+  'columnalign', 'rowalign', 'columnspan', 'rowspan', 'notation', 'open', 'close', 'encoding', 'width', 'height',
+  'depth', 'voffset', 'mathsize'
+]);
+const MATH_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// What each output format keeps:
+//   svg: 'inline' (as markup) | 'image' (an <img> with an SVG data URI, rasterized later) | 'drop'
+//   math: 'mathml' | 'text' (alttext, TeX annotation or the formula's text)
+//   removeTags: more elements removed with their content
+//   keepClasses: more classes kept (regexes)
+const POLICIES = {
+  article: { svg: 'inline', math: 'mathml' },
+  html: { svg: 'inline', math: 'mathml' },
+  epub3: { svg: 'inline', math: 'mathml' },
+  epub2: { svg: 'image', math: 'text' },
+  kindle: { svg: 'image', math: 'text' },
+  pdf: { svg: 'image', math: 'text' },
+  // ./markdown writes formulas as TeX itself; SVG charts are saved as image files
+  markdown: { svg: 'image', math: 'mathml' },
+  text: { svg: 'drop', math: 'mathml' }
+};
+
+// The policy for `format` with `overrides` (a config.book.sanitize entry) applied
+function policyFor(format, overrides = {}) {
+  const base = POLICIES[format];
+  if (!base) throw new Error(`No sanitizer policy for "${format}" (expected one of: ${Object.keys(POLICIES).join(', ')})`);
+  return {
+    ...base,
+    ...overrides,
+    removeTags: [...(base.removeTags || []), ...(overrides.removeTags || [])],
+    keepClasses: [...(base.keepClasses || []), ...(overrides.keepClasses || []).map(pattern => new RegExp(pattern))]
+  };
+}
+
+// Scheme of `url` as browsers read it, which skip tabs, newlines and other
+// control characters ("java&#10;script:" is javascript:)
+function urlScheme(url) {
+  const match = url.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+function isTracker(img) {
+  const { width = '', height = '', src = '' } = img.attrs;
+  return (/^\s*[01](px)?\s*$/i.test(width) && /^\s*[01](px)?\s*$/i.test(height)) || TRACKERS.test(src.trim());
+}
+
+// Language of a code block from highlighter markup: language-x, lang-x, brush: x, data-lang
+function codeLanguage(element) {
+  const { attrs } = element;
+  for (const token of (attrs.class || '').split(/\s+/)) {
+    const match = token.match(/^(?:language|lang)-([\w+#.-]+)$/i);
+    if (match) return match[1].toLowerCase();
+  }
+  const brush = (attrs.class || '').match(/\bbrush:\s*([\w+#.-]+)/i);
+  const language = (brush && brush[1]) || attrs['data-lang'] || attrs['data-language'] || '';
+  return /^[\w+#.-]+$/.test(language.trim()) ? language.trim().toLowerCase() : '';
+}
+
+// Record a code block's language as class="language-x" on its <code> (or on the <pre>)
+function markLanguage(element) {
+  const code = element.tag === 'pre' ? elementChildren(element).find(child => child.tag === 'code') : null;
+  const language = (code && codeLanguage(code)) || codeLanguage(element);
+  if (language) (code || element).attrs.class = `language-${language}`;
+}
+
+function allowedAttributes(element, classes, { idPrefix, imageSchemes }) {
+  const attrs = {};
+  for (const name of [...GLOBAL_ATTRIBUTES, ...(TAG_ATTRIBUTES[element.tag] || [])]) {
+    const value = element.attrs[name];
+    if (value === undefined) continue;
+    if (name === 'class') {
+      const kept = value.split(/\s+/).filter(token => classes.some(pattern => pattern.test(token)));
+      if (kept.length) attrs.class = kept.join(' ');
+    } else if (name === 'role') {
+      if (KEPT_ROLES.test(value.trim())) attrs.role = value.trim();
+    } else if (name === 'id') {
+      attrs.id = `${idPrefix}${value}`;
+    } else if (name === 'href') {
+      const href = value.trim();
+      if (href.startsWith('#')) attrs.href = `#${idPrefix}${href.slice(1)}`;
+      else if (LINK_SCHEMES.includes(urlScheme(href))) attrs.href = href;
+    } else if (name === 'src') {
+      const src = value.trim();
+      if (imageSchemes.includes(urlScheme(src)) || /^data:image\//i.test(src)) attrs.src = src;
+    } else {
+      attrs[name] = value;
+    }
+  }
+  return attrs;
+}
+
+// Width and height from the attributes or the viewBox, when given
+function svgSize(svg) {
+  const lookup = name => Object.entries(svg.attrs).find(([key]) => key.toLowerCase() === name);
+  const number = entry => (entry && /^\s*\d*\.?\d+(px)?\s*$/.test(entry[1]) ? parseFloat(entry[1]) : 0);
+  const viewBox = ((lookup('viewbox') || [])[1] || '').trim().split(/[\s,]+/).map(Number);
+  return {
+    width: number(lookup('width')) || viewBox[2] || 0,
+    height: number(lookup('height')) || viewBox[3] || 0
+  };
+}
+
+// A chart or diagram rather than an icon
+function isFigureSvg(svg) {
+  const { width, height } = svgSize(svg);
+  if (width && height) return Math.max(width, height) >= MIN_SVG_SIZE;
+  return elements(svg).some(element => element.tag === 'text');
+}
+
+function svgLabel(svg) {
+  const title = elementChildren(svg).find(child => child.tag === 'title');
+  return (svg.attrs['aria-label'] || (title ? textContent(title) : '')).trim();
+}
+
+// Keep only drawing elements and attributes, with their proper case; no scripts,
+// foreign content or references outside the SVG
+function cleanSvg(node) {
+  const attrs = {};
+  for (const [name, value] of Object.entries(node.attrs)) {
+    const lower = name.toLowerCase();
+    if ((lower === 'href' || lower === 'xlink:href') && value.trim().startsWith('#')) attrs.href = value.trim();
+    else if (lower === 'style' && /url\(\s*['"]?(?!#)|expression|@import|javascript:/i.test(value)) continue;
+    else if (SVG_ATTRIBUTES[lower]) attrs[SVG_ATTRIBUTES[lower]] = value;
+  }
+  node.attrs = attrs;
+  for (const child of [...node.children]) {
+    if (child.type === 'comment') removeNode(child);
+    if (child.type !== 'element') continue;
+    if (child.tag.toLowerCase() === 'a') {
+      cleanSvg(child);
+      unwrapNode(child);
+    } else if (SVG_TAGS[child.tag.toLowerCase()]) {
+      child.tag = SVG_TAGS[child.tag.toLowerCase()];
+      cleanSvg(child);
+    } else {
+      removeNode(child);
+    }
+  }
+}
+
+// Standalone SVG document for a cleaned <svg>
+function svgMarkup(node) {
+  if (node.type === 'text') return escapeXml(decodeHtml(node.text));
+  if (node.type !== 'element') return '';
+  const attrs = Object.entries(node.attrs).map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+  return `<${node.tag}${attrs}>${node.children.map(svgMarkup).join('')}</${node.tag}>`;
+}
+
+function sanitizeSvg(svg, policy) {
+  if (policy.svg === 'drop' || !isFigureSvg(svg)) {
+    removeNode(svg);
+    return;
+  }
+  const label = svgLabel(svg);
+  cleanSvg(svg);
+  svg.attrs = { xmlns: SVG_NAMESPACE, ...svg.attrs };
+  if (label) svg.attrs = { ...svg.attrs, role: 'img', 'aria-label': label };
+  if (policy.svg === 'image') {
+    const src = `data:image/svg+xml;base64,${Buffer.from(svgMarkup(svg)).toString('base64')}`;
+    replaceNode(svg, [createElement('img', { src, alt: label })]);
+  }
+}
+
+function cleanMath(node) {
+  node.attrs = Object.fromEntries(Object.entries(node.attrs).filter(([name]) => MATH_ATTRIBUTES.has(name)));
+  for (const child of [...node.children]) {
+    if (child.type === 'comment') removeNode(child);
+    if (child.type !== 'element') continue;
+    if (MATH_TAGS.has(child.tag)) cleanMath(child);
+    else removeNode(child);
+  }
+}
+
+// A formula as text: its alttext, else its TeX source, else what it reads as
+function mathText(math) {
+  const tex = elements(math).find(element => element.tag === 'annotation' && /tex/i.test(element.attrs.encoding || ''));
+  if (math.attrs.alttext) return createText(escapeText(math.attrs.alttext.trim()));
+  if (tex) {
+    const code = createElement('code');
+    appendChild(code, createText(escapeText(textContent(tex))));
+    return code;
+  }
+  return createText(escapeText(textContent(math)));
+}
+
+function sanitizeMath(math, policy) {
+  if (policy.math === 'text') {
+    const text = mathText(math);
+    if (math.attrs.display === 'block') {
+      const paragraph = createElement('p');
+      appendChild(paragraph, text);
+      replaceNode(math, [paragraph]);
+    } else {
+      replaceNode(math, [text]);
+    }
+    return;
+  }
+  cleanMath(math);
+  math.attrs = { xmlns: MATH_NAMESPACE, ...math.attrs };
+}
+
+// Sanitize `root` in place with `policy` (see POLICIES); ids and in-page
+// links get `idPrefix` so several articles can share one page. `localImages`
+// keeps file: images, which only this program writes (./extract, ./epub
+// localImageUrls); never set it for content as fetched.
+function sanitize(root, policy = POLICIES.article, { idPrefix = '', localImages = false } = {}) {
+  const imageSchemes = localImages ? [...IMAGE_SCHEMES, 'file'] : IMAGE_SCHEMES;
+  const dropped = new Set([...DROPPED_TAGS, ...(policy.removeTags || [])]);
+  const classes = [...KEPT_CLASSES, ...(policy.keepClasses || [])];
+
+  const visit = (parent) => {
+    for (const node of [...parent.children]) {
+      if (node.type === 'comment') removeNode(node);
+      if (node.type !== 'element') continue;
+      if (dropped.has(node.tag) || (node.tag === 'img' && isTracker(node))) {
+        removeNode(node);
+        continue;
+      }
+      if (node.tag === 'svg') {
+        sanitizeSvg(node, policy);
+        continue;
+      }
+      if (node.tag === 'math') {
+        sanitizeMath(node, policy);
+        continue;
+      }
+      if (node.tag === 'pre' || node.tag === 'code') markLanguage(node);
+      visit(node);
+
+      if (!ALLOWED_TAGS.has(node.tag)) {
+        unwrapNode(node);
+        continue;
+      }
+      const scriptLink = node.tag === 'a' && SCRIPT_SCHEMES.includes(urlScheme(node.attrs.href || ''));
+      node.attrs = allowedAttributes(node, classes, { idPrefix, imageSchemes });
+      if (scriptLink || (node.tag === 'span' && Object.keys(node.attrs).length === 0)) unwrapNode(node);
+      else if (node.tag === 'img' && !node.attrs.src) removeNode(node);
+    }
+  };
+  visit(root);
+  return root;
+}
+
+module.exports = { sanitize, policyFor, POLICIES };
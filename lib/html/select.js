@@ -0,0 +1,153 @@
+/**
+ * CSS selectors over the DOM from ./dom
+ * Supports selector lists, the descendant, child (>) and sibling (+, ~)
+ * combinators and compound selectors made of tag, #id, .class and
+ * [attr], [attr=v], [attr^=v], [attr*=v], [attr$=v], [attr~=v], [attr|=v].
+ */
+
+const { elements } = require('./dom');
+
+const cache = new Map();
+
+// Split on commas outside brackets and quotes
+function splitList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const ch = selector[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '[') {
+      depth++;
+    } else if (ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(selector.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(selector.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function emptyCompound(combinator) {
+  return { combinator, tag: null, id: null, classes: [], attrs: [] };
+}
+
+// 'div.a > p' -> [{ combinator: null, tag: 'div', ... }, { combinator: '>', tag: 'p', ... }]
+function parseComplex(selector) {
+  const tokenRegex = /\s*([>+~])\s*|(\s+)|([a-z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([\^*$~|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/iy;
+  const compounds = [emptyCompound(null)];
+  let pos = 0;
+
+  while (pos < selector.length) {
+    tokenRegex.lastIndex = pos;
+    const match = tokenRegex.exec(selector);
+    if (!match) throw new Error(`Unsupported selector "${selector}" at "${selector.slice(pos)}"`);
+    pos = tokenRegex.lastIndex;
+
+    const compound = compounds[compounds.length - 1];
+    if (match[1] || match[2]) {
+      compounds.push(emptyCompound(match[1] || ' '));
+    } else if (match[3]) {
+      compound.tag = match[3] === '*' ? null : match[3].toLowerCase();
+    } else if (match[4]) {
+      compound.id = match[4];
+    } else if (match[5]) {
+      compound.classes.push(match[5]);
+    } else {
+      const value = match[8] !== undefined ? match[8] : match[9] !== undefined ? match[9] : match[10];
+      compound.attrs.push({ name: match[6].toLowerCase(), op: match[7] || null, value });
+    }
+  }
+  return compounds;
+}
+
+// Parse a selector list (cached)
+function parseSelector(selector) {
+  if (!cache.has(selector)) cache.set(selector, splitList(selector).map(parseComplex));
+  return cache.get(selector);
+}
+
+function matchesAttribute(attrs, { name, op, value }) {
+  if (!(name in attrs)) return false;
+  const actual = attrs[name];
+  switch (op) {
+    case '=': return actual === value;
+    case '^=': return value !== '' && actual.startsWith(value);
+    case '*=': return value !== '' && actual.includes(value);
+    case '$=': return value !== '' && actual.endsWith(value);
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '|=': return actual === value || actual.startsWith(`${value}-`);
+    default: return true;
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && compound.tag !== element.tag) return false;
+  if (compound.id && element.attrs.id !== compound.id) return false;
+  if (compound.classes.length > 0) {
+    const classes = (element.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(c => classes.includes(c))) return false;
+  }
+  return compound.attrs.every(attr => matchesAttribute(element.attrs, attr));
+}
+
+function previousElements(element) {
+  if (!element.parent) return [];
+  const siblings = element.parent.children.filter(child => child.type === 'element');
+  return siblings.slice(0, siblings.indexOf(element)).reverse();
+}
+
+// Match compounds[0..index] ending at `element`, right to left
+function matchesFrom(element, compounds, index) {
+  if (!matchesCompound(element, compounds[index])) return false;
+  if (index === 0) return true;
+
+  switch (compounds[index].combinator) {
+    case '>':
+      return element.parent && element.parent.type === 'element' && matchesFrom(element.parent, compounds, index - 1);
+    case '+': {
+      const previous = previousElements(element)[0];
+      return Boolean(previous) && matchesFrom(previous, compounds, index - 1);
+    }
+    case '~':
+      return previousElements(element).some(previous => matchesFrom(previous, compounds, index - 1));
+    default:
+      for (let ancestor = element.parent; ancestor && ancestor.type === 'element'; ancestor = ancestor.parent) {
+        if (matchesFrom(ancestor, compounds, index - 1)) return true;
+      }
+      return false;
+  }
+}
+
+function matches(element, selector) {
+  return parseSelector(selector).some(compounds => matchesFrom(element, compounds, compounds.length - 1));
+}
+
+// Every element below `root` matching `selector`, in document order
+function querySelectorAll(root, selector) {
+  const list = parseSelector(selector);
+  return elements(root).filter(element => list.some(compounds => matchesFrom(element, compounds, compounds.length - 1)));
+}
+
+// First element below `root` matching `selector`, or null
+function querySelector(root, selector) {
+  const list = parseSelector(selector);
+  return elements(root).find(element => list.some(compounds => matchesFrom(element, compounds, compounds.length - 1))) || null;
+}
+
+// Try each selector in order; return the first match
+function selectFirst(root, selectors) {
+  for (const selector of selectors || []) {
+    const found = querySelector(root, selector);
+    if (found) return found;
+  }
+  return null;
+}
+
+module.exports = { parseSelector, matches, querySelectorAll, querySelector, selectFirst };
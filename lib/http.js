@@ -0,0 +1,339 @@
+/**
+ * HTTP client
+ * Every outgoing request goes through here: timeouts, bounded redirects
+ * (301/302/303/307/308, relative Location), retries with exponential backoff
+ * on network errors, 5xx and 429 (honouring Retry-After), gzip/deflate/brotli
+ * decoding, charset detection and atomic downloads. With a cache from
+ * ./cache, responses are stored on disk and revalidated with
+ * If-None-Match/If-Modified-Since. With a policy from ./robots, URLs the
+ * site's robots.txt disallows are refused before any request is made. Each
+ * redirect hop is checked against its own site's robots.txt and waits for
+ * its own host in the limiter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { createHttpCache } = require('./cache');
+const { createHostLimiter } = require('./scheduler');
+const { createRobotsPolicy, productToken } = require('./robots');
+const { sleep, writeAtomic } = require('./util');
+const { version } = require('../package.json');
+
+const DEFAULTS = {
+  timeout: 30000,          // ms without any data before a request is abandoned
+  maxRedirects: 5,
+  retries: 2,              // extra attempts after the first
+  retryDelay: 1000,        // first backoff step in ms, doubled on each retry
+  maxRetryDelay: 30000,    // cap for backoff and Retry-After
+  maxBytes: 50 * 1024 * 1024,
+  userAgent: `anthropic-sender/${version}`,
+  headers: {},
+  cache: null,             // see ./cache
+  limiter: null,           // per-host limiter from ./scheduler
+  robots: null,            // robots.txt policy from ./robots; `robots: false` per request skips it
+  cacheMode: 'revalidate'  // 'revalidate' | 'prefer' (use any unexpired copy) | 'no-store'
+};
+
+const REDIRECTS = new Set([301, 302, 303, 307, 308]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ETIMEOUT']);
+
+class HttpError extends Error {
+  constructor(message, { url, status = null, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function isRetryable(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.max(0, time - Date.now());
+}
+
+function decoderFor(encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip': case 'x-gzip': return zlib.createGunzip();
+    case 'deflate': return zlib.createInflate();
+    case 'br': return zlib.createBrotliDecompress();
+    default: return null;
+  }
+}
+
+// One GET; resolves once the response headers arrive. Redirects are not followed here
+// Returns { url, status, headers, body: Readable (decoded) }, or { url, status, headers, redirect: nextUrl }
+function open(url, options) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      reject(new HttpError(`Invalid URL: ${url}`, { url }));
+      return;
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      reject(new HttpError(`Unsupported protocol: ${target.protocol}`, { url }));
+      return;
+    }
+
+    const protocol = target.protocol === 'https:' ? https : http;
+    let response = null;
+    const request = protocol.get(target, {
+      headers: {
+        'User-Agent': options.userAgent,
+        'Accept-Encoding': 'gzip, deflate, br',
+        Accept: '*/*',
+        ...options.headers
+      }
+    }, (res) => {
+      response = res;
+      const { statusCode, headers } = res;
+
+      if (REDIRECTS.has(statusCode) && headers.location) {
+        res.resume();
+        let next;
+        try {
+          next = new URL(headers.location, target).toString();
+        } catch (e) {
+          reject(new HttpError(`Bad redirect Location "${headers.location}"`, { url, status: statusCode }));
+          return;
+        }
+        resolve({ url: target.toString(), status: statusCode, headers, body: null, redirect: next });
+        return;
+      }
+
+      if (statusCode === 304) {
+        res.resume();
+        resolve({ url: target.toString(), status: statusCode, headers, body: null });
+        return;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        res.resume();
+        reject(new HttpError(`HTTP ${statusCode}`, {
+          url,
+          status: statusCode,
+          retryAfter: parseRetryAfter(headers['retry-after'])
+        }));
+        return;
+      }
+
+      const length = parseInt(headers['content-length'], 10);
+      if (length > options.maxBytes) {
+        res.destroy();
+        reject(new HttpError(`Response too large (${length} bytes)`, { url, status: statusCode }));
+        return;
+      }
+
+      const decoder = decoderFor(headers['content-encoding']);
+      const body = decoder ? res.pipe(decoder) : res;
+      if (decoder) res.on('error', error => decoder.destroy(error));
+      resolve({ url: target.toString(), status: statusCode, headers, body });
+    });
+
+    request.setTimeout(options.timeout, () => {
+      const error = new HttpError(`Timed out after ${options.timeout}ms`, { url, code: 'ETIMEOUT' });
+      if (response) response.destroy(error);
+      request.destroy(error);
+    });
+    request.on('error', (error) => {
+      if (error instanceof HttpError) reject(error);
+      else reject(new HttpError(error.message, { url, code: error.code }));
+    });
+  });
+}
+
+// Collect a response body, enforcing maxBytes
+async function readBody(body, options, url) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > options.maxBytes) {
+      body.destroy();
+      throw new HttpError(`Response too large (>${options.maxBytes} bytes)`, { url });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Run `attempt` with exponential backoff on retryable failures
+async function withRetries(url, options, attempt) {
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      const wrapped = error instanceof HttpError ? error : new HttpError(error.message, { url, code: error.code });
+      if (tries >= options.retries || !isRetryable(wrapped)) throw wrapped;
+
+      const backoff = options.retryDelay * 2 ** tries;
+      const delay = Math.min(wrapped.retryAfter !== null ? wrapped.retryAfter : backoff, options.maxRetryDelay);
+      if (options.log) options.log(`   🔁 ${wrapped.message} for ${url}, retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Charset from the Content-Type header, a BOM, or a <meta>/<?xml?> declaration
+function detectCharset(buffer, contentType = '') {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+  const header = contentType.match(/charset\s*=\s*["']?([\w.:-]+)/i);
+  if (header) return header[1].toLowerCase();
+
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const declared = head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i) ||
+                   head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i);
+  return declared ? declared[1].toLowerCase() : 'utf-8';
+}
+
+function decodeText(buffer, contentType) {
+  const charset = detectCharset(buffer, contentType);
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (e) {
+    // Unknown label
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Client with `options` (see DEFAULTS) applied to every request
+function createHttpClient(options = {}) {
+  const defaults = { ...DEFAULTS, ...options, headers: { ...DEFAULTS.headers, ...options.headers } };
+  const settings = overrides => ({ ...defaults, ...overrides, headers: { ...defaults.headers, ...(overrides && overrides.headers) } });
+
+  const cache = defaults.cache;
+  const limit = (url, task) => (defaults.limiter ? defaults.limiter.schedule(url, task) : task());
+
+  // robots.txt is fetched through this client (cached and rate limited) but never checked itself
+  const fetchRobots = async (robotsUrl) => {
+    const { buffer, headers } = await fetchBuffer(robotsUrl, { robots: false, retries: 1 });
+    return { text: decodeText(buffer, headers['content-type']) };
+  };
+
+  async function assertAllowed(url, opts) {
+    if (opts.robots && !(await opts.robots.allowed(url, fetchRobots))) {
+      throw new HttpError('Disallowed by robots.txt', { url, code: 'EROBOTS' });
+    }
+  }
+
+  // GET `url` following redirects and resolve to `handle(response)` of the
+  // final response, which runs while its host's limiter slot is held. Hops
+  // after the first are checked against robots.txt here; callers check `url`.
+  // `conditional` headers are the cache's validators for `url` and go to it alone.
+  async function follow(url, opts, handle, conditional = {}) {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      if (redirects > 0) await assertAllowed(current, opts);
+      const headers = current === url ? { ...opts.headers, ...conditional } : opts.headers;
+      const result = await limit(current, async () => {
+        const response = await open(current, { ...opts, headers });
+        return response.redirect ? response : { value: await handle(response) };
+      });
+      if (!result.redirect) return result.value;
+      if (redirects >= opts.maxRedirects) {
+        throw new HttpError(`Too many redirects (>${opts.maxRedirects})`, { url, status: result.status });
+      }
+      current = result.redirect;
+    }
+  }
+
+  function fromCache(cached) {
+    return { url: cached.finalUrl || cached.url, status: 200, headers: cached.headers, buffer: cached.buffer, cached: true };
+  }
+
+  // Body as a Buffer: { url, status, headers, buffer, cached }
+  async function fetchBuffer(url, overrides) {
+    const opts = settings(overrides);
+    await assertAllowed(url, opts);
+    const mode = cache ? opts.cacheMode : 'no-store';
+    const cached = mode === 'no-store' ? null : cache.get(url);
+    if (cached && (mode === 'prefer' || cached.freshUntil > Date.now())) return fromCache(cached);
+
+    const conditional = {};
+    if (cached && cached.headers.etag) conditional['If-None-Match'] = cached.headers.etag;
+    if (cached && cached.headers['last-modified']) conditional['If-Modified-Since'] = cached.headers['last-modified'];
+
+    return withRetries(url, opts, () => follow(url, opts, async (response) => {
+      if (response.status === 304) {
+        if (!cached) throw new HttpError('HTTP 304 without a cached copy', { url, status: 304 });
+        cache.refresh(url, response.headers);
+        return fromCache(cached);
+      }
+      const buffer = await readBody(response.body, opts, url);
+      if (mode !== 'no-store') cache.put(url, response, buffer);
+      return { url: response.url, status: response.status, headers: response.headers, buffer, cached: false };
+    }, conditional));
+  }
+
+  // Body decoded as text using the detected charset
+  async function fetchText(url, overrides) {
+    const { buffer, headers } = await fetchBuffer(url, overrides);
+    return decodeText(buffer, headers['content-type']);
+  }
+
+  // Save the body to `filepath` through a temp file; a failed download leaves nothing behind
+  async function download(url, filepath, overrides) {
+    const opts = settings(overrides);
+    await assertAllowed(url, opts);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+    // Cached: the body is already in memory or on disk
+    if (cache && opts.cacheMode !== 'no-store') {
+      const response = await fetchBuffer(url, overrides);
+      writeAtomic(filepath, response.buffer);
+      return { url: response.url, headers: response.headers, path: filepath, size: response.buffer.length, cached: response.cached };
+    }
+
+    const tmp = `${filepath}.${process.pid}.tmp`;
+    return withRetries(url, opts, () => follow(url, opts, async (response) => {
+      let size = 0;
+      response.body.on('data', chunk => {
+        size += chunk.length;
+        if (size > opts.maxBytes) {
+          response.body.destroy(new HttpError(`Response too large (>${opts.maxBytes} bytes)`, { url }));
+        }
+      });
+      try {
+        await pipeline(response.body, fs.createWriteStream(tmp));
+        fs.renameSync(tmp, filepath);
+      } catch (error) {
+        fs.rmSync(tmp, { force: true });
+        throw error;
+      }
+      return { url: response.url, headers: response.headers, path: filepath, size, cached: false };
+    }));
+  }
+
+  return { fetchBuffer, fetchText, download, cache, options: defaults };
+}
+
+// Client set up from the `http`, `cache` and `robots` config sections
+function clientFromConfig(config, options = {}) {
+  const cache = config.cache && config.cache.enabled ? createHttpCache(config.cache) : null;
+  const limiter = createHostLimiter(config.http);
+  const userAgent = config.http.userAgent || DEFAULTS.userAgent;
+  const robots = config.robots && config.robots.enabled
+    ? createRobotsPolicy({ agent: config.robots.agent || productToken(userAgent), limiter, log: options.log })
+    : null;
+  return createHttpClient({ ...config.http, cache, limiter, robots, ...options });
+}
+
+module.exports = { createHttpClient, clientFromConfig, HttpError, detectCharset, decodeText, parseRetryAfter, DEFAULTS };
@@ -0,0 +1,107 @@
+/**
+ * Image processing
+ * Every downloaded image passes through here: its real format is read from
+ * its first bytes, formats the output cannot hold are converted to JPEG or
+ * PNG (SVG diagrams are rasterized), and images are shrunk to a maximum size
+ * and optionally made grayscale for e-ink, using sharp. Output depends only
+ * on the input bytes and the options, so books stay reproducible.
+ */
+
+const sharp = require('sharp');
+
+// Formats recognized by their first bytes (sharp format names)
+const IMAGE_FORMATS = {
+  png: { ext: 'png', mediaType: 'image/png' },
+  jpeg: { ext: 'jpg', mediaType: 'image/jpeg' },
+  gif: { ext: 'gif', mediaType: 'image/gif' },
+  webp: { ext: 'webp', mediaType: 'image/webp' },
+  svg: { ext: 'svg', mediaType: 'image/svg+xml' },
+  avif: { ext: 'avif', mediaType: 'image/avif' },
+  heif: { ext: 'heic', mediaType: 'image/heic' },
+  tiff: { ext: 'tif', mediaType: 'image/tiff' }
+};
+
+// What every e-reader shows, old Kindles included
+const E_READER_FORMATS = ['jpeg', 'png', 'gif'];
+
+// Processing defaults; config.images overrides them
+const DEFAULT_OPTIONS = { maxDimension: 1600, grayscale: false, quality: 80 };
+
+// Vector images are rendered at most this many times their declared size
+const MAX_SVG_SCALE = 2;
+
+// Image format name from its first bytes, or null
+function detectFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer.toString('latin1', 1, 4) === 'PNG') return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'heif';
+    return null;
+  }
+  const header = buffer.toString('latin1', 0, 4);
+  if (header === 'II*\u0000' || header === 'MM\u0000*') return 'tiff';
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(buffer.toString('utf8', 0, 1024))) return 'svg';
+  return null;
+}
+
+// Make `buffer` an image in one of `formats` (any format when null) that fits
+// maxWidth x maxHeight, grayscale if asked. Returns the input itself when it
+// already qualifies, or null when it cannot be read or converted.
+async function optimizeImage(buffer, { maxWidth = Infinity, maxHeight = Infinity, formats = null, grayscale = false, quality = DEFAULT_OPTIONS.quality }) {
+  const format = detectFormat(buffer);
+  if (!format) return null;
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (e) {
+    return null;
+  }
+  const { width, height, hasAlpha, pages = 1 } = metadata;
+  const supported = !formats || formats.includes(format);
+  const tooLarge = width > maxWidth || height > maxHeight;
+  const recolor = grayscale && metadata.space !== 'b-w';
+  // Vectors scale by themselves; resizing an animation would keep only its first frame
+  if (supported && (format === 'svg' || pages > 1 || (!tooLarge && !recolor))) return buffer;
+
+  // Vectors are rendered at the size they will be shown rather than their nominal one
+  const scale = format === 'svg' ? Math.min(MAX_SVG_SCALE, maxWidth / width, maxHeight / height) : 1;
+  let image = sharp(buffer, format === 'svg' ? { density: 72 * scale } : {}).rotate();
+  if (width * scale > maxWidth || height * scale > maxHeight) {
+    const bound = limit => (Number.isFinite(limit) ? limit : undefined);
+    image = image.resize({ width: bound(maxWidth), height: bound(maxHeight), fit: 'inside', withoutEnlargement: true });
+  }
+  if (recolor) image = image.grayscale().toColourspace('b-w');
+  const target = supported ? format : hasAlpha ? 'png' : 'jpeg';
+  if (target === 'jpeg') image = image.jpeg({ quality, mozjpeg: true });
+  else if (target === 'webp') image = image.webp({ quality });
+  else if (target === 'gif') image = image.gif();
+  else if (target === 'avif') image = image.avif({ quality });
+  else image = image.png({ compressionLevel: 9 });
+
+  try {
+    return await image.toBuffer();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Processing options for `config.images` within an optional box (e.g. a screen)
+function optimizeOptions(config = {}, { maxWidth = Infinity, maxHeight = Infinity, formats = null } = {}) {
+  const { maxDimension, grayscale, quality } = { ...DEFAULT_OPTIONS, ...config };
+  const limit = maxDimension > 0 ? maxDimension : Infinity;
+  return { maxWidth: Math.min(limit, maxWidth), maxHeight: Math.min(limit, maxHeight), formats, grayscale, quality };
+}
+
+// "540 KB → 120 KB (78% smaller)"
+function formatSavings(before, after) {
+  const kb = bytes => `${Math.round(bytes / 1024)} KB`;
+  const saved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+  return `${kb(before)} → ${kb(after)} (${saved >= 0 ? `${saved}% smaller` : `${-saved}% larger`})`;
+}
+
+module.exports = { detectFormat, optimizeImage, optimizeOptions, formatSavings, IMAGE_FORMATS, E_READER_FORMATS };
@@ -0,0 +1,465 @@
+/**
+ * PDF writer
+ * Lays out book chapters (HTML fragments with images as data URIs) as a
+ * printable PDF with pdfkit: a cover, a table of contents whose entries link
+ * to their pages, bookmarks, running headers with the chapter title and page
+ * numbers. The date is passed in rather than read from the clock, so the same
+ * chapters give the same bytes.
+ */
+
+const PDFDocument = require('pdfkit');
+const { parseHtml, decodeHtml } = require('./html');
+
+// Points; 72 per inch
+const MARGIN = 64;
+const BODY_SIZE = 11;
+const SMALL_SIZE = 9;
+const HEADING_SIZES = { h1: 22, h2: 17, h3: 14, h4: 12, h5: 11, h6: 11 };
+const LIST_INDENT = 18;
+const TEXT_COLOR = '#1a1a1a';
+const MUTED_COLOR = '#666666';
+const LINK_COLOR = '#0066cc';
+
+// Face used when a style has no font file of its own but the one named here has
+const FONT_FALLBACKS = { bold: 'regular', italic: 'regular', boldItalic: 'bold' };
+
+// Built into every PDF reader; they only cover Windows-1252 text
+const STANDARD_FONTS = {
+  regular: 'Times-Roman',
+  bold: 'Times-Bold',
+  italic: 'Times-Italic',
+  boldItalic: 'Times-BoldItalic',
+  mono: 'Courier'
+};
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed', 'svg', 'math', 'button', 'form', 'input', 'select', 'textarea', 'source', 'track', 'video', 'audio', 'canvas', 'head', 'title']);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure', 'figcaption', 'address', 'details', 'summary', 'dl', 'dt', 'dd', 'center', 'body', 'html', 'caption']);
+
+// Windows-1252 characters outside Latin-1
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+const WIN_ANSI_SUBSTITUTES = { '→': '->', '←': '<-', '⇒': '=>', '≤': '<=', '≥': '>=', '≠': '!=', '≈': '~', '−': '-', '‐': '-', '‑': '-', '′': "'", '″': '"', '✓': '*', '✔': '*', '✗': 'x', '★': '*' };
+
+// `text` in characters the standard fonts can show: accents are dropped where
+// that helps and anything else becomes "?"
+function toWinAnsi(text) {
+  return text.replace(/[\ud800-\udbff][\udc00-\udfff]|[\u0080-\u009f\u0100-\uffff]/g, (char) => {
+    if (WIN_ANSI_EXTRAS.has(char)) return char;
+    if (WIN_ANSI_SUBSTITUTES[char]) return WIN_ANSI_SUBSTITUTES[char];
+    if (/[\u0080-\u009f\u200b-\u200d\u2060\ufeff]/.test(char)) return '';
+    if (/[\u2000-\u200a\u202f\u205f\u3000]/.test(char)) return ' ';
+    const plain = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    return /^[\u0020-\u007e\u00a0-\u00ff]+$/.test(plain) ? plain : '?';
+  });
+}
+
+// Bytes of a base64 data: URI, or null
+function dataUriBytes(src) {
+  const match = /^data:image\/(?:png|jpeg);base64,(.+)$/i.exec(src || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function pageIndex(doc) {
+  const range = doc.bufferedPageRange();
+  return range.start + range.count - 1;
+}
+
+// Lays out parsed HTML on `doc`, starting new pages as the text flows
+function createLayout(doc, fonts) {
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  let runs = [];
+  let indent = 0;
+  let marker = null;
+
+  function fontFor(style) {
+    if (style.mono) return 'mono';
+    if (style.bold && style.italic) return 'boldItalic';
+    if (style.bold) return 'bold';
+    if (style.italic) return 'italic';
+    return 'regular';
+  }
+
+  function setFont(style) {
+    const key = fontFor(style);
+    doc.font(fonts[key].name).fontSize(style.size || BODY_SIZE);
+    return fonts[key];
+  }
+
+  function spaceLeft() {
+    return doc.page.height - doc.page.margins.bottom - doc.y;
+  }
+
+  // Start a new page unless `height` still fits on this one
+  function ensureSpace(height) {
+    if (spaceLeft() < height && doc.y > doc.page.margins.top) doc.addPage();
+  }
+
+  // Write the pending inline runs as one paragraph
+  function flush(block = {}) {
+    const pending = runs;
+    runs = [];
+    let text = pending.map(run => ({ ...run }));
+    if (!block.pre) {
+      for (const run of text) {
+        if (!run.br) run.text = run.text.replace(/[ \t\r\n\f]+/g, ' ');
+      }
+      // Drop spaces at the start and end of the paragraph and around line breaks
+      let atLineStart = true;
+      for (const run of text) {
+        if (atLineStart) run.text = run.text.replace(/^ +/, '');
+        if (run.text) atLineStart = run.br || run.text.endsWith('\n');
+      }
+      for (let i = text.length - 1; i >= 0; i--) {
+        text[i].text = text[i].text.replace(/ +$/, '');
+        if (text[i].text && !text[i].br) break;
+      }
+      while (text.length && text[text.length - 1].br) text.pop();
+    }
+    text = text.filter(run => run.text);
+    if (!text.length) return;
+    // pdfkit ignores a newline that ends continued text, so each <br> line is written on its own
+    const lines = [[]];
+    for (const run of text) {
+      if (run.br) lines.push([]);
+      else lines[lines.length - 1].push(run);
+    }
+
+    const style = block.style || {};
+    ensureSpace(doc.currentLineHeight(true) * 2);
+    const x = left + indent;
+    const width = contentWidth - indent;
+    if (marker) {
+      setFont(style);
+      const y = doc.y;
+      doc.fillColor(TEXT_COLOR).text(marker, x - LIST_INDENT, y, { width: LIST_INDENT - 4, align: 'right', lineBreak: false });
+      doc.y = y;
+      marker = null;
+    }
+    doc.x = x;
+    // pdfkit places each run by its own font's ascender; share the tallest so runs sit on one baseline
+    const ascent = Math.max(...text.map((run) => {
+      setFont(run.style);
+      return doc._font.ascender / 1000 * doc._fontSize;
+    }));
+    for (const line of lines) {
+      if (!line.length) doc.moveDown(1);
+      line.forEach((run, i) => {
+        const font = setFont(run.style);
+        doc.fillColor(run.style.link ? LINK_COLOR : run.style.color || TEXT_COLOR);
+        doc.text(font.standard ? toWinAnsi(run.text) : run.text, x, doc.y, {
+          width,
+          align: style.align || 'left',
+          lineGap: block.pre ? 1 : 2,
+          continued: i < line.length - 1,
+          link: run.style.link || null,
+          underline: Boolean(run.style.underline),
+          strike: Boolean(run.style.strike),
+          baseline: -ascent
+        });
+      });
+    }
+    doc.x = left;
+    doc.moveDown(block.after === undefined ? 0.6 : block.after);
+  }
+
+  function addImage(element) {
+    const data = dataUriBytes(element.attrs.src);
+    if (!data) return;
+    let image;
+    try {
+      image = doc.openImage(data);
+    } catch (e) {
+      return;
+    }
+    flush();
+    const maxWidth = contentWidth - indent;
+    const maxHeight = (doc.page.height - doc.page.margins.top - doc.page.margins.bottom) * 0.7;
+    const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ensureSpace(height);
+    doc.image(image, left + indent + (maxWidth - width) / 2, doc.y, { width, height });
+    doc.y += height;
+    doc.moveDown(0.6);
+  }
+
+  function rule() {
+    flush();
+    ensureSpace(12);
+    const y = doc.y + 4;
+    doc.save().moveTo(left + indent, y).lineTo(left + contentWidth, y).lineWidth(0.5).strokeColor('#cccccc').stroke().restore();
+    doc.y = y + 8;
+  }
+
+  function styleFor(element, style) {
+    const className = element.attrs.class || '';
+    if (/\b(byline|source|date)\b/.test(className)) style = { ...style, size: SMALL_SIZE, color: MUTED_COLOR };
+    switch (element.tag) {
+      case 'strong': case 'b': case 'th': case 'dt':
+        return { ...style, bold: true };
+      case 'em': case 'i': case 'cite': case 'dfn': case 'var': case 'figcaption':
+        return { ...style, italic: true };
+      case 'code': case 'kbd': case 'samp': case 'tt': case 'pre':
+        return { ...style, mono: true, size: (style.size || BODY_SIZE) * 0.9 };
+      case 'u': case 'ins':
+        return { ...style, underline: true };
+      case 's': case 'del': case 'strike':
+        return { ...style, strike: true };
+      case 'small': case 'sub': case 'sup':
+        return { ...style, size: (style.size || BODY_SIZE) * 0.85 };
+      case 'a': {
+        const href = element.attrs.href || '';
+        return /^(https?:|mailto:)/i.test(href) ? { ...style, link: href, underline: true } : style;
+      }
+      case 'blockquote':
+        return { ...style, italic: true, color: MUTED_COLOR };
+      default:
+        return style;
+    }
+  }
+
+  function walk(node, style, block) {
+    if (node.type === 'text') {
+      runs.push({ text: decodeHtml(node.text), style });
+      return;
+    }
+    if (node.type !== 'element' && node.type !== 'document') return;
+    if (node.type === 'document') {
+      for (const child of node.children) walk(child, style, block);
+      return;
+    }
+    const tag = node.tag;
+    if (SKIPPED_TAGS.has(tag) || node.attrs.hidden !== undefined) return;
+    const childStyle = styleFor(node, style);
+    const children = () => node.children.forEach(child => walk(child, childStyle, block));
+
+    if (tag === 'br') {
+      runs.push({ text: '\n', style, br: true });
+    } else if (tag === 'img') {
+      addImage(node);
+    } else if (tag === 'hr') {
+      rule();
+    } else if (HEADING_SIZES[tag]) {
+      flush(block);
+      const size = HEADING_SIZES[tag];
+      const centered = /\bsection-title\b/.test(node.attrs.class || '');
+      // Keep the heading with the first lines that follow it
+      doc.fontSize(size);
+      ensureSpace(doc.currentLineHeight(true) * 2 + BODY_SIZE * 4);
+      if (doc.y > doc.page.margins.top) doc.moveDown(0.4);
+      const headingStyle = { ...childStyle, bold: true, size };
+      node.children.forEach(child => walk(child, headingStyle, block));
+      flush({ style: { align: centered ? 'center' : 'left' }, after: 0.4 });
+    } else if (tag === 'pre') {
+      flush(block);
+      indent += 12;
+      node.children.forEach(child => walk(child, childStyle, { pre: true }));
+      flush({ pre: true });
+      indent -= 12;
+    } else if (tag === 'blockquote') {
+      flush(block);
+      indent += LIST_INDENT;
+      children();
+      flush(block);
+      indent -= LIST_INDENT;
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush(block);
+      indent += LIST_INDENT;
+      let number = Number(node.attrs.start) || 1;
+      for (const child of node.children) {
+        if (child.type === 'element' && child.tag === 'li') {
+          flush(block);
+          marker = tag === 'ol' ? `${number++}.` : '•';
+          child.children.forEach(grandchild => walk(grandchild, styleFor(child, childStyle), block));
+          flush({ ...block, after: 0.2 });
+          marker = null;
+        } else {
+          walk(child, childStyle, block);
+        }
+      }
+      indent -= LIST_INDENT;
+      doc.moveDown(0.4);
+    } else if (tag === 'table') {
+      flush(block);
+      // One line per row, cells separated by bars; real table layout is beyond this writer
+      const rows = [];
+      const collect = (element) => {
+        for (const child of element.children) {
+          if (child.type !== 'element') continue;
+          if (child.tag === 'tr') rows.push(child);
+          else if (child.tag !== 'table') collect(child);
+        }
+      };
+      collect(node);
+      for (const row of rows) {
+        const cells = row.children.filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'));
+        cells.forEach((cell, i) => {
+          if (i > 0) runs.push({ text: ' | ', style: { ...childStyle, color: MUTED_COLOR } });
+          cell.children.forEach(child => walk(child, styleFor(cell, childStyle), block));
+        });
+        flush({ ...block, after: 0.2 });
+      }
+      const caption = node.children.find(child => child.type === 'element' && child.tag === 'caption');
+      if (caption) {
+        caption.children.forEach(child => walk(child, { ...childStyle, italic: true }, block));
+        flush(block);
+      }
+      doc.moveDown(0.4);
+    } else if (BLOCK_TAGS.has(tag)) {
+      flush(block);
+      const centered = /\bsection-title\b/.test(node.attrs.class || '');
+      const blockOptions = centered ? { ...block, style: { align: 'center' } } : block;
+      node.children.forEach(child => walk(child, childStyle, blockOptions));
+      flush(blockOptions);
+    } else {
+      if (tag === 'q') runs.push({ text: '“', style: childStyle });
+      children();
+      if (tag === 'q') runs.push({ text: '”', style: childStyle });
+    }
+  }
+
+  // Lay out an HTML fragment from the current position
+  function render(html) {
+    indent = 0;
+    marker = null;
+    walk(parseHtml(html), {}, {});
+    flush();
+  }
+
+  return { render };
+}
+
+// `text` shortened with an ellipsis to fit `width` in the current font
+function fitText(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+  let shortened = text;
+  while (shortened && doc.widthOfString(`${shortened}…`) > width) shortened = shortened.slice(0, -1);
+  return `${shortened.trimEnd()}…`;
+}
+
+// Build a PDF; resolves to a Buffer
+// options: {
+//   title, author, description, date (ISO, recorded and shown on the cover),
+//   lang, pageSize (pdfkit size name, default A4),
+//   fonts: { regular, bold, italic, boldItalic, mono } TrueType files replacing the built-in Times/Courier,
+//   chapters: [{ title, content, section }] — `section` chapters head the ones after them in the contents
+// }
+async function buildPdf(options) {
+  const { title, author = 'Anthropic', description, lang = 'en', pageSize = 'A4', chapters } = options;
+  const date = new Date(options.date);
+  const doc = new PDFDocument({
+    size: pageSize,
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    autoFirstPage: false,
+    displayTitle: true,
+    lang,
+    info: { Title: title, Author: author, Subject: description || '', CreationDate: date, ModDate: date }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const fonts = {};
+  for (const [key, standard] of Object.entries(STANDARD_FONTS)) {
+    const file = options.fonts && options.fonts[key];
+    const fallback = fonts[FONT_FALLBACKS[key]];
+    if (file) {
+      doc.registerFont(key, file);
+      fonts[key] = { name: key, standard: false };
+    } else if (fallback && !fallback.standard) {
+      fonts[key] = fallback;
+    } else {
+      fonts[key] = { name: standard, standard: true };
+    }
+  }
+  const label = (key, text) => (fonts[key].standard ? toWinAnsi(text) : text);
+
+  // Cover
+  doc.addPage();
+  const width = doc.page.width - MARGIN * 2;
+  doc.y = doc.page.height / 3;
+  doc.font(fonts.bold.name).fontSize(30).fillColor(TEXT_COLOR).text(label('bold', title), { width, align: 'center' });
+  doc.moveDown(1);
+  doc.font(fonts.regular.name).fontSize(13).fillColor(MUTED_COLOR);
+  if (description) doc.text(label('regular', description), { width, align: 'center' });
+  doc.moveDown(0.5);
+  doc.text(label('regular', date.toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' })), { width, align: 'center' });
+  doc.moveDown(0.5);
+  doc.text(label('regular', author), { width, align: 'center' });
+
+  // Contents; page numbers are filled in once the chapters are laid out
+  doc.addPage();
+  doc.font(fonts.bold.name).fontSize(HEADING_SIZES.h1).fillColor(TEXT_COLOR).text('Contents', { width });
+  doc.moveDown(0.8);
+  const numberWidth = 36;
+  const tocEntries = [];
+  chapters.forEach((chapter, i) => {
+    const key = chapter.section ? 'bold' : 'regular';
+    doc.font(fonts[key].name).fontSize(BODY_SIZE);
+    const entryIndent = chapter.section ? 0 : LIST_INDENT;
+    if (chapter.section) doc.moveDown(0.4);
+    const entry = label(key, chapter.title);
+    const entryOptions = { width: width - entryIndent - numberWidth, lineGap: 2, goTo: `chapter-${i}` };
+    if (doc.y + doc.heightOfString(entry, entryOptions) > doc.page.height - MARGIN) doc.addPage();
+    doc.fillColor(TEXT_COLOR).text(entry, MARGIN + entryIndent, doc.y, entryOptions);
+    // The number goes beside the entry's last line
+    tocEntries.push({ chapter: i, page: pageIndex(doc), y: doc.y - doc.currentLineHeight(true) - 2 });
+    doc.moveDown(0.2);
+  });
+  doc.x = MARGIN;
+
+  // Chapters, each from a new page
+  const layout = createLayout(doc, fonts);
+  const chapterPages = [];
+  const pageChapters = [];
+  let current = null;
+  doc.on('pageAdded', () => {
+    pageChapters[pageIndex(doc)] = current;
+  });
+  let sectionOutline = null;
+  chapters.forEach((chapter, i) => {
+    current = null;
+    doc.addPage();
+    current = i;
+    chapterPages[i] = pageIndex(doc);
+    doc.addNamedDestination(`chapter-${i}`);
+    if (chapter.section) sectionOutline = doc.outline.addItem(chapter.title);
+    else (sectionOutline || doc.outline).addItem(chapter.title);
+    layout.render(chapter.content);
+  });
+
+  // Page numbers in the contents, then headers and footers on every page but the cover
+  for (const entry of tocEntries) {
+    doc.switchToPage(entry.page);
+    doc.font(fonts.regular.name).fontSize(BODY_SIZE).fillColor(TEXT_COLOR);
+    doc.text(String(chapterPages[entry.chapter] + 1), MARGIN + width - numberWidth, entry.y, {
+      width: numberWidth,
+      align: 'right',
+      lineBreak: false,
+      goTo: `chapter-${entry.chapter}`
+    });
+  }
+  const range = doc.bufferedPageRange();
+  for (let page = range.start + 1; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    // Writing inside the margins would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(fonts.regular.name).fontSize(SMALL_SIZE).fillColor(MUTED_COLOR);
+    const chapter = pageChapters[page];
+    if (chapter !== null && chapter !== undefined && !chapters[chapter].section) {
+      doc.text(fitText(doc, label('regular', chapters[chapter].title), width), MARGIN, MARGIN / 2, { width, align: 'center', lineBreak: false });
+    }
+    doc.text(String(page + 1), MARGIN, doc.page.height - MARGIN / 2 - SMALL_SIZE, { width, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return finished;
+}
+
+module.exports = { buildPdf };
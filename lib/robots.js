@@ -0,0 +1,168 @@
+/**
+ * robots.txt
+ * Parsing and matching follow RFC 9309: groups are chosen by the crawler's
+ * product token (falling back to "*"), the longest matching Allow/Disallow
+ * rule wins with Allow breaking ties, and "*" / "$" work as wildcards.
+ * Crawl-delay is honoured through the per-host limiter from ./scheduler.
+ */
+
+const MAX_SIZE = 500 * 1024; // bytes parsed, as the RFC requires at minimum
+
+// { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).slice(0, MAX_SIZE).split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!group) {
+      // Rules before any User-agent line belong to nobody
+      continue;
+    } else if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (delay >= 0) group.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Rules that apply to `agent`: every group naming its product token, else every "*" group
+function rulesFor(robots, agent) {
+  const token = agent.toLowerCase();
+  let groups = robots.groups.filter(group => group.agents.includes(token));
+  if (groups.length === 0) groups = robots.groups.filter(group => group.agents.includes('*'));
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null
+  };
+}
+
+// "/*.pdf$" -> /^\/.*\.pdf$/
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Percent-encode what the URL parser leaves alone so rules and paths compare alike
+function normalizePath(value) {
+  try {
+    return encodeURI(decodeURI(value));
+  } catch (e) {
+    return value;
+  }
+}
+
+function isAllowed(robots, agent, url) {
+  const target = new URL(url);
+  const path = normalizePath(target.pathname + target.search);
+  if (path === '/robots.txt') return true;
+
+  let best = null;
+  for (const rule of rulesFor(robots, agent).rules) {
+    if (!patternToRegex(normalizePath(rule.path)).test(path)) continue;
+    const length = rule.path.length;
+    if (!best || length > best.length || (length === best.length && rule.allow)) {
+      best = { allow: rule.allow, length };
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// Everything allowed (robots.txt missing) / nothing allowed (server unreachable)
+const ALLOW_ALL = { groups: [], sitemaps: [] };
+const DISALLOW_ALL = { groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }], sitemaps: [] };
+
+// Fetches each origin's robots.txt once and answers whether a URL may be fetched.
+// options: { agent, limiter, log }
+// `allowed(url, fetchRobots)` takes the fetcher from the HTTP client so the
+// robots.txt request itself skips the check; it resolves to { text } or
+// rejects with an HttpError.
+function createRobotsPolicy({ agent, limiter = null, log = console.log } = {}) {
+  const origins = new Map();
+  const reported = new Set();
+
+  async function load(origin, fetchRobots) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const { text } = await fetchRobots(robotsUrl);
+      return parseRobots(text);
+    } catch (error) {
+      // 4xx: no rules; 5xx or unreachable: assume everything is off-limits
+      if (error.status && error.status >= 400 && error.status < 500) return ALLOW_ALL;
+      log(`   ⚠️  robots.txt unavailable for ${origin} (${error.message}), skipping the site for this run`);
+      return DISALLOW_ALL;
+    }
+  }
+
+  function robotsFor(origin, fetchRobots) {
+    if (!origins.has(origin)) {
+      origins.set(origin, load(origin, fetchRobots).then((robots) => {
+        const { crawlDelay } = rulesFor(robots, agent);
+        if (crawlDelay && limiter) {
+          limiter.setDelay(new URL(origin).host, crawlDelay * 1000);
+          log(`   🐢 ${new URL(origin).host} asks for ${crawlDelay}s between requests`);
+        }
+        return robots;
+      }));
+    }
+    return origins.get(origin);
+  }
+
+  async function allowed(url, fetchRobots) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      return true; // the HTTP client reports the bad URL
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') return true;
+
+    const robots = await robotsFor(target.origin, fetchRobots);
+    const ok = isAllowed(robots, agent, url);
+    if (!ok && !reported.has(url)) {
+      reported.add(url);
+      log(`   🚫 Skipping ${url}: disallowed by ${target.origin}/robots.txt for "${agent}"`);
+    }
+    return ok;
+  }
+
+  return { allowed, agent };
+}
+
+// Product token of a User-Agent string: "anthropic-sender/1.0 (+mailto:...)" -> "anthropic-sender"
+function productToken(userAgent) {
+  const match = String(userAgent || '').match(/^[A-Za-z_-]+/);
+  return match ? match[0] : '*';
+}
+
+module.exports = { parseRobots, isAllowed, rulesFor, createRobotsPolicy, productToken };
@@ -0,0 +1,128 @@
+/**
+ * Download scheduling
+ * A bounded worker pool whose results come back in input order however the
+ * work interleaves, a per-host limiter that caps parallel requests to one
+ * site and spaces them out, and a progress line for long batches.
+ */
+
+const { sleep, hostOf } = require('./util');
+
+const DEFAULTS = {
+  concurrency: 4,   // tasks in flight overall
+  perHost: 2,       // requests in flight per host
+  hostDelay: 250    // ms between request starts on one host
+};
+
+// Run `worker(item, index)` over `items` with at most `concurrency` running.
+// Resolves to the results in input order. After a failure no new items start;
+// the first error is thrown once running workers have finished.
+async function mapPool(items, worker, { concurrency = DEFAULTS.concurrency } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, runWorker));
+  if (failure) throw failure.error;
+  return results;
+}
+
+// Limits parallel requests per host and spaces their starts `hostDelay` apart.
+// `setDelay(host, ms)` raises the spacing for one host (e.g. a robots.txt Crawl-delay).
+function createHostLimiter(options = {}) {
+  const { perHost, hostDelay } = { ...DEFAULTS, ...options };
+  const hosts = new Map();
+
+  const stateFor = host => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, queue: [], nextStart: 0, delay: hostDelay });
+    return hosts.get(host);
+  };
+
+  // Reserve the next start time on `state`; returns how long to wait for it
+  const reserveStart = state => {
+    const now = Date.now();
+    const start = Math.max(now, state.nextStart);
+    state.nextStart = start + state.delay;
+    return start - now;
+  };
+
+  async function acquire(host) {
+    const state = stateFor(host);
+    if (state.active < perHost) {
+      state.active++;
+    } else {
+      // The releasing request hands its slot straight over
+      await new Promise(resolve => state.queue.push(resolve));
+    }
+    await sleep(reserveStart(state));
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const waiter = state.queue.shift();
+      if (waiter) waiter();
+      else state.active--;
+    };
+  }
+
+  // Run `task` once `url`'s host has a free slot
+  async function schedule(url, task) {
+    const release = await acquire(hostOf(url));
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  function setDelay(host, ms) {
+    const state = stateFor(host.toLowerCase());
+    state.delay = Math.max(state.delay, ms);
+  }
+
+  return { schedule, setDelay };
+}
+
+// "  📥 Images: 12/40 (1 failed)" — redrawn in place on a terminal, a line
+// every 25% otherwise
+function createProgress(label, total, { stream = process.stdout } = {}) {
+  let done = 0;
+  let failed = 0;
+  let lastQuarter = 0;
+
+  const line = () => `  📥 ${label}: ${done}/${total}${failed ? ` (${failed} failed)` : ''}`;
+
+  return {
+    tick(ok = true) {
+      done++;
+      if (!ok) failed++;
+      if (stream.isTTY) {
+        stream.write(`\r${line()}`);
+      } else {
+        const quarter = Math.floor((done / total) * 4);
+        if (quarter > lastQuarter || done === total) {
+          lastQuarter = quarter;
+          stream.write(`${line()}\n`);
+        }
+      }
+    },
+    finish() {
+      if (stream.isTTY && total > 0) stream.write('\n');
+      return { done, failed };
+    }
+  };
+}
+
+module.exports = { mapPool, createHostLimiter, createProgress, DEFAULTS };
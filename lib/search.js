@@ -0,0 +1,299 @@
+/**
+ * Local full-text search
+ * Indexes the saved pages in full-articles/ and the article.json each
+ * download leaves in its article folder under articles/ (see ./articles)
+ * in one JSON file: every article's metadata, its text and how often each
+ * word occurs in it. Updates re-read only the files whose size or
+ * modification time changed and drop the ones that are gone. Queries are
+ * words and "quoted phrases", all of which must match; results are ranked
+ * with BM25, words in the title counting extra, and come with a snippet
+ * around the best match. The index holds nothing that cannot be read again
+ * from the articles, so an unreadable one is simply rebuilt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toText } = require('./html');
+const { extractSavedArticle } = require('./extract');
+const { ARTICLE_FILE } = require('./articles');
+const { urlKey } = require('./discovery');
+const { writeAtomic } = require('./util');
+
+const VERSION = 1;
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// A word in the title counts as this many in the body
+const TITLE_WEIGHT = 3;
+const SNIPPET_WORDS = 30;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lowercase without accents, plurals folded to the singular
+function normalizeWord(word) {
+  const plain = word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  if (plain.length <= 3 || /\d/.test(plain)) return plain;
+  if (plain.endsWith('ies')) return `${plain.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes)$/.test(plain)) return plain.slice(0, -2);
+  if (/(ss|us|is)$/.test(plain)) return plain;
+  return plain.endsWith('s') ? plain.slice(0, -1) : plain;
+}
+
+// Words of `text` with where they are: [{ term, start, end }]
+function wordSpans(text) {
+  return [...text.matchAll(WORD)].map(match => ({
+    term: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function terms(text) {
+  return wordSpans(text).map(span => span.term);
+}
+
+function countTerms(list) {
+  const counts = {};
+  for (const term of list) counts[term] = (Object.hasOwn(counts, term) ? counts[term] : 0) + 1;
+  return counts;
+}
+
+// Count lookups must not find Object.prototype ("constructor", "toString"...)
+function countOf(counts, term) {
+  return Object.hasOwn(counts, term) ? counts[term] : 0;
+}
+
+// Times `phrase` (a list of terms) occurs in `list`
+function countPhrase(list, phrase) {
+  let count = 0;
+  for (let i = 0; i + phrase.length <= list.length; i++) {
+    if (phrase.every((term, j) => list[i + j] === term)) count++;
+  }
+  return count;
+}
+
+// { terms, phrases } of a query: "quoted" runs are phrases, and all their words are terms too
+function parseQuery(query) {
+  const words = [];
+  const phrases = [];
+  for (const match of query.matchAll(/"([^"]*)"?|[^\s"]+/g)) {
+    const found = terms(match[1] === undefined ? match[0] : match[1]);
+    if (match[1] !== undefined && found.length > 1) phrases.push(found);
+    words.push(...found);
+  }
+  return { terms: [...new Set(words)], phrases };
+}
+
+// Searchable text of article HTML, on one line
+function plainText(content) {
+  return toText(content, { width: Infinity }).replace(/^[=-]+$/gm, '').replace(/\s+/g, ' ').trim();
+}
+
+// Up to SNIPPET_WORDS words of `text` around the densest run of `queryTerms`,
+// and where those words are in it: { snippet, highlights: [[start, end]] }
+function snippetFor(text, queryTerms) {
+  const spans = wordSpans(text);
+  if (spans.length === 0) return { snippet: '', highlights: [] };
+  const wanted = new Set(queryTerms);
+  let first = 0;
+  let best = -1;
+  spans.forEach((span, i) => {
+    if (!wanted.has(span.term)) return;
+    const from = Math.max(0, i - Math.floor(SNIPPET_WORDS / 4));
+    const hits = spans.slice(from, from + SNIPPET_WORDS).filter(candidate => wanted.has(candidate.term));
+    const score = new Set(hits.map(hit => hit.term)).size * SNIPPET_WORDS + hits.length;
+    if (score > best) {
+      best = score;
+      first = from;
+    }
+  });
+
+  const last = Math.min(spans.length, first + SNIPPET_WORDS) - 1;
+  const start = first > 0 ? spans[first].start : 0;
+  const end = last < spans.length - 1 ? spans[last].end : text.length;
+  const prefix = first > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${last < spans.length - 1 ? '…' : ''}`;
+  const offset = prefix.length - start;
+  const highlights = spans.slice(first, last + 1)
+    .filter(span => wanted.has(span.term))
+    .map(span => [span.start + offset, span.end + offset]);
+  return { snippet, highlights };
+}
+
+// The files to index: [{ file, origin }], origin 'saved' for pages in
+// `fullArticlesDir` and 'downloaded' for <articlesDir>/<batch>/<article>/article.json
+function findFiles({ fullArticlesDir, articlesDir }) {
+  const list = dir => (fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : []);
+  const files = [];
+  if (fullArticlesDir) {
+    for (const entry of list(fullArticlesDir)) {
+      if (entry.isFile() && entry.name.endsWith('.html')) files.push({ file: path.resolve(fullArticlesDir, entry.name), origin: 'saved' });
+    }
+  }
+  if (articlesDir) {
+    for (const batch of list(articlesDir).filter(entry => entry.isDirectory())) {
+      for (const entry of list(path.join(articlesDir, batch.name)).filter(entry => entry.isDirectory())) {
+        const file = path.resolve(articlesDir, batch.name, entry.name, ARTICLE_FILE);
+        if (fs.existsSync(file)) files.push({ file, origin: 'downloaded' });
+      }
+    }
+  }
+  return files;
+}
+
+function readArticle(file, origin, sources) {
+  return origin === 'saved' ? extractSavedArticle(file, sources) : JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function indexEntry(origin, stat, article) {
+  const text = plainText(article.content || '');
+  const body = terms(text);
+  return {
+    origin,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    title: article.title || 'Untitled',
+    author: article.author || null,
+    url: article.url || null,
+    date: article.date || null,
+    published: article.published || null,
+    category: article.category || null,
+    source: article.source || null,
+    length: body.length,
+    terms: countTerms(body),
+    titleTerms: countTerms(terms(article.title || '')),
+    text
+  };
+}
+
+function emptyIndex() {
+  return { version: VERSION, documents: {} };
+}
+
+function loadIndex(file, log) {
+  if (!fs.existsSync(file)) return emptyIndex();
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data && data.version === VERSION && data.documents) return data;
+    log(`🔄 Search index ${file} was written by another version; rebuilding it`);
+  } catch (e) {
+    log(`⚠️  Search index ${file} was unreadable (${e.message}); rebuilding it`);
+  }
+  return emptyIndex();
+}
+
+// options: { log }
+function openSearchIndex(file, { log = console.log } = {}) {
+  let index = loadIndex(file, log);
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeAtomic(file, JSON.stringify(index));
+  }
+
+  // Bring the index in line with the articles under `fullArticlesDir` and
+  // `articlesDir`; documents from a folder that is not given are left alone.
+  // Returns { added, updated, removed, total }
+  function update({ fullArticlesDir, articlesDir, sources, rebuild = false }) {
+    if (rebuild) index = emptyIndex();
+    const origins = [fullArticlesDir && 'saved', articlesDir && 'downloaded'].filter(Boolean);
+    const changes = { added: 0, updated: 0, removed: 0 };
+    const present = new Set();
+    for (const { file: articleFile, origin } of findFiles({ fullArticlesDir, articlesDir })) {
+      present.add(articleFile);
+      const stat = fs.statSync(articleFile);
+      const known = index.documents[articleFile];
+      if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) continue;
+      try {
+        index.documents[articleFile] = indexEntry(origin, stat, readArticle(articleFile, origin, sources));
+        changes[known ? 'updated' : 'added']++;
+      } catch (e) {
+        log(`✗ ${articleFile}: ${e.message}`);
+      }
+    }
+    for (const [articleFile, document] of Object.entries(index.documents)) {
+      if (origins.includes(document.origin) && !present.has(articleFile)) {
+        delete index.documents[articleFile];
+        changes.removed++;
+      }
+    }
+    if (rebuild || changes.added || changes.updated || changes.removed) save();
+    return { ...changes, total: Object.keys(index.documents).length };
+  }
+
+  // Articles matching every word and phrase of `query`, best first, one per
+  // article however many copies are indexed: { total, results }
+  // options: { limit, category, source, since, until } — dates (YYYY-MM-DD,
+  // inclusive) are compared with the published date, so undated articles never match them
+  function search(query, { limit = 10, category, source, since, until } = {}) {
+    const { terms: queryTerms, phrases } = parseQuery(query);
+    const all = Object.entries(index.documents).map(([articleFile, document]) => ({ file: articleFile, document }));
+    if (queryTerms.length === 0 || all.length === 0) return { total: 0, results: [] };
+
+    const frequency = (document, term) => countOf(document.terms, term) + TITLE_WEIGHT * countOf(document.titleTerms, term);
+    const averageLength = all.reduce((sum, { document }) => sum + document.length, 0) / all.length || 1;
+    const idf = Object.fromEntries(queryTerms.map((term) => {
+      const containing = all.filter(({ document }) => frequency(document, term) > 0).length;
+      return [term, Math.log(1 + (all.length - containing + 0.5) / (containing + 0.5))];
+    }));
+    const same = (value, wanted) => !wanted || (value || '').toLowerCase() === wanted.toLowerCase();
+    const day = document => (document.published || '').slice(0, 10);
+
+    const matches = [];
+    for (const { file: articleFile, document } of all) {
+      if (!same(document.category, category) || !same(document.source, source)) continue;
+      if ((since || until) && !document.published) continue;
+      if ((since && day(document) < since) || (until && day(document) > until)) continue;
+      if (!queryTerms.every(term => frequency(document, term) > 0)) continue;
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const count = frequency(document, term);
+        score += idf[term] * count * (K1 + 1) / (count + K1 * (1 - B + B * document.length / averageLength));
+      }
+      if (phrases.length > 0) {
+        const body = terms(document.text);
+        const title = terms(document.title);
+        const occurrences = phrases.map(phrase => countPhrase(body, phrase) + TITLE_WEIGHT * countPhrase(title, phrase));
+        if (occurrences.includes(0)) continue;
+        phrases.forEach((phrase, i) => {
+          score += phrase.reduce((sum, term) => sum + idf[term], 0) * occurrences[i] / (occurrences[i] + K1);
+        });
+      }
+      matches.push({ file: articleFile, document, score });
+    }
+
+    // A page both saved and downloaded is one article
+    const best = new Map();
+    for (const match of matches) {
+      const key = `${match.document.url ? urlKey(match.document.url) : match.file}\n${match.document.title.toLowerCase()}`;
+      if (!best.has(key) || match.score > best.get(key).score) best.set(key, match);
+    }
+    const ranked = [...best.values()].sort((a, b) =>
+      b.score - a.score ||
+      (b.document.published || '').localeCompare(a.document.published || '') ||
+      a.file.localeCompare(b.file));
+
+    const results = ranked.slice(0, limit).map(({ file: articleFile, document, score }) => ({
+      title: document.title,
+      url: document.url,
+      author: document.author,
+      date: document.date,
+      published: document.published,
+      category: document.category,
+      source: document.source,
+      file: articleFile,
+      score: Math.round(score * 1000) / 1000,
+      ...snippetFor(document.text, queryTerms)
+    }));
+    return { total: ranked.length, results };
+  }
+
+  return {
+    file,
+    get size() { return Object.keys(index.documents).length; },
+    update,
+    search
+  };
+}
+
+module.exports = { openSearchIndex, parseQuery, normalizeWord };
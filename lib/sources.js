@@ -0,0 +1,206 @@
+/**
+ * Source definitions
+ * A source is one listing page plus the rules for recognising and extracting
+ * its articles. Config entries can be full definitions or `{ preset: name }`,
+ * which expands to the built-in definitions below (Anthropic is the default).
+ *
+ *   name            identifier used in logs and state
+ *   url             listing page to scrape for links
+ *   baseUrl         origin for relative links and images (default: origin of url)
+ *   siteName        stripped from page titles ("Title | Site", "Title \ Site")
+ *   category        chapter grouping in compiled books (default: capitalised name)
+ *   linkPatterns    regexes matched against the URL path of candidate articles
+ *                   (default: anything directly below the listing path)
+ *   feed, sitemap   optional extra discovery routes
+ *   filenamePrefix  prefix of saved pages in full-articles/ ("eng-", "research-")
+ *   selectors       { content, title, date, author }: CSS selector lists tried in
+ *                   order; unset or unmatched, the article body is found by
+ *                   readability scoring and the rest from page metadata
+ */
+
+const { hostOf, slugify } = require('./util');
+
+const GENERIC_SELECTORS = {
+  content: [],
+  title: [],
+  date: [],
+  author: []
+};
+
+const ANTHROPIC_SELECTORS = {
+  content: ['[class*=Body-module]'],
+  title: ['h1[class*=title]'],
+  date: ['[class*=agate]'],
+  author: []
+};
+
+// Listed in the order categories appear in compiled books
+const PRESETS = {
+  anthropic: [
+    {
+      name: 'research',
+      url: 'https://www.anthropic.com/research',
+      sitemap: 'https://www.anthropic.com/sitemap.xml',
+      siteName: 'Anthropic',
+      category: 'Research',
+      linkPatterns: ['^/research/[^/]+/?$'],
+      filenamePrefix: 'research-',
+      selectors: ANTHROPIC_SELECTORS
+    },
+    {
+      name: 'engineering',
+      url: 'https://www.anthropic.com/engineering',
+      sitemap: 'https://www.anthropic.com/sitemap.xml',
+      siteName: 'Anthropic',
+      category: 'Engineering',
+      linkPatterns: ['^/engineering/[^/]+/?$'],
+      filenamePrefix: 'eng-',
+      selectors: ANTHROPIC_SELECTORS
+    },
+    {
+      name: 'news',
+      url: 'https://www.anthropic.com/news',
+      sitemap: 'https://www.anthropic.com/sitemap.xml',
+      siteName: 'Anthropic',
+      category: 'News',
+      linkPatterns: ['^/news/[^/]+/?$'],
+      // Saved news pages carry no prefix, so this also catches unprefixed files
+      filenamePrefix: '',
+      selectors: ANTHROPIC_SELECTORS
+    }
+  ]
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return undefined;
+  return Array.isArray(value) ? value : [value];
+}
+
+// Fill in defaults for one source definition
+function completeSource(source) {
+  let origin = null;
+  let listingPath = '';
+  try {
+    const listing = new URL(source.url);
+    origin = listing.origin;
+    listingPath = listing.pathname.replace(/\/+$/, '');
+  } catch (e) {
+    // Invalid URLs are reported by config validation
+  }
+
+  const selectors = source.selectors || {};
+  return {
+    ...source,
+    baseUrl: source.baseUrl || origin,
+    category: source.category || (source.name ? capitalize(source.name) : undefined),
+    linkPatterns: asList(source.linkPatterns) || [`^${escapeRegex(listingPath)}/[^/]+/?$`],
+    filenamePrefix: source.filenamePrefix !== undefined ? source.filenamePrefix : `${source.name}-`,
+    selectors: {
+      content: asList(selectors.content) || GENERIC_SELECTORS.content,
+      title: asList(selectors.title) || GENERIC_SELECTORS.title,
+      date: asList(selectors.date) || GENERIC_SELECTORS.date,
+      author: asList(selectors.author) || GENERIC_SELECTORS.author
+    }
+  };
+}
+
+// Expand presets and fill defaults; unknown presets are left for validation to report
+function expandSources(sources) {
+  if (!Array.isArray(sources)) return sources;
+  const expanded = [];
+  for (const entry of sources) {
+    if (entry && entry.preset && PRESETS[entry.preset]) {
+      const { preset, ...overrides } = entry;
+      for (const source of PRESETS[preset]) expanded.push(completeSource({ ...source, ...overrides }));
+    } else if (entry && typeof entry === 'object' && !entry.preset) {
+      expanded.push(completeSource(entry));
+    } else {
+      expanded.push(entry);
+    }
+  }
+  return expanded;
+}
+
+// Host of a URL without any leading www., so both forms count as one site
+function siteOf(url) {
+  return hostOf(url).replace(/^www\./, '');
+}
+
+// Does `url` look like an article of `source`?
+function isArticleUrl(source, url) {
+  try {
+    const parsed = new URL(url);
+    if (siteOf(url) !== siteOf(source.baseUrl)) return false;
+    return source.linkPatterns.some(pattern => new RegExp(pattern).test(parsed.pathname));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Source an article URL belongs to, or null
+function sourceForUrl(url, sources) {
+  return sources.find(source => isArticleUrl(source, url)) || null;
+}
+
+// Ad-hoc definition for a URL outside every configured source
+function sourceFromUrl(url) {
+  const host = siteOf(url);
+  return completeSource({ name: host, url: new URL(url).origin, category: host, filenamePrefix: '' });
+}
+
+// Source of a saved page, by the longest matching filename prefix
+function sourceForFile(filename, sources) {
+  let best = null;
+  for (const source of sources) {
+    if (filename.startsWith(source.filenamePrefix) &&
+        (!best || source.filenamePrefix.length > best.filenamePrefix.length)) {
+      best = source;
+    }
+  }
+  return best || sources[0];
+}
+
+// Name for an article's files from the last path segment of its URL
+function slugFor(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  return slugify(segments.pop() || 'article');
+}
+
+// Name (without .html) for a saved page of `source` that sourceForFile maps
+// back to it; a slug starting like another source's prefix gets the source name
+function savedPageName(url, source, sources) {
+  const name = `${source.filenamePrefix}${slugFor(url)}`;
+  if (sourceForFile(name, sources) === source) return name;
+  return `${source.filenamePrefix}${slugify(source.name)}-${slugFor(url)}`;
+}
+
+// Categories in the order their sources are configured
+function categoryOrder(sources) {
+  const order = {};
+  for (const source of sources) {
+    if (!(source.category in order)) order[source.category] = Object.keys(order).length + 1;
+  }
+  return order;
+}
+
+module.exports = {
+  PRESETS,
+  GENERIC_SELECTORS,
+  expandSources,
+  siteOf,
+  isArticleUrl,
+  sourceForUrl,
+  sourceFromUrl,
+  sourceForFile,
+  slugFor,
+  savedPageName,
+  categoryOrder
+};
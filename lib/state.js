@@ -0,0 +1,285 @@
+/**
+ * Article state
+ * One JSON file tracking every article the job has seen and how far it got:
+ * discovered -> downloaded -> compiled -> delivered. Failed articles wait in
+ * a retry queue with exponential backoff and are abandoned after too many
+ * attempts. Articles that turn out to be another listing of one already
+ * handled are marked duplicate (see ./duplicates). Delivered entries also keep
+ * a fingerprint of the text that was sent, for ./updates to notice later
+ * edits. Writes go through a temp file and a rename, and the previous good
+ * copy is kept as <file>.bak. A file that will not parse is replaced by the
+ * backup; with no usable backup loading fails rather than starting empty
+ * (which would send everything again).
+ *
+ * Version 1 was { sent: [{ url, title, date }], lastCheck } and version 2
+ * keyed entries before URLs were canonicalized; both are migrated on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { urlKey } = require('./discovery');
+const { writeAtomic } = require('./util');
+
+const VERSION = 3;
+const STATUSES = ['discovered', 'downloaded', 'compiled', 'delivered', 'duplicate', 'failed', 'abandoned'];
+// Statuses that need nothing more from the job
+const SETTLED = ['delivered', 'duplicate', 'abandoned'];
+
+class StateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StateError';
+  }
+}
+
+function emptyState() {
+  return { version: VERSION, lastCheck: null, articles: {} };
+}
+
+// Version 1: every entry in `sent` was delivered on `date`
+function migrateV1(data) {
+  const state = emptyState();
+  state.lastCheck = data.lastCheck || null;
+  for (const entry of data.sent || []) {
+    if (!entry || !entry.url) continue;
+    state.articles[urlKey(entry.url)] = {
+      url: entry.url,
+      title: entry.title || null,
+      source: entry.source || null,
+      published: entry.published || null,
+      status: 'delivered',
+      attempts: 0,
+      error: null,
+      nextAttemptAt: null,
+      discoveredAt: entry.date || null,
+      updatedAt: entry.date || null,
+      deliveredAt: entry.date || null
+    };
+  }
+  return state;
+}
+
+// Version 2: keys kept click ids and parameter order that urlKey now drops;
+// when two entries meet, a delivered one wins
+function migrateV2(data) {
+  const articles = {};
+  for (const article of Object.values(data.articles || {})) {
+    const key = urlKey(article.url);
+    if (!articles[key] || (article.status === 'delivered' && articles[key].status !== 'delivered')) articles[key] = article;
+  }
+  return { ...data, version: 3, articles };
+}
+
+const MIGRATIONS = {
+  1: migrateV1,
+  2: migrateV2
+};
+
+// Parsed file contents at the current version; throws on anything unrecognisable
+function upgrade(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not a JSON object');
+  let version = data.version || 1;
+  let state = data;
+  while (version < VERSION) {
+    if (!MIGRATIONS[version]) throw new Error(`no migration from version ${version}`);
+    state = MIGRATIONS[version](state);
+    version = state.version;
+  }
+  if (version > VERSION) throw new StateError(`State file was written by a newer version (schema ${version}, this build reads ${VERSION})`);
+  if (!state.articles || typeof state.articles !== 'object') throw new Error('missing "articles"');
+  return state;
+}
+
+function readState(file) {
+  return upgrade(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Load `file`, restoring <file>.bak over it if it is corrupt. The corrupt copy is
+// kept; without a usable backup the file is left in place so every run fails
+// until someone looks at it.
+function loadState(file, log) {
+  if (!fs.existsSync(file)) return emptyState();
+  try {
+    return readState(file);
+  } catch (error) {
+    if (error instanceof StateError) throw error;
+    const backup = `${file}.bak`;
+    let state;
+    try {
+      state = readState(backup);
+    } catch (e) {
+      throw new StateError(`Cannot load ${file} (${error.message}) and no usable backup at ${backup}. ` +
+        'Fix or remove it; starting over would send every article again.');
+    }
+    const aside = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.copyFileSync(file, aside);
+    fs.copyFileSync(backup, file);
+    log(`⚠️  State file ${file} was unreadable (${error.message}); kept it as ${aside} and restored ${backup}`);
+    return state;
+  }
+}
+
+// options: { log }
+function openStateStore(file, { log = console.log } = {}) {
+  const state = loadState(file, log);
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+    writeAtomic(file, JSON.stringify(state, null, 2));
+  }
+
+  function get(url) {
+    return state.articles[urlKey(url)] || null;
+  }
+
+  // Add newly discovered articles ({ url, title, source, published }); known ones are left alone
+  function record(entries) {
+    const now = new Date().toISOString();
+    for (const entry of entries) {
+      const key = urlKey(entry.url);
+      if (state.articles[key]) continue;
+      state.articles[key] = {
+        url: entry.url,
+        title: entry.title || null,
+        source: entry.source || null,
+        published: entry.published || null,
+        status: 'discovered',
+        attempts: 0,        // failed attempts so far
+        error: null,
+        nextAttemptAt: null,
+        discoveredAt: now,
+        updatedAt: now,
+        deliveredAt: null
+      };
+    }
+    save();
+  }
+
+  // Move `urls` to `status`, merging `fields` (title, error, ...) into each entry, in one write
+  function mark(urls, status, fields = {}) {
+    if (!STATUSES.includes(status)) throw new StateError(`Unknown article status "${status}"`);
+    const now = new Date().toISOString();
+    for (const url of urls) {
+      const article = get(url);
+      if (!article) throw new StateError(`No state for ${url}`);
+      Object.assign(article, fields, { status, updatedAt: now });
+      if (status !== 'failed' && !('error' in fields)) article.error = null;
+      if (status === 'delivered') article.deliveredAt = now;
+    }
+    save();
+  }
+
+  // Merge `fields` (fingerprint, checkedAt, ...) into one entry without changing its status
+  function annotate(url, fields) {
+    const article = get(url);
+    if (!article) throw new StateError(`No state for ${url}`);
+    Object.assign(article, fields);
+    save();
+  }
+
+  // Record a failed attempt at `stage` ('download' or 'delivery'). The next try
+  // waits backoffMinutes * 2^(attempts - 1); after maxAttempts the article is
+  // abandoned. Returns the entries abandoned by this call.
+  function fail(urls, { stage, error, maxAttempts, backoffMinutes }) {
+    const now = Date.now();
+    const abandoned = [];
+    for (const url of urls) {
+      const article = get(url);
+      if (!article) throw new StateError(`No state for ${url}`);
+      article.attempts++;
+      article.error = `${stage} failed: ${error}`;
+      article.updatedAt = new Date(now).toISOString();
+      if (article.attempts >= maxAttempts) {
+        article.status = 'abandoned';
+        article.nextAttemptAt = null;
+        abandoned.push(article);
+      } else {
+        article.status = 'failed';
+        article.nextAttemptAt = new Date(now + backoffMinutes * 60 * 1000 * 2 ** (article.attempts - 1)).toISOString();
+      }
+    }
+    save();
+    return abandoned;
+  }
+
+  // Make queued (or abandoned) articles due now; returns how many changed
+  function requeue(urls) {
+    let changed = 0;
+    for (const url of urls) {
+      const article = get(url);
+      if (!article || !['failed', 'abandoned'].includes(article.status)) continue;
+      article.status = 'failed';
+      article.nextAttemptAt = null;
+      changed++;
+    }
+    if (changed > 0) save();
+    return changed;
+  }
+
+  // Articles started but not delivered whose retry time has come, including
+  // ones a crashed run left half done
+  function due(now = new Date().toISOString()) {
+    return list().filter(article => !SETTLED.includes(article.status) &&
+      (!article.nextAttemptAt || article.nextAttemptAt <= now));
+  }
+
+  // The retry queue: everything started but neither delivered, a duplicate nor abandoned
+  function queue() {
+    return list().filter(article => !SETTLED.includes(article.status));
+  }
+
+  function isDelivered(url) {
+    const article = get(url);
+    return Boolean(article && article.status === 'delivered');
+  }
+
+  // Entries, optionally of one status, oldest update first
+  function list(status) {
+    return Object.values(state.articles)
+      .filter(article => !status || article.status === status)
+      .sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || ''));
+  }
+
+  function setLastCheck(time = new Date().toISOString()) {
+    state.lastCheck = time;
+    save();
+  }
+
+  // Forget delivered articles and duplicates published more than `days` ago, going by
+  // when they were sent (or found to be a duplicate) if the date is unknown. Discovery
+  // ignores dated articles that old and undated ones after the first run anyway.
+  function prune(days) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    let removed = 0;
+    for (const [key, article] of Object.entries(state.articles)) {
+      const date = article.published || article.deliveredAt || article.updatedAt;
+      if (['delivered', 'duplicate'].includes(article.status) && date && date < cutoff) {
+        delete state.articles[key];
+        removed++;
+      }
+    }
+    if (removed > 0) save();
+    return removed;
+  }
+
+  return {
+    file,
+    get lastCheck() { return state.lastCheck; },
+    get,
+    record,
+    mark,
+    annotate,
+    fail,
+    requeue,
+    due,
+    queue,
+    isDelivered,
+    list,
+    setLastCheck,
+    prune,
+    save
+  };
+}
+
+module.exports = { openStateStore, StateError, STATUSES, VERSION };
@@ -0,0 +1,203 @@
+/**
+ * Article updates
+ * Articles delivered in the last updates.windowDays are fetched again, at most
+ * every updates.intervalHours, and their text compared with what was sent by
+ * fingerprint. When at least updates.minChangedWords words changed, the new
+ * version is downloaded into <articlesDir>/revisions/<slug>-<hash>/ (its
+ * article.json is always the latest, so ./search finds it), a diff against
+ * the sent text is written beside it as <time>.diff.txt and .diff.html, and
+ * the change can be delivered. Smaller edits add up until they pass the limit.
+ * The new version only replaces the sent one in the state, and the article
+ * only counts as checked, once it has been delivered, so a change whose
+ * email fails is found and sent again at the next check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractArticle, escapeText, toText } = require('./html');
+const { downloadArticle, ARTICLE_FILE } = require('./articles');
+const { urlKey } = require('./discovery');
+const { diffParagraphs, formatDiffText, formatDiffHtml } = require('./diff');
+const { sourceFromUrl, slugFor } = require('./sources');
+const { writeDigest } = require('./digest');
+const { sendEmail } = require('./delivery');
+const { optimizeOptions, E_READER_FORMATS } = require('./images');
+const { mapPool } = require('./scheduler');
+const { sha256 } = require('./util');
+
+const REVISIONS_DIR = 'revisions';
+// Copy of the last delivered version, kept while a newer one in article.json awaits delivery
+const SENT_FILE = 'sent.json';
+
+// Paragraphs of an article's text, whitespace collapsed; images count only by their alt text
+function paragraphsOf(content) {
+  return toText(content, { width: Infinity })
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Fingerprint of an article's text, blind to markup, image addresses and wrapping
+function fingerprint(content) {
+  return sha256(paragraphsOf(content).join('\n')).slice(0, 16);
+}
+
+// Folder keeping the latest version of `url` and the diffs of each change
+function revisionDir(articlesDir, url) {
+  return path.join(articlesDir, REVISIONS_DIR, `${slugFor(url)}-${sha256(urlKey(url)).slice(0, 8)}`);
+}
+
+// The saved article.json an entry was sent or last revised as, if it is still that article's
+function readSent(entry) {
+  if (!entry.articleFile || !fs.existsSync(entry.articleFile)) return null;
+  try {
+    const article = JSON.parse(fs.readFileSync(entry.articleFile, 'utf8'));
+    return article.url && urlKey(article.url) === urlKey(entry.url) ? article : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Delivered entries due a re-check: sent within `windowDays` and not checked for `intervalHours`
+function dueForCheck(store, { windowDays, intervalHours, force = false, now = Date.now() }) {
+  const since = new Date(now - windowDays * 24 * 60 * 60 * 1000).toISOString();
+  const before = new Date(now - intervalHours * 60 * 60 * 1000).toISOString();
+  return store.list('delivered').filter(entry => entry.deliveredAt && entry.deliveredAt >= since &&
+    (force || !entry.checkedAt || entry.checkedAt <= before));
+}
+
+// Fetch delivered articles again and record meaningful changes; returns
+// { due, checked, updated: [{ url, data, dir, changedWords, diffText, diffHtml, diffFile, revision }], failed }.
+// `revision` holds the state fields sendUpdates records once the change is delivered.
+// options: {
+//   articlesDir, sources, http, concurrency, dryRun,
+//   windowDays, intervalHours, minChangedWords: see config `updates`,
+//   force: check every article in the window, however recently it was checked,
+//   imageOptions: config.images
+// }
+async function checkUpdates(store, options) {
+  const { articlesDir, sources, http, concurrency, dryRun, minChangedWords } = options;
+  const candidates = dueForCheck(store, options);
+  if (candidates.length === 0) return { due: 0, checked: 0, updated: [], failed: 0 };
+  if (dryRun) {
+    console.log(`🧪 Dry run: would re-check ${candidates.length} delivered articles for updates`);
+    return { due: candidates.length, checked: 0, updated: [], failed: 0 };
+  }
+
+  console.log(`🔄 Re-checking ${candidates.length} delivered articles for updates...`);
+  const imageWidth = optimizeOptions(options.imageOptions, { formats: E_READER_FORMATS }).maxWidth;
+  const results = await mapPool(candidates, async (entry) => {
+    const source = sources.find(s => s.name === entry.source) || sourceFromUrl(entry.url);
+    const checkedAt = new Date().toISOString();
+    try {
+      const article = extractArticle(await http.fetchText(entry.url), { url: entry.url, source, sources, imageWidth });
+      const current = fingerprint(article.content);
+      const sent = readSent(entry);
+      if (current === entry.fingerprint) {
+        store.annotate(entry.url, { checkedAt });
+        return null;
+      }
+
+      const dir = revisionDir(articlesDir, entry.url);
+      if (!sent) {
+        // Nothing to compare with: keep this version as the baseline for later checks
+        fs.mkdirSync(dir, { recursive: true });
+        const data = await downloadArticle(entry.url, dir, source, http, { concurrency, imageOptions: options.imageOptions, sources });
+        store.annotate(entry.url, { fingerprint: fingerprint(data.content), articleFile: path.join(dir, ARTICLE_FILE), checkedAt });
+        return null;
+      }
+
+      const { changes, changedWords } = diffParagraphs(paragraphsOf(sent.content), paragraphsOf(article.content));
+      if (changedWords < minChangedWords) {
+        store.annotate(entry.url, { fingerprint: entry.fingerprint || fingerprint(sent.content), checkedAt });
+        return null;
+      }
+
+      fs.mkdirSync(dir, { recursive: true });
+      // The download replaces article.json; keep the sent version to diff against until delivery
+      let sentFile = entry.articleFile;
+      if (path.resolve(sentFile) === path.resolve(dir, ARTICLE_FILE)) {
+        sentFile = path.join(dir, SENT_FILE);
+        fs.copyFileSync(entry.articleFile, sentFile);
+      }
+      const data = await downloadArticle(entry.url, dir, source, http, { concurrency, imageOptions: options.imageOptions, sources });
+      const diffText = formatDiffText(changes);
+      const diffHtml = formatDiffHtml(changes);
+      const stamp = checkedAt.replace(/[:.]/g, '-');
+      const diffFile = path.join(dir, `${stamp}.diff.txt`);
+      fs.writeFileSync(diffFile, `${data.title}\n${entry.url}\n${changedWords} words changed since ${entry.revisedAt || entry.deliveredAt}\n\n${diffText}\n`);
+      fs.writeFileSync(path.join(dir, `${stamp}.diff.html`), `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>${escapeText(data.title)}</title></head>\n<body>\n<h1>${escapeText(data.title)}</h1>\n${diffHtml}\n</body>\n</html>\n`);
+      // Checked only once delivered, so a failed delivery is retried at the next check
+      store.annotate(entry.url, { articleFile: sentFile });
+      const revision = {
+        fingerprint: fingerprint(data.content),
+        articleFile: path.join(dir, ARTICLE_FILE),
+        revisedAt: checkedAt,
+        checkedAt,
+        revisions: (entry.revisions || 0) + 1
+      };
+      console.log(`   ✏️  Updated: ${data.title} (${changedWords} words changed)`);
+      return { url: entry.url, data, dir, changedWords, diffText, diffHtml, diffFile, revision };
+    } catch (e) {
+      console.error(`   ⚠️  Could not re-check ${entry.url}: ${e.message}`);
+      return { error: e.message };
+    }
+  }, { concurrency });
+
+  const updated = results.filter(result => result && !result.error);
+  const failed = results.filter(result => result && result.error).length;
+  console.log(`🔄 ${updated.length ? `${updated.length} of ${candidates.length} articles changed` : `No changes in ${candidates.length} articles`}` +
+    `${failed ? `, ${failed} could not be fetched` : ''}`);
+  return { due: candidates.length, checked: candidates.length, updated, failed };
+}
+
+// Send changed articles where updates.deliver says, then record their new
+// versions in `store`. Throws, recording nothing, when the email fails.
+// Returns the digest file for 'kindle'.
+// options: { deliver, transport, from, recipients, articlesDir, store }
+async function sendUpdates(updated, options) {
+  if (updated.length === 0) return null;
+  const file = options.deliver === 'none' ? null : await deliverUpdates(updated, options);
+  for (const update of updated) options.store.annotate(update.url, update.revision);
+  return file;
+}
+
+// The diffs by email to the notification address, or an EPUB for Kindle with
+// each article's changes highlighted ahead of its new text
+async function deliverUpdates(updated, { deliver, transport, from, recipients, articlesDir }) {
+  const titles = updated.map(update => `- ${update.data.title} (${update.changedWords} words changed)`).join('\n');
+
+  if (deliver === 'notification') {
+    console.log(`📧 Sending ${updated.length} article updates to ${recipients.notification}...`);
+    const diffs = updated.map(update => `${update.data.title}\n${update.data.url}\n\n${update.diffText}`);
+    await sendEmail(
+      transport,
+      from,
+      recipients.notification,
+      `📝 ${updated.length} Anthropic article${updated.length === 1 ? ' was' : 's were'} updated`,
+      `Changed since they were sent to your Kindle:\n\n${titles}\n\n` +
+        'Removed words are shown [-like this-], added ones {+like this+}.\n\n' +
+        diffs.join(`\n\n${'-'.repeat(20)}\n\n`)
+    );
+    console.log('✅ Update notice sent!');
+    return null;
+  }
+
+  const dateStr = new Date().toISOString().split('T')[0];
+  const articles = updated.map(update => ({
+    url: update.url,
+    dir: update.dir,
+    data: {
+      ...update.data,
+      title: `${update.data.title} (updated)`,
+      content: `<h2>What changed</h2>\n${update.diffHtml}\n<hr>\n${update.data.content}`
+    }
+  }));
+  const file = await writeDigest('epub', path.join(articlesDir, `anthropic-updates-${dateStr}`), 'Updated Anthropic Articles', articles, new Date().toLocaleDateString());
+  console.log(`📧 Sending ${updated.length} updated articles to Kindle (${recipients.kindle})...`);
+  await sendEmail(transport, from, recipients.kindle, 'Updated Anthropic Articles', `Articles changed since they were sent:\n\n${titles}`, file);
+  console.log('✅ Updates sent to Kindle!');
+  return file;
+}
+
+module.exports = { checkUpdates, sendUpdates, dueForCheck, fingerprint, paragraphsOf, REVISIONS_DIR, SENT_FILE };
@@ -0,0 +1,39 @@
+/**
+ * Small helpers shared across modules
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Hex SHA-256 of a string or Buffer
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Write through a temp file and a rename, so readers never see a partial file
+// and an interrupted run never leaves one behind
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Lowercased host (with any port) of a URL; '' when it does not parse
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// File-name-safe form of `text`: lowercase letters, digits and dashes
+function slugify(text) {
+  return String(text).replace(/[^a-z0-9-]+/gi, '-').toLowerCase();
+}
+
+module.exports = { sha256, writeAtomic, sleep, hostOf, slugify };
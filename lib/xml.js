@@ -0,0 +1,125 @@
+/**
+ * Minimal XML parser for feeds and sitemaps
+ * Builds a tree of { name, attrs, children, text } elements; tolerant of
+ * sloppy input (unclosed tags are closed at their parent's end tag).
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const attrRegex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrRegex.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    attrs[match[1]] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+function createElement(name, attrs = {}) {
+  return { name, attrs, children: [], text: '' };
+}
+
+// Parse an XML document and return a synthetic root element
+function parseXml(xml) {
+  const root = createElement('#document');
+  const stack = [root];
+  let pos = 0;
+
+  const appendText = text => {
+    if (text) stack[stack.length - 1].text += text;
+  };
+
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+    if (lt === -1) {
+      appendText(decodeEntities(xml.slice(pos)));
+      break;
+    }
+    appendText(decodeEntities(xml.slice(pos, lt)));
+
+    if (xml.startsWith('<!--', lt)) {
+      const end = xml.indexOf('-->', lt + 4);
+      pos = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      appendText(xml.slice(lt + 9, end === -1 ? xml.length : end));
+      pos = end === -1 ? xml.length : end + 3;
+    } else if (xml[lt + 1] === '?' || xml[lt + 1] === '!') {
+      const end = xml.indexOf('>', lt);
+      pos = end === -1 ? xml.length : end + 1;
+    } else if (xml[lt + 1] === '/') {
+      const end = xml.indexOf('>', lt);
+      const name = xml.slice(lt + 2, end === -1 ? xml.length : end).trim();
+      // Pop back to the matching element, ignoring stray end tags
+      const index = stack.map(el => el.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      pos = end === -1 ? xml.length : end + 1;
+    } else {
+      const end = xml.indexOf('>', lt);
+      if (end === -1) break;
+      const source = xml.slice(lt + 1, end);
+      const selfClosing = source.endsWith('/');
+      const body = selfClosing ? source.slice(0, -1) : source;
+      const nameMatch = body.match(/^[^\s/>]+/);
+      if (!nameMatch) {
+        appendText('<');
+        pos = lt + 1;
+        continue;
+      }
+      const element = createElement(nameMatch[0], parseAttributes(body.slice(nameMatch[0].length)));
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+      pos = end + 1;
+    }
+  }
+
+  return root;
+}
+
+// Element name without namespace prefix ("atom:link" -> "link")
+function localName(element) {
+  return element.name.slice(element.name.indexOf(':') + 1).toLowerCase();
+}
+
+// Direct children matching a local name (or any of several)
+function children(element, ...names) {
+  return element.children.filter(child => names.includes(localName(child)));
+}
+
+function child(element, ...names) {
+  return children(element, ...names)[0] || null;
+}
+
+// Depth-first search for all descendants with a local name
+function descendants(element, name, found = []) {
+  for (const node of element.children) {
+    if (localName(node) === name) found.push(node);
+    descendants(node, name, found);
+  }
+  return found;
+}
+
+// Concatenated, trimmed text of an element and its descendants
+function textOf(element) {
+  if (!element) return '';
+  return (element.text + element.children.map(textOf).join('')).trim();
+}
+
+// Escape text for XML character data or a double-quoted attribute value
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { parseXml, decodeEntities, escapeXml, localName, children, child, descendants, textOf };
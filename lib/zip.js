@@ -0,0 +1,126 @@
+/**
+ * ZIP reader and writer
+ * Just enough of the format for EPUB packages: stored or deflated entries,
+ * written in the given order with a fixed timestamp, so the same entries
+ * always produce the same bytes. The reader exists for the EPUB validator.
+ */
+
+const zlib = require('zlib');
+
+// 1980-01-01 00:00, the earliest DOS date
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// entries: [{ name, data (Buffer|string), store }] -> Buffer
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = entry.store ? data : zlib.deflateRawSync(data, { level: 9 });
+    const method = entry.store ? 0 : 8;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);              // version needed
+    local.writeUInt16LE(0, 6);               // flags
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);              // extra field length
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);            // version made by
+    central.writeUInt16LE(20, 6);            // version needed
+    central.writeUInt16LE(0, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);       // local header offset; the rest stays zero
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Entries of a ZIP archive in stored order:
+// [{ name, method, extraLength, offset, data (Buffer, or null if unreadable), crcOk }]
+// Throws when there is no central directory.
+function readZip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('not a ZIP file (no end of central directory)');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > buffer.length || buffer.readUInt32LE(pos) !== 0x02014b50) throw new Error('corrupt central directory');
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const offset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    // The local header has its own name and extra field lengths
+    const localExtra = buffer.readUInt16LE(offset + 28);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + localExtra;
+    const raw = buffer.subarray(start, start + compressedSize);
+    let data = null;
+    try {
+      if (method === 0) data = raw;
+      else if (method === 8) data = zlib.inflateRawSync(raw);
+    } catch (e) {
+      data = null;
+    }
+    entries.push({ name, method, extraLength: localExtra, offset, data, crcOk: Boolean(data) && crc32(data) === crc });
+  }
+  return entries;
+}
+
+module.exports = { createZip, readZip, crc32 };
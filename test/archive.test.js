@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { archiveSources, MANIFEST_FILE } = require('../lib/archive');
+const { extractSavedArticle } = require('../lib/extract');
+const { run } = require('../lib/cli');
+const { EXIT } = require('../lib/errors');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir, testConfig } = require('./helpers/config');
+
+const LISTING = 'https://example.test/news';
+
+function articlePage(name) {
+  const body = Array.from({ length: 40 }, (_, i) => `The ${name} article, sentence ${i}.`).join(' ');
+  return `<html><head><title>Article ${name}</title></head><body><main><h1>Article ${name}</h1><p>${body}</p><img src="/img/${name}.png" alt="${name}"></main></body></html>`;
+}
+
+async function site(names) {
+  const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#36c' } }).png().toBuffer();
+  const pages = { [LISTING]: `<html><body>${names.map(name => `<a href="/news/${name}">${name}</a>`).join('')}</body></html>` };
+  for (const name of names) {
+    pages[`${LISTING}/${name}`] = articlePage(name);
+    pages[`https://example.test/img/${name}.png`] = png;
+  }
+  return pages;
+}
+
+// Silence the run's console output; returns the error lines
+function quiet(t) {
+  const errors = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+  return errors;
+}
+
+function archive(config, http, options = {}) {
+  return archiveSources({
+    articlesDir: config.paths.fullArticlesDir,
+    sources: config.sources,
+    http,
+    concurrency: 2,
+    maxAttempts: config.retry.maxAttempts,
+    ...options
+  });
+}
+
+function manifestOf(config) {
+  return JSON.parse(fs.readFileSync(path.join(config.paths.fullArticlesDir, MANIFEST_FILE), 'utf8')).articles;
+}
+
+test('an archive run stopped part way resumes from its manifest', async (t) => {
+  quiet(t);
+  const config = testConfig(tempDir());
+  const pages = await site(['one', 'two', 'three']);
+
+  const first = await archive(config, createFakeHttp(pages), { limit: 2 });
+  assert.deepEqual({ saved: first.saved, remaining: first.remaining }, { saved: 2, remaining: 1 });
+  const saved = manifestOf(config);
+  assert.deepEqual(Object.values(saved).map(entry => [entry.file, entry.status]), [
+    ['news-one.html', 'saved'], ['news-two.html', 'pending'], ['news-three.html', 'saved']
+  ]);
+  assert.equal(saved['example.test/news/one'].images.length, 1);
+  assert.equal(saved['example.test/news/one'].sha256.length, 64);
+
+  const http = createFakeHttp(pages);
+  const second = await archive(config, http);
+  assert.deepEqual({ saved: second.saved, remaining: second.remaining }, { saved: 1, remaining: 0 });
+  assert.deepEqual(http.requests.filter(url => url.startsWith(`${LISTING}/`)), [`${LISTING}/two`], 'saved articles are not fetched again');
+  assert.equal(manifestOf(config)['example.test/news/one'].savedAt, saved['example.test/news/one'].savedAt);
+  assert.ok(Object.values(manifestOf(config)).every(entry => entry.status === 'saved'));
+
+  const idle = createFakeHttp(pages);
+  assert.equal((await archive(config, idle)).saved, 0);
+  assert.deepEqual(idle.requests, [LISTING]);
+
+  // Extraction finds the page's address and uses the archived copy of its image
+  const article = extractSavedArticle(path.join(config.paths.fullArticlesDir, 'news-two.html'), config.sources);
+  assert.equal(article.url, `${LISTING}/two`);
+  assert.match(article.content, /<img src="file:\/\/[^"]*news-two_files\/[0-9a-f]{16}\.png"/);
+});
+
+test('pages saved some other way are never overwritten, and failures are retried up to maxAttempts', async (t) => {
+  quiet(t);
+  const config = testConfig(tempDir(), { 'retry.maxAttempts': 2 });
+  const pages = await site(['one', 'two', 'three']);
+  delete pages[`${LISTING}/three`];
+  fs.mkdirSync(config.paths.fullArticlesDir, { recursive: true });
+  const handSaved = path.join(config.paths.fullArticlesDir, 'news-two.html');
+  fs.writeFileSync(handSaved, '<html><body>My own copy</body></html>');
+
+  const first = await archive(config, createFakeHttp(pages));
+  assert.deepEqual({ saved: first.saved, present: first.present, failed: first.failed }, { saved: 1, present: 1, failed: 1 });
+  assert.equal(fs.readFileSync(handSaved, 'utf8'), '<html><body>My own copy</body></html>');
+  const failed = manifestOf(config)['example.test/news/three'];
+  assert.deepEqual([failed.status, failed.attempts], ['failed', 1]);
+  assert.match(failed.error, /HTTP 404/);
+
+  // A page this archive wrote is its own to replace, say after a run stopped before recording it
+  const manifestFile = path.join(config.paths.fullArticlesDir, MANIFEST_FILE);
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  manifest.articles['example.test/news/one'].status = 'pending';
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+
+  const http = createFakeHttp(pages);
+  const second = await archive(config, http);
+  assert.deepEqual({ saved: second.saved, failed: second.failed }, { saved: 1, failed: 1 });
+  assert.ok(http.requests.includes(`${LISTING}/one`));
+  assert.ok(!http.requests.includes(`${LISTING}/two`));
+  assert.equal(manifestOf(config)['example.test/news/three'].attempts, 2);
+
+  const third = createFakeHttp(pages);
+  await archive(config, third);
+  assert.ok(!third.requests.includes(`${LISTING}/three`), 'left alone after maxAttempts');
+});
+
+test('the archive command checks its flags and reports a run where everything failed', async (t) => {
+  const config = testConfig(tempDir());
+  const pages = { [LISTING]: '<html><body><a href="/news/gone">Gone</a></body></html>' };
+  const errors = quiet(t);
+
+  assert.equal(await run(['archive', '--source', 'blog'], { config, http: createFakeHttp(pages) }), EXIT.USAGE);
+  assert.equal(errors[0], '❌ Unknown source "blog" (configured: news)\n');
+  assert.equal(await run(['archive', '--limit', '0'], { config, http: createFakeHttp(pages) }), EXIT.USAGE);
+  assert.ok(errors.includes('❌ --limit must be a positive whole number, got "0"\n'));
+
+  assert.equal(await run(['archive', '--dry-run'], { config, http: createFakeHttp(pages) }), EXIT.OK);
+  assert.ok(!fs.existsSync(path.join(config.paths.fullArticlesDir, MANIFEST_FILE)), 'a dry run writes nothing');
+  assert.equal(await run(['archive'], { config, http: createFakeHttp(pages) }), EXIT.FAILURE);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { downloadArticle, ARTICLE_FILE } = require('../lib/articles');
+const { sourceFromUrl } = require('../lib/sources');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir } = require('./helpers/config');
+
+test('every image in an article is downloaded and pointed at locally', async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c00' } }).png().toBuffer();
+  const url = 'https://example.test/news/gallery';
+  const figures = Array.from({ length: 8 }, (_, i) => `<figure><img src="/img/${i}.png" alt="Figure ${i}"></figure><p>Paragraph ${i} describes figure ${i}, which shows one more result of the study.</p>`);
+  const pages = {
+    [url]: `<html><head><title>Gallery</title></head><body><main><h1>Gallery</h1>${figures.join('\n')}</main></body></html>`
+  };
+  for (let i = 0; i < 8; i++) pages[`https://example.test/img/${i}.png`] = png;
+  const dir = tempDir();
+
+  const article = await downloadArticle(url, dir, sourceFromUrl(url), createFakeHttp(pages), { concurrency: 2 });
+
+  assert.equal(article.images.length, 8);
+  const files = fs.readdirSync(dir).filter(name => name.startsWith('image-')).sort();
+  assert.deepEqual(files, Array.from({ length: 8 }, (_, i) => `image-${i + 1}.png`).sort());
+  assert.ok(!article.content.includes('https://example.test/img/'), 'no image is left pointing at the site');
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, ARTICLE_FILE), 'utf8'));
+  assert.equal(saved.content, article.content);
+});
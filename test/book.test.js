@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { buildBook } = require('../lib/book');
+const { validateEpub } = require('../lib/epub-validator');
+const { readZip } = require('../lib/zip');
+const { KINDLE_CSS } = require('../lib/epub');
+const { detectFormat, E_READER_FORMATS } = require('../lib/images');
+const { loadConfig } = require('../lib/config');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir } = require('./helpers/config');
+
+const ARTICLES_DIR = path.join(__dirname, 'fixtures', 'full-articles');
+
+async function images() {
+  const chart = color => sharp({ create: { width: 1600, height: 800, channels: 3, background: color } }).png().toBuffer();
+  return createFakeHttp({
+    'https://example.test/img/consistency.png': await chart('#36c'),
+    'https://example.test/img/languages.png': await chart('#c63')
+  });
+}
+
+async function build(target, output, options = {}) {
+  const { sources } = loadConfig({ env: {}, cwd: tempDir() });
+  return buildBook({
+    articlesDir: ARTICLES_DIR,
+    outputDir: path.dirname(output),
+    output,
+    sources,
+    http: await images(),
+    concurrency: 2,
+    target,
+    ...options
+  });
+}
+
+for (const target of ['epub3', 'epub2', 'kindle']) {
+  test(`the ${target} book validates and rebuilds byte for byte`, async () => {
+    const dir = tempDir();
+    const first = await build(target, path.join(dir, 'first', 'book.epub'));
+    const second = await build(target, path.join(dir, 'second', 'book.epub'));
+
+    assert.equal(first.articles, 3);
+    // Two photos, the missing one left out; e-reader targets also rasterize an inline SVG chart
+    assert.equal(first.images, target === 'epub3' ? 2 : 3);
+    assert.equal(first.problems, 0);
+    const book = fs.readFileSync(first.outputPath);
+    const report = validateEpub(book);
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.version, target === 'epub2' ? '2.0' : '3.0');
+    assert.ok(book.equals(fs.readFileSync(second.outputPath)), 'both builds are identical');
+
+    const entries = readZip(book);
+    assert.equal(entries[0].name, 'mimetype');
+    assert.equal(entries[0].method, 0);
+    assert.ok(entries.every(entry => entry.crcOk), 'every entry passes its CRC');
+    assert.equal(entries.filter(entry => entry.name.startsWith('OEBPS/images/')).length, first.images);
+  });
+}
+
+test('kindle images are converted to e-reader formats and fit the screen', async () => {
+  const dir = tempDir();
+  const packaged = async options => {
+    const { outputPath } = await build('kindle', path.join(dir, `${Object.keys(options).length}`, 'book.epub'), options);
+    const entries = readZip(fs.readFileSync(outputPath));
+    const images = entries.filter(entry => entry.name.startsWith('OEBPS/images/'));
+    return { entries, images: await Promise.all(images.map(entry => sharp(entry.data).metadata())), formats: images.map(entry => detectFormat(entry.data)) };
+  };
+
+  const kindle = await packaged({});
+  assert.ok(kindle.formats.every(format => E_READER_FORMATS.includes(format)), `formats: ${kindle.formats}`);
+  assert.ok(kindle.formats.includes('png'), 'the SVG chart is rasterized');
+  assert.ok(kindle.images.every(image => image.width <= 1264 && image.height <= 1680));
+  assert.ok(kindle.images.some(image => image.width === 1264 && image.height === 632), 'photos are shrunk to the screen width');
+  assert.ok(kindle.entries.some(entry => entry.name.endsWith('.css') && entry.data.toString().includes(KINDLE_CSS.trim())));
+
+  const small = await packaged({ screen: { maxWidth: 600, maxHeight: 400 }, imageOptions: { grayscale: true } });
+  assert.ok(small.images.every(image => image.width <= 600 && image.height <= 400));
+  assert.ok(small.images.some(image => image.width === 600 && image.height === 300));
+  assert.ok(small.images.every(image => image.space === 'b-w'), 'grayscale for e-ink');
+});
+
+test('the pdf book embeds images shrunk to the page and rebuilds byte for byte', async () => {
+  const dir = tempDir();
+  const first = await build('pdf', path.join(dir, 'first', 'book.pdf'));
+  const second = await build('pdf', path.join(dir, 'second', 'book.pdf'));
+
+  assert.equal(first.articles, 3);
+  assert.equal(first.images, 3);
+  const pdf = fs.readFileSync(first.outputPath);
+  assert.equal(pdf.toString('latin1', 0, 5), '%PDF-');
+  assert.ok(pdf.equals(fs.readFileSync(second.outputPath)), 'both builds are identical');
+  const widths = pdf.toString('latin1').match(/\/Subtype \/Image[\s\S]*?\/Width (\d+)/g).map(match => Number(/(\d+)$/.exec(match)[1]));
+  assert.ok(widths.length >= 2);
+  assert.ok(widths.every(width => width <= 1400), `image widths: ${widths}`);
+  assert.ok(widths.includes(1400), 'photos are shrunk to the page');
+});
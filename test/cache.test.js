@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHttpCache } = require('../lib/cache');
+const { sleep } = require('../lib/util');
+const { tempDir } = require('./helpers/config');
+
+const KB = 1024 / (1024 * 1024);
+
+function response(url, headers = {}) {
+  return { url, headers: { 'content-type': 'text/plain', ...headers } };
+}
+
+test('responses are found by URL and identical bodies are stored once', () => {
+  const cache = createHttpCache({ dir: tempDir() });
+  const body = Buffer.from('shared body');
+
+  assert.equal(cache.get('https://example.test/a'), null);
+  cache.put('https://example.test/a', response('https://example.test/a', { etag: '"v1"', 'x-ignored': 'yes' }), body);
+  cache.put('https://example.test/b', response('https://example.test/final-b'), body);
+
+  const hit = cache.get('https://example.test/a');
+  assert.equal(hit.buffer.toString(), 'shared body');
+  assert.deepEqual(hit.headers, { 'content-type': 'text/plain', etag: '"v1"' });
+  assert.equal(cache.get('https://example.test/b').finalUrl, 'https://example.test/final-b');
+  assert.deepEqual({ entries: cache.stats().entries, blobs: cache.stats().blobs }, { entries: 2, blobs: 1 });
+});
+
+test('no-store responses are not kept and max-age decides freshness', () => {
+  const cache = createHttpCache({ dir: tempDir() });
+  const before = Date.now();
+
+  cache.put('https://example.test/private', response('https://example.test/private', { 'cache-control': 'no-store' }), Buffer.from('x'));
+  cache.put('https://example.test/fresh', response('https://example.test/fresh', { 'cache-control': 'max-age=60' }), Buffer.from('y'));
+  cache.put('https://example.test/stale', response('https://example.test/stale', { 'cache-control': 'no-cache' }), Buffer.from('z'));
+
+  assert.equal(cache.get('https://example.test/private'), null);
+  assert.ok(cache.get('https://example.test/fresh').freshUntil >= before + 60 * 1000);
+  assert.equal(cache.get('https://example.test/stale').freshUntil, 0);
+});
+
+test('expired entries are dropped when read or pruned', async () => {
+  const dir = tempDir();
+  createHttpCache({ dir }).put('https://example.test/old', response('https://example.test/old'), Buffer.from('old'));
+  createHttpCache({ dir }).put('https://example.test/older', response('https://example.test/older'), Buffer.from('older'));
+  await sleep(20);
+
+  // A few milliseconds
+  const cache = createHttpCache({ dir, maxAgeDays: 1e-7 });
+  assert.equal(cache.stats().expired, 2);
+  assert.equal(cache.get('https://example.test/old'), null);
+  assert.deepEqual(cache.prune(), { removed: 1, freed: 8 });
+  assert.deepEqual({ entries: cache.stats().entries, bytes: cache.stats().bytes }, { entries: 0, bytes: 0 });
+});
+
+test('past maxSizeMb the least recently used responses are evicted', async () => {
+  const cache = createHttpCache({ dir: tempDir(), maxSizeMb: 2.5 * KB });
+  const kilobyte = fill => Buffer.alloc(1024, fill);
+
+  cache.put('https://example.test/a', response('https://example.test/a'), kilobyte('a'));
+  await sleep(5);
+  cache.put('https://example.test/b', response('https://example.test/b'), kilobyte('b'));
+  await sleep(5);
+  assert.ok(cache.get('https://example.test/a'), 'reading a makes b the least recently used');
+  await sleep(5);
+  cache.put('https://example.test/c', response('https://example.test/c'), kilobyte('c'));
+
+  assert.equal(cache.get('https://example.test/b'), null);
+  assert.ok(cache.get('https://example.test/a'));
+  assert.ok(cache.get('https://example.test/c'));
+  assert.equal(cache.stats().bytes, 2048);
+});
+
+test('purge removes matching entries and only the bodies nothing else uses', () => {
+  const cache = createHttpCache({ dir: tempDir() });
+  cache.put('https://example.test/news/a', response('https://example.test/news/a'), Buffer.from('shared'));
+  cache.put('https://example.test/research/a', response('https://example.test/research/a'), Buffer.from('shared'));
+  cache.put('https://example.test/news/b', response('https://example.test/news/b'), Buffer.from('only news'));
+
+  assert.deepEqual(cache.purge('/news/'), { removed: 2, freed: 9 });
+  assert.deepEqual(cache.list().map(entry => entry.url), ['https://example.test/research/a']);
+  assert.equal(cache.get('https://example.test/research/a').buffer.toString(), 'shared');
+
+  assert.deepEqual(cache.purge(), { removed: 1, freed: 6 });
+  assert.equal(cache.stats().entries, 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { run } = require('../lib/cli');
+const { openStateStore } = require('../lib/state');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir, testConfig, recordingTransport } = require('./helpers/config');
+
+function articlePage(title, published) {
+  const body = Array.from({ length: 60 }, (_, i) => `${title} sentence ${i} says something different.`).join(' ');
+  const meta = published ? `<meta property="article:published_time" content="${published}">` : '';
+  return `<html><head><title>${title}</title>${meta}</head><body><main><h1>${title}</h1><p>${body}</p></main></body></html>`;
+}
+
+function listing(paths) {
+  return `<html><body>${paths.map(p => `<a href="${p}">${p}</a>`).join('')}</body></html>`;
+}
+
+test('undated articles are new on the first run only', async () => {
+  const dir = tempDir();
+  const config = testConfig(dir);
+  const pages = {
+    'https://example.test/news': listing(['/news/first']),
+    'https://example.test/news/first': articlePage('First post'),
+    'https://example.test/news/second': articlePage('Second post')
+  };
+  const transport = recordingTransport();
+
+  assert.equal(await run(['check'], { config, http: createFakeHttp(pages), transport }), 0);
+  assert.equal(transport.sent.length, 2);
+
+  pages['https://example.test/news'] = listing(['/news/first', '/news/second']);
+  const http = createFakeHttp(pages);
+  assert.equal(await run(['check'], { config, http, transport }), 0);
+
+  assert.equal(transport.sent.length, 2, 'nothing more was sent');
+  assert.ok(!http.requests.includes('https://example.test/news/second'));
+  const store = openStateStore(config.paths.dataFile);
+  assert.equal(store.get('https://example.test/news/first').status, 'delivered');
+  assert.equal(store.get('https://example.test/news/second'), null);
+});
+
+test('the publication date found on the page is recorded for pruning', async () => {
+  const dir = tempDir();
+  const config = testConfig(dir);
+  const published = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+  const http = createFakeHttp({
+    'https://example.test/news': listing(['/news/dated']),
+    'https://example.test/news/dated': articlePage('Dated post', published)
+  });
+
+  assert.equal(await run(['check'], { config, http, transport: recordingTransport() }), 0);
+
+  const article = openStateStore(config.paths.dataFile).get('https://example.test/news/dated');
+  assert.equal(article.status, 'delivered');
+  assert.equal(article.published, published);
+});
+
+test('a failed confirmation email does not stop the run from finishing', async () => {
+  const dir = tempDir();
+  const config = testConfig(dir);
+  const http = createFakeHttp({
+    'https://example.test/news': listing(['/news/first']),
+    'https://example.test/news/first': articlePage('First post')
+  });
+  const sent = [];
+  const transport = {
+    name: 'test',
+    async send(message) {
+      if (message.to === config.recipients.notification) throw new Error('mailbox unavailable');
+      sent.push(message);
+    }
+  };
+
+  assert.equal(await run(['check'], { config, http, transport }), 0);
+
+  assert.equal(sent.length, 1);
+  const store = openStateStore(config.paths.dataFile);
+  assert.equal(store.get('https://example.test/news/first').status, 'delivered');
+  assert.ok(store.lastCheck, 'the check was recorded');
+});
+
+test('articles whose canonical link points at the site root are not merged', async () => {
+  const dir = tempDir();
+  const config = testConfig(dir);
+  const rootCanonical = page => page.replace('<head>', '<head><link rel="canonical" href="https://example.test/">');
+  const http = createFakeHttp({
+    'https://example.test/news': listing(['/news/first', '/news/second']),
+    'https://example.test/news/first': rootCanonical(articlePage('First post')),
+    'https://example.test/news/second': rootCanonical(articlePage('Second post'))
+  });
+
+  assert.equal(await run(['check'], { config, http, transport: recordingTransport() }), 0);
+
+  const store = openStateStore(config.paths.dataFile);
+  for (const url of ['https://example.test/news/first', 'https://example.test/news/second']) {
+    assert.equal(store.get(url).status, 'delivered', url);
+    assert.equal(store.get(url).canonicalUrl, null, url);
+  }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+const { tempDir } = require('./helpers/config');
+
+const SOURCES = [{ name: 'news', url: 'https://example.test/news' }];
+
+test('flags override the environment, which overrides the config file', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'config.yaml'), [
+    'recipients:',
+    '  kindle: file@kindle.com',
+    '  notification: file@example.com',
+    'http:',
+    '  concurrency: 2',
+    '  retries: 1',
+    'paths:',
+    '  dataFile: from-file.json'
+  ].join('\n'));
+  const env = { SENDER_KINDLE_EMAIL: 'env@kindle.com', HTTP_CONCURRENCY: '6', SENDER_DATA_FILE: 'from-env.json' };
+  const argv = ['--kindle-email', 'flag@kindle.com', '--set', 'http.concurrency=8'];
+
+  const config = loadConfig({ env, cwd: dir, argv, overrides: { sources: SOURCES } });
+
+  assert.equal(config.file, path.join(dir, 'config.yaml'));
+  assert.equal(config.recipients.kindle, 'flag@kindle.com');
+  assert.equal(config.recipients.notification, 'file@example.com');
+  assert.equal(config.http.concurrency, 8);
+  assert.equal(config.http.retries, 1);
+  assert.equal(config.http.perHost, 2, 'unset keys keep their defaults');
+  assert.equal(config.paths.dataFile, path.join(dir, 'from-env.json'));
+  assert.equal(config.delivery.from, 'file@example.com', 'the notification address doubles as the sender');
+});
+
+test('paths in the config file are relative to the file', () => {
+  const dir = tempDir();
+  fs.mkdirSync(path.join(dir, 'conf'));
+  fs.writeFileSync(path.join(dir, 'conf', 'settings.json'), JSON.stringify({ paths: { outputDir: 'books' } }));
+
+  const config = loadConfig({ env: {}, cwd: dir, argv: ['--config', 'conf/settings.json'], overrides: { sources: SOURCES } });
+
+  assert.equal(config.paths.outputDir, path.join(dir, 'conf', 'books'));
+});
+
+test('every problem in the configuration is reported at once', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'config.yaml'), [
+    'recipients:',
+    '  kindle: not-an-address',
+    'sources:',
+    '  - name: news',
+    '    url: example.test/news',
+    '    linkPatterns: ["("]',
+    'http:',
+    '  concurrency: 0',
+    '  retries: -1',
+    'retry:',
+    '  maxAttempts: 0',
+    'images:',
+    '  quality: 101',
+    'archive:',
+    '  maxPages: 2.5',
+    'delivery:',
+    '  transport: pigeon',
+    'colour: blue'
+  ].join('\n'));
+
+  let error;
+  assert.throws(() => loadConfig({ env: {}, cwd: dir, purposes: ['delivery'] }), e => (error = e) instanceof ConfigError);
+
+  assert.deepEqual(error.problems, [
+    'recipients.kindle: "not-an-address" is not a valid email address',
+    'recipients.notification: is required',
+    'sources[0].url: "example.test/news" is not an http(s) URL',
+    'sources[0].linkPatterns[0]: invalid pattern (Invalid regular expression: /(/: Unterminated group)',
+    'http.retries: must be at least 0, got -1',
+    'http.concurrency: must be at least 1, got 0',
+    'images.quality: must be at most 100, got 101',
+    'archive.maxPages: expected a whole number, got 2.5',
+    'retry.maxAttempts: must be at least 1, got 0',
+    'delivery.transport: "pigeon" must be one of smtp, outbox, mailapp',
+    'delivery.from: is required',
+    'colour: unknown key'
+  ]);
+  assert.match(error.message, /^Invalid configuration \(from .*config\.yaml\):\n {2}- recipients\.kindle/);
+});
+
+test('settings from the environment and flags are type-checked too', () => {
+  const dir = tempDir();
+  const load = options => () => loadConfig({ cwd: dir, overrides: { sources: SOURCES }, ...options });
+
+  assert.throws(load({ env: { HTTP_CONCURRENCY: 'lots' } }), /http\.concurrency: expected a number, got "lots"/);
+  assert.throws(load({ env: { SMTP_PORT: '70000' } }), /delivery\.smtp\.port: "70000" is not a valid port/);
+  assert.throws(load({ env: {}, argv: ['--set', 'http.perHost=-2'] }), /http\.perHost: must be at least 1, got -2/);
+  assert.throws(load({ env: {}, argv: ['--set', 'http.colour=blue'] }), /Unknown configuration key "http\.colour"/);
+  assert.throws(load({ env: {}, argv: ['--config', 'missing.yaml'] }), /Config file not found/);
+});
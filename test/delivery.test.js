@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sendMail } = require('../lib/delivery/smtp');
+const { run } = require('../lib/cli');
+const { startSmtpServer } = require('./helpers/smtp-server');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir, testConfig } = require('./helpers/config');
+
+// { headers: { name: value }, body } of a raw message or MIME part, folded headers joined
+function parsePart(raw) {
+  const split = raw.indexOf('\r\n\r\n');
+  const headers = {};
+  for (const line of raw.slice(0, split).replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+    const colon = line.indexOf(':');
+    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return { headers, body: raw.slice(split + 4) };
+}
+
+// Parts of a multipart message, each parsed with parsePart
+function multipartParts(message) {
+  const boundary = /boundary="([^"]+)"/.exec(message.headers['content-type'])[1];
+  const sections = message.body.split(`--${boundary}`);
+  assert.equal(sections.pop().trim(), '--', 'closing boundary');
+  return sections.slice(1).map(section => parsePart(section.replace(/^\r\n/, '').replace(/\r\n$/, '')));
+}
+
+// Join RFC 2047 encoded-words back into text
+function decodeHeader(value) {
+  return value.replace(/=\?UTF-8\?B\?([^?]*)\?=\s*/g, (_, base64) => Buffer.from(base64, 'base64').toString('utf8'));
+}
+
+test('an attachment is sent as multipart/mixed with a base64 part and an RFC 2047 subject', async (t) => {
+  const server = await startSmtpServer();
+  t.after(() => server.close());
+  const dir = tempDir();
+  const file = path.join(dir, 'digest.epub');
+  const bytes = Buffer.from(Array.from({ length: 300 }, (_, i) => i % 256));
+  fs.writeFileSync(file, bytes);
+
+  await sendMail({ host: '127.0.0.1', port: server.port, starttls: false }, {
+    from: 'me@example.com',
+    to: 'a@kindle.com, b@example.com',
+    subject: '✅ Articles sent – naïve café',
+    text: 'Hello\n.dotted line',
+    attachments: [{ path: file }]
+  });
+
+  assert.equal(server.messages.length, 1);
+  const [sent] = server.messages;
+  assert.deepEqual(sent.to, ['a@kindle.com', 'b@example.com']);
+  const message = parsePart(sent.raw);
+  assert.match(message.headers.subject, /^=\?UTF-8\?B\?/);
+  assert.equal(decodeHeader(message.headers.subject), '✅ Articles sent – naïve café');
+  assert.match(message.headers['content-type'], /^multipart\/mixed; boundary="/);
+
+  const [text, attachment] = multipartParts(message);
+  assert.equal(Buffer.from(text.body, 'base64').toString('utf8'), 'Hello\r\n.dotted line');
+  assert.equal(attachment.headers['content-type'], 'application/epub+zip');
+  assert.equal(attachment.headers['content-disposition'], 'attachment; filename="digest.epub"');
+  assert.ok(attachment.body.split('\r\n').every(line => line.length <= 76));
+  assert.deepEqual(Buffer.from(attachment.body, 'base64'), bytes);
+});
+
+test('credentials are not sent over a connection without STARTTLS', async (t) => {
+  const server = await startSmtpServer();
+  t.after(() => server.close());
+  const message = { from: 'me@example.com', to: 'you@example.com', subject: 'Hi', text: 'x' };
+
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.port, user: 'me', pass: 'secret' }, message),
+    /Refusing to send credentials over an unencrypted connection/
+  );
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.port, requireTLS: true }, message),
+    /does not support STARTTLS/
+  );
+  assert.ok(!server.commands.some(line => /^AUTH/i.test(line)), 'no AUTH command reached the server');
+  assert.equal(server.messages.length, 0);
+
+  // Only when explicitly allowed
+  await sendMail({ host: '127.0.0.1', port: server.port, user: 'me', pass: 'secret', allowInsecureAuth: true }, message);
+  assert.equal(server.commands.find(line => /^AUTH/.test(line)), `AUTH PLAIN ${Buffer.from('\0me\0secret').toString('base64')}`);
+});
+
+test('check sends the digest to Kindle and a confirmation through SMTP', async (t) => {
+  const server = await startSmtpServer({ auth: false });
+  t.after(() => server.close());
+  const dir = tempDir();
+  const body = Array.from({ length: 80 }, (_, i) => `Sentence number ${i} of the launch post.`).join(' ');
+  const http = createFakeHttp({
+    'https://example.test/news': '<html><body><a href="/news/launch">Launch</a></body></html>',
+    'https://example.test/news/launch': `<html><head><title>Launch day</title></head><body><main><h1>Launch day</h1><p>${body}</p></main></body></html>`
+  });
+  const config = testConfig(dir, {
+    'delivery.transport': 'smtp',
+    'delivery.smtp': { host: '127.0.0.1', port: server.port, starttls: false, requireTLS: false }
+  });
+
+  const code = await run(['check'], { config, http });
+
+  assert.equal(code, 0);
+  assert.equal(server.messages.length, 2);
+  const [kindle, confirmation] = server.messages.map(sent => ({ sent, message: parsePart(sent.raw) }));
+  assert.deepEqual(kindle.sent.to, ['reader@kindle.com']);
+  const [, epub] = multipartParts(kindle.message);
+  assert.equal(epub.headers['content-type'], 'application/epub+zip');
+  assert.equal(Buffer.from(epub.body, 'base64').subarray(0, 4).toString('latin1'), 'PK\x03\x04');
+  assert.deepEqual(confirmation.sent.to, ['owner@example.com']);
+  assert.equal(decodeHeader(confirmation.message.headers.subject), '✅ Anthropic Articles Sent to Kindle');
+  assert.match(Buffer.from(confirmation.message.body, 'base64').toString('utf8'), /- Launch day/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHtmlFile, createEpubFile } = require('../lib/digest');
+const { readZip } = require('../lib/zip');
+const { validateEpub } = require('../lib/epub-validator');
+
+const ARTICLES = [{
+  url: 'https://example.test/news/a?x=1&y="2"',
+  data: {
+    title: 'Q&A: <tags> in titles',
+    url: 'https://example.test/news/a?x=1&y="2"',
+    author: 'Ada',
+    date: 'May 2, 2024',
+    content: '<p>Body text.</p>'
+  }
+}];
+
+test('the HTML digest escapes its title and article links', () => {
+  const html = createHtmlFile('News & <Notes>', ARTICLES, '5/2/2024');
+  assert.match(html, /<title>News &amp; &lt;Notes&gt;<\/title>/);
+  assert.match(html, /<h1>News &amp; &lt;Notes&gt;<\/h1>/);
+  assert.match(html, /<h2>Q&amp;A: &lt;tags/);
+  assert.ok(html.includes('<a href="https://example.test/news/a?x=1&amp;y=&quot;2&quot;">https://example.test/news/a?x=1&amp;y=&quot;2&quot;</a>'));
+  assert.ok(!html.includes('y="2"'));
+});
+
+test('the EPUB digest escapes its title and article links', async () => {
+  const epub = await createEpubFile('News & <Notes>', ARTICLES, '5/2/2024');
+  assert.deepEqual(validateEpub(epub).errors, []);
+  const chapters = readZip(epub).filter(entry => /\.xhtml$/.test(entry.name)).map(entry => entry.data.toString('utf8')).join('\n');
+  assert.match(chapters, /<h1>News &amp; &lt;Notes&gt;<\/h1>/);
+  assert.ok(chapters.includes('href="https://example.test/news/a?x=1&amp;y=&quot;2&quot;"'));
+});
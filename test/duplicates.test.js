@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signature, similarity, findDuplicates, DEFAULT_THRESHOLD } = require('../lib/duplicates');
+const { run } = require('../lib/cli');
+const { openStateStore } = require('../lib/state');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir, testConfig, recordingTransport } = require('./helpers/config');
+
+const VOCABULARY = 'model data training test result team paper method layer feature circuit safety policy user research tool language image benchmark error'.split(' ');
+
+// Sixty sentences of words drawn by a generator seeded with `seed`
+function article(seed) {
+  let state = seed;
+  const word = () => VOCABULARY[Math.floor((state = (state * 1103515245 + 12345) % 2147483648) / 65536) % VOCABULARY.length];
+  return `${Array.from({ length: 60 }, () => Array.from({ length: 8 }, word).join(' ')).join('. ')}.`;
+}
+
+// `text` with sentences `from` to `to` rewritten
+function rewrite(text, from, to) {
+  const sentences = text.split('. ');
+  for (let i = from; i < to; i++) sentences[i] = `Rewritten line ${i} uses entirely fresh wording`;
+  return sentences.join('. ');
+}
+
+const BASE = article(1);
+
+test('a retitled cross-post is similar enough to merge and an unrelated post is not', () => {
+  const retitled = `A different headline for it. ${rewrite(BASE, 30, 31)}`;
+  const unrelated = article(2);
+
+  assert.equal(signature(BASE).length, 64 * 8);
+  assert.equal(signature(BASE), signature(BASE.toUpperCase().replace(/\./g, ' !')), 'case and punctuation do not count');
+  assert.equal(similarity(signature(BASE), signature(BASE)), 1);
+  assert.ok(similarity(signature(BASE), signature(retitled)) >= DEFAULT_THRESHOLD);
+  assert.equal(similarity(signature(BASE), signature(unrelated)), 0);
+  assert.equal(signature(''), '');
+  assert.equal(similarity('', signature(BASE)), 0);
+});
+
+test('duplicates are grouped transitively, by canonical URL or by signature', () => {
+  const edited = rewrite(BASE, 0, 7);
+  const editedAgain = rewrite(edited, 53, 60);
+  const items = [
+    { url: 'https://example.test/news/a', signature: signature(BASE) },
+    { url: 'https://example.test/news/unrelated', signature: signature(article(2)) },
+    { url: 'https://example.test/research/a-edited', signature: signature(edited) },
+    { url: 'https://www.example.test/news/b/?utm_source=feed', signature: signature('A short post') },
+    { url: 'https://example.test/research/a-edited-again', signature: signature(editedAgain) },
+    { url: 'https://example.test/news/b', signature: '' }
+  ];
+  // The first and last versions are not alike enough on their own
+  assert.ok(similarity(items[0].signature, items[4].signature) < 0.75);
+  assert.ok(similarity(items[0].signature, items[2].signature) >= 0.75);
+  assert.ok(similarity(items[2].signature, items[4].signature) >= 0.75);
+
+  assert.deepEqual(findDuplicates(items, { threshold: 0.75 }), [[0, 2, 4], [3, 5]]);
+  assert.deepEqual(findDuplicates(items, { threshold: 1 }), [[3, 5]]);
+  assert.deepEqual(findDuplicates([]), []);
+});
+
+test('an article listed under two sources is delivered once, in both categories', async () => {
+  const config = testConfig(tempDir(), {
+    sources: [
+      { name: 'news', url: 'https://example.test/news', category: 'News' },
+      { name: 'research', url: 'https://example.test/research', category: 'Research' }
+    ]
+  });
+  const page = (title, body, head = '') => `<html><head><title>${title}</title>${head}</head><body><main><h1>${title}</h1><p>${body}</p></main></body></html>`;
+  const moved = article(3);
+  const http = createFakeHttp({
+    'https://example.test/news': '<a href="/news/launch">Launch</a><a href="/news/tools">Tools</a>',
+    'https://example.test/research': '<a href="/research/launch-notes">Launch notes</a><a href="/research/tools">Tools</a>',
+    'https://example.test/news/launch': page('Launch', BASE),
+    'https://example.test/research/launch-notes': page('Notes on the launch', rewrite(BASE, 30, 31)),
+    // Moved from /news/ to /research/, with an intro the research copy lacks
+    'https://example.test/news/tools': page('Tools', `An introduction for news readers. ${moved}`, '<link rel="canonical" href="https://example.test/research/tools">'),
+    'https://example.test/research/tools': page('Tools', rewrite(moved, 0, 20))
+  });
+  const transport = recordingTransport();
+
+  assert.equal(await run(['check'], { config, http, transport }), 0);
+
+  const store = openStateStore(config.paths.dataFile);
+  const status = url => store.get(url).status;
+  assert.deepEqual(['news/launch', 'research/launch-notes', 'news/tools', 'research/tools'].map(path => status(`https://example.test/${path}`)),
+    ['delivered', 'duplicate', 'delivered', 'duplicate']);
+  assert.deepEqual(store.get('https://example.test/news/launch').categories, ['News', 'Research']);
+  assert.deepEqual(store.get('https://example.test/news/tools').categories, ['News', 'Research']);
+  assert.equal(store.get('https://example.test/research/launch-notes').duplicateOf, 'https://example.test/news/launch');
+  assert.equal(store.get('https://example.test/news/tools').canonicalUrl, 'https://example.test/research/tools');
+
+  const kindle = transport.sent.filter(message => message.to === config.recipients.kindle);
+  assert.equal(kindle.length, 1);
+  assert.equal(kindle[0].text.match(/^- /gm).length, 2, 'each article is in the digest once');
+});
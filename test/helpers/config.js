@@ -0,0 +1,42 @@
+/**
+ * Configuration and transport for tests: every path inside a fresh temp folder
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../../lib/config');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'sender-test-'));
+}
+
+// Config for one example.test source, with `overrides` ({ 'dotted.key': value }) on top
+function testConfig(dir, overrides = {}) {
+  return loadConfig({
+    env: {},
+    cwd: dir,
+    purposes: ['delivery'],
+    overrides: {
+      'recipients.kindle': 'reader@kindle.com',
+      'recipients.notification': 'owner@example.com',
+      sources: [{ name: 'news', url: 'https://example.test/news', category: 'News' }],
+      'paths.dataFile': 'state.json',
+      'paths.articlesDir': 'articles',
+      'paths.imagesDir': 'images',
+      'paths.fullArticlesDir': 'full-articles',
+      'paths.outputDir': 'output',
+      'paths.searchIndex': 'search-index.json',
+      'cache.dir': '.cache',
+      ...overrides
+    }
+  });
+}
+
+// Transport keeping every message it is given
+function recordingTransport() {
+  const sent = [];
+  return { name: 'test', sent, send: async message => { sent.push(message); } };
+}
+
+module.exports = { tempDir, testConfig, recordingTransport };
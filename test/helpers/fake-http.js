@@ -0,0 +1,20 @@
+/**
+ * In-memory stand-in for the ./http client, passed to commands as context.http
+ */
+
+// pages: { [url]: string | Buffer }; anything else is a 404. `requests` lists every URL asked for
+function createFakeHttp(pages) {
+  const requests = [];
+  const lookup = (url) => {
+    requests.push(url);
+    if (!Object.hasOwn(pages, url)) throw new Error(`HTTP 404 for ${url}`);
+    return pages[url];
+  };
+  return {
+    requests,
+    fetchText: async url => String(lookup(url)),
+    fetchBuffer: async url => ({ buffer: Buffer.from(lookup(url)) })
+  };
+}
+
+module.exports = { createFakeHttp };
@@ -0,0 +1,39 @@
+/**
+ * Local HTTP server for tests
+ * routes: { '/path?query': (req, res) => void }; anything else is a 404.
+ * `requests` lists every path asked for, in order.
+ */
+
+const http = require('http');
+
+function startHttpServer(routes) {
+  const requests = [];
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+    if (route) return route(req, res);
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('not found');
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        origin,
+        requests,
+        close: () => new Promise((done) => {
+          for (const socket of sockets) socket.destroy();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startHttpServer };
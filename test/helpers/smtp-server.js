@@ -0,0 +1,76 @@
+/**
+ * Fake SMTP server for tests
+ * Speaks just enough RFC 5321 to accept mail: records every command line and
+ * the raw text of each message. It never offers STARTTLS, so the client's
+ * refusal to authenticate in the clear can be checked.
+ */
+
+const net = require('net');
+
+// options: { auth: advertise AUTH PLAIN LOGIN (default true) }
+// Resolves to { port, commands, messages: [{ from, to, raw }], close() }
+function startSmtpServer({ auth = true } = {}) {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    let buffer = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data) {
+          if (line === '.') {
+            messages.push({ ...envelope, raw: data.join('\r\n').replace(/^\.\./gm, '.') });
+            data = null;
+            envelope = { from: null, to: [] };
+            reply('250 2.0.0 Queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') reply(`250-fake.test${auth ? '\r\n250-AUTH PLAIN LOGIN' : ''}\r\n250 8BITMIME`);
+        else if (verb === 'AUTH') reply('235 2.7.0 Accepted');
+        else if (verb === 'MAIL') {
+          envelope.from = line.replace(/^MAIL FROM:<(.*)>$/i, '$1');
+          reply('250 OK');
+        } else if (verb === 'RCPT') {
+          envelope.to.push(line.replace(/^RCPT TO:<(.*)>$/i, '$1'));
+          reply('250 OK');
+        } else if (verb === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+    reply('220 fake.test ESMTP');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        commands,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpServer };
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseHtml, innerHtml, textContent, querySelectorAll, extractArticle, selectImages } = require('../lib/html');
+const { nextPageUrl } = require('../lib/discovery/html');
+const { loadConfig } = require('../lib/config');
+const { tempDir } = require('./helpers/config');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', name), 'utf8');
+}
+
+test('parser closes implied end tags the way browsers do', () => {
+  const cases = [
+    ['<p>one<p>two<div>three</div>', '<p>one</p><p>two</p><div>three</div>'],
+    ['<ul><li>a<ul><li>b<li>c</ul><li>d</ul>', '<ul><li>a<ul><li>b</li><li>c</li></ul></li><li>d</li></ul>'],
+    ['<dl><dt>term<dd>one<dd>two<dt>next</dl>', '<dl><dt>term</dt><dd>one</dd><dd>two</dd><dt>next</dt></dl>'],
+    ['<table><tr><th>a<th>b<tr><td>1<td>2</table>', '<table><tr><th>a</th><th>b</th></tr><tr><td>1</td><td>2</td></tr></table>'],
+    ['<table><thead><tr><th>h<tbody><tr><td>x</table>', '<table><thead><tr><th>h</th></tr></thead><tbody><tr><td>x</td></tr></tbody></table>'],
+    ['<select><option>a<option>b</select>', '<select><option>a</option><option>b</option></select>'],
+    ['<div><span>a</div>b</span>', '<div><span>a</span></div>b'],
+    ['<p>a<br/>b</br>c<img src=x.png>', '<p>a<br>b<br>c<img src="x.png"></p>']
+  ];
+  for (const [html, expected] of cases) assert.equal(innerHtml(parseHtml(html)), expected, html);
+});
+
+test('script, style and comment content stays text', () => {
+  const document = parseHtml(fixture('script-content.html'));
+  const scripts = querySelectorAll(document, 'script');
+  assert.equal(scripts.length, 3);
+  assert.match(innerHtml(scripts[0]), /"<p>Not part of the article<\/p><\/div>"/);
+  assert.match(innerHtml(querySelectorAll(document, 'style')[0]), /<\/style-ish>/);
+  assert.ok(!textContent(document).includes('__STATE__'), 'script text is not visible text');
+  assert.equal(querySelectorAll(document, 'section').length, 0);
+  assert.equal(querySelectorAll(document, 'div.content > p').length, 3);
+  assert.equal(innerHtml(parseHtml('<!-- <p>x</p> --><p>y</p>')), '<!-- <p>x</p> --><p>y</p>');
+});
+
+test('readability extracts an article written with unclosed tags', () => {
+  const article = extractArticle(fixture('unclosed-tags.html'), { url: 'https://example.test/research/model-honesty' });
+  assert.equal(article.title, 'Measuring model honesty');
+  assert.equal(article.author, 'Ada Example');
+  assert.equal(article.published, '2024-05-02T09:00:00.000Z');
+  assert.equal(article.siteName, 'Example Research');
+  assert.equal(article.lang, 'en');
+
+  const content = parseHtml(article.content);
+  assert.equal(querySelectorAll(content, 'p').length, 4);
+  assert.equal(querySelectorAll(content, 'li').length, 3);
+  assert.equal(querySelectorAll(content, 'tr').length, 3);
+  assert.equal(querySelectorAll(content, 'tr tr').length, 0);
+  assert.match(article.text, /room for improvement & further study/);
+  for (const chrome of ['Home', 'Share on Twitter', 'Privacy', '2024 Example Research']) {
+    assert.ok(!article.text.includes(chrome), `"${chrome}" is not in the article`);
+  }
+  assert.ok(!/class=/.test(article.content), 'class attributes are sanitized away');
+});
+
+test('readability leaves scripts, noscript fallbacks and boilerplate out', () => {
+  const article = extractArticle(fixture('script-content.html'), { url: 'https://example.test/news/scaling' });
+  assert.equal(article.title, 'Scaling interpretability');
+  assert.equal(article.published, '2024-06-10T00:00:00.000Z');
+  assert.equal(querySelectorAll(parseHtml(article.content), 'p').length, 3);
+  for (const junk of ['Not part of the article', 'Written by script', 'Enable JavaScript', 'cookies', 'Related posts', '__STATE__']) {
+    assert.ok(!article.content.includes(junk), `"${junk}" is not in the article`);
+  }
+  assert.ok(article.excerpt.startsWith('Interpretability research tries'));
+});
+
+test('canonical URLs are trusted only for articles of a configured source on the fetched site', () => {
+  const { sources } = loadConfig({ env: {}, cwd: tempDir() });
+  const source = sources.find(s => s.name === 'news');
+  const url = 'https://www.anthropic.com/news/scaling';
+  const canonical = (href, options) => {
+    const html = fixture('script-content.html').replace('<head>', `<head><link rel="canonical" href="${href}">`);
+    return extractArticle(html, { url, source, ...options }).canonicalUrl;
+  };
+  const cases = [
+    ['/news/scaling-interpretability', 'https://www.anthropic.com/news/scaling-interpretability'],
+    ['https://www.anthropic.com/research/scaling', 'https://www.anthropic.com/research/scaling'],
+    ['https://anthropic.com/research/scaling', 'https://anthropic.com/research/scaling'],
+    ['https://www.anthropic.com/', null],
+    ['https://www.anthropic.com/news', null],
+    ['https://www.anthropic.com/research/', null],
+    ['https://www.anthropic.com/careers/scaling', null],
+    ['https://mirror.example/news/scaling', null],
+    ['', null]
+  ];
+  for (const [href, expected] of cases) assert.equal(canonical(href, { sources }), expected, href);
+
+  assert.equal(canonical('https://www.anthropic.com/research/scaling'), null, 'research is not among the sources given');
+});
+
+test('listing pagination follows rel=next, "Older" links and page numbers', () => {
+  const cases = [
+    ['listing-page-1.html', 'https://example.test/news', 'https://example.test/news?page=2'],
+    ['listing-page-2.html', 'https://example.test/news?page=2', 'https://example.test/news/archive/older-entries'],
+    ['listing-page-3.html', 'https://example.test/blog/page/3', 'https://example.test/blog/page/4'],
+    ['listing-last.html', 'https://example.test/blog/page/9', null]
+  ];
+  for (const [name, pageUrl, expected] of cases) assert.equal(nextPageUrl(fixture(name), pageUrl), expected, name);
+});
+
+test('images get one absolute src, with <picture> sources ahead of lazy-loading attributes', () => {
+  const cases = [
+    ['<picture><source srcset="/a.webp 800w"><img data-src="/lazy.jpg" src="/blank.gif"></picture>', '<img src="https://example.test/a.webp">'],
+    ['<picture><source srcset="/wide.jpg 1600w, /mid.jpg 900w, /narrow.jpg 600w"><img src="fallback.jpg" loading="lazy"></picture>', '<img src="https://example.test/mid.jpg">'],
+    ['<picture><source type="image/jxl" srcset="/a.jxl"><img src="/a.jpg" data-srcset="/a-2x.jpg 2x"></picture>', '<img src="https://example.test/a-2x.jpg">'],
+    ['<picture><img data-src="img/lazy.jpg" src="/blank.gif"></picture>', '<img src="https://example.test/news/img/lazy.jpg">'],
+    ['<img data-src="/lazy.jpg" src="/blank.gif" data-sizes="auto">', '<img src="https://example.test/lazy.jpg">'],
+    ['<img src="data:image/gif;base64,R0lGOD" data-lazy-src="//cdn.test/x.png">', '<img src="https://cdn.test/x.png">']
+  ];
+  for (const [html, expected] of cases) {
+    assert.equal(innerHtml(selectImages(parseHtml(html), { baseUrl: 'https://example.test/news/post', viewport: 800 })), expected, html);
+  }
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createHttpClient, detectCharset } = require('../lib/http');
+const { createRobotsPolicy } = require('../lib/robots');
+const { createHttpCache } = require('../lib/cache');
+const { startHttpServer } = require('./helpers/http-server');
+const { tempDir } = require('./helpers/config');
+
+const quick = { retryDelay: 5, maxRetryDelay: 20, timeout: 2000 };
+
+function redirect(location, status = 302) {
+  return (req, res) => {
+    res.writeHead(status, { Location: location });
+    res.end();
+  };
+}
+
+function body(content, headers = {}) {
+  return (req, res) => {
+    res.writeHead(200, headers);
+    res.end(content);
+  };
+}
+
+// Limiter that records which URL each request was scheduled under
+function recordingLimiter() {
+  const scheduled = [];
+  return { scheduled, schedule: (url, task) => { scheduled.push(url); return task(); }, setDelay() {} };
+}
+
+test('5xx and 429 responses are retried with backoff, 4xx are not', async (t) => {
+  let flaky = 0;
+  const server = await startHttpServer({
+    '/flaky': (req, res) => {
+      if (++flaky < 3) {
+        res.writeHead(flaky === 1 ? 503 : 429, { 'Retry-After': '0' });
+        return res.end();
+      }
+      body('finally')(req, res);
+    },
+    '/down': (req, res) => { res.writeHead(500); res.end(); }
+  });
+  t.after(() => server.close());
+  const client = createHttpClient(quick);
+
+  assert.equal(await client.fetchText(`${server.origin}/flaky`), 'finally');
+  await assert.rejects(client.fetchText(`${server.origin}/gone`), { name: 'HttpError', status: 404 });
+  await assert.rejects(client.fetchText(`${server.origin}/down`), { name: 'HttpError', status: 500 });
+  assert.deepEqual(server.requests, ['/flaky', '/flaky', '/flaky', '/gone', '/down', '/down', '/down']);
+});
+
+test('redirects are followed to a limit and each hop goes through the limiter', async (t) => {
+  const other = await startHttpServer({ '/final': body('landed') });
+  const server = await startHttpServer({
+    '/start': redirect('/middle', 301),
+    '/middle': redirect(`${other.origin}/final`, 307),
+    '/loop': redirect('/loop')
+  });
+  t.after(() => Promise.all([server.close(), other.close()]));
+  const limiter = recordingLimiter();
+  const client = createHttpClient({ ...quick, limiter });
+
+  const response = await client.fetchBuffer(`${server.origin}/start`);
+  assert.equal(response.url, `${other.origin}/final`);
+  assert.equal(response.buffer.toString(), 'landed');
+  assert.deepEqual(limiter.scheduled, [`${server.origin}/start`, `${server.origin}/middle`, `${other.origin}/final`]);
+
+  await assert.rejects(client.fetchText(`${server.origin}/loop`, { maxRedirects: 3 }), /Too many redirects \(>3\)/);
+  assert.equal(server.requests.filter(p => p === '/loop').length, 4);
+});
+
+test('a redirect hop disallowed by its own robots.txt is never requested', async (t) => {
+  const other = await startHttpServer({
+    '/robots.txt': body('User-agent: *\nDisallow: /private\n'),
+    '/private/page': body('secret')
+  });
+  const server = await startHttpServer({
+    '/robots.txt': body('User-agent: *\nAllow: /\n'),
+    '/go': redirect(`${other.origin}/private/page`)
+  });
+  t.after(() => Promise.all([server.close(), other.close()]));
+  const robots = createRobotsPolicy({ agent: 'anthropic-sender', log: () => {} });
+  const client = createHttpClient({ ...quick, robots });
+
+  await assert.rejects(client.fetchText(`${server.origin}/go`), { name: 'HttpError', code: 'EROBOTS' });
+  await assert.rejects(client.download(`${server.origin}/go`, path.join(tempDir(), 'page.html')), { code: 'EROBOTS' });
+  assert.deepEqual(other.requests, ['/robots.txt']);
+});
+
+test('text is decoded by the charset of the header, a BOM or a meta tag', async (t) => {
+  const server = await startHttpServer({
+    '/header': body(Buffer.from([0x63, 0x61, 0x66, 0xe9]), { 'Content-Type': 'text/html; charset=windows-1252' }),
+    '/meta': body(Buffer.concat([Buffer.from('<meta charset="iso-8859-1"><p>na'), Buffer.from([0xef]), Buffer.from('ve</p>')]), { 'Content-Type': 'text/html' }),
+    '/bom': body(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('über', 'utf16le')])),
+    '/gzip': body(zlib.gzipSync('日本語のテキスト'), { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Encoding': 'gzip' }),
+    '/brotli': body(zlib.brotliCompressSync('Ünïcödé'), { 'Content-Encoding': 'br' })
+  });
+  t.after(() => server.close());
+  const client = createHttpClient(quick);
+
+  assert.equal(await client.fetchText(`${server.origin}/header`), 'café');
+  assert.equal(await client.fetchText(`${server.origin}/meta`), '<meta charset="iso-8859-1"><p>naïve</p>');
+  assert.equal(await client.fetchText(`${server.origin}/bom`), 'über');
+  assert.equal(await client.fetchText(`${server.origin}/gzip`), '日本語のテキスト');
+  assert.equal(await client.fetchText(`${server.origin}/brotli`), 'Ünïcödé');
+});
+
+test('charset detection prefers a BOM, then the header, then the document', () => {
+  const cases = [
+    [Buffer.from('\ufeff<meta charset="latin1">', 'utf8'), 'text/html; charset=iso-8859-1', 'utf-8'],
+    [Buffer.from('<meta charset="latin1">'), 'text/html; charset="Shift_JIS"', 'shift_jis'],
+    [Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=windows-1251">'), 'text/html', 'windows-1251'],
+    [Buffer.from('<?xml version="1.0" encoding="ISO-8859-15"?><rss/>'), '', 'iso-8859-15'],
+    [Buffer.from('<p>plain</p>'), '', 'utf-8']
+  ];
+  for (const [buffer, contentType, expected] of cases) assert.equal(detectCharset(buffer, contentType), expected, contentType);
+});
+
+test('downloads are written atomically and a failed one leaves nothing behind', async (t) => {
+  const image = Buffer.alloc(64 * 1024, 7);
+  const server = await startHttpServer({
+    '/image.png': body(image, { 'Content-Type': 'image/png' }),
+    '/broken.png': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': String(image.length) });
+      res.write(image.subarray(0, 1024), () => res.destroy());
+    }
+  });
+  t.after(() => server.close());
+  const dir = tempDir();
+  const client = createHttpClient({ ...quick, retries: 0 });
+
+  const target = path.join(dir, 'nested', 'image.png');
+  const result = await client.download(`${server.origin}/image.png`, target);
+  assert.equal(result.size, image.length);
+  assert.deepEqual(fs.readFileSync(target), image);
+
+  fs.writeFileSync(path.join(dir, 'broken.png'), 'previous copy');
+  await assert.rejects(client.download(`${server.origin}/broken.png`, path.join(dir, 'broken.png')));
+  assert.equal(fs.readFileSync(path.join(dir, 'broken.png'), 'utf8'), 'previous copy');
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['broken.png', 'nested']);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'nested')), ['image.png']);
+});
+
+// Route answering 304 when the request carries the validators in `headers`, recording what it was sent
+function validated(content, headers) {
+  const seen = [];
+  const route = (req, res) => {
+    seen.push({ 'if-none-match': req.headers['if-none-match'], 'if-modified-since': req.headers['if-modified-since'] });
+    const matches = (headers.ETag && req.headers['if-none-match'] === headers.ETag) ||
+      (headers['Last-Modified'] && req.headers['if-modified-since'] === headers['Last-Modified']);
+    res.writeHead(matches ? 304 : 200, { 'Cache-Control': 'no-cache', ...headers });
+    res.end(matches ? undefined : content);
+  };
+  return { seen, route };
+}
+
+test('cached responses are revalidated with ETag and Last-Modified and reused on 304', async (t) => {
+  const etag = validated('tagged', { ETag: '"v1"' });
+  const dated = validated('dated', { 'Last-Modified': 'Mon, 05 Jan 2026 10:00:00 GMT' });
+  const server = await startHttpServer({ '/etag': etag.route, '/dated': dated.route });
+  t.after(() => server.close());
+  const client = createHttpClient({ ...quick, cache: createHttpCache({ dir: tempDir() }) });
+
+  for (const name of ['etag', 'dated']) {
+    const first = await client.fetchBuffer(`${server.origin}/${name}`);
+    const second = await client.fetchBuffer(`${server.origin}/${name}`);
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.buffer.toString(), first.buffer.toString());
+  }
+  assert.deepEqual(etag.seen, [{ 'if-none-match': undefined, 'if-modified-since': undefined }, { 'if-none-match': '"v1"', 'if-modified-since': undefined }]);
+  assert.deepEqual(dated.seen[1], { 'if-none-match': undefined, 'if-modified-since': 'Mon, 05 Jan 2026 10:00:00 GMT' });
+});
+
+test('fresh copies are served without a request and cache modes are honoured', async (t) => {
+  const server = await startHttpServer({
+    '/fresh': body('fresh', { 'Cache-Control': 'max-age=3600' }),
+    '/stale': body('stale', { 'Cache-Control': 'no-cache' })
+  });
+  t.after(() => server.close());
+  const client = createHttpClient({ ...quick, cache: createHttpCache({ dir: tempDir() }) });
+
+  await client.fetchText(`${server.origin}/fresh`);
+  assert.equal((await client.fetchBuffer(`${server.origin}/fresh`)).cached, true);
+  assert.equal((await client.fetchBuffer(`${server.origin}/fresh`, { cacheMode: 'no-store' })).cached, false);
+
+  await client.fetchText(`${server.origin}/stale`);
+  assert.equal((await client.fetchBuffer(`${server.origin}/stale`, { cacheMode: 'prefer' })).cached, true);
+  assert.equal((await client.fetchBuffer(`${server.origin}/stale`)).cached, false);
+
+  assert.deepEqual(server.requests, ['/fresh', '/fresh', '/stale', '/stale']);
+});
+
+test('the validators of a cached URL are not sent on to the URL it redirects to', async (t) => {
+  const target = validated('moved here', { ETag: '"target"' });
+  const server = await startHttpServer({ '/old': redirect('/new'), '/new': target.route });
+  t.after(() => server.close());
+  const client = createHttpClient({ ...quick, cache: createHttpCache({ dir: tempDir() }) });
+
+  await client.fetchText(`${server.origin}/old`);
+  assert.equal(await client.fetchText(`${server.origin}/old`), 'moved here');
+
+  assert.deepEqual(target.seen.map(headers => headers['if-none-match']), [undefined, undefined]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { detectFormat, optimizeImage, optimizeOptions, formatSavings, E_READER_FORMATS } = require('../lib/images');
+
+function picture(width, height, { alpha = false, format = 'png' } = {}) {
+  const background = alpha ? { r: 200, g: 60, b: 30, alpha: 0.5 } : '#c83c1e';
+  return sharp({ create: { width, height, channels: alpha ? 4 : 3, background } })[format]().toBuffer();
+}
+
+const SVG = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100"><rect width="200" height="100" fill="#36c"/></svg>';
+
+test('formats are recognized by their first bytes', async () => {
+  const cases = [
+    [await picture(4, 4, { format: 'png' }), 'png'],
+    [await picture(4, 4, { format: 'jpeg' }), 'jpeg'],
+    [await picture(4, 4, { format: 'gif' }), 'gif'],
+    [await picture(4, 4, { format: 'webp' }), 'webp'],
+    [await picture(4, 4, { format: 'tiff' }), 'tiff'],
+    [Buffer.from(SVG), 'svg'],
+    [Buffer.from('<!-- chart --><svg viewBox="0 0 1 1"></svg>'), 'svg'],
+    [Buffer.from('\u0000\u0000\u0000\u001cftypavif\u0000\u0000'), 'avif'],
+    [Buffer.from('\u0000\u0000\u0000\u0018ftypheic\u0000\u0000'), 'heif'],
+    [Buffer.from('<html><body>Not found</body></html>'), null],
+    [Buffer.from('GIF8'), null],
+    [null, null]
+  ];
+  for (const [buffer, format] of cases) assert.equal(detectFormat(buffer), format, String(buffer && buffer.subarray(0, 12)));
+});
+
+test('large images are shrunk to fit, keeping their shape and format', async () => {
+  const output = await optimizeImage(await picture(3000, 1000), { maxWidth: 1600, maxHeight: 1600 });
+  const { width, height, format } = await sharp(output).metadata();
+
+  assert.deepEqual({ width, height, format }, { width: 1600, height: 533, format: 'png' });
+  assert.ok(output.equals(await optimizeImage(await picture(3000, 1000), { maxWidth: 1600, maxHeight: 1600 })), 'the same input gives the same bytes');
+});
+
+test('formats the target cannot hold become JPEG, or PNG when they have transparency', async () => {
+  const opaque = await optimizeImage(await picture(100, 50, { format: 'webp' }), { formats: E_READER_FORMATS });
+  const transparent = await optimizeImage(await picture(100, 50, { format: 'webp', alpha: true }), { formats: E_READER_FORMATS });
+  const vector = await optimizeImage(Buffer.from(SVG), { maxWidth: 300, maxHeight: 300, formats: E_READER_FORMATS });
+
+  assert.equal(detectFormat(opaque), 'jpeg');
+  assert.equal(detectFormat(transparent), 'png');
+  assert.equal(detectFormat(vector), 'png');
+  assert.deepEqual(await sharp(vector).metadata().then(({ width, height }) => [width, height]), [300, 150], 'vectors are drawn at the size shown');
+});
+
+test('images that already qualify come back untouched; unreadable ones are null', async () => {
+  const small = await picture(100, 50);
+  assert.equal(await optimizeImage(small, { maxWidth: 1600, maxHeight: 1600, formats: E_READER_FORMATS }), small);
+  const vector = Buffer.from(SVG);
+  assert.equal(await optimizeImage(vector, { maxWidth: 100, maxHeight: 100 }), vector, 'vectors scale by themselves');
+  assert.equal(await optimizeImage(Buffer.from('<html>Not an image</html>'), {}), null);
+  assert.equal(await optimizeImage((await picture(100, 50)).subarray(0, 60), { maxWidth: 10 }), null);
+});
+
+test('grayscale images are converted once', async () => {
+  const gray = await optimizeImage(await picture(100, 50, { format: 'jpeg' }), { grayscale: true });
+  assert.equal((await sharp(gray).metadata()).space, 'b-w');
+  assert.equal(await optimizeImage(gray, { grayscale: true }), gray);
+});
+
+test('processing options combine config.images with the target box', () => {
+  assert.deepEqual(optimizeOptions({}, { maxWidth: 1264, maxHeight: 1680, formats: E_READER_FORMATS }),
+    { maxWidth: 1264, maxHeight: 1600, formats: E_READER_FORMATS, grayscale: false, quality: 80 });
+  assert.deepEqual(optimizeOptions({ maxDimension: 0, grayscale: true, quality: 60 }),
+    { maxWidth: Infinity, maxHeight: Infinity, formats: null, grayscale: true, quality: 60 });
+  assert.equal(formatSavings(540 * 1024, 120 * 1024), '540 KB → 120 KB (78% smaller)');
+  assert.equal(formatSavings(100 * 1024, 110 * 1024), '100 KB → 110 KB (10% larger)');
+  assert.equal(formatSavings(0, 0), '0 KB → 0 KB (0% smaller)');
+});
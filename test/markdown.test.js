@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const YAML = require('yaml');
+const { toMarkdown, toText } = require('../lib/html');
+const { exportArticles } = require('../lib/export');
+const { loadConfig } = require('../lib/config');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir } = require('./helpers/config');
+
+const ARTICLES_DIR = path.join(__dirname, 'fixtures', 'full-articles');
+
+test('markup becomes CommonMark with GFM tables and fenced code', () => {
+  const cases = [
+    ['<h2>Intro</h2><p>Some <strong>bold</strong> and <em> italic </em> text.</p>', '## Intro\n\nSome **bold** and *italic* text.'],
+    ['<p>A <a href="https://example.test/x">link</a> and <code>a`b</code>.</p>', 'A [link](https://example.test/x) and ``a`b``.'],
+    ['<p>Stars * [brackets] and snake_case but _emphasis_.</p>', 'Stars \\* \\[brackets\\] and snake_case but \\_emphasis\\_.'],
+    ['<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul><ol start="3"><li>three</li></ol>', '- one\n  - nested\n- two\n\n3. three'],
+    ['<blockquote><p>Quoted</p></blockquote><hr>', '> Quoted\n\n---'],
+    ['<pre><code class="language-python">if a &lt; b:\n    print("```")</code></pre>', '````python\nif a < b:\n    print("```")\n````'],
+    ['<table><thead><tr><th>A</th><th>B|C</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>', '| A | B\\|C |\n| --- | --- |\n| 1 | 2 |'],
+    ['<figure><img src="https://example.test/a.png" alt="Chart"><figcaption>Figure 1</figcaption></figure>', '![Chart](assets/a.png)\n\n_Figure 1_'],
+    ['<p>Inline <math><semantics><mi>x</mi><annotation encoding="application/x-tex">x^2</annotation></semantics></math></p><math display="block" alttext="E = mc^2"><mi>E</mi></math>', 'Inline $x^2$\n\n$$\nE = mc^2\n$$']
+  ];
+  const imageSrc = src => (src === 'https://example.test/a.png' ? 'assets/a.png' : '');
+  for (const [html, expected] of cases) assert.equal(toMarkdown(html, { imageSrc }).trim(), expected, html);
+
+  assert.equal(toMarkdown('<p>a</p><img src="https://example.test/gone.png" alt="Gone"><p>b</p>', { imageSrc }).trim(), 'a\n\nb', 'images given no path are left out');
+});
+
+test('plain text wraps paragraphs and spells out links and images', () => {
+  const html = '<h2>Intro</h2><p>Some <strong>bold</strong> words and a <a href="https://example.test/x">link</a> here.</p><ul><li>one</li></ul><img src="a.png" alt="Chart"><pre><code>code  stays</code></pre>';
+  assert.equal(toText(html, { width: 30 }).trim(), [
+    'Intro',
+    '-----',
+    '',
+    'Some bold words and a link',
+    '(https://example.test/x) here.',
+    '',
+    '- one',
+    '',
+    '[Image: Chart]',
+    '',
+    '    code  stays'
+  ].join('\n'));
+});
+
+async function exportTo(outputDir, format) {
+  const chart = color => sharp({ create: { width: 1600, height: 800, channels: 3, background: color } }).png().toBuffer();
+  const http = createFakeHttp({
+    'https://example.test/img/consistency.png': await chart('#36c'),
+    'https://example.test/img/languages.png': await chart('#c63')
+  });
+  const { sources } = loadConfig({ env: {}, cwd: tempDir() });
+  return exportArticles({ articlesDir: ARTICLES_DIR, outputDir, sources, http, concurrency: 2, format });
+}
+
+// Front matter and body of a Markdown file
+function readMarkdown(file) {
+  const [, yaml, body] = fs.readFileSync(file, 'utf8').match(/^---\n([\s\S]*?)\n---\n\n([\s\S]*)$/);
+  return { fields: YAML.parse(yaml), body };
+}
+
+test('articles export as Markdown with front matter and their images saved beside them, the same bytes every time', async () => {
+  const dir = tempDir();
+  const result = await exportTo(path.join(dir, 'first'), 'markdown');
+  await exportTo(path.join(dir, 'second'), 'markdown');
+
+  assert.deepEqual(result, { articles: 3, outputDir: path.join(dir, 'first'), images: 3 });
+  const { fields, body } = readMarkdown(path.join(dir, 'first', 'research-charts.md'));
+  assert.deepEqual(fields, { title: 'Charting model behaviour', author: 'Research Team', date: '2025-06-12T00:00:00.000Z', category: 'Research' });
+  assert.ok(body.startsWith('# Charting model behaviour\n\n'));
+
+  const linked = [...body.matchAll(/!\[[^\]]*\]\((assets\/[^)]+)\)/g)].map(match => match[1]);
+  assert.equal(linked.length, 2);
+  for (const src of linked) {
+    const { width, height } = await sharp(path.join(dir, 'first', src)).metadata();
+    assert.deepEqual([width, height], [1600, 800]);
+  }
+  assert.match(body, /!\[Missing\]\(https:\/\/example\.test\//, 'images that could not be saved keep their remote URL');
+  assert.equal(readMarkdown(path.join(dir, 'first', 'news-hello.md')).fields.source, 'https://www.anthropic.com/news/hello?x=1&y=2');
+
+  const files = fs.readdirSync(path.join(dir, 'first'), { recursive: true }).sort();
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'second'), { recursive: true }).sort(), files);
+  for (const file of files.filter(name => /\./.test(name))) {
+    assert.ok(fs.readFileSync(path.join(dir, 'first', file)).equals(fs.readFileSync(path.join(dir, 'second', file))), `${file} is identical`);
+  }
+});
+
+test('articles export as plain text with a title, byline and source', async () => {
+  const dir = tempDir();
+  const result = await exportTo(dir, 'text');
+
+  assert.equal(result.images, 0);
+  const text = fs.readFileSync(path.join(dir, 'research-charts.txt'), 'utf8');
+  assert.ok(text.startsWith('Charting model behaviour\n========================\n\nResearch Team · '));
+  assert.match(text, /\[Image: Consistency by model size\]/);
+  assert.ok(text.split('\n').every(line => line.length <= 72 || !line.includes(' ')), 'paragraphs are wrapped');
+  assert.ok(!fs.existsSync(path.join(dir, 'assets')));
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { buildPdf } = require('../lib/pdf');
+
+async function chapters() {
+  const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#36c' } }).png().toBuffer();
+  return [
+    { title: 'Research', content: '', section: true },
+    { title: 'First', content: `<p>Hello <a href="https://example.test/">there</a> → “quoted”</p><img src="data:image/png;base64,${png.toString('base64')}" alt="Chart">` },
+    { title: 'Second', content: '<h2>Part</h2><ul><li>one</li><li>two</li></ul><pre>code</pre>' }
+  ];
+}
+
+test('the PDF has a page per chapter after the cover and contents, bookmarks and the embedded image, byte for byte again', async () => {
+  const options = { title: 'Test Book', description: 'Three chapters', date: '2024-05-01T00:00:00Z', chapters: await chapters() };
+  const pdf = await buildPdf(options);
+  const text = pdf.toString('latin1');
+
+  assert.ok(text.startsWith('%PDF-'));
+  assert.ok(text.trimEnd().endsWith('%%EOF'));
+  assert.equal(text.match(/\/Type \/Page\b(?!s)/g).length, 5);
+  assert.deepEqual(text.match(/\/Title \((?:Research|First|Second)\)/g).sort(), ['/Title (First)', '/Title (Research)', '/Title (Second)']);
+  assert.ok(text.includes('/Dests'), 'contents entries link to named chapter destinations');
+  assert.equal(text.match(/\/Subtype \/Image/g).length, 1);
+
+  assert.ok(pdf.equals(await buildPdf({ ...options, chapters: await chapters() })), 'both builds are identical');
+  assert.ok(!pdf.equals(await buildPdf({ ...options, date: '2024-05-02T00:00:00Z' })), 'the date is recorded');
+});
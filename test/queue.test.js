@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { run } = require('../lib/cli');
+const { openStateStore } = require('../lib/state');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir, testConfig, recordingTransport } = require('./helpers/config');
+
+const LISTING = 'https://example.test/news';
+const BROKEN = 'https://example.test/news/broken';
+
+function articlePage(title) {
+  const body = Array.from({ length: 60 }, (_, i) => `${title} sentence ${i} says something different.`).join(' ');
+  return `<html><head><title>${title}</title></head><body><main><h1>${title}</h1><p>${body}</p></main></body></html>`;
+}
+
+// Lines `fn` logs, with console.log silenced meanwhile
+async function logsOf(t, fn) {
+  const lines = [];
+  const log = t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  try {
+    return { result: await fn(), lines };
+  } finally {
+    log.mock.restore();
+  }
+}
+
+test('a failed download waits for its backoff, shows in the queue and is retried on demand', async (t) => {
+  const dir = tempDir();
+  const config = testConfig(dir, { 'retry.maxAttempts': 3, 'retry.backoffMinutes': 30 });
+  const pages = { [LISTING]: `<html><body><a href="/news/broken">Broken</a></body></html>` };
+  const transport = recordingTransport();
+
+  await logsOf(t, () => run(['check'], { config, http: createFakeHttp(pages), transport }));
+  const failed = openStateStore(config.paths.dataFile).get(BROKEN);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 1);
+  assert.match(failed.error, /HTTP 404/);
+
+  const http = createFakeHttp(pages);
+  await logsOf(t, () => run(['check'], { config, http, transport }));
+  assert.ok(!http.requests.includes(BROKEN), 'not retried before its backoff ends');
+
+  const { lines } = await logsOf(t, () => run(['queue', '--json'], { config }));
+  const listed = JSON.parse(lines.join('\n'));
+  assert.deepEqual(listed.queued.map(article => article.url), [BROKEN]);
+  assert.deepEqual(listed.abandoned, []);
+
+  const dryRun = await logsOf(t, () => run(['retry', 'broken', '--dry-run'], { config, http: createFakeHttp(pages), transport }));
+  assert.deepEqual(dryRun.lines.slice(1), [`  - ${BROKEN}`]);
+  assert.notEqual(openStateStore(config.paths.dataFile).get(BROKEN).nextAttemptAt, null, 'a dry run changes nothing');
+
+  pages[BROKEN] = articlePage('Fixed at last');
+  const retry = await logsOf(t, () => run(['retry', 'broken'], { config, http: createFakeHttp(pages), transport }));
+  assert.equal(retry.result, 0);
+  const delivered = openStateStore(config.paths.dataFile).get(BROKEN);
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.title, 'Fixed at last');
+  assert.equal(delivered.error, null);
+  assert.ok(transport.sent.some(message => message.to === config.recipients.kindle));
+});
+
+test('articles are given up on after maxAttempts, with a notice, until retried', async (t) => {
+  const dir = tempDir();
+  const config = testConfig(dir, { 'retry.maxAttempts': 1 });
+  const pages = { [LISTING]: `<html><body><a href="/news/broken">Broken</a></body></html>` };
+  const transport = recordingTransport();
+
+  await logsOf(t, () => run(['check'], { config, http: createFakeHttp(pages), transport }));
+
+  assert.equal(openStateStore(config.paths.dataFile).get(BROKEN).status, 'abandoned');
+  const notice = transport.sent.find(message => /Gave up on 1/.test(message.subject));
+  assert.ok(notice, 'the notification address is told');
+  assert.equal(notice.to, config.recipients.notification);
+  assert.match(notice.text, /news\/broken/);
+
+  const http = createFakeHttp(pages);
+  await logsOf(t, () => run(['check'], { config, http, transport }));
+  assert.ok(!http.requests.includes(BROKEN), 'abandoned articles are not retried automatically');
+
+  const { lines } = await logsOf(t, () => run(['queue'], { config }));
+  assert.ok(lines.includes('🔁 Queued: 0'));
+  assert.ok(lines.includes('\n🪦 Given up: 1'));
+
+  const none = await logsOf(t, () => run(['retry', 'elsewhere'], { config, http: createFakeHttp(pages), transport }));
+  assert.deepEqual(none.lines, ['✅ Nothing to retry matching "elsewhere".']);
+
+  pages[BROKEN] = articlePage('Back again');
+  await logsOf(t, () => run(['retry'], { config, http: createFakeHttp(pages), transport }));
+  assert.equal(openStateStore(config.paths.dataFile).get(BROKEN).status, 'delivered');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobots, isAllowed, rulesFor, createRobotsPolicy, productToken } = require('../lib/robots');
+
+const AGENT = 'anthropic-sender';
+
+// [robots.txt, path, allowed, why]
+const MATCHING = [
+  ['User-agent: *\nDisallow: /private', '/private/page', false, 'prefix match'],
+  ['User-agent: *\nDisallow: /private', '/privateer', false, 'rules are prefixes, not path segments'],
+  ['User-agent: *\nDisallow: /private', '/public', true, 'no rule matches'],
+  ['User-agent: *\nDisallow:', '/anything', true, 'empty Disallow allows everything'],
+  ['User-agent: *\nDisallow: /', '/robots.txt', true, 'robots.txt itself is always allowed'],
+  ['User-agent: *\nDisallow: /docs\nAllow: /docs/public', '/docs/public/a', true, 'longer Allow wins'],
+  ['User-agent: *\nAllow: /docs\nDisallow: /docs/secret', '/docs/secret/a', false, 'longer Disallow wins'],
+  ['User-agent: *\nDisallow: /page\nAllow: /page', '/page', true, 'Allow breaks a tie of equal length'],
+  ['User-agent: *\nAllow: /page\nDisallow: /page', '/page', true, 'the tie goes to Allow whatever the order'],
+  ['User-agent: *\nDisallow: /*.pdf$', '/files/report.pdf', false, '* and $ together'],
+  ['User-agent: *\nDisallow: /*.pdf$', '/files/report.pdf?download=1', true, '$ anchors at the end of path and query'],
+  ['User-agent: *\nDisallow: /*.pdf', '/files/report.pdf.html', false, 'without $ the rest may follow'],
+  ['User-agent: *\nDisallow: /fish*', '/fish.html', false, 'trailing * is the same as none'],
+  ['User-agent: *\nDisallow: /*/drafts/', '/blog/drafts/one', false, '* spans any characters'],
+  ['User-agent: *\nDisallow: /*/drafts/', '/drafts/one', true, '* still needs the surrounding text'],
+  ['User-agent: *\nDisallow: /$', '/', false, '$ alone blocks just the root'],
+  ['User-agent: *\nDisallow: /$', '/news', true, '$ alone leaves the rest'],
+  ['User-agent: *\nDisallow: /search?q=', '/search?q=cats', false, 'the query string is matched too'],
+  ['User-agent: *\nAllow: /*.css$\nDisallow: /assets/', '/assets/site.css', false, 'a wildcard rule counts by its pattern length, not by what it matched'],
+  ['User-agent: *\nAllow: /assets/*.css$\nDisallow: /assets/', '/assets/site.css', true, 'so a longer wildcard Allow wins'],
+  ['User-agent: *\nDisallow: /a.b+c(d)', '/a.b+c(d)/e', false, 'regex characters in rules are literal'],
+  ['User-agent: *\nDisallow: /a.b', '/axb', true, '. is not a wildcard'],
+  ['User-agent: *\nDisallow: /caf%C3%A9', '/café', false, 'percent-encoded rule matches the raw path'],
+  ['User-agent: *\nDisallow: /café', '/caf%C3%A9', false, 'raw rule matches the percent-encoded path'],
+  ['User-agent: *\ndisallow : /Private', '/private', true, 'keys are case-insensitive but paths are not'],
+  ['User-agent: *\nDisallow: /tmp # scratch space', '/tmp/x', false, 'comments are stripped']
+];
+
+test('Allow and Disallow are matched as RFC 9309 says', () => {
+  for (const [text, path, allowed, why] of MATCHING) {
+    assert.equal(isAllowed(parseRobots(text), AGENT, `https://example.test${path}`), allowed, `${why}: ${JSON.stringify(text)} ${path}`);
+  }
+});
+
+// [robots.txt, agent, path, allowed, why]
+const GROUPS = [
+  ['User-agent: *\nDisallow: /\n\nUser-agent: anthropic-sender\nAllow: /', AGENT, '/x', true, 'a group naming the product token beats *'],
+  ['User-agent: *\nDisallow: /\n\nUser-agent: Anthropic-Sender\nAllow: /', AGENT, '/x', true, 'agent names are case-insensitive'],
+  ['User-agent: *\nDisallow: /\n\nUser-agent: anthropic-sender\nAllow: /', 'othercrawler', '/x', false, 'other crawlers fall back to *'],
+  ['User-agent: otherbot\nDisallow: /', AGENT, '/x', true, 'no matching group allows everything'],
+  ['User-agent: otherbot\nUser-agent: anthropic-sender\nDisallow: /shared', AGENT, '/shared/x', false, 'consecutive User-agent lines share a group'],
+  ['User-agent: anthropic-sender\nDisallow: /a\n\nUser-agent: anthropic-sender\nDisallow: /b', AGENT, '/b/x', false, 'groups for the same agent are merged'],
+  ['Disallow: /\nUser-agent: *\nAllow: /', AGENT, '/x', true, 'rules before any User-agent belong to nobody']
+];
+
+test('groups are chosen by product token, falling back to *', () => {
+  for (const [text, agent, path, allowed, why] of GROUPS) {
+    assert.equal(isAllowed(parseRobots(text), agent, `https://example.test${path}`), allowed, why);
+  }
+});
+
+test('Crawl-delay and sitemaps are read per group', () => {
+  const robots = parseRobots([
+    'Sitemap: https://example.test/sitemap.xml',
+    'User-agent: *',
+    'Crawl-delay: 10',
+    'Disallow: /tmp',
+    '',
+    'User-agent: anthropic-sender',
+    'Crawl-delay: 2.5',
+    '',
+    'User-agent: anthropic-sender',
+    'Crawl-delay: 4',
+    'Crawl-delay: nonsense',
+    'Sitemap: https://example.test/news.xml'
+  ].join('\r\n'));
+
+  assert.deepEqual(robots.sitemaps, ['https://example.test/sitemap.xml', 'https://example.test/news.xml']);
+  assert.equal(rulesFor(robots, AGENT).crawlDelay, 4);
+  assert.equal(rulesFor(robots, 'otherbot').crawlDelay, 10);
+  assert.equal(rulesFor(parseRobots('User-agent: *\nDisallow: /'), AGENT).crawlDelay, null);
+});
+
+test('the policy fetches robots.txt once per origin and applies Crawl-delay to the limiter', async () => {
+  const fetched = [];
+  const delays = [];
+  const files = {
+    'https://example.test/robots.txt': 'User-agent: *\nCrawl-delay: 3\nDisallow: /private',
+    'https://down.test/robots.txt': { status: 503 },
+    'https://missing.test/robots.txt': { status: 404 }
+  };
+  const fetchRobots = async (url) => {
+    fetched.push(url);
+    const file = files[url];
+    if (typeof file === 'string') return { text: file };
+    throw Object.assign(new Error(`HTTP ${file.status}`), { status: file.status });
+  };
+  const policy = createRobotsPolicy({ agent: AGENT, limiter: { setDelay: (host, ms) => delays.push([host, ms]) }, log: () => {} });
+
+  assert.equal(await policy.allowed('https://example.test/news/a', fetchRobots), true);
+  assert.equal(await policy.allowed('https://example.test/private/b', fetchRobots), false);
+  assert.equal(await policy.allowed('https://down.test/a', fetchRobots), false, 'an unreachable robots.txt disallows the site');
+  assert.equal(await policy.allowed('https://missing.test/a', fetchRobots), true, 'a missing robots.txt allows everything');
+  assert.deepEqual(fetched, ['https://example.test/robots.txt', 'https://down.test/robots.txt', 'https://missing.test/robots.txt']);
+  assert.deepEqual(delays, [['example.test', 3000]]);
+});
+
+test('the product token is the User-Agent up to the version', () => {
+  assert.equal(productToken('anthropic-sender/1.2.0 (+mailto:me@example.com)'), 'anthropic-sender');
+  assert.equal(productToken('My_Bot'), 'My_Bot');
+  assert.equal(productToken(''), '*');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHtml, innerHtml, sanitize, policyFor } = require('../lib/html');
+
+function clean(html, format = 'article', options) {
+  return innerHtml(sanitize(parseHtml(html), policyFor(format), options));
+}
+
+test('links and images keep only safe schemes, however the scheme is written', () => {
+  const cases = [
+    ['<a href="javascript:alert(1)">x</a>', 'x'],
+    ['<a href="JavaScript:alert(1)">x</a>', 'x'],
+    ['<a href="  javascript:alert(1)">x</a>', 'x'],
+    ['<a href="java&#10;script:alert(1)">x</a>', 'x'],
+    ['<a href="jav&#x09;ascript:alert(1)">x</a>', 'x'],
+    ['<a href="&#x6A;avascript&#58;alert(1)">x</a>', 'x'],
+    ['<a href="&#1;javascript:alert(1)">x</a>', 'x'],
+    ['<a href="vbscript:msgbox(1)">x</a>', 'x'],
+    ['<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>', 'x'],
+    ['<a href="ftp://example.test/file">x</a>', '<a>x</a>'],
+    ['<a href="https://example.test/a?b=c">x</a>', '<a href="https://example.test/a?b=c">x</a>'],
+    ['<a href="mailto:someone@example.test">x</a>', '<a href="mailto:someone@example.test">x</a>'],
+    ['<a href="/relative/page">x</a>', '<a href="/relative/page">x</a>'],
+    ['<img src="javascript:alert(1)" alt="x">', ''],
+    ['<img src="java&#10;script:alert(1)" alt="x">', ''],
+    ['<img src="data:text/html,<script>x</script>" alt="x">', ''],
+    ['<img src="file:///etc/passwd" alt="x">', ''],
+    ['<img src="data:image/png;base64,iVBORw0KGgo=" alt="x">', '<img src="data:image/png;base64,iVBORw0KGgo=" alt="x">'],
+    ['<img src="https://example.test/a.png" alt="x">', '<img src="https://example.test/a.png" alt="x">']
+  ];
+  for (const [html, expected] of cases) assert.equal(clean(html), expected, html);
+});
+
+test('file: images are kept only for content this program wrote', () => {
+  assert.equal(clean('<img src="file:///books/a_files/0f.png">', 'epub3', { localImages: true }), '<img src="file:///books/a_files/0f.png">');
+  assert.equal(clean('<img src="java&#10;script:alert(1)">', 'epub3', { localImages: true }), '');
+});
+
+test('event handlers, styles and unknown attributes are removed', () => {
+  const cases = [
+    ['<p onclick="steal()" onmouseover="steal()">x</p>', '<p>x</p>'],
+    ['<img src="a.png" onerror="steal()" alt="a">', '<img src="a.png" alt="a">'],
+    ['<p style="background:url(https://tracker.test/)" align="center" data-id="7">x</p>', '<p>x</p>'],
+    ['<p id="intro" class="lead footnote" title="t" role="presentation">x</p>', '<p id="intro" class="footnote" title="t">x</p>'],
+    ['<table><tr><td colspan="2" bgcolor="red">x</td></tr></table>', '<table><tr><td colspan="2">x</td></tr></table>'],
+    ['<svg width="200" height="120" onload="steal()"><rect width="10" height="10" onclick="steal()" style="fill:url(https://tracker.test/)"/><text>Chart</text></svg>',
+      '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="120"><rect width="10" height="10"></rect><text>Chart</text></svg>']
+  ];
+  for (const [html, expected] of cases) assert.equal(clean(html), expected, html);
+});
+
+test('scripts, widgets and trackers are dropped with their content; unknown elements keep their text', () => {
+  const cases = [
+    ['<p>a<script>steal()</script>b</p>', '<p>ab</p>'],
+    ['<style>p { color: red }</style><p>a</p>', '<p>a</p>'],
+    ['<noscript><img src="a.png"></noscript><p>a</p>', '<p>a</p>'],
+    ['<iframe src="https://example.test/embed"></iframe><object data="x.swf"></object><embed src="x.swf">', ''],
+    ['<form action="/login"><label>Name</label><input name="n"><button>Go</button></form>', ''],
+    ['<video src="a.mp4"><track src="a.vtt"></video><audio src="a.mp3"></audio><canvas></canvas>', ''],
+    ['<p>a<img src="https://example.test/pixel.gif" width="1" height="1">b</p>', '<p>ab</p>'],
+    ['<p>a<img src="https://www.google-analytics.com/collect?v=1">b</p>', '<p>ab</p>'],
+    ['<custom-card><p>kept</p></custom-card><font color="red">text</font><center>too</center>', '<p>kept</p>texttoo'],
+    ['<p>a<!-- note -->b</p>', '<p>ab</p>']
+  ];
+  for (const [html, expected] of cases) assert.equal(clean(html), expected, html);
+});
+
+test('each target keeps what it can show', () => {
+  const svg = '<svg width="200" height="120"><text>Chart</text></svg>';
+  const math = '<math alttext="x^2"><msup><mi>x</mi><mn>2</mn></msup></math>';
+  const mathml = '<math xmlns="http://www.w3.org/1998/Math/MathML" alttext="x^2"><msup><mi>x</mi><mn>2</mn></msup></math>';
+
+  for (const format of ['article', 'html', 'epub3']) {
+    assert.match(clean(svg, format), /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/, format);
+    assert.equal(clean(math, format), mathml, format);
+  }
+  for (const format of ['epub2', 'kindle', 'pdf']) {
+    assert.match(clean(svg, format), /^<img src="data:image\/svg\+xml;base64,[^"]+" alt="">$/, format);
+    assert.equal(clean(math, format), 'x^2', format);
+  }
+  assert.match(clean(svg, 'markdown'), /^<img src="data:image\/svg\+xml;base64,/);
+  assert.equal(clean(math, 'markdown'), mathml);
+  assert.equal(clean(`<p>a</p>${svg}`, 'text'), '<p>a</p>');
+
+  const policy = policyFor('epub3', { removeTags: ['aside'], keepClasses: ['^callout$'] });
+  assert.equal(innerHtml(sanitize(parseHtml('<aside>ad</aside><p class="callout other">x</p>'), policy)), '<p class="callout">x</p>');
+  assert.equal(clean('<p><a href="#fn1" id="ref1">1</a></p>', 'html', { idPrefix: 'article-2-' }), '<p><a id="article-2-ref1" href="#article-2-fn1">1</a></p>');
+  assert.throws(() => policyFor('docx'), /No sanitizer policy for "docx"/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapPool, createHostLimiter, createProgress } = require('../lib/scheduler');
+const { sleep } = require('../lib/util');
+
+// Tracks how many tasks run at once, overall and per key
+function concurrencyMeter() {
+  const running = new Map();
+  const peaks = new Map();
+  return {
+    peaks,
+    async run(key, ms) {
+      for (const k of [key, '*']) {
+        running.set(k, (running.get(k) || 0) + 1);
+        peaks.set(k, Math.max(peaks.get(k) || 0, running.get(k)));
+      }
+      await sleep(ms);
+      for (const k of [key, '*']) running.set(k, running.get(k) - 1);
+    }
+  };
+}
+
+test('mapPool returns results in input order with at most `concurrency` running', async () => {
+  const meter = concurrencyMeter();
+  const delays = [30, 5, 20, 1, 15, 2, 10];
+
+  const results = await mapPool(delays, async (ms, index) => {
+    await meter.run('pool', ms);
+    return `${index}:${ms}`;
+  }, { concurrency: 3 });
+
+  assert.deepEqual(results, delays.map((ms, index) => `${index}:${ms}`));
+  assert.equal(meter.peaks.get('*'), 3);
+  assert.deepEqual(await mapPool([], async () => 1), []);
+});
+
+test('mapPool starts nothing new after a failure and throws the first error once running work ends', async () => {
+  const started = [];
+  const finished = [];
+  await assert.rejects(mapPool([1, 2, 3, 4], async (item) => {
+    started.push(item);
+    await sleep(item === 1 ? 1 : 20);
+    finished.push(item);
+    throw new Error(`item ${item} failed`);
+  }, { concurrency: 2 }), /item 1 failed/);
+  assert.deepEqual(started, [1, 2]);
+  assert.deepEqual(finished, [1, 2]);
+});
+
+test('the host limiter caps requests per host without holding back other hosts', async () => {
+  const limiter = createHostLimiter({ perHost: 2, hostDelay: 0 });
+  const meter = concurrencyMeter();
+  const urls = [
+    ...Array.from({ length: 5 }, (_, i) => `https://one.test/${i}`),
+    ...Array.from({ length: 5 }, (_, i) => `https://TWO.test/${i}`)
+  ];
+
+  await Promise.all(urls.map(url => limiter.schedule(url, () => meter.run(new URL(url).host, 10))));
+
+  assert.equal(meter.peaks.get('one.test'), 2);
+  assert.equal(meter.peaks.get('two.test'), 2);
+  assert.equal(meter.peaks.get('*'), 4, 'both hosts ran side by side');
+});
+
+test('the host limiter spaces request starts and setDelay only ever raises the spacing', async () => {
+  const limiter = createHostLimiter({ perHost: 5, hostDelay: 20 });
+  limiter.setDelay('SLOW.test', 60);
+  limiter.setDelay('slow.test', 10);
+  const starts = { 'fast.test': [], 'slow.test': [] };
+  const begin = Date.now();
+
+  await Promise.all(['fast.test', 'slow.test'].flatMap(host => [0, 1, 2].map(i =>
+    limiter.schedule(`https://${host}/${i}`, async () => { starts[host].push(Date.now() - begin); }))));
+
+  // Timers may fire a few milliseconds early, and late on a busy machine
+  starts['fast.test'].forEach((ms, i) => assert.ok(ms >= i * 20 - 3, `fast.test request ${i} started after ${ms}ms`));
+  starts['slow.test'].forEach((ms, i) => assert.ok(ms >= i * 60 - 3, `slow.test request ${i} started after ${ms}ms`));
+});
+
+test('a failed task frees its host slot', async () => {
+  const limiter = createHostLimiter({ perHost: 1, hostDelay: 0 });
+  await assert.rejects(limiter.schedule('https://one.test/a', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await limiter.schedule('https://one.test/b', async () => 'next'), 'next');
+});
+
+test('progress prints a line per quarter when not on a terminal', () => {
+  const lines = [];
+  const progress = createProgress('Images', 8, { stream: { isTTY: false, write: text => lines.push(text) } });
+  for (let i = 0; i < 8; i++) progress.tick(i !== 3);
+
+  assert.deepEqual(progress.finish(), { done: 8, failed: 1 });
+  assert.deepEqual(lines, [
+    '  📥 Images: 2/8\n',
+    '  📥 Images: 4/8 (1 failed)\n',
+    '  📥 Images: 6/8 (1 failed)\n',
+    '  📥 Images: 8/8 (1 failed)\n'
+  ]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openSearchIndex, parseQuery, normalizeWord } = require('../lib/search');
+const { tempDir } = require('./helpers/config');
+
+// Write <articlesDir>/<batch>/<name>/article.json as a download leaves it
+function saveArticle(articlesDir, name, article, batch = '2025-01-01') {
+  const dir = path.join(articlesDir, batch, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'article.json'), JSON.stringify({ source: 'news', category: 'News', ...article }));
+  return path.join(dir, 'article.json');
+}
+
+function paragraphs(...texts) {
+  return texts.map(text => `<p>${text}</p>`).join('');
+}
+
+test('queries are words and quoted phrases, folded to their plain singular', () => {
+  assert.deepEqual(parseQuery('Models "model size" café'), { terms: ['model', 'size', 'cafe'], phrases: [['model', 'size']] });
+  assert.deepEqual(parseQuery('"single" "unclosed phrase'), { terms: ['single', 'unclosed', 'phrase'], phrases: [['unclosed', 'phrase']] });
+  assert.deepEqual(parseQuery('  '), { terms: [], phrases: [] });
+  const cases = [['Studies', 'study'], ['batches', 'batch'], ['glasses', 'glass'], ['analysis', 'analysis'], ['status', 'status'], ['bus', 'bus'], ['H100s', 'h100s']];
+  for (const [word, normalized] of cases) assert.equal(normalizeWord(word), normalized, word);
+});
+
+test('updates read only new and changed articles and drop the ones that are gone', () => {
+  const dir = tempDir();
+  const articlesDir = path.join(dir, 'articles');
+  const indexFile = path.join(dir, 'index', 'search.json');
+  const first = saveArticle(articlesDir, 'one', { title: 'One', content: paragraphs('alpha') });
+  saveArticle(articlesDir, 'two', { title: 'Two', content: paragraphs('beta') });
+  const logs = [];
+  const index = openSearchIndex(indexFile, { log: line => logs.push(line) });
+
+  assert.deepEqual(index.update({ articlesDir }), { added: 2, updated: 0, removed: 0, total: 2 });
+  assert.deepEqual(index.update({ articlesDir }), { added: 0, updated: 0, removed: 0, total: 2 });
+
+  fs.writeFileSync(first, JSON.stringify({ title: 'One', content: paragraphs('alpha gamma') }));
+  fs.rmSync(path.join(articlesDir, '2025-01-01', 'two'), { recursive: true });
+  saveArticle(articlesDir, 'three', { title: 'Three', content: paragraphs('delta') }, '2025-01-02');
+  assert.deepEqual(index.update({ articlesDir }), { added: 1, updated: 1, removed: 1, total: 2 });
+  assert.equal(index.search('gamma').total, 1);
+  assert.equal(index.search('beta').total, 0);
+
+  assert.deepEqual(index.update({ fullArticlesDir: path.join(dir, 'full-articles') }), { added: 0, updated: 0, removed: 0, total: 2 },
+    'downloaded articles stay when only saved pages are indexed');
+  const reopened = openSearchIndex(indexFile, { log: line => logs.push(line) });
+  assert.equal(reopened.size, 2);
+  assert.deepEqual(reopened.update({ articlesDir }), { added: 0, updated: 0, removed: 0, total: 2 });
+
+  fs.writeFileSync(indexFile, '{ broken');
+  const rebuilt = openSearchIndex(indexFile, { log: line => logs.push(line) });
+  assert.equal(rebuilt.size, 0);
+  assert.match(logs.at(-1), /was unreadable .*; rebuilding it/);
+  assert.deepEqual(rebuilt.update({ articlesDir }), { added: 2, updated: 0, removed: 0, total: 2 });
+  assert.equal(logs.length, 1);
+});
+
+test('results match every word and phrase, rank titles and rarer words higher and come with a snippet', () => {
+  const dir = tempDir();
+  const articlesDir = path.join(dir, 'articles');
+  const filler = 'Plain words fill this sentence so documents have similar lengths.';
+  saveArticle(articlesDir, 'titled', { title: 'Model size and honesty', url: 'https://example.test/news/titled', published: '2025-03-01', content: paragraphs(filler, 'Honesty improves.') });
+  saveArticle(articlesDir, 'body', { title: 'Training notes', url: 'https://example.test/news/body', published: '2025-02-01', content: paragraphs(filler, 'We looked at model size and honesty once.') });
+  saveArticle(articlesDir, 'scattered', { title: 'Scaling', url: 'https://example.test/research/scattered', category: 'Research', published: '2024-12-01', content: paragraphs('The size of each dataset mattered, and honesty was measured per model.', filler) });
+  saveArticle(articlesDir, 'copy', { title: 'Training Notes', url: 'https://www.example.test/news/body', published: '2025-02-01', content: paragraphs(filler, 'We looked at model size and honesty once.') }, '2025-01-02');
+  const index = openSearchIndex(path.join(dir, 'search.json'), { log: () => {} });
+  index.update({ articlesDir });
+
+  const byWords = index.search('models honesty size');
+  assert.deepEqual(byWords.results.map(result => result.title), ['Model size and honesty', 'Training notes', 'Scaling']);
+  assert.equal(byWords.total, 3, 'a page downloaded twice is one result');
+  assert.ok(byWords.results[0].score > byWords.results[1].score);
+
+  const byPhrase = index.search('"model size" honesty');
+  assert.deepEqual(byPhrase.results.map(result => result.title).sort(), ['Model size and honesty', 'Training notes']);
+
+  const { snippet, highlights } = index.search('honesty').results.find(result => result.title === 'Training notes');
+  assert.equal(snippet, '…lengths. We looked at model size and honesty once.');
+  assert.deepEqual(highlights.map(([start, end]) => snippet.slice(start, end)), ['honesty']);
+
+  assert.deepEqual(index.search('honesty', { category: 'research' }).results.map(result => result.title), ['Scaling']);
+  assert.deepEqual(index.search('honesty', { since: '2025-01-01', until: '2025-02-28' }).results.map(result => result.title), ['Training notes']);
+  assert.equal(index.search('honesty', { limit: 1 }).results.length, 1);
+  assert.equal(index.search('honesty unicorns').total, 0);
+  assert.equal(index.search('constructor').total, 0);
+});
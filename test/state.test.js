@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openStateStore } = require('../lib/state');
+const { tempDir } = require('./helpers/config');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+
+test('prune forgets settled articles by publication date, or by delivery date when undated', () => {
+  const file = path.join(tempDir(), 'state.json');
+  const entry = (url, fields) => ({ url, title: null, source: 'news', attempts: 0, error: null, nextAttemptAt: null, ...fields });
+  fs.writeFileSync(file, JSON.stringify({
+    version: 3,
+    lastCheck: daysAgo(1),
+    articles: {
+      'example.test/old': entry('https://example.test/old', { status: 'delivered', published: daysAgo(400), deliveredAt: daysAgo(2), updatedAt: daysAgo(2) }),
+      'example.test/recent': entry('https://example.test/recent', { status: 'delivered', published: daysAgo(10), deliveredAt: daysAgo(400), updatedAt: daysAgo(400) }),
+      'example.test/undated-old': entry('https://example.test/undated-old', { status: 'delivered', published: null, deliveredAt: daysAgo(400), updatedAt: daysAgo(400) }),
+      'example.test/undated-new': entry('https://example.test/undated-new', { status: 'delivered', published: null, deliveredAt: daysAgo(3), updatedAt: daysAgo(3) }),
+      'example.test/copy': entry('https://example.test/copy', { status: 'duplicate', published: null, deliveredAt: null, updatedAt: daysAgo(400) }),
+      'example.test/queued': entry('https://example.test/queued', { status: 'failed', published: daysAgo(400), deliveredAt: null, updatedAt: daysAgo(400) })
+    }
+  }));
+  const store = openStateStore(file);
+
+  assert.equal(store.prune(365), 3);
+  assert.deepEqual(store.list().map(article => article.url).sort(), [
+    'https://example.test/queued',
+    'https://example.test/recent',
+    'https://example.test/undated-new'
+  ]);
+  assert.equal(openStateStore(file).list().length, 3, 'the pruned state was saved');
+});
+
+test('failed attempts back off exponentially and are abandoned after maxAttempts', () => {
+  const file = path.join(tempDir(), 'state.json');
+  const store = openStateStore(file);
+  const url = 'https://example.test/news/flaky';
+  const policy = { stage: 'download', error: 'HTTP 503', maxAttempts: 3, backoffMinutes: 60 };
+  store.record([{ url, title: 'Flaky', source: 'news' }]);
+
+  const waits = [];
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const before = Date.now();
+    assert.deepEqual(store.fail([url], policy), []);
+    const article = store.get(url);
+    assert.equal(article.status, 'failed');
+    assert.equal(article.attempts, attempt);
+    assert.equal(article.error, 'download failed: HTTP 503');
+    waits.push(Math.round((Date.parse(article.nextAttemptAt) - before) / 60000));
+  }
+  assert.deepEqual(waits, [60, 120]);
+  assert.deepEqual(store.due(), [], 'nothing is due before its retry time');
+  assert.equal(store.due(new Date(Date.now() + 121 * 60000).toISOString()).length, 1);
+
+  const abandoned = store.fail([url], { ...policy, stage: 'delivery', error: 'mailbox full' });
+  assert.deepEqual(abandoned.map(article => article.url), [url]);
+  assert.deepEqual(
+    (({ status, attempts, nextAttemptAt, error }) => ({ status, attempts, nextAttemptAt, error }))(openStateStore(file).get(url)),
+    { status: 'abandoned', attempts: 3, nextAttemptAt: null, error: 'delivery failed: mailbox full' }
+  );
+  assert.deepEqual(store.queue(), [], 'abandoned articles leave the queue');
+});
+
+test('requeue makes failed and abandoned articles due now and leaves others alone', () => {
+  const store = openStateStore(path.join(tempDir(), 'state.json'));
+  const urls = ['failed', 'abandoned', 'delivered', 'unknown'].map(name => `https://example.test/news/${name}`);
+  store.record(urls.slice(0, 3).map(url => ({ url, source: 'news' })));
+  store.fail([urls[0]], { stage: 'download', error: 'HTTP 500', maxAttempts: 5, backoffMinutes: 60 });
+  store.fail([urls[1]], { stage: 'download', error: 'HTTP 500', maxAttempts: 1, backoffMinutes: 60 });
+  store.mark([urls[2]], 'delivered');
+
+  assert.equal(store.requeue(urls), 2);
+
+  assert.deepEqual(store.due().map(article => article.url).sort(), [urls[1], urls[0]]);
+  for (const url of urls.slice(0, 2)) {
+    assert.equal(store.get(url).status, 'failed');
+    assert.equal(store.get(url).nextAttemptAt, null);
+  }
+  assert.equal(store.get(urls[1]).attempts, 1, 'past attempts are kept');
+  assert.equal(store.get(urls[2]).status, 'delivered');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { run } = require('../lib/cli');
+const { openStateStore } = require('../lib/state');
+const { SENT_FILE } = require('../lib/updates');
+const { TRANSPORTS } = require('../lib/delivery');
+const { createFakeHttp } = require('./helpers/fake-http');
+const { tempDir, testConfig, recordingTransport } = require('./helpers/config');
+
+const URL = 'https://example.test/news/launch';
+
+function page(paragraphs) {
+  return `<html><head><title>Launch</title></head><body><main><h1>Launch</h1>${paragraphs.map(p => `<p>${p}</p>`).join('')}</main></body></html>`;
+}
+
+const ORIGINAL = [
+  'Today we are launching a new model that is faster, cheaper and better at following instructions than any before it.',
+  'It is available to everyone from today, in every region where the service already runs, at no extra cost.',
+  'We look forward to hearing what people build with it over the coming months, and to improving it further.'
+];
+
+const failing = { name: 'test', send: async () => { throw new Error('SMTP down'); } };
+
+test('an update whose email fails is sent again at the next check', async () => {
+  const dir = tempDir();
+  const config = testConfig(dir);
+  const pages = { 'https://example.test/news': '<a href="/news/launch">Launch</a>', [URL]: page(ORIGINAL) };
+  const http = createFakeHttp(pages);
+  const entry = () => openStateStore(config.paths.dataFile).get(URL);
+
+  assert.equal(await run(['check'], { config, http, transport: recordingTransport() }), 0);
+  const sent = entry();
+  assert.equal(sent.status, 'delivered');
+
+  // A change that fails to go out leaves the delivered version in place
+  const first = [...ORIGINAL];
+  first[1] = 'It is available to paying customers first, in three regions, and will reach everyone else next month at a lower price.';
+  pages[URL] = page(first);
+  assert.equal(await run(['updates', '--all'], { config, http, transport: failing }), 1);
+  assert.equal(entry().fingerprint, sent.fingerprint);
+  assert.equal(entry().revisions, undefined);
+
+  let transport = recordingTransport();
+  assert.equal(await run(['updates', '--all'], { config, http, transport }), 0);
+  assert.equal(transport.sent.length, 1);
+  assert.match(transport.sent[0].text, /paying customers first/);
+  assert.notEqual(entry().fingerprint, sent.fingerprint);
+  assert.equal(entry().revisions, 1);
+  const revised = entry();
+
+  // Once revised, the delivered copy is kept aside while the next change waits to be sent
+  const second = [...first];
+  second[2] = 'Tell us what you think of it through the feedback button in the app, which goes straight to the team.';
+  pages[URL] = page(second);
+  assert.equal(await run(['updates', '--all'], { config, http, transport: failing }), 1);
+  assert.equal(entry().fingerprint, revised.fingerprint);
+  assert.equal(path.basename(entry().articleFile), SENT_FILE);
+
+  transport = recordingTransport();
+  assert.equal(await run(['updates', '--all'], { config, http, transport }), 0);
+  assert.equal(transport.sent.length, 1);
+  assert.match(transport.sent[0].text, /feedback button/);
+  assert.doesNotMatch(transport.sent[0].text, /available to everyone/, 'only the change since the last delivery');
+  assert.equal(entry().revisions, 2);
+  assert.equal(path.basename(entry().articleFile), 'article.json');
+
+  transport = recordingTransport();
+  assert.equal(await run(['updates', '--all'], { config, http, transport }), 0);
+  assert.equal(transport.sent.length, 0, 'nothing left to send');
+});
+
+test('an update counts as checked only once it is delivered', async () => {
+  const config = testConfig(tempDir());
+  const pages = { 'https://example.test/news': '<a href="/news/launch">Launch</a>', [URL]: page(ORIGINAL) };
+  const entry = () => openStateStore(config.paths.dataFile).get(URL);
+  await run(['check'], { config, http: createFakeHttp(pages), transport: recordingTransport() });
+  const lastChecked = new Date(Date.now() - 2 * config.updates.intervalHours * 60 * 60 * 1000).toISOString();
+  openStateStore(config.paths.dataFile).annotate(URL, { checkedAt: lastChecked });
+
+  const changed = [...ORIGINAL];
+  changed[1] = 'It is available to paying customers first, in three regions, and will reach everyone else next month at a lower price.';
+  pages[URL] = page(changed);
+  assert.equal(await run(['updates'], { config, http: createFakeHttp(pages), transport: failing }), 1);
+  assert.equal(entry().checkedAt, lastChecked);
+
+  // Not held back by updates.intervalHours
+  const transport = recordingTransport();
+  assert.equal(await run(['updates'], { config, http: createFakeHttp(pages), transport }), 0);
+  assert.equal(transport.sent.length, 1);
+  assert.equal(entry().checkedAt, entry().revisedAt);
+
+  const http = createFakeHttp(pages);
+  assert.equal(await run(['updates'], { config, http, transport }), 0);
+  assert.deepEqual(http.requests, [], 'checked within the interval');
+});
+
+test('with updates.deliver none, changes are recorded without opening a transport', async (t) => {
+  const config = testConfig(tempDir(), { 'updates.deliver': 'none' });
+  const pages = { 'https://example.test/news': '<a href="/news/launch">Launch</a>', [URL]: page(ORIGINAL) };
+  await run(['check'], { config, http: createFakeHttp(pages), transport: recordingTransport() });
+  const factory = t.mock.method(TRANSPORTS, config.delivery.transport, () => failing);
+
+  const changed = [...ORIGINAL];
+  changed[2] = 'Tell us what you think of it through the feedback button in the app, which goes straight to the team.';
+  pages[URL] = page(changed);
+  assert.equal(await run(['updates', '--all'], { config, http: createFakeHttp(pages) }), 0);
+
+  assert.equal(factory.mock.callCount(), 0);
+  const entry = openStateStore(config.paths.dataFile).get(URL);
+  assert.equal(entry.revisions, 1);
+  assert.ok(entry.checkedAt);
+});